@@ -0,0 +1,30 @@
+// File: 04-core-code/actions/history-actions.js
+
+/**
+ * @fileoverview Action creators for the undo/redo history of quoteData.
+ */
+
+import { HISTORY_ACTION_TYPES } from '../config/action-types.js';
+
+// --- Undo / Redo ---
+export const undo = () => ({
+    type: HISTORY_ACTION_TYPES.UNDO,
+});
+
+export const redo = () => ({
+    type: HISTORY_ACTION_TYPES.REDO,
+});
+
+// --- Grouping ---
+export const beginGroup = () => ({
+    type: HISTORY_ACTION_TYPES.BEGIN_GROUP,
+});
+
+export const endGroup = () => ({
+    type: HISTORY_ACTION_TYPES.END_GROUP,
+});
+
+// --- Reset ---
+export const clearHistory = () => ({
+    type: HISTORY_ACTION_TYPES.CLEAR,
+});
\ No newline at end of file
@@ -7,15 +7,44 @@
 import { QUOTE_ACTION_TYPES } from '../config/action-types.js';
 
 // --- Quote Data Root ---
-export const setQuoteData = (newQuoteData) => ({
+export const setQuoteData = (newQuoteData, { skipHistory = false } = {}) => ({
     type: QUOTE_ACTION_TYPES.SET_QUOTE_DATA,
     payload: { newQuoteData },
+    meta: { skipHistory },
 });
 
 export const resetQuoteData = () => ({
     type: QUOTE_ACTION_TYPES.RESET_QUOTE_DATA,
 });
 
+export const setQuoteStatus = (status, { changedBy = '', note = '', changedAt = new Date().toISOString() } = {}) => ({
+    type: QUOTE_ACTION_TYPES.SET_QUOTE_STATUS,
+    payload: { status, changedBy, note, changedAt },
+});
+
+// --- Quote Details (F3) ---
+export const updateQuoteDetails = (details, { skipHistory = false } = {}) => ({
+    type: QUOTE_ACTION_TYPES.UPDATE_QUOTE_DETAILS,
+    payload: { details },
+    meta: { skipHistory },
+});
+
+// --- Customer ---
+export const setCustomer = (customer) => ({
+    type: QUOTE_ACTION_TYPES.SET_CUSTOMER,
+    payload: { customer },
+});
+
+export const updateCustomerField = (field, value) => ({
+    type: QUOTE_ACTION_TYPES.UPDATE_CUSTOMER_FIELD,
+    payload: { field, value },
+});
+
+export const setCurrentProduct = (productKey) => ({
+    type: QUOTE_ACTION_TYPES.SET_CURRENT_PRODUCT,
+    payload: { productKey },
+});
+
 // --- Item Array Operations ---
 export const insertRow = (selectedIndex) => ({
     type: QUOTE_ACTION_TYPES.INSERT_ROW,
@@ -37,6 +66,23 @@ export const deleteMultipleRows = (indexesToDelete) => ({
     payload: { indexesToDelete },
 });
 
+// Inserts complete items (e.g. pasted or duplicated rows, each with its own itemId) before index.
+export const insertItems = (index, newItems) => ({
+    type: QUOTE_ACTION_TYPES.INSERT_ITEMS,
+    payload: { index, newItems },
+});
+
+// Moves the row at fromIndex so that it ends up at toIndex.
+export const moveItem = (fromIndex, toIndex) => ({
+    type: QUOTE_ACTION_TYPES.MOVE_ITEM,
+    payload: { fromIndex, toIndex },
+});
+
+export const sortItems = (sortKey, direction = 'asc') => ({
+    type: QUOTE_ACTION_TYPES.SORT_ITEMS,
+    payload: { sortKey, direction },
+});
+
 // --- Individual Item Properties ---
 export const updateItemValue = (rowIndex, column, value) => ({
     type: QUOTE_ACTION_TYPES.UPDATE_ITEM_VALUE,
@@ -69,10 +115,16 @@ export const setItemType = (rowIndex, newType) => ({
     payload: { rowIndex, newType },
 });
 
+export const cycleItemFullness = (rowIndex) => ({
+    type: QUOTE_ACTION_TYPES.CYCLE_ITEM_FULLNESS,
+    payload: { rowIndex },
+});
+
 // --- Batch Item Updates ---
-export const batchUpdateProperty = (property, value) => ({
+// rowIndexes limits the update to some rows, e.g. those of a room; null updates every row.
+export const batchUpdateProperty = (property, value, rowIndexes = null) => ({
     type: QUOTE_ACTION_TYPES.BATCH_UPDATE_PROPERTY,
-    payload: { property, value },
+    payload: { property, value, rowIndexes },
 });
 
 export const batchUpdatePropertyByType = (type, property, value, indexesToExclude) => ({
@@ -101,9 +153,11 @@ export const removeLFProperties = (rowIndexes) => ({
 });
 
 // --- Summary & Metadata ---
+// Accessory summaries are derived values, so they are never recorded as an undo step.
 export const updateAccessorySummary = (data) => ({
     type: QUOTE_ACTION_TYPES.UPDATE_ACCESSORY_SUMMARY,
     payload: { data },
+    meta: { skipHistory: true },
 });
 
 export const addLFModifiedRows = (rowIndexes) => ({
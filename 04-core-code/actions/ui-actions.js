@@ -76,6 +76,21 @@ export const setLocationInputValue = (value) => ({
     payload: { value },
 });
 
+// --- Room Grouping ---
+export const toggleRoomGrouping = () => ({
+    type: UI_ACTION_TYPES.TOGGLE_ROOM_GROUPING,
+});
+
+export const toggleRoomCollapsed = (roomKey) => ({
+    type: UI_ACTION_TYPES.TOGGLE_ROOM_COLLAPSED,
+    payload: { roomKey },
+});
+
+export const setRoomScope = (roomKey) => ({
+    type: UI_ACTION_TYPES.SET_ROOM_SCOPE,
+    payload: { roomKey },
+});
+
 // --- K2 (Fabric/LF) State ---
 export const toggleLFSelection = (rowIndex) => ({
     type: UI_ACTION_TYPES.TOGGLE_LF_SELECTION,
@@ -179,6 +194,20 @@ export const toggleF2FeeExclusion = (feeType) => ({
     payload: { feeType },
 });
 
+/**
+ * Restores the F1, F2 and K4 inputs read from a file, as { f1, f2, driveRemoteCount, ... }.
+ */
+export const restoreFinancialInputs = (inputs) => ({
+    type: UI_ACTION_TYPES.RESTORE_FINANCIAL_INPUTS,
+    payload: { inputs },
+});
+
+// --- F3 Quote Prep State ---
+export const setPrintTemplate = (templateId) => ({
+    type: UI_ACTION_TYPES.SET_PRINT_TEMPLATE,
+    payload: { templateId },
+});
+
 // --- Global UI State ---
 export const setSumOutdated = (isOutdated) => ({
     type: UI_ACTION_TYPES.SET_SUM_OUTDATED,
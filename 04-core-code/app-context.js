@@ -54,6 +54,10 @@ export class AppContext {
         let initialStateWithData = JSON.parse(JSON.stringify(initialState));
         if (startingQuoteData) {
             initialStateWithData.quoteData = startingQuoteData;
+            const productStrategy = productFactory.getProductStrategy(startingQuoteData.currentProduct);
+            if (productStrategy) {
+                initialStateWithData.ui.visibleColumns = productStrategy.getQuickQuoteColumns();
+            }
         }
 
         const stateService = new StateService({
@@ -74,6 +78,30 @@ export class AppContext {
         const fileService = new FileService({ productFactory });
         this.register('fileService', fileService);
 
+        const quoteLibraryService = new QuoteLibraryService({
+            repository: new QuoteRepository(),
+            calculationService
+        });
+        this.register('quoteLibraryService', quoteLibraryService);
+
+        const customerService = new CustomerService();
+        this.register('customerService', customerService);
+
+        const quoteNumberingService = new QuoteNumberingService({ quoteLibraryService });
+        this.register('quoteNumberingService', quoteNumberingService);
+
+        const locationVocabularyService = new LocationVocabularyService();
+        this.register('locationVocabularyService', locationVocabularyService);
+
+        const quotePdfService = new QuotePdfService();
+        this.register('quotePdfService', quotePdfService);
+
+        const workOrderService = new WorkOrderService({ productFactory });
+        this.register('workOrderService', workOrderService);
+
+        const purchaseOrderService = new PurchaseOrderService({ calculationService, configManager, productFactory });
+        this.register('purchaseOrderService', purchaseOrderService);
+
         const focusService = new FocusService({
             stateService
         });
@@ -90,12 +118,19 @@ export class AppContext {
         const productFactory = this.get('productFactory');
         const focusService = this.get('focusService');
         const fileService = this.get('fileService');
+        const quoteLibraryService = this.get('quoteLibraryService');
+        const customerService = this.get('customerService');
+        const quoteNumberingService = this.get('quoteNumberingService');
+        const locationVocabularyService = this.get('locationVocabularyService');
+        const quotePdfService = this.get('quotePdfService');
+        const workOrderService = this.get('workOrderService');
+        const purchaseOrderService = this.get('purchaseOrderService');
         
         // --- Instantiate Right Panel Sub-Views ---
         const rightPanelElement = document.getElementById('function-panel');
         const f1View = new F1CostView({ panelElement: rightPanelElement, eventAggregator, calculationService });
         const f2View = new F2SummaryView({ panelElement: rightPanelElement, eventAggregator });
-        const f3View = new F3QuotePrepView({ panelElement: rightPanelElement, eventAggregator });
+        const f3View = new F3QuotePrepView({ panelElement: rightPanelElement, eventAggregator, customerService });
         const f4View = new F4ActionsView({ panelElement: rightPanelElement, eventAggregator });
 
         // --- Instantiate Main RightPanelComponent Manager ---
@@ -110,7 +145,7 @@ export class AppContext {
         this.register('rightPanelComponent', rightPanelComponent);
 
         // --- Instantiate Main Left Panel Views ---
-        const k1LocationView = new K1LocationView({ stateService });
+        const k1LocationView = new K1LocationView({ stateService, eventAggregator });
         const k2FabricView = new K2FabricView({ stateService, eventAggregator });
         const k3OptionsView = new K3OptionsView({ stateService });
         const dualChainView = new DualChainView({ stateService, calculationService, eventAggregator });
@@ -133,6 +168,14 @@ export class AppContext {
             fileService,
             calculationService,
             productFactory,
+            configManager,
+            quoteLibraryService,
+            customerService,
+            quoteNumberingService,
+            locationVocabularyService,
+            quotePdfService,
+            workOrderService,
+            purchaseOrderService,
             detailConfigView
         });
         this.register('workflowService', workflowService);
@@ -154,9 +197,53 @@ export class AppContext {
             stateService,
             workflowService,
             quickQuoteView,
-            detailConfigView
+            detailConfigView,
+            quoteLibraryService
         });
         this.register('appController', appController);
+
+        const priceListEditorComponent = new PriceListEditorComponent({
+            overlayElement: document.getElementById(DOM_IDS.PRICE_LIST_EDITOR_OVERLAY),
+            eventAggregator,
+            configManager,
+            fileService
+        });
+        this.register('priceListEditorComponent', priceListEditorComponent);
+
+        const quoteLibraryComponent = new QuoteLibraryComponent({
+            overlayElement: document.getElementById(DOM_IDS.QUOTE_LIBRARY_OVERLAY),
+            eventAggregator,
+            stateService,
+            quoteLibraryService,
+            fileService
+        });
+        this.register('quoteLibraryComponent', quoteLibraryComponent);
+
+        const customerDirectoryComponent = new CustomerDirectoryComponent({
+            overlayElement: document.getElementById(DOM_IDS.CUSTOMER_DIRECTORY_OVERLAY),
+            eventAggregator,
+            customerService,
+            fileService
+        });
+        this.register('customerDirectoryComponent', customerDirectoryComponent);
+
+        const quoteRevisionsComponent = new QuoteRevisionsComponent({
+            overlayElement: document.getElementById(DOM_IDS.QUOTE_REVISIONS_OVERLAY),
+            eventAggregator,
+            stateService,
+            quoteLibraryService,
+            calculationService
+        });
+        this.register('quoteRevisionsComponent', quoteRevisionsComponent);
+
+        const measurementImportComponent = new MeasurementImportComponent({
+            overlayElement: document.getElementById(DOM_IDS.MEASUREMENT_IMPORT_OVERLAY),
+            eventAggregator,
+            stateService,
+            productFactory,
+            configManager
+        });
+        this.register('measurementImportComponent', measurementImportComponent);
     }
 }
 
@@ -169,6 +256,14 @@ import { StateService } from './services/state-service.js';
 import { CalculationService } from './services/calculation-service.js';
 import { FocusService } from './services/focus-service.js';
 import { FileService } from './services/file-service.js';
+import { QuoteRepository } from './services/quote-repository.js';
+import { QuoteLibraryService } from './services/quote-library-service.js';
+import { CustomerService } from './services/customer-service.js';
+import { QuoteNumberingService } from './services/quote-numbering-service.js';
+import { LocationVocabularyService } from './services/location-vocabulary-service.js';
+import { QuotePdfService } from './services/quote-pdf-service.js';
+import { WorkOrderService } from './services/work-order-service.js';
+import { PurchaseOrderService } from './services/purchase-order-service.js';
 import { WorkflowService } from './services/workflow-service.js';
 import { RightPanelComponent } from './ui/right-panel-component.js';
 import { QuickQuoteView } from './ui/views/quick-quote-view.js';
@@ -182,4 +277,10 @@ import { initialState } from './config/initial-state.js';
 import { F1CostView } from './ui/views/f1-cost-view.js';
 import { F2SummaryView } from './ui/views/f2-summary-view.js';
 import { F3QuotePrepView } from './ui/views/f3-quote-prep-view.js';
-import { F4ActionsView } from './ui/views/f4-actions-view.js';
\ No newline at end of file
+import { F4ActionsView } from './ui/views/f4-actions-view.js';
+import { PriceListEditorComponent } from './ui/price-list-editor-component.js';
+import { QuoteLibraryComponent } from './ui/quote-library-component.js';
+import { CustomerDirectoryComponent } from './ui/customer-directory-component.js';
+import { QuoteRevisionsComponent } from './ui/quote-revisions-component.js';
+import { MeasurementImportComponent } from './ui/measurement-import-component.js';
+import { DOM_IDS } from './config/constants.js';
\ No newline at end of file
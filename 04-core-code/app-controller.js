@@ -5,12 +5,13 @@ import { EVENTS, STORAGE_KEYS } from './config/constants.js';
 const AUTOSAVE_INTERVAL_MS = 60000;
 
 export class AppController {
-    constructor({ eventAggregator, stateService, quickQuoteView, detailConfigView, workflowService }) {
+    constructor({ eventAggregator, stateService, quickQuoteView, detailConfigView, workflowService, quoteLibraryService }) {
         this.eventAggregator = eventAggregator;
         this.stateService = stateService; // Still needed for _getFullState and _handleAutoSave
         this.quickQuoteView = quickQuoteView;
         this.detailConfigView = detailConfigView;
         this.workflowService = workflowService;
+        this.quoteLibraryService = quoteLibraryService;
 
         this.autoSaveTimerId = null;
         console.log("AppController (Refactored with grouped subscriptions) Initialized.");
@@ -45,6 +46,14 @@ export class AppController {
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_EXPORT_CSV, () => delegate('handleExportCSV'));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_RESET, () => delegate('handleReset'));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_CLEAR_ROW, () => delegate('handleClearRow'));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_COPY_ROWS, () => delegate('handleCopyRows'));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_CUT_ROWS, () => delegate('handleCutRows'));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PASTE_ROWS, (data) => delegate('handlePasteRows', data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_DUPLICATE_ROWS, () => delegate('handleDuplicateRows'));
+        this.eventAggregator.subscribe(EVENTS.USER_MOVED_ROW, (data) => delegate('handleMoveRow', data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_SORT_ROWS, () => delegate('handleSortRows'));
+        this.eventAggregator.subscribe(EVENTS.USER_TOGGLED_ROOM_GROUPING, () => delegate('handleToggleRoomGrouping'));
+        this.eventAggregator.subscribe(EVENTS.USER_TOGGLED_ROOM_GROUP, (data) => delegate('handleToggleRoomGroup', data));
         this.eventAggregator.subscribe(EVENTS.USER_MOVED_ACTIVE_CELL, (data) => delegate('handleMoveActiveCell', data));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_CYCLE_TYPE, () => delegate('handleCycleType'));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_CALCULATE_AND_SUM, () => delegate('handleCalculateAndSum'));
@@ -85,6 +94,9 @@ export class AppController {
         this.eventAggregator.subscribe(EVENTS.PANEL_INPUT_ENTER_PRESSED, (data) => delegate('handlePanelInputEnter', data));
         this.eventAggregator.subscribe(EVENTS.PANEL_INPUT_BLURRED, (data) => delegate('handlePanelInputBlur', data));
         this.eventAggregator.subscribe(EVENTS.LOCATION_INPUT_ENTER_PRESSED, (data) => delegate('handleLocationInputEnter', data));
+        this.eventAggregator.subscribe(EVENTS.USER_SELECTED_LOCATION_PRESET, (data) => delegate('handleLocationPresetSelect', data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LOCATION_FILL_DOWN, () => delegate('handleLocationFillDown'));
+        this.eventAggregator.subscribe(EVENTS.USER_CHANGED_ROOM_SCOPE, (data) => delegate('handleRoomScopeChange', data));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LF_EDIT_MODE, () => delegate('handleLFEditRequest'));
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LF_DELETE_MODE, () => delegate('handleLFDeleteRequest'));
         this.eventAggregator.subscribe(EVENTS.USER_TOGGLED_K3_EDIT_MODE, () => delegate('handleToggleK3EditMode'));
@@ -103,6 +115,15 @@ export class AppController {
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LOAD, () => this.workflowService.handleUserRequestedLoad());
         this.eventAggregator.subscribe(EVENTS.USER_CHOSE_LOAD_DIRECTLY, () => this.workflowService.handleLoadDirectly());
         this.eventAggregator.subscribe(EVENTS.FILE_LOADED, (data) => this.workflowService.handleFileLoad(data));
+        this.eventAggregator.subscribe(EVENTS.USER_CONFIRMED_MEASUREMENT_IMPORT, (data) => this.workflowService.handleMeasurementImport(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PRODUCT_SWITCH, () => this.workflowService.handleProductSwitchRequest());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_LOCATION_PRESETS, () => this.workflowService.handleLocationPresetsRequest());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_NEW_QUOTE, () => this.workflowService.handleNewQuote());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_OPEN_QUOTE, (data) => this.workflowService.handleOpenQuote(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_UNDO, () => this.workflowService.handleUndo());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_REDO, () => this.workflowService.handleRedo());
+        this.eventAggregator.subscribe(EVENTS.APP_READY, () => this.workflowService.handleQuotePriceListCheck());
+        this.eventAggregator.subscribe(EVENTS.PRICE_LIST_CHANGED, () => this.workflowService.handleQuotePriceListCheck());
     }
 
     _subscribeF1Events() {
@@ -122,6 +143,15 @@ export class AppController {
     // [ADDED] New subscription group for F3 events.
     _subscribeF3Events() {
         this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_PRINTABLE_QUOTE, () => this.workflowService.handlePrintableQuoteRequest());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_STATUS_CHANGE, () => this.workflowService.handleStatusChangeRequest());
+        this.eventAggregator.subscribe(EVENTS.F3_TAB_ACTIVATED, () => this.workflowService.handleF3TabActivation());
+        this.eventAggregator.subscribe(EVENTS.F3_VALUE_CHANGED, (data) => this.workflowService.handleF3ValueChange(data));
+        this.eventAggregator.subscribe(EVENTS.F3_PRINT_TEMPLATE_CHANGED, (data) => this.workflowService.handlePrintTemplateChange(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_QUOTE_NUMBERING, () => this.workflowService.handleQuoteNumberingRequest());
+        this.eventAggregator.subscribe(EVENTS.F3_CUSTOMER_FIELD_CHANGED, (data) => this.workflowService.handleCustomerFieldChange(data));
+        this.eventAggregator.subscribe(EVENTS.USER_SELECTED_CUSTOMER, (data) => this.workflowService.handleCustomerSelected(data));
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_SAVE_CUSTOMER, () => this.workflowService.handleSaveCustomerRequest());
+        this.eventAggregator.subscribe(EVENTS.USER_REQUESTED_CUSTOMER_QUOTES, () => this.workflowService.handleCustomerQuotesRequest());
     }
 
     // This is a special method used by AppContext to publish state, it needs access to stateService.
@@ -136,17 +166,28 @@ export class AppController {
     _startAutoSave() {
         if (this.autoSaveTimerId) { clearInterval(this.autoSaveTimerId); }
         this.autoSaveTimerId = setInterval(() => this._handleAutoSave(), AUTOSAVE_INTERVAL_MS);
+
+        // Also save when the page is hidden, so closing the tab loses at most the last few edits.
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') this._handleAutoSave();
+        });
     }
 
+    /**
+     * Saves the quote to its record in the quote library. Browsers without IndexedDB fall back
+     * to the legacy single autosave slot, which MigrationService offers to restore on the next start.
+     */
     _handleAutoSave() {
+        const { quoteData } = this.stateService.getState();
+        if (this.quoteLibraryService.isAvailable()) {
+            this.quoteLibraryService.autoSave(quoteData)
+                .catch(error => console.error('Auto-save failed:', error));
+            return;
+        }
+
         try {
-            const { quoteData } = this.stateService.getState();
-            const items = quoteData.products[quoteData.currentProduct].items;
-            if (!items) return;
-            const hasContent = items.length > 1 || (items.length === 1 && (items[0].width || items[0].height));
-            if (hasContent) {
-                const dataToSave = JSON.stringify(quoteData);
-                localStorage.setItem(STORAGE_KEYS.AUTOSAVE, dataToSave);
+            if (this.quoteLibraryService.hasContent(quoteData)) {
+                localStorage.setItem(STORAGE_KEYS.AUTOSAVE, JSON.stringify(quoteData));
             }
         } catch (error) {
             console.error('Auto-save failed:', error);
@@ -1,7 +1,19 @@
 // /04-core-code/config-manager.js
 import { f2Config } from './config/f2-config.js';
 import { paths } from './config/paths.js';
-import { EVENTS } from './config/constants.js';
+import { EVENTS, STORAGE_KEYS } from './config/constants.js';
+import { validatePriceList } from './utils/price-list-utils.js';
+
+/**
+ * Returns today's date as YYYY-MM-DD in local time, the format used by issueDate and effectiveDate.
+ * @returns {string}
+ */
+const getTodayString = () => {
+    const now = new Date();
+    const mm = String(now.getMonth() + 1).padStart(2, '0');
+    const dd = String(now.getDate()).padStart(2, '0');
+    return `${now.getFullYear()}-${mm}-${dd}`;
+};
 
 export class ConfigManager {
     constructor(eventAggregator) {
@@ -10,33 +22,239 @@ export class ConfigManager {
         this.accessories = null;
         this.f2Config = f2Config || {};
         this.fabricTypeSequence = null;
+        this.productFabricTypeSequences = null;
         this.businessRules = null; // [ADDED] Initialize property for business rules
+
+        // Price lists are versioned by meta.version and take effect from meta.effectiveDate.
+        // Local edits (keyed by version) take precedence over the bundled files.
+        this.bundledPriceLists = {};
+        this.localPriceLists = {};
+        this.priceLists = [];
+        this.activePriceListVersion = null;
         this.isInitialized = false;
     }
 
     async initialize() {
         if (this.isInitialized) return;
 
+        this.localPriceLists = this._loadStoredPriceLists();
+
+        const results = await Promise.all(paths.data.priceLists.map(async (url) => {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`HTTP error! status: ${response.status}`);
+                }
+                return await response.json();
+            } catch (error) {
+                console.error(`Failed to load price list ${url}:`, error);
+                return null;
+            }
+        }));
+        results.filter(Boolean).forEach(priceList => {
+            this.bundledPriceLists[priceList.meta?.version || '1.0'] = priceList;
+        });
+
+        this._mergePriceLists();
+        if (this.priceLists.length === 0) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Error: Could not load the price list file!', type: 'error'});
+            return;
+        }
+
+        this.isInitialized = true;
+        const version = this.usePriceList();
+        console.log(`ConfigManager initialized and price matrices loaded successfully (price list ${version}).`);
+    }
+
+    _mergePriceLists() {
+        const merged = { ...this.bundledPriceLists, ...this.localPriceLists };
+        this.priceLists = Object.entries(merged)
+            .map(([version, priceList]) => ({ version, effectiveDate: priceList.meta?.effectiveDate || '', priceList }))
+            .sort((a, b) => a.effectiveDate.localeCompare(b.effectiveDate));
+    }
+
+    _applyPriceList(version) {
+        const data = this.priceLists.find(entry => entry.version === version).priceList;
+        this.activePriceListVersion = version;
+        this.priceListMeta = data.meta || {};
+        this.priceMatrices = data.matrices;
+        this.accessories = data.accessories;
+        this.fabricTypeSequence = data.fabricTypeSequence || [];
+        this.productFabricTypeSequences = data.productFabricTypeSequences || {};
+        this.businessRules = data.businessRules || {}; // [ADDED] Load business rules from JSON
+    }
+
+    _loadStoredPriceLists() {
         try {
-            const response = await fetch(paths.data.priceMatrix);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP error! status: ${response.status}`);
+            const storedJson = localStorage.getItem(STORAGE_KEYS.PRICE_LIST);
+            if (!storedJson) return {};
+
+            const stored = JSON.parse(storedJson);
+            const validPriceLists = {};
+            for (const [version, priceList] of Object.entries(stored)) {
+                const errors = validatePriceList(priceList);
+                if (errors.length > 0) {
+                    console.error(`Ignoring the locally edited price list ${version}:`, errors);
+                    this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `The locally edited price list ${version} is invalid and was ignored.`, type: 'error'});
+                    continue;
+                }
+                validPriceLists[version] = priceList;
             }
-            const data = await response.json();
-            this.priceMatrices = data.matrices;
-            this.accessories = data.accessories;
-            this.fabricTypeSequence = data.fabricTypeSequence || [];
-            this.businessRules = data.businessRules || {}; // [ADDED] Load business rules from JSON
-            this.isInitialized = true;
-            console.log("ConfigManager initialized and price matrices loaded successfully.");
+            return validPriceLists;
+        } catch (error) {
+            console.error("Ignoring the locally edited price lists:", error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'The locally edited price lists could not be read; the bundled price lists are used instead.', type: 'error'});
+            return {};
+        }
+    }
+
+    _storeLocalPriceLists() {
+        localStorage.setItem(STORAGE_KEYS.PRICE_LIST, JSON.stringify(this.localPriceLists));
+    }
+
+    /**
+     * Returns all known price list versions, oldest effective date first.
+     * @returns {Array<{version: string, effectiveDate: string, isLocal: boolean}>}
+     */
+    getPriceListVersions() {
+        return this.priceLists.map(({ version, effectiveDate }) => ({
+            version,
+            effectiveDate,
+            isLocal: Boolean(this.localPriceLists[version])
+        }));
+    }
+
+    /**
+     * Finds the version in effect on a date: the one with the latest effectiveDate on or before it.
+     * Dates before the first version fall back to the first version.
+     * @param {string} [date] - YYYY-MM-DD; defaults to today.
+     * @returns {string|null}
+     */
+    findPriceListVersion(date) {
+        const targetDate = date || getTodayString();
+        const inEffect = this.priceLists.filter(entry => entry.effectiveDate <= targetDate);
+        const entry = inEffect[inEffect.length - 1] || this.priceLists[0];
+        return entry ? entry.version : null;
+    }
+
+    /**
+     * Compares two versions by their position in the effective-date order.
+     * @returns {number} Negative if versionA is older than versionB, positive if newer, 0 if equal or unknown.
+     */
+    comparePriceListVersions(versionA, versionB) {
+        const indexA = this.priceLists.findIndex(entry => entry.version === versionA);
+        const indexB = this.priceLists.findIndex(entry => entry.version === versionB);
+        if (indexA === -1 || indexB === -1) return 0;
+        return indexA - indexB;
+    }
 
+    hasPriceListVersion(version) {
+        return this.priceLists.some(entry => entry.version === version);
+    }
+
+    getActivePriceListVersion() {
+        return this.activePriceListVersion;
+    }
+
+    /**
+     * Makes a price list version the one all getters read from.
+     * A quote pinned to a version uses that version; otherwise the version in effect on the
+     * given date (the quote's issueDate, or today) is used.
+     * @param {{version?: string|null, date?: string|null}} [options]
+     * @returns {string|null} The version now in use.
+     */
+    usePriceList({ version = null, date = null } = {}) {
+        if (this.priceLists.length === 0) return null;
+        if (version && !this.hasPriceListVersion(version)) {
+            console.warn(`Price list ${version} is not available; using the list in effect on ${date || 'today'} instead.`);
+        }
+        const resolvedVersion = version && this.hasPriceListVersion(version) ? version : this.findPriceListVersion(date);
+        if (resolvedVersion !== this.activePriceListVersion) {
+            this._applyPriceList(resolvedVersion);
+        }
+        return resolvedVersion;
+    }
+
+    /**
+     * Returns a copy of a complete price list, for editing or export.
+     * @param {string} [version] - Defaults to the version in use.
+     * @returns {object|null}
+     */
+    getPriceList(version = this.activePriceListVersion) {
+        const entry = this.priceLists.find(item => item.version === version);
+        if (!this.isInitialized || !entry) return null;
+        return JSON.parse(JSON.stringify(entry.priceList));
+    }
+
+    /**
+     * Whether a version is a locally edited (or locally created) price list.
+     * @param {string} [version] - Defaults to the version in use.
+     * @returns {boolean}
+     */
+    hasLocalPriceList(version = this.activePriceListVersion) {
+        return Boolean(this.localPriceLists[version]);
+    }
+
+    /**
+     * Whether a version also exists as a bundled price list file.
+     * @param {string} version
+     * @returns {boolean}
+     */
+    hasBundledPriceList(version) {
+        return Boolean(this.bundledPriceLists[version]);
+    }
+
+    /**
+     * Validates, persists and applies an edited price list under its meta.version.
+     * Saving a version that does not exist yet creates it.
+     * @param {object} priceList
+     * @returns {{success: boolean, errors: string[]}}
+     */
+    saveLocalPriceList(priceList) {
+        const errors = validatePriceList(priceList);
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+        try {
+            const priceListCopy = JSON.parse(JSON.stringify(priceList));
+            const version = priceListCopy.meta.version;
+            this.localPriceLists = { ...this.localPriceLists, [version]: priceListCopy };
+            this._storeLocalPriceLists();
+            this._refreshAfterChange(version);
+            return { success: true, errors: [] };
         } catch (error) {
-            console.error("Failed to load price matrices:", error);
-            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Error: Could not load the price list file!', type: 'error'});
+            console.error("Failed to save the price list:", error);
+            return { success: false, errors: [`Could not save the price list: ${error.message}`] };
         }
     }
 
+    /**
+     * Discards the local edits of a version. A version that only exists locally is removed.
+     * @param {string} [version] - Defaults to the version in use.
+     * @returns {boolean} False if that would leave no price list at all.
+     */
+    resetLocalPriceList(version = this.activePriceListVersion) {
+        if (!this.localPriceLists[version]) return true;
+        if (!this.bundledPriceLists[version] && this.priceLists.length <= 1) return false;
+
+        const remaining = { ...this.localPriceLists };
+        delete remaining[version];
+        this.localPriceLists = remaining;
+        this._storeLocalPriceLists();
+        this._refreshAfterChange(version);
+        return true;
+    }
+
+    _refreshAfterChange(changedVersion) {
+        const previousVersion = this.activePriceListVersion;
+        this._mergePriceLists();
+        this.isInitialized = true;
+        // Re-apply so the getters read the changed data; stay on the same version if it still exists.
+        this.activePriceListVersion = null;
+        this.usePriceList({ version: this.hasPriceListVersion(previousVersion) ? previousVersion : changedVersion });
+        this.eventAggregator.publish(EVENTS.PRICE_LIST_CHANGED, { version: changedVersion });
+    }
+
     getPriceMatrix(fabricType) {
         if (!this.isInitialized || !this.priceMatrices) {
             console.error("ConfigManager not initialized or matrices not loaded.");
@@ -48,7 +266,9 @@ export class ConfigManager {
         if (matrix && matrix.aliasFor) {
             const aliasTargetMatrix = this.priceMatrices[matrix.aliasFor];
             if (aliasTargetMatrix) {
-                return { ...aliasTargetMatrix, name: matrix.name };
+                // An alias keeps its own display name and, if given, its own pricing rules.
+                const aliasPricing = matrix.pricing ? { pricing: matrix.pricing } : {};
+                return { ...aliasTargetMatrix, ...aliasPricing, name: matrix.name };
             } else {
                 console.error(`Alias target '${matrix.aliasFor}' not found for fabric type '${fabricType}'.`);
                 return null;
@@ -58,6 +278,18 @@ export class ConfigManager {
         return matrix || null;
     }
 
+    /**
+     * Returns who supplies a fabric type: the matrix's own `supplier` if it has one, otherwise the
+     * supplier of the price list in use (meta.supplier), who also supplies the accessories.
+     * @param {string} [fabricType] - Omit for the supplier of the price list.
+     * @returns {string} '' if the price list names no supplier.
+     */
+    getSupplier(fabricType = null) {
+        if (!this.isInitialized || !this.priceListMeta) return '';
+        const matrix = fabricType ? this.priceMatrices?.[fabricType] : null;
+        return matrix?.supplier || this.priceListMeta.supplier || '';
+    }
+
     getAccessoryPrice(accessoryKey) {
         if (!this.isInitialized || !this.accessories) {
             console.error("ConfigManager not initialized or accessories not loaded.");
@@ -71,12 +303,18 @@ export class ConfigManager {
         return null;
     }
 
-    getFabricTypeSequence() {
+    /**
+     * Returns the fabric type sequence for a product.
+     * Products without their own sequence (e.g. rollerBlind) use the default top-level sequence.
+     * @param {string} [productType]
+     * @returns {string[]}
+     */
+    getFabricTypeSequence(productType) {
         if (!this.isInitialized || !this.fabricTypeSequence) {
             console.error("ConfigManager not initialized or fabricTypeSequence not loaded.");
             return [];
         }
-        return this.fabricTypeSequence;
+        return this.productFabricTypeSequences?.[productType] || this.fabricTypeSequence;
     }
 
     getF2Config() {
@@ -89,6 +327,18 @@ export class ConfigManager {
         return this.businessRules.validation?.[productType] || null;
     }
 
+    /**
+     * Returns the default pricing rules (mode and oversize rule) for a product.
+     * Individual matrices may override these with their own `pricing` block.
+     * @param {string} productType
+     * @returns {{mode: string, oversize: object|null}}
+     */
+    getPricingRules(productType) {
+        const defaults = { mode: 'bucket', oversize: null };
+        if (!this.isInitialized || !this.businessRules) return defaults;
+        return { ...defaults, ...(this.businessRules.pricing?.[productType] || {}) };
+    }
+
     // [ADDED] New getter method for logic thresholds.
     getLogicThresholds() {
         if (!this.isInitialized || !this.businessRules) return null;
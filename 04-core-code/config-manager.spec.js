@@ -0,0 +1,188 @@
+// File: 04-core-code/config-manager.spec.js
+
+import { ConfigManager } from './config-manager.js';
+import { EVENTS, STORAGE_KEYS } from './config/constants.js';
+import { paths } from './config/paths.js';
+import bundledPriceList from '../03-data-models/price-matrix-v1.0.json';
+
+const createPriceList = (version, effectiveDate, price) => ({
+    meta: { version, effectiveDate },
+    fabricTypeSequence: ['B1'],
+    matrices: {
+        B1: { name: 'UNILINE - SUNSET', drops: [900], widths: [600], prices: [[price]] }
+    },
+    accessories: { motorRTS: { price: 130, unit: 'each' } },
+    businessRules: {}
+});
+
+const mockFetchResponses = (priceLists) => {
+    window.fetch = jest.fn((url) => {
+        const priceList = priceLists[url];
+        return priceList
+            ? Promise.resolve({ ok: true, json: () => Promise.resolve(JSON.parse(JSON.stringify(priceList))) })
+            : Promise.reject(new Error('offline'));
+    });
+};
+
+describe('ConfigManager', () => {
+    let configManager;
+    let mockEventAggregator;
+    const originalPriceLists = paths.data.priceLists;
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        paths.data.priceLists = ['v1.json'];
+        mockFetchResponses({ 'v1.json': createPriceList('1.0', '2024-12-01', 50) });
+        mockEventAggregator = { publish: jest.fn() };
+        configManager = new ConfigManager(mockEventAggregator);
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        paths.data.priceLists = originalPriceLists;
+        delete window.fetch;
+    });
+
+    describe('local price list edits', () => {
+        it('should use the bundled price list when there are no local edits', async () => {
+            await configManager.initialize();
+
+            expect(configManager.getPriceMatrix('B1').prices).toEqual([[50]]);
+            expect(configManager.hasLocalPriceList()).toBe(false);
+        });
+
+        it('should price roller blinds by bucket and reject sizes beyond the matrices in the bundled price list', async () => {
+            mockFetchResponses({ 'v1.json': bundledPriceList });
+
+            await configManager.initialize();
+
+            expect(configManager.getPricingRules('rollerBlind')).toEqual({ mode: 'bucket', oversize: null });
+        });
+
+        it('should give a locally saved version precedence over the bundled file of that version', async () => {
+            localStorage.setItem(STORAGE_KEYS.PRICE_LIST, JSON.stringify({ '1.0': createPriceList('1.0', '2024-12-01', 99) }));
+
+            await configManager.initialize();
+
+            expect(configManager.getPriceMatrix('B1').prices).toEqual([[99]]);
+            expect(configManager.hasLocalPriceList()).toBe(true);
+        });
+
+        it('should ignore an invalid local price list and notify the user', async () => {
+            const invalid = createPriceList('1.0', '2024-12-01', 99);
+            invalid.matrices.B1.widths = [];
+            localStorage.setItem(STORAGE_KEYS.PRICE_LIST, JSON.stringify({ '1.0': invalid }));
+
+            await configManager.initialize();
+
+            expect(configManager.getPriceMatrix('B1').prices).toEqual([[50]]);
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, expect.objectContaining({ type: 'error' }));
+        });
+
+        it('should fall back to the local price lists when the bundled files cannot be fetched', async () => {
+            localStorage.setItem(STORAGE_KEYS.PRICE_LIST, JSON.stringify({ '1.0': createPriceList('1.0', '2024-12-01', 99) }));
+            mockFetchResponses({});
+
+            await configManager.initialize();
+
+            expect(configManager.isInitialized).toBe(true);
+            expect(configManager.getPriceMatrix('B1').prices).toEqual([[99]]);
+        });
+
+        it('should save, apply and reset local price list edits', async () => {
+            await configManager.initialize();
+
+            const edited = configManager.getPriceList();
+            edited.matrices.B1.prices[0][0] = 75;
+            expect(configManager.saveLocalPriceList(edited)).toEqual({ success: true, errors: [] });
+            expect(configManager.getPriceMatrix('B1').prices).toEqual([[75]]);
+            expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.PRICE_LIST))['1.0'].matrices.B1.prices).toEqual([[75]]);
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.PRICE_LIST_CHANGED, { version: '1.0' });
+
+            expect(configManager.resetLocalPriceList()).toBe(true);
+            expect(configManager.getPriceMatrix('B1').prices).toEqual([[50]]);
+            expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.PRICE_LIST))).toEqual({});
+        });
+
+        it('should refuse to save an invalid price list', async () => {
+            await configManager.initialize();
+
+            const edited = configManager.getPriceList();
+            edited.matrices.B1.drops = [900, 800];
+            const result = configManager.saveLocalPriceList(edited);
+
+            expect(result.success).toBe(false);
+            expect(result.errors[0]).toContain('Matrix B1 drops must increase');
+            expect(configManager.getPriceMatrix('B1').drops).toEqual([900]);
+        });
+    });
+
+    describe('price list versions', () => {
+        beforeEach(async () => {
+            paths.data.priceLists = ['v1.json', 'v2.json'];
+            mockFetchResponses({
+                'v1.json': createPriceList('1.0', '2024-12-01', 50),
+                'v2.json': createPriceList('1.1', '2025-07-01', 60)
+            });
+            await configManager.initialize();
+        });
+
+        it('should list versions by effective date', () => {
+            expect(configManager.getPriceListVersions()).toEqual([
+                { version: '1.0', effectiveDate: '2024-12-01', isLocal: false },
+                { version: '1.1', effectiveDate: '2025-07-01', isLocal: false }
+            ]);
+            expect(configManager.comparePriceListVersions('1.0', '1.1')).toBeLessThan(0);
+        });
+
+        it('should pick the version in effect on a date', () => {
+            expect(configManager.findPriceListVersion('2025-06-30')).toBe('1.0');
+            expect(configManager.findPriceListVersion('2025-07-01')).toBe('1.1');
+            expect(configManager.findPriceListVersion('2020-01-01')).toBe('1.0');
+        });
+
+        it('should use a pinned version over the version in effect on the date', () => {
+            expect(configManager.usePriceList({ version: '1.0', date: '2025-08-01' })).toBe('1.0');
+            expect(configManager.getPriceMatrix('B1').prices).toEqual([[50]]);
+
+            expect(configManager.usePriceList({ date: '2025-08-01' })).toBe('1.1');
+            expect(configManager.getPriceMatrix('B1').prices).toEqual([[60]]);
+        });
+
+        it('should name the supplier of a fabric type, falling back to the supplier of the price list', async () => {
+            const priceList = createPriceList('1.0', '2024-12-01', 50);
+            priceList.meta.supplier = 'B Window Covers';
+            priceList.matrices.B2 = { ...priceList.matrices.B1, name: 'SHAW - VIBE', supplier: 'Shaw Fabrics' };
+            mockFetchResponses({ 'v1.json': priceList, 'v2.json': createPriceList('1.1', '2025-07-01', 60) });
+            configManager = new ConfigManager(mockEventAggregator);
+            await configManager.initialize();
+            configManager.usePriceList({ version: '1.0' });
+
+            expect(configManager.getSupplier('B1')).toBe('B Window Covers');
+            expect(configManager.getSupplier('B2')).toBe('Shaw Fabrics');
+            expect(configManager.getSupplier()).toBe('B Window Covers');
+
+            configManager.usePriceList({ version: '1.1' });
+            expect(configManager.getSupplier('B2')).toBe('');
+        });
+
+        it('should fall back to the date when the pinned version is not available', () => {
+            expect(configManager.usePriceList({ version: '0.9', date: '2025-01-01' })).toBe('1.0');
+        });
+
+        it('should add a new version when a price list is saved under a new version', () => {
+            const newVersion = configManager.getPriceList('1.1');
+            newVersion.meta = { version: '1.2', effectiveDate: '2026-01-01' };
+
+            configManager.saveLocalPriceList(newVersion);
+
+            expect(configManager.getPriceListVersions().map(entry => entry.version)).toEqual(['1.0', '1.1', '1.2']);
+            expect(configManager.hasBundledPriceList('1.2')).toBe(false);
+            expect(configManager.resetLocalPriceList('1.2')).toBe(true);
+            expect(configManager.hasPriceListVersion('1.2')).toBe(false);
+        });
+    });
+});
\ No newline at end of file
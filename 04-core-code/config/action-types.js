@@ -26,6 +26,11 @@ export const UI_ACTION_TYPES = {
     SET_TARGET_CELL: 'ui/setTargetCell',
     SET_LOCATION_INPUT_VALUE: 'ui/setLocationInputValue',
 
+    // Room Grouping
+    TOGGLE_ROOM_GROUPING: 'ui/toggleRoomGrouping',
+    TOGGLE_ROOM_COLLAPSED: 'ui/toggleRoomCollapsed',
+    SET_ROOM_SCOPE: 'ui/setRoomScope',
+
     // K2 (Fabric/LF) State
     TOGGLE_LF_SELECTION: 'ui/toggleLFSelection',
     CLEAR_LF_SELECTION: 'ui/clearLFSelection',
@@ -55,6 +60,10 @@ export const UI_ACTION_TYPES = {
     // F2 Financial Summary State
     SET_F2_VALUE: 'ui/setF2Value',
     TOGGLE_F2_FEE_EXCLUSION: 'ui/toggleF2FeeExclusion',
+    RESTORE_FINANCIAL_INPUTS: 'ui/restoreFinancialInputs',
+
+    // F3 Quote Prep State
+    SET_PRINT_TEMPLATE: 'ui/setPrintTemplate',
 
     // Global UI State
     SET_SUM_OUTDATED: 'ui/setSumOutdated',
@@ -65,12 +74,24 @@ export const QUOTE_ACTION_TYPES = {
     // Quote Data Root
     SET_QUOTE_DATA: 'quote/setQuoteData',
     RESET_QUOTE_DATA: 'quote/resetQuoteData',
+    SET_CURRENT_PRODUCT: 'quote/setCurrentProduct',
+    SET_QUOTE_STATUS: 'quote/setQuoteStatus',
+
+    // Quote Details (F3)
+    UPDATE_QUOTE_DETAILS: 'quote/updateQuoteDetails',
+
+    // Customer
+    SET_CUSTOMER: 'quote/setCustomer',
+    UPDATE_CUSTOMER_FIELD: 'quote/updateCustomerField',
 
     // Item Array Operations
     INSERT_ROW: 'quote/insertRow',
     DELETE_ROW: 'quote/deleteRow',
     CLEAR_ROW: 'quote/clearRow',
     DELETE_MULTIPLE_ROWS: 'quote/deleteMultipleRows',
+    INSERT_ITEMS: 'quote/insertItems',
+    MOVE_ITEM: 'quote/moveItem',
+    SORT_ITEMS: 'quote/sortItems',
 
     // Individual Item Properties
     UPDATE_ITEM_VALUE: 'quote/updateItemValue',
@@ -79,6 +100,7 @@ export const QUOTE_ACTION_TYPES = {
     CYCLE_K3_PROPERTY: 'quote/cycleK3Property',
     CYCLE_ITEM_TYPE: 'quote/cycleItemType',
     SET_ITEM_TYPE: 'quote/setItemType',
+    CYCLE_ITEM_FULLNESS: 'quote/cycleItemFullness',
 
     // Batch Item Updates
     BATCH_UPDATE_PROPERTY: 'quote/batchUpdateProperty',
@@ -92,4 +114,17 @@ export const QUOTE_ACTION_TYPES = {
     UPDATE_ACCESSORY_SUMMARY: 'quote/updateAccessorySummary',
     ADD_LF_MODIFIED_ROWS: 'quote/addLFModifiedRows',
     REMOVE_LF_MODIFIED_ROWS: 'quote/removeLFModifiedRows',
+};
+
+export const HISTORY_ACTION_TYPES = {
+    // Undo / Redo
+    UNDO: 'history/undo',
+    REDO: 'history/redo',
+
+    // Grouping of multi-dispatch workflows into a single undo step
+    BEGIN_GROUP: 'history/beginGroup',
+    END_GROUP: 'history/endGroup',
+
+    // Forgetting all undo/redo steps, e.g. when another quote is opened
+    CLEAR: 'history/clear',
 };
\ No newline at end of file
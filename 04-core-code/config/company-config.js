@@ -0,0 +1,12 @@
+// /04-core-code/config/company-config.js
+
+/**
+ * @fileoverview The company details printed on the header and footer of PDF quotes.
+ */
+export const companyConfig = {
+    name: 'EZ Blinds',
+    addressLines: ['Factory 3, 31-37 The Concord', 'Bundoora VIC 3083'],
+    phone: '0413 889 998',
+    email: 'sales@ezblinds.com.au',
+    web: 'www.ezblinds.com.au'
+};
\ No newline at end of file
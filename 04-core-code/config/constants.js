@@ -12,11 +12,18 @@ export const EVENTS = {
     STATE_CHANGED: 'stateChanged',
     INTERNAL_STATE_UPDATED: '_internalStateUpdated',
     OPERATION_SUCCESSFUL_AUTO_HIDE_PANEL: 'operationSuccessfulAutoHidePanel',
+    PRICE_LIST_CHANGED: 'priceListChanged',
+    LOCATION_PRESETS_CHANGED: 'locationPresetsChanged',
 
     // --- UI Notifications & Dialogs ---
     SHOW_NOTIFICATION: 'showNotification',
     SHOW_LOAD_CONFIRMATION_DIALOG: 'showLoadConfirmationDialog',
     SHOW_CONFIRMATION_DIALOG: 'showConfirmationDialog',
+    SHOW_PRICE_LIST_EDITOR: 'showPriceListEditor',
+    SHOW_QUOTE_LIBRARY: 'showQuoteLibrary',
+    SHOW_CUSTOMER_DIRECTORY: 'showCustomerDirectory',
+    SHOW_QUOTE_REVISIONS: 'showQuoteRevisions',
+    SHOW_MEASUREMENT_IMPORT: 'showMeasurementImport',
     FOCUS_ELEMENT: 'focusElement',
 
     // --- User Actions: Quick Quote View ---
@@ -24,6 +31,14 @@ export const EVENTS = {
     USER_REQUESTED_INSERT_ROW: 'userRequestedInsertRow',
     USER_REQUESTED_DELETE_ROW: 'userRequestedDeleteRow',
     USER_REQUESTED_CLEAR_ROW: 'userRequestedClearRow',
+    USER_REQUESTED_COPY_ROWS: 'userRequestedCopyRows',
+    USER_REQUESTED_CUT_ROWS: 'userRequestedCutRows',
+    USER_REQUESTED_PASTE_ROWS: 'userRequestedPasteRows',
+    USER_REQUESTED_DUPLICATE_ROWS: 'userRequestedDuplicateRows',
+    USER_MOVED_ROW: 'userMovedRow',
+    USER_REQUESTED_SORT_ROWS: 'userRequestedSortRows',
+    USER_TOGGLED_ROOM_GROUPING: 'userToggledRoomGrouping',
+    USER_TOGGLED_ROOM_GROUP: 'userToggledRoomGroup',
     USER_MOVED_ACTIVE_CELL: 'userMovedActiveCell',
     USER_REQUESTED_CYCLE_TYPE: 'userRequestedCycleType',
     USER_REQUESTED_CALCULATE_AND_SUM: 'userRequestedCalculateAndSum',
@@ -32,11 +47,18 @@ export const EVENTS = {
     TYPE_CELL_LONG_PRESSED: 'typeCellLongPressed',
     TYPE_BUTTON_LONG_PRESSED: 'typeButtonLongPressed',
 
+    // --- User Actions: History ---
+    USER_REQUESTED_UNDO: 'userRequestedUndo',
+    USER_REQUESTED_REDO: 'userRequestedRedo',
+
     // --- User Actions: Detail View ---
     USER_REQUESTED_FOCUS_MODE: 'userRequestedFocusMode',
     PANEL_INPUT_ENTER_PRESSED: 'panelInputEnterPressed',
     PANEL_INPUT_BLURRED: 'panelInputBlurred',
     LOCATION_INPUT_ENTER_PRESSED: 'locationInputEnterPressed',
+    USER_SELECTED_LOCATION_PRESET: 'userSelectedLocationPreset',
+    USER_REQUESTED_LOCATION_FILL_DOWN: 'userRequestedLocationFillDown',
+    USER_CHANGED_ROOM_SCOPE: 'userChangedRoomScope',
     USER_REQUESTED_LF_EDIT_MODE: 'userRequestedLFEditMode',
     USER_REQUESTED_LF_DELETE_MODE: 'userRequestedLFDeleteMode',
     USER_TOGGLED_K3_EDIT_MODE: 'userToggledK3EditMode',
@@ -59,8 +81,13 @@ export const EVENTS = {
     USER_REQUESTED_LOAD: 'userRequestedLoad',
     USER_CHOSE_SAVE_THEN_LOAD: 'userChoseSaveThenLoad',
     USER_CHOSE_LOAD_DIRECTLY: 'userChoseLoadDirectly',
+    USER_REQUESTED_PRODUCT_SWITCH: 'userRequestedProductSwitch',
+    USER_REQUESTED_LOCATION_PRESETS: 'userRequestedLocationPresets',
+    USER_REQUESTED_NEW_QUOTE: 'userRequestedNewQuote',
+    USER_REQUESTED_OPEN_QUOTE: 'userRequestedOpenQuote',
     TRIGGER_FILE_LOAD: 'triggerFileLoad',
     FILE_LOADED: 'fileLoaded',
+    USER_CONFIRMED_MEASUREMENT_IMPORT: 'userConfirmedMeasurementImport',
 
     // --- User Actions: F1/F2/F3 Panels ---
     F1_TAB_ACTIVATED: 'f1TabActivated',
@@ -72,6 +99,15 @@ export const EVENTS = {
     F2_INPUT_ENTER_PRESSED: 'f2InputEnterPressed',
     TOGGLE_FEE_EXCLUSION: 'toggleFeeExclusion',
     USER_REQUESTED_PRINTABLE_QUOTE: 'userRequestedPrintableQuote',
+    USER_REQUESTED_STATUS_CHANGE: 'userRequestedStatusChange',
+    F3_TAB_ACTIVATED: 'f3TabActivated',
+    F3_VALUE_CHANGED: 'f3ValueChanged',
+    F3_PRINT_TEMPLATE_CHANGED: 'f3PrintTemplateChanged',
+    USER_REQUESTED_QUOTE_NUMBERING: 'userRequestedQuoteNumbering',
+    F3_CUSTOMER_FIELD_CHANGED: 'f3CustomerFieldChanged',
+    USER_SELECTED_CUSTOMER: 'userSelectedCustomer',
+    USER_REQUESTED_SAVE_CUSTOMER: 'userRequestedSaveCustomer',
+    USER_REQUESTED_CUSTOMER_QUOTES: 'userRequestedCustomerQuotes',
 };
 
 export const DOM_IDS = {
@@ -85,17 +121,38 @@ export const DOM_IDS = {
     CONFIRMATION_DIALOG_OVERLAY: 'confirmation-dialog-overlay',
     FILE_LOADER: 'file-loader',
     QUOTE_PREVIEW_OVERLAY: 'quote-preview-overlay',
+    PRICE_LIST_EDITOR_OVERLAY: 'price-list-editor-overlay',
+    QUOTE_LIBRARY_OVERLAY: 'quote-library-overlay',
+    CUSTOMER_DIRECTORY_OVERLAY: 'customer-directory-overlay',
+    QUOTE_REVISIONS_OVERLAY: 'quote-revisions-overlay',
+    MEASUREMENT_IMPORT_OVERLAY: 'measurement-import-overlay',
 
     // --- Numeric Keyboard & Top Controls ---
     NUMERIC_KEYBOARD: 'numeric-keyboard',
     PANEL_TOGGLE: 'panel-toggle',
     KEY_M_SET: 'key-m-set',
+    KEY_UNDO: 'key-undo',
+    KEY_REDO: 'key-redo',
+    KEY_COPY_ROWS: 'key-copy-rows',
+    KEY_CUT_ROWS: 'key-cut-rows',
+    KEY_PASTE_ROWS: 'key-paste-rows',
+    KEY_DUPLICATE_ROWS: 'key-duplicate-rows',
+    KEY_DELETE_ROWS: 'key-delete-rows',
+    KEY_SORT_ROWS: 'key-sort-rows',
+    KEY_GROUP_ROOMS: 'key-group-rooms',
     TOTAL_SUM_VALUE: 'total-sum-value',
+    QUOTE_TOTAL_LABEL: 'quote-total-label',
+    QUOTE_TOTAL_VALUE: 'quote-total-value',
     KEY_INS_GRID: 'key-ins-grid',
 
     // --- Left Panel & Tabs ---
     LEFT_PANEL_TOGGLE: 'left-panel-toggle',
     LOCATION_INPUT_BOX: 'location-input-box',
+    ROOM_NAME_OPTIONS: 'room-name-options',
+    LOCATION_PRESET_BUTTONS: 'location-preset-buttons',
+    LOCATION_FILL_DOWN_BUTTON: 'btn-location-fill-down',
+    ROOM_SCOPE_BAR: 'room-scope-bar',
+    ROOM_SCOPE_SELECT: 'room-scope-select',
     FABRIC_BATCH_TABLE: 'fabric-batch-table',
 
     // --- Right Panel & Tabs ---
@@ -131,8 +188,33 @@ export const DOM_IDS = {
     DIALOG_INPUT_16CH: 'dialog-input-16ch',
     DIALOG_INPUT_COMBO: 'dialog-input-combo',
     DIALOG_INPUT_SLIM: 'dialog-input-slim',
+    DIALOG_INPUT_STATUS_BY: 'dialog-input-status-by',
+    DIALOG_INPUT_STATUS_NOTE: 'dialog-input-status-note',
+    DIALOG_INPUT_NUMBER_PATTERN: 'dialog-input-number-pattern',
+    DIALOG_INPUT_NUMBER_INITIALS: 'dialog-input-number-initials',
+    DIALOG_INPUT_NUMBER_NEXT: 'dialog-input-number-next',
+    DIALOG_INPUT_DUPLICATE_COUNT: 'dialog-input-duplicate-count',
+    DIALOG_INPUT_LOCATION_PRESETS: 'dialog-input-location-presets',
 };
 
 export const STORAGE_KEYS = {
+    // Legacy single autosave slot; only read once to move its quote into the quote library.
     AUTOSAVE: 'quoteAutoSaveData',
+    CUSTOMERS: 'customerDirectory',
+    LOCATION_VOCABULARY: 'locationVocabulary',
+    OPEN_QUOTE_RECORD: 'openQuoteRecordId',
+    PRICE_LIST: 'priceListLocalEdits',
+    QUOTE_NUMBERING: 'quoteNumbering',
+    STATUS_CHANGED_BY: 'quoteStatusChangedBy',
+};
+
+// The quote lifecycle; see utils/quote-status-utils.js for the allowed transitions.
+export const QUOTE_STATUS = {
+    CONFIGURING: 'Configuring',
+    QUOTED: 'Quoted',
+    SENT: 'Sent',
+    ACCEPTED: 'Accepted',
+    REJECTED: 'Rejected',
+    ORDERED: 'Ordered',
+    INSTALLED: 'Installed',
 };
\ No newline at end of file
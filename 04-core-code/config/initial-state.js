@@ -24,10 +24,15 @@ export const initialState = {
         activeEditMode: null,
         targetCell: null,
         locationInputValue: '',
+
+        // --- Room Grouping (rooms are keyed as in utils/room-utils.js) ---
+        isGroupedByRoom: false,
+        collapsedRoomKeys: [],
+        roomScope: null, // The room that K2-K4 batch edits apply to; null for every room.
         
         // --- K2 (Fabric/LF) State ---
         lfSelectedRowIndexes: [],
-        // [REMOVED] lfModifiedRowIndexes is moved to quoteData.uiMetadata for persistence.
+        // LF marks are saved with the quote, by itemId, in quoteData.uiMetadata.itemMetadata.
 
         // --- K5 (Dual/Chain) State ---
         dualChainMode: null,
@@ -74,6 +79,9 @@ export const initialState = {
             rbProfit: null, sumPrice: null, sumProfit: null, gst: null, netProfit: null
         },
 
+        // --- F3 Quote Prep State ---
+        printTemplateId: 'customerQuote',
+
         // --- Global UI State ---
         isSumOutdated: false,
         welcomeDialogShown: false
@@ -109,18 +117,36 @@ export const initialState = {
         },
         // [ADDED] A new container for UI-related metadata that needs to be saved.
         uiMetadata: {
-            lfModifiedRowIndexes: []
+            // Per-row metadata by itemId, e.g. { [itemId]: { lf: true } } (see item-metadata-utils.js).
+            itemMetadata: {}
         },
+        // --- Quote details entered in F3 ---
         quoteId: null,
         issueDate: null,
         dueDate: null,
+        finalOfferPrice: null, // GST-inclusive price that replaces the calculated total on the printed quote.
+        generalNotes: "",
+        termsConditions: "",
+        // The price list version the quote was last priced with (see ConfigManager.usePriceList).
+        priceListVersion: null,
         status: "Configuring",
+        // Every status change as { from, to, changedAt, changedBy, note }, oldest first.
+        statusHistory: [],
         costDiscountPercentage: 0,
+        // customerId links the quote to the customer directory; the details are a copy for printing.
         customer: { 
+            customerId: null,
             name: "",
             address: "",
             phone: "",
             email: ""
         }
+    },
+    // --- Undo/Redo History (quoteData snapshots, not persisted) ---
+    history: {
+        past: [],
+        future: [],
+        groupDepth: 0,
+        groupSnapshot: null
     }
 };
\ No newline at end of file
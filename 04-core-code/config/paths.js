@@ -3,9 +3,15 @@ export const paths = {
         leftPanel: './04-core-code/ui/partials/left-panel.html',
         rightPanel: './04-core-code/ui/partials/right-panel.html',
         quoteTemplate: './04-core-code/ui/partials/quote-template-final.html',
-        detailedItemList: './04-core-code/ui/partials/detailed-item-list-final.html'
+        detailedItemList: './04-core-code/ui/partials/detailed-item-list-final.html',
+        installerWorkOrder: './04-core-code/ui/partials/installer-work-order.html',
+        supplierOrder: './04-core-code/ui/partials/supplier-order.html'
     },
     data: {
-        priceMatrix: './03-data-models/price-matrix-v1.0.json'
+        // Every price list version shipped with the app. Each file's `meta` holds its
+        // version and effectiveDate; add a new file here for a supplier price rise.
+        priceLists: [
+            './03-data-models/price-matrix-v1.0.json'
+        ]
     }
 };
\ No newline at end of file
@@ -0,0 +1,26 @@
+// /04-core-code/config/print-templates.js
+
+import { paths } from './paths.js';
+
+/**
+ * @fileoverview The documents that can be printed from F3. Each one is made of HTML partials
+ * written for the template engine (utils/template-engine.js), rendered from the printable quote
+ * built by WorkflowService and printed one after another, each on a new page.
+ * To add a document, add a partial and an entry here; F3 lists the entries in this order.
+ */
+export const PRINT_TEMPLATES = {
+    customerQuote: {
+        label: 'Customer Quote',
+        partials: [paths.partials.quoteTemplate, paths.partials.detailedItemList]
+    },
+    installerWorkOrder: {
+        label: 'Installer Work Order',
+        partials: [paths.partials.installerWorkOrder]
+    },
+    supplierOrder: {
+        label: 'Supplier Purchase Order',
+        partials: [paths.partials.supplierOrder]
+    }
+};
+
+export const DEFAULT_PRINT_TEMPLATE = 'customerQuote';
\ No newline at end of file
@@ -12,10 +12,10 @@ class App {
         this.appContext = new AppContext();
         const migrationService = new MigrationService();
         
-        const restoredData = migrationService.loadAndMigrateData();
+        this.restoredData = migrationService.loadAndMigrateData();
         
         // [MODIFIED] Initialize only non-UI services first.
-        this.appContext.initialize(restoredData);
+        this.appContext.initialize(this.restoredData);
     }
 
     async _loadPartials() {
@@ -60,14 +60,17 @@ class App {
         const calculationService = this.appContext.get('calculationService');
         const configManager = this.appContext.get('configManager');
         const appController = this.appContext.get('appController');
+        const workflowService = this.appContext.get('workflowService');
         const rightPanelComponent = this.appContext.get('rightPanelComponent');
+        const locationVocabularyService = this.appContext.get('locationVocabularyService');
 
         // Step 4: Initialize the main UI manager.
         this.uiManager = new UIManager({
             appElement: document.getElementById(DOM_IDS.APP),
             eventAggregator,
             calculationService,
-            rightPanelComponent
+            rightPanelComponent,
+            locationVocabularyService
         });
 
         // Step 5: Continue with the rest of the application startup.
@@ -77,6 +80,9 @@ class App {
             this.uiManager.render(state);
         });
 
+        // Step 6: Reopen the quote that was open in the quote library when the app was last closed.
+        await workflowService.handleRestoreOpenQuote({ legacyQuoteData: this.restoredData });
+
         appController.publishInitialState();
         
         this.inputHandler = new InputHandler(eventAggregator);
@@ -5,8 +5,14 @@
  * It contains a root reducer that delegates actions to sub-reducers based on action type prefixes.
  */
 
-import { UI_ACTION_TYPES, QUOTE_ACTION_TYPES } from '../config/action-types.js';
+import { UI_ACTION_TYPES, QUOTE_ACTION_TYPES, HISTORY_ACTION_TYPES } from '../config/action-types.js';
 import { initialState } from '../config/initial-state.js';
+import { canChangeQuoteStatus, isItemEditAction, isQuoteLocked } from '../utils/quote-status-utils.js';
+import { ITEM_SORT_KEYS, isSortedBy, sortItems } from '../utils/item-sort-utils.js';
+import { removeItemMetadata, setItemMetadataField } from '../utils/item-metadata-utils.js';
+
+const HISTORY_LIMIT = 50;
+const QUOTE_DETAIL_FIELDS = ['quoteId', 'issueDate', 'dueDate', 'finalOfferPrice', 'generalNotes', 'termsConditions'];
 
 function _consolidateEmptyRows(items, productFactory, productKey) {
     let newItems = [...items];
@@ -74,6 +80,17 @@ function uiReducer(state, action) {
             return { ...state, targetCell: action.payload.cell };
         case UI_ACTION_TYPES.SET_LOCATION_INPUT_VALUE:
             return { ...state, locationInputValue: action.payload.value };
+        case UI_ACTION_TYPES.TOGGLE_ROOM_GROUPING:
+            return { ...state, isGroupedByRoom: !state.isGroupedByRoom, collapsedRoomKeys: [] };
+        case UI_ACTION_TYPES.TOGGLE_ROOM_COLLAPSED: {
+            const { roomKey } = action.payload;
+            const collapsedRoomKeys = state.collapsedRoomKeys.includes(roomKey)
+                ? state.collapsedRoomKeys.filter(key => key !== roomKey)
+                : [...state.collapsedRoomKeys, roomKey];
+            return { ...state, collapsedRoomKeys };
+        }
+        case UI_ACTION_TYPES.SET_ROOM_SCOPE:
+            return { ...state, roomScope: action.payload.roomKey };
         case UI_ACTION_TYPES.TOGGLE_LF_SELECTION: {
             const selectedIndexes = new Set(state.lfSelectedRowIndexes);
             if (selectedIndexes.has(action.payload.rowIndex)) {
@@ -151,6 +168,13 @@ function uiReducer(state, action) {
             }
             return state;
         }
+        case UI_ACTION_TYPES.RESTORE_FINANCIAL_INPUTS: {
+            const { f1 = {}, f2 = {}, ...driveCounts } = action.payload.inputs;
+            const knownDriveCounts = Object.fromEntries(Object.entries(driveCounts).filter(([key]) => key in state));
+            return { ...state, ...knownDriveCounts, f1: { ...state.f1, ...f1 }, f2: { ...state.f2, ...f2 } };
+        }
+        case UI_ACTION_TYPES.SET_PRINT_TEMPLATE:
+            return { ...state, printTemplateId: action.payload.templateId };
         case UI_ACTION_TYPES.SET_SUM_OUTDATED:
             return { ...state, isSumOutdated: action.payload.isOutdated };
         case UI_ACTION_TYPES.RESET_UI:
@@ -160,6 +184,23 @@ function uiReducer(state, action) {
     }
 }
 
+const _isEmptyItem = (item) => !item.width && !item.height && !item.fabricType;
+
+const _splitTrailingEmptyRow = (items) => {
+    const hasTrailingEmptyRow = items.length > 0 && _isEmptyItem(items[items.length - 1]);
+    return hasTrailingEmptyRow
+        ? { rows: items.slice(0, -1), trailingRows: items.slice(-1) }
+        : { rows: items, trailingRows: [] };
+};
+
+/**
+ * Removes the metadata (e.g. LF marks) of the rows that are no longer among the items.
+ */
+function _removeDeletedItemMetadata(state, oldItems, newItems) {
+    const remainingIds = new Set(newItems.map(item => item.itemId));
+    return removeItemMetadata(state.uiMetadata, oldItems.map(item => item.itemId).filter(itemId => !remainingIds.has(itemId)));
+}
+
 function quoteReducer(state, action, { productFactory, configManager }) {
     const productKey = state.currentProduct;
     let productData = state.products[productKey];
@@ -171,6 +212,58 @@ function quoteReducer(state, action, { productFactory, configManager }) {
 
         case QUOTE_ACTION_TYPES.RESET_QUOTE_DATA:
             return JSON.parse(JSON.stringify(initialState.quoteData));
+
+        case QUOTE_ACTION_TYPES.SET_QUOTE_STATUS: {
+            const { status, changedBy, note, changedAt } = action.payload;
+            if (!canChangeQuoteStatus(state.status, status)) return state;
+            return {
+                ...state,
+                status,
+                statusHistory: [...(state.statusHistory || []), { from: state.status, to: status, changedAt, changedBy, note }]
+            };
+        }
+
+        case QUOTE_ACTION_TYPES.UPDATE_QUOTE_DETAILS: {
+            const changes = Object.entries(action.payload.details)
+                .filter(([field, value]) => QUOTE_DETAIL_FIELDS.includes(field) && state[field] !== value);
+            if (changes.length === 0) return state;
+            return { ...state, ...Object.fromEntries(changes) };
+        }
+
+        case QUOTE_ACTION_TYPES.SET_CUSTOMER: {
+            const { customerId = null, name = '', address = '', phone = '', email = '' } = action.payload.customer || {};
+            return { ...state, customer: { customerId, name, address, phone, email } };
+        }
+
+        case QUOTE_ACTION_TYPES.UPDATE_CUSTOMER_FIELD: {
+            const { field, value } = action.payload;
+            const customer = state.customer || {};
+            if (!['name', 'address', 'phone', 'email'].includes(field) || customer[field] === value) return state;
+            // A different name means a different customer, so the link to the directory is dropped.
+            const customerId = field === 'name' ? null : (customer.customerId || null);
+            return { ...state, customer: { ...customer, [field]: value, customerId } };
+        }
+
+        case QUOTE_ACTION_TYPES.SET_CURRENT_PRODUCT: {
+            const { productKey: newProductKey } = action.payload;
+            if (newProductKey === productKey) return state;
+
+            // Each product keeps its own items; a product is created on first use.
+            if (state.products[newProductKey]) {
+                return { ...state, currentProduct: newProductKey };
+            }
+            const productStrategy = productFactory.getProductStrategy(newProductKey);
+            if (!productStrategy) return state;
+            const newProductData = {
+                items: [productStrategy.getInitialItemData()],
+                summary: { totalSum: null, accessories: {} }
+            };
+            return {
+                ...state,
+                currentProduct: newProductKey,
+                products: { ...state.products, [newProductKey]: newProductData }
+            };
+        }
         
         case QUOTE_ACTION_TYPES.INSERT_ROW: {
             items = [...productData.items];
@@ -198,8 +291,10 @@ function quoteReducer(state, action, { productFactory, configManager }) {
                 items.splice(selectedIndex, 1);
             }
             items = _consolidateEmptyRows(items, productFactory, productKey);
+            // A deleted row can keep its itemId as the new empty row, so its metadata goes by id.
+            const uiMetadata = removeItemMetadata(state.uiMetadata, [itemToDelete.itemId]);
             productData = { ...productData, items };
-            return { ...state, products: { ...state.products, [productKey]: productData } };
+            return { ...state, products: { ...state.products, [productKey]: productData }, uiMetadata };
         }
         
         case QUOTE_ACTION_TYPES.CLEAR_ROW: {
@@ -212,11 +307,59 @@ function quoteReducer(state, action, { productFactory, configManager }) {
                 newItem.itemId = itemToClear.itemId;
                 items[selectedIndex] = newItem;
                 productData = { ...productData, items };
-                return { ...state, products: { ...state.products, [productKey]: productData } };
+                const uiMetadata = removeItemMetadata(state.uiMetadata, [itemToClear.itemId]);
+                return { ...state, products: { ...state.products, [productKey]: productData }, uiMetadata };
             }
             return state;
         }
 
+        case QUOTE_ACTION_TYPES.DELETE_MULTIPLE_ROWS: {
+            const indexesToDelete = new Set(action.payload.indexesToDelete);
+            items = productData.items.filter((_, index) => !indexesToDelete.has(index));
+            if (items.length === productData.items.length) return state;
+            if (items.length === 0) {
+                items = [productFactory.getProductStrategy(productKey).getInitialItemData()];
+            }
+            items = _consolidateEmptyRows(items, productFactory, productKey);
+            const uiMetadata = _removeDeletedItemMetadata(state, productData.items, items);
+            productData = { ...productData, items };
+            return { ...state, products: { ...state.products, [productKey]: productData }, uiMetadata };
+        }
+
+        case QUOTE_ACTION_TYPES.INSERT_ITEMS: {
+            const { newItems } = action.payload;
+            if (newItems.length === 0) return state;
+            // Rows are never inserted after the empty row that ends the table.
+            const lastItem = productData.items[productData.items.length - 1];
+            const maxIndex = lastItem && _isEmptyItem(lastItem) ? productData.items.length - 1 : productData.items.length;
+            const index = Math.max(0, Math.min(action.payload.index, maxIndex));
+            items = [...productData.items.slice(0, index), ...newItems, ...productData.items.slice(index)];
+            items = _consolidateEmptyRows(items, productFactory, productKey);
+            productData = { ...productData, items };
+            return { ...state, products: { ...state.products, [productKey]: productData } };
+        }
+
+        case QUOTE_ACTION_TYPES.MOVE_ITEM: {
+            const { fromIndex, toIndex } = action.payload;
+            // The empty row that ends the table stays last.
+            const { rows, trailingRows } = _splitTrailingEmptyRow(productData.items);
+            if (fromIndex === toIndex || !rows[fromIndex] || toIndex < 0 || toIndex >= rows.length) return state;
+            items = [...rows];
+            items.splice(toIndex, 0, ...items.splice(fromIndex, 1));
+            items = [...items, ...trailingRows];
+            productData = { ...productData, items };
+            return { ...state, products: { ...state.products, [productKey]: productData } };
+        }
+
+        case QUOTE_ACTION_TYPES.SORT_ITEMS: {
+            const { sortKey, direction } = action.payload;
+            const { rows, trailingRows } = _splitTrailingEmptyRow(productData.items);
+            if (!ITEM_SORT_KEYS[sortKey] || isSortedBy(rows, sortKey, direction)) return state;
+            items = [...sortItems(rows, sortKey, direction), ...trailingRows];
+            productData = { ...productData, items };
+            return { ...state, products: { ...state.products, [productKey]: productData } };
+        }
+
         case QUOTE_ACTION_TYPES.UPDATE_ITEM_VALUE: {
             items = [...productData.items];
             const { rowIndex, column, value } = action.payload;
@@ -238,11 +381,16 @@ function quoteReducer(state, action, { productFactory, configManager }) {
         }
         
         case QUOTE_ACTION_TYPES.BATCH_UPDATE_PROPERTY: {
+            const { property, value, rowIndexes } = action.payload;
+            const indexesToUpdate = rowIndexes ? new Set(rowIndexes) : null;
             items = productData.items.map((item, index) => {
                 if (index === productData.items.length - 1) {
                     return item; // Exclude the last (empty backup) row from batch updates.
                 }
-                return { ...item, [action.payload.property]: action.payload.value };
+                if (indexesToUpdate && !indexesToUpdate.has(index)) {
+                    return item;
+                }
+                return { ...item, [property]: value };
             });
             productData = { ...productData, items };
             return { ...state, products: { ...state.products, [productKey]: productData } };
@@ -310,12 +458,31 @@ function quoteReducer(state, action, { productFactory, configManager }) {
             return { ...state, products: { ...state.products, [productKey]: productData } };
         }
 
+        case QUOTE_ACTION_TYPES.CYCLE_ITEM_FULLNESS: {
+            const productStrategy = productFactory.getProductStrategy(productKey);
+            if (!productStrategy || !productStrategy.getFullnessRules) return state;
+
+            const { rowIndex } = action.payload;
+            const item = productData.items[rowIndex];
+            if (!item || (!item.width && !item.height)) return state;
+
+            const { options, default: defaultFullness } = productStrategy.getFullnessRules();
+            const currentIndex = options.indexOf(item.fullness ?? defaultFullness);
+            const nextFullness = options[(currentIndex + 1) % options.length];
+            if (nextFullness === item.fullness) return state;
+
+            items = [...productData.items];
+            items[rowIndex] = { ...item, fullness: nextFullness, linePrice: null };
+            productData = { ...productData, items };
+            return { ...state, products: { ...state.products, [productKey]: productData } };
+        }
+
         case QUOTE_ACTION_TYPES.CYCLE_ITEM_TYPE:
         case QUOTE_ACTION_TYPES.SET_ITEM_TYPE:
         case QUOTE_ACTION_TYPES.BATCH_UPDATE_FABRIC_TYPE:
         case QUOTE_ACTION_TYPES.BATCH_UPDATE_FABRIC_TYPE_FOR_SELECTION: {
             items = [...productData.items];
-            const TYPE_SEQUENCE = configManager.getFabricTypeSequence();
+            const TYPE_SEQUENCE = configManager.getFabricTypeSequence(productKey);
             if (TYPE_SEQUENCE.length === 0) return state;
 
             let changedIndexes = [];
@@ -366,9 +533,7 @@ function quoteReducer(state, action, { productFactory, configManager }) {
             }
 
             if (changedIndexes.length > 0) {
-                const modifiedIndexes = new Set(state.uiMetadata.lfModifiedRowIndexes);
-                changedIndexes.forEach(index => modifiedIndexes.delete(index));
-                const newUiMetadata = { ...state.uiMetadata, lfModifiedRowIndexes: Array.from(modifiedIndexes) };
+                const newUiMetadata = setItemMetadataField(state.uiMetadata, changedIndexes.map(index => items[index].itemId), 'lf', false);
                 productData = { ...productData, items: newItems };
                 return { ...state, products: { ...state.products, [productKey]: productData }, uiMetadata: newUiMetadata };
             }
@@ -399,15 +564,12 @@ function quoteReducer(state, action, { productFactory, configManager }) {
             return { ...state, products: { ...state.products, [productKey]: productData } };
         }
 
-        case QUOTE_ACTION_TYPES.ADD_LF_MODIFIED_ROWS: {
-            const modifiedIndexes = new Set([...state.uiMetadata.lfModifiedRowIndexes, ...action.payload.rowIndexes]);
-            return { ...state, uiMetadata: { ...state.uiMetadata, lfModifiedRowIndexes: Array.from(modifiedIndexes) } };
-        }
-
+        // The rows are given by position and marked by itemId, so the marks follow them when rows move.
+        case QUOTE_ACTION_TYPES.ADD_LF_MODIFIED_ROWS:
         case QUOTE_ACTION_TYPES.REMOVE_LF_MODIFIED_ROWS: {
-            const indexesToRemove = new Set(action.payload.rowIndexes);
-            const newModifiedIndexes = state.uiMetadata.lfModifiedRowIndexes.filter(i => !indexesToRemove.has(i));
-            return { ...state, uiMetadata: { ...state.uiMetadata, lfModifiedRowIndexes: newModifiedIndexes } };
+            const itemIds = action.payload.rowIndexes.map(index => productData.items[index]?.itemId).filter(Boolean);
+            const isLf = action.type === QUOTE_ACTION_TYPES.ADD_LF_MODIFIED_ROWS;
+            return { ...state, uiMetadata: setItemMetadataField(state.uiMetadata, itemIds, 'lf', isLf) };
         }
 
         case QUOTE_ACTION_TYPES.UPDATE_ACCESSORY_SUMMARY: {
@@ -423,6 +585,96 @@ function quoteReducer(state, action, { productFactory, configManager }) {
     }
 }
 
+function _pushSnapshot(history, snapshot) {
+    const past = [...history.past, snapshot];
+    if (past.length > HISTORY_LIMIT) {
+        past.shift();
+    }
+    return { ...history, past, future: [] };
+}
+
+/**
+ * Closes any open history group, committing its starting snapshot as one undo step
+ * if quoteData changed while the group was open.
+ */
+function _closeHistoryGroup(history, currentQuoteData) {
+    if (history.groupDepth === 0) return history;
+
+    const closedHistory = { ...history, groupDepth: 0, groupSnapshot: null };
+    if (history.groupSnapshot && history.groupSnapshot !== currentQuoteData) {
+        return _pushSnapshot(closedHistory, history.groupSnapshot);
+    }
+    return closedHistory;
+}
+
+function _recordQuoteChange(history, previousQuoteData, action) {
+    if (action.meta?.skipHistory || history.groupDepth > 0) {
+        return history;
+    }
+    return _pushSnapshot(history, previousQuoteData);
+}
+
+function historyReducer(state, action) {
+    const { history } = state;
+
+    switch (action.type) {
+        case HISTORY_ACTION_TYPES.BEGIN_GROUP: {
+            if (history.groupDepth > 0) {
+                return { ...state, history: { ...history, groupDepth: history.groupDepth + 1 } };
+            }
+            return { ...state, history: { ...history, groupDepth: 1, groupSnapshot: state.quoteData } };
+        }
+
+        case HISTORY_ACTION_TYPES.END_GROUP: {
+            if (history.groupDepth === 0) return state;
+            if (history.groupDepth > 1) {
+                return { ...state, history: { ...history, groupDepth: history.groupDepth - 1 } };
+            }
+            return { ...state, history: _closeHistoryGroup(history, state.quoteData) };
+        }
+
+        case HISTORY_ACTION_TYPES.CLEAR:
+            return { ...state, history: { past: [], future: [], groupDepth: 0, groupSnapshot: null } };
+
+        case HISTORY_ACTION_TYPES.UNDO: {
+            const closedHistory = _closeHistoryGroup(history, state.quoteData);
+            if (closedHistory.past.length === 0) {
+                return closedHistory === history ? state : { ...state, history: closedHistory };
+            }
+            const previousQuoteData = closedHistory.past[closedHistory.past.length - 1];
+            return {
+                ...state,
+                quoteData: previousQuoteData,
+                history: {
+                    ...closedHistory,
+                    past: closedHistory.past.slice(0, -1),
+                    future: [state.quoteData, ...closedHistory.future]
+                }
+            };
+        }
+
+        case HISTORY_ACTION_TYPES.REDO: {
+            const closedHistory = _closeHistoryGroup(history, state.quoteData);
+            if (closedHistory.future.length === 0) {
+                return closedHistory === history ? state : { ...state, history: closedHistory };
+            }
+            const [nextQuoteData, ...remainingFuture] = closedHistory.future;
+            return {
+                ...state,
+                quoteData: nextQuoteData,
+                history: {
+                    ...closedHistory,
+                    past: [...closedHistory.past, state.quoteData],
+                    future: remainingFuture
+                }
+            };
+        }
+
+        default:
+            return state;
+    }
+}
+
 export function createRootReducer(dependencies) {
     const { productFactory, configManager } = dependencies;
 
@@ -435,12 +687,24 @@ export function createRootReducer(dependencies) {
         }
 
         if (action.type.startsWith('quote/')) {
+            // Items of an accepted (or later) quote are locked; the status must be changed first.
+            if (isItemEditAction(action) && isQuoteLocked(state.quoteData.status)) {
+                return state;
+            }
             const newQuoteState = quoteReducer(state.quoteData, action, { productFactory, configManager });
             if (newQuoteState !== state.quoteData) {
-                return { ...state, quoteData: newQuoteState };
+                return {
+                    ...state,
+                    quoteData: newQuoteState,
+                    history: _recordQuoteChange(state.history, state.quoteData, action)
+                };
             }
         }
 
+        if (action.type.startsWith('history/')) {
+            return historyReducer(state, action);
+        }
+
         return state;
     };
 }
\ No newline at end of file
@@ -0,0 +1,452 @@
+// /04-core-code/reducers/root-reducer.spec.js
+
+import { createRootReducer } from './root-reducer.js';
+import { initialState } from '../config/initial-state.js';
+import * as quoteActions from '../actions/quote-actions.js';
+import * as historyActions from '../actions/history-actions.js';
+import * as uiActions from '../actions/ui-actions.js';
+import { getLfModifiedIndexes } from '../utils/item-metadata-utils.js';
+
+// --- Mock Dependencies ---
+const mockProductFactory = {
+    getProductStrategy: jest.fn(() => ({
+        getInitialItemData: () => ({ itemId: 'new', width: null, height: null, fabricType: null, linePrice: null }),
+    })),
+};
+
+const mockConfigManager = {
+    getFabricTypeSequence: jest.fn(() => ['B1', 'B2', 'B3']),
+};
+
+describe('rootReducer undo/redo history', () => {
+    let reducer;
+    let state;
+
+    const getItems = (s) => s.quoteData.products[s.quoteData.currentProduct].items;
+    const setWidth = (rowIndex, value) => quoteActions.updateItemProperty(rowIndex, 'width', value);
+
+    beforeEach(() => {
+        reducer = createRootReducer({ productFactory: mockProductFactory, configManager: mockConfigManager });
+        state = JSON.parse(JSON.stringify(initialState));
+        const productKey = state.quoteData.currentProduct;
+        state.quoteData.products[productKey].items = [
+            { itemId: 'a', width: 1000, height: 1000, fabricType: 'B1' },
+            { itemId: 'b', width: null, height: null, fabricType: null },
+        ];
+    });
+
+    it('should record a snapshot for every quoteData change', () => {
+        const original = state.quoteData;
+        state = reducer(state, setWidth(0, 1200));
+
+        expect(state.history.past).toEqual([original]);
+        expect(state.history.future).toEqual([]);
+    });
+
+    it('should not record anything when a quote action leaves quoteData unchanged', () => {
+        state = reducer(state, setWidth(0, 1000));
+        expect(state.history.past).toHaveLength(0);
+    });
+
+    it('should undo and redo a change', () => {
+        const original = state.quoteData;
+        state = reducer(state, setWidth(0, 1200));
+        const changed = state.quoteData;
+
+        state = reducer(state, historyActions.undo());
+        expect(state.quoteData).toBe(original);
+        expect(state.history.future).toEqual([changed]);
+
+        state = reducer(state, historyActions.redo());
+        expect(state.quoteData).toBe(changed);
+        expect(getItems(state)[0].width).toBe(1200);
+        expect(state.history.future).toHaveLength(0);
+    });
+
+    it('should return the same state when there is nothing to undo or redo', () => {
+        expect(reducer(state, historyActions.undo())).toBe(state);
+        expect(reducer(state, historyActions.redo())).toBe(state);
+    });
+
+    it('should clear the redo stack when a new change is made', () => {
+        state = reducer(state, setWidth(0, 1200));
+        state = reducer(state, historyActions.undo());
+        expect(state.history.future).toHaveLength(1);
+
+        state = reducer(state, setWidth(0, 1500));
+        expect(state.history.future).toHaveLength(0);
+    });
+
+    it('should keep at most 50 undo steps', () => {
+        for (let i = 1; i <= 60; i++) {
+            state = reducer(state, setWidth(0, 1000 + i));
+        }
+        expect(state.history.past).toHaveLength(50);
+        expect(getItems({ quoteData: state.history.past[0] })[0].width).toBe(1010);
+    });
+
+    it('should not record actions flagged with skipHistory', () => {
+        const newQuoteData = { ...state.quoteData, costDiscountPercentage: 5 };
+        state = reducer(state, quoteActions.setQuoteData(newQuoteData, { skipHistory: true }));
+        state = reducer(state, quoteActions.updateAccessorySummary({ winder: 1 }));
+
+        expect(state.history.past).toHaveLength(0);
+    });
+
+    it('should collapse a group of changes into a single undo step', () => {
+        const original = state.quoteData;
+        state = reducer(state, historyActions.beginGroup());
+        state = reducer(state, setWidth(0, 1200));
+        state = reducer(state, historyActions.beginGroup());
+        state = reducer(state, setWidth(1, 800));
+        state = reducer(state, historyActions.endGroup());
+        expect(state.history.past).toHaveLength(0);
+
+        state = reducer(state, historyActions.endGroup());
+        expect(state.history.past).toEqual([original]);
+        expect(state.history.groupDepth).toBe(0);
+
+        state = reducer(state, historyActions.undo());
+        expect(state.quoteData).toBe(original);
+    });
+
+    it('should not record an empty group', () => {
+        state = reducer(state, historyActions.beginGroup());
+        state = reducer(state, historyActions.endGroup());
+        expect(state.history.past).toHaveLength(0);
+    });
+
+    it('should close an open group before undoing it', () => {
+        const original = state.quoteData;
+        state = reducer(state, historyActions.beginGroup());
+        state = reducer(state, setWidth(0, 1200));
+        state = reducer(state, historyActions.undo());
+
+        expect(state.quoteData).toBe(original);
+        expect(state.history.groupDepth).toBe(0);
+
+        // A late END_GROUP from the caller is harmless.
+        expect(reducer(state, historyActions.endGroup())).toBe(state);
+    });
+
+    it('should forget all undo and redo steps when the history is cleared', () => {
+        state = reducer(state, setWidth(0, 1200));
+        state = reducer(state, setWidth(0, 1300));
+        state = reducer(state, historyActions.undo());
+        const current = state.quoteData;
+
+        state = reducer(state, historyActions.clearHistory());
+        expect(state.history).toEqual({ past: [], future: [], groupDepth: 0, groupSnapshot: null });
+        expect(state.quoteData).toBe(current);
+    });
+});
+
+describe('rootReducer product switching', () => {
+    const sheerStrategy = {
+        getInitialItemData: () => ({ itemId: 'sheer-new', width: null, height: null, fabricType: null, fullness: 2, linePrice: null }),
+        getFullnessRules: () => ({ options: [2, 2.5, 3], default: 2 }),
+    };
+    const productFactory = {
+        getProductStrategy: jest.fn((productKey) => (productKey === 'sheerCurtain' ? sheerStrategy : null)),
+    };
+
+    let reducer;
+    let state;
+
+    beforeEach(() => {
+        reducer = createRootReducer({ productFactory, configManager: mockConfigManager });
+        state = JSON.parse(JSON.stringify(initialState));
+        state.quoteData.products.rollerBlind.items = [{ itemId: 'a', width: 1000, height: 1000, fabricType: 'B1' }];
+    });
+
+    it('should create a product on first use and keep the other product\'s items', () => {
+        state = reducer(state, quoteActions.setCurrentProduct('sheerCurtain'));
+
+        expect(state.quoteData.currentProduct).toBe('sheerCurtain');
+        expect(state.quoteData.products.sheerCurtain.items[0].itemId).toBe('sheer-new');
+        expect(state.quoteData.products.rollerBlind.items[0].itemId).toBe('a');
+    });
+
+    it('should reuse existing product data when switching back', () => {
+        state = reducer(state, quoteActions.setCurrentProduct('sheerCurtain'));
+        const sheerData = state.quoteData.products.sheerCurtain;
+        state = reducer(state, quoteActions.setCurrentProduct('rollerBlind'));
+        state = reducer(state, quoteActions.setCurrentProduct('sheerCurtain'));
+
+        expect(state.quoteData.products.sheerCurtain).toBe(sheerData);
+    });
+
+    it('should ignore unknown products', () => {
+        expect(reducer(state, quoteActions.setCurrentProduct('flyScreen'))).toBe(state);
+    });
+
+    it('should cycle the fullness of a sheer curtain item', () => {
+        state = reducer(state, quoteActions.setCurrentProduct('sheerCurtain'));
+        state = reducer(state, quoteActions.updateItemProperty(0, 'width', 2000));
+
+        state = reducer(state, quoteActions.cycleItemFullness(0));
+        expect(state.quoteData.products.sheerCurtain.items[0].fullness).toBe(2.5);
+        state = reducer(state, quoteActions.cycleItemFullness(0));
+        state = reducer(state, quoteActions.cycleItemFullness(0));
+        expect(state.quoteData.products.sheerCurtain.items[0].fullness).toBe(2);
+    });
+});
+
+describe('rootReducer quote status', () => {
+    let reducer;
+    let state;
+
+    const setStatus = (status, note = '') => quoteActions.setQuoteStatus(status, { changedBy: 'Sam', note, changedAt: '2025-03-01T10:00:00.000Z' });
+
+    beforeEach(() => {
+        reducer = createRootReducer({ productFactory: mockProductFactory, configManager: mockConfigManager });
+        state = JSON.parse(JSON.stringify(initialState));
+        state.quoteData.products[state.quoteData.currentProduct].items = [
+            { itemId: 'a', width: 1000, height: 1000, fabricType: 'B1' },
+            { itemId: 'b', width: null, height: null, fabricType: null },
+        ];
+    });
+
+    it('should record an allowed status change with who, when and why', () => {
+        state = reducer(state, setStatus('Quoted', 'Sent by email'));
+
+        expect(state.quoteData.status).toBe('Quoted');
+        expect(state.quoteData.statusHistory).toEqual([
+            { from: 'Configuring', to: 'Quoted', changedAt: '2025-03-01T10:00:00.000Z', changedBy: 'Sam', note: 'Sent by email' }
+        ]);
+    });
+
+    it('should ignore a status change the lifecycle does not allow', () => {
+        expect(reducer(state, setStatus('Accepted'))).toBe(state);
+    });
+
+    it('should lock item edits once the quote is accepted, until it is reopened', () => {
+        state = reducer(state, setStatus('Quoted'));
+        state = reducer(state, setStatus('Sent'));
+        state = reducer(state, setStatus('Accepted'));
+
+        const editWidth = quoteActions.updateItemProperty(0, 'width', 1500);
+        expect(reducer(state, editWidth)).toBe(state);
+        expect(reducer(state, quoteActions.insertRow(0))).toBe(state);
+
+        state = reducer(state, setStatus('Configuring', 'Customer wants another window'));
+        state = reducer(state, editWidth);
+        expect(state.quoteData.products[state.quoteData.currentProduct].items[0].width).toBe(1500);
+        expect(state.quoteData.statusHistory.map(entry => entry.to)).toEqual(['Quoted', 'Sent', 'Accepted', 'Configuring']);
+    });
+});
+
+describe('rootReducer customer', () => {
+    let reducer;
+    let state;
+
+    beforeEach(() => {
+        reducer = createRootReducer({ productFactory: mockProductFactory, configManager: mockConfigManager });
+        state = JSON.parse(JSON.stringify(initialState));
+    });
+
+    it('should copy a directory customer into the quote', () => {
+        state = reducer(state, quoteActions.setCustomer({
+            customerId: 'c-1', name: 'Jane Doe', address: '12 High St', phone: '0400', email: 'jane@example.com', createdAt: '2025-01-01'
+        }));
+
+        expect(state.quoteData.customer).toEqual({ customerId: 'c-1', name: 'Jane Doe', address: '12 High St', phone: '0400', email: 'jane@example.com' });
+    });
+
+    it('should keep the directory link when contact details are edited, but not when the name changes', () => {
+        state = reducer(state, quoteActions.setCustomer({ customerId: 'c-1', name: 'Jane Doe' }));
+
+        state = reducer(state, quoteActions.updateCustomerField('phone', '0400 111 222'));
+        expect(state.quoteData.customer).toMatchObject({ customerId: 'c-1', phone: '0400 111 222' });
+
+        expect(reducer(state, quoteActions.updateCustomerField('name', 'Jane Doe'))).toBe(state);
+        expect(reducer(state, quoteActions.updateCustomerField('customerId', 'c-2'))).toBe(state);
+
+        state = reducer(state, quoteActions.updateCustomerField('name', 'Bob Brown'));
+        expect(state.quoteData.customer).toMatchObject({ customerId: null, name: 'Bob Brown', phone: '0400 111 222' });
+    });
+});
+
+describe('rootReducer quote details', () => {
+    let reducer;
+    let state;
+
+    beforeEach(() => {
+        reducer = createRootReducer({ productFactory: mockProductFactory, configManager: mockConfigManager });
+        state = JSON.parse(JSON.stringify(initialState));
+    });
+
+    it('should store F3 quote details and ignore unknown fields', () => {
+        state = reducer(state, quoteActions.updateQuoteDetails({ issueDate: '2025-03-01', dueDate: '2025-03-15', status: 'Accepted' }));
+
+        expect(state.quoteData).toMatchObject({ issueDate: '2025-03-01', dueDate: '2025-03-15', status: 'Configuring' });
+        expect(state.history.past).toHaveLength(1);
+    });
+
+    it('should return the same state when nothing changes', () => {
+        state = reducer(state, quoteActions.updateQuoteDetails({ generalNotes: 'Call first' }));
+
+        expect(reducer(state, quoteActions.updateQuoteDetails({ generalNotes: 'Call first' }))).toBe(state);
+    });
+});
+
+describe('rootReducer financial inputs', () => {
+    it('should restore the F1, F2 and K4 inputs read from a file', () => {
+        const reducer = createRootReducer({ productFactory: mockProductFactory, configManager: mockConfigManager });
+        const state = reducer(JSON.parse(JSON.stringify(initialState)), uiActions.restoreFinancialInputs({
+            f1: { discountPercentage: 12.5 },
+            f2: { wifiQty: 1, installFeeExcluded: true },
+            driveRemoteCount: 2,
+            unknownCount: 3,
+        }));
+
+        expect(state.ui.f1).toEqual({ ...initialState.ui.f1, discountPercentage: 12.5 });
+        expect(state.ui.f2).toEqual({ ...initialState.ui.f2, wifiQty: 1, installFeeExcluded: true });
+        expect(state.ui.driveRemoteCount).toBe(2);
+        expect(state.ui).not.toHaveProperty('unknownCount');
+        expect(state.history.past).toHaveLength(0);
+    });
+});
+
+describe('rootReducer row operations', () => {
+    let reducer;
+    let state;
+
+    const getItemIds = (s) => s.quoteData.products.rollerBlind.items.map(item => item.itemId);
+    const getLfIndexes = (s) => getLfModifiedIndexes(s.quoteData.uiMetadata, s.quoteData.products.rollerBlind.items);
+
+    beforeEach(() => {
+        reducer = createRootReducer({ productFactory: mockProductFactory, configManager: mockConfigManager });
+        state = JSON.parse(JSON.stringify(initialState));
+        state.quoteData.products.rollerBlind.items = [
+            { itemId: 'a', width: 1000, height: 1000, fabricType: 'B1' },
+            { itemId: 'b', width: 1100, height: 1000, fabricType: 'B1' },
+            { itemId: 'c', width: 1200, height: 1000, fabricType: 'B2' },
+            { itemId: 'd', width: null, height: null, fabricType: null },
+        ];
+        state.quoteData.uiMetadata.itemMetadata = { c: { lf: true } };
+    });
+
+    it('should delete several rows and move the LF marks of the remaining rows', () => {
+        state = reducer(state, quoteActions.deleteMultipleRows([0, 1]));
+
+        expect(getItemIds(state)).toEqual(['c', 'd']);
+        expect(getLfIndexes(state)).toEqual([0]);
+        expect(state.history.past).toHaveLength(1);
+    });
+
+    it('should keep one empty row when every row is deleted', () => {
+        state = reducer(state, quoteActions.deleteMultipleRows([0, 1, 2, 3]));
+
+        expect(getItemIds(state)).toEqual(['new']);
+        expect(state.quoteData.uiMetadata.itemMetadata).toEqual({});
+    });
+
+    it('should insert items, but never after the final empty row', () => {
+        const copies = [{ itemId: 'x', width: 900, height: 900, fabricType: 'B3' }, { itemId: 'y', width: 800, height: 800, fabricType: 'B3' }];
+
+        state = reducer(state, quoteActions.insertItems(1, copies));
+        expect(getItemIds(state)).toEqual(['a', 'x', 'y', 'b', 'c', 'd']);
+        expect(getLfIndexes(state)).toEqual([4]);
+
+        state = reducer(state, quoteActions.insertItems(99, [{ itemId: 'z', width: 700, height: 700, fabricType: 'B1' }]));
+        expect(getItemIds(state)).toEqual(['a', 'x', 'y', 'b', 'c', 'z', 'd']);
+    });
+
+    it('should not change the items of an accepted quote', () => {
+        ['Quoted', 'Sent', 'Accepted'].forEach(status => { state = reducer(state, quoteActions.setQuoteStatus(status)); });
+
+        expect(reducer(state, quoteActions.deleteMultipleRows([0]))).toBe(state);
+        expect(reducer(state, quoteActions.insertItems(0, [{ itemId: 'x', width: 900, height: 900 }]))).toBe(state);
+    });
+
+    it('should move a row, keeping the final empty row last and the LF mark on its row', () => {
+        state = reducer(state, quoteActions.moveItem(2, 0));
+        expect(getItemIds(state)).toEqual(['c', 'a', 'b', 'd']);
+        expect(getLfIndexes(state)).toEqual([0]);
+
+        expect(reducer(state, quoteActions.moveItem(0, 3))).toBe(state);
+    });
+
+    it('should sort the rows and record nothing when they are already in order', () => {
+        state = reducer(state, quoteActions.sortItems('width', 'desc'));
+        expect(getItemIds(state)).toEqual(['c', 'b', 'a', 'd']);
+        expect(getLfIndexes(state)).toEqual([0]);
+        expect(state.history.past).toHaveLength(1);
+
+        expect(reducer(state, quoteActions.sortItems('width', 'desc'))).toBe(state);
+    });
+
+    it('should batch update the rows of a room only, and never the final empty row', () => {
+        state = reducer(state, quoteActions.batchUpdateProperty('oi', 'OUT', [0, 2, 3]));
+        expect(state.quoteData.products.rollerBlind.items.map(item => item.oi)).toEqual(['OUT', undefined, 'OUT', undefined]);
+
+        state = reducer(state, quoteActions.batchUpdateProperty('oi', 'IN'));
+        expect(state.quoteData.products.rollerBlind.items.map(item => item.oi)).toEqual(['IN', 'IN', 'IN', undefined]);
+    });
+});
+describe('rootReducer LF marks', () => {
+    let reducer;
+    let state;
+
+    const getItemIds = (s) => s.quoteData.products.rollerBlind.items.map(item => item.itemId);
+    const getLfIndexes = (s) => getLfModifiedIndexes(s.quoteData.uiMetadata, s.quoteData.products.rollerBlind.items);
+
+    beforeEach(() => {
+        reducer = createRootReducer({ productFactory: mockProductFactory, configManager: mockConfigManager });
+        state = JSON.parse(JSON.stringify(initialState));
+        state.quoteData.products.rollerBlind.items = [
+            { itemId: 'a', width: 1000, height: 1000, fabricType: 'B2', fabric: 'Light-filter Linen', color: 'White' },
+            { itemId: 'b', width: 1100, height: 1000, fabricType: 'B2', fabric: 'Linen', color: 'Grey' },
+            { itemId: 'c', width: 1200, height: 1000, fabricType: 'B3', fabric: 'Light-filter Sheer', color: 'Ivory' },
+            { itemId: 'd', width: null, height: null, fabricType: null },
+        ];
+        state = reducer(state, quoteActions.addLFModifiedRows([0, 2]));
+    });
+
+    it('should store the marks by itemId', () => {
+        expect(state.quoteData.uiMetadata.itemMetadata).toEqual({ a: { lf: true }, c: { lf: true } });
+    });
+
+    it('should keep the marks on their rows when a row is inserted above them', () => {
+        state = reducer(state, quoteActions.insertRow(0));
+
+        expect(getItemIds(state)).toEqual(['a', 'new', 'b', 'c', 'd']);
+        expect(getLfIndexes(state)).toEqual([0, 3]);
+    });
+
+    it('should keep the marks on their rows when a row above them is deleted', () => {
+        state = reducer(state, quoteActions.deleteRow(1));
+
+        expect(getItemIds(state)).toEqual(['a', 'c', 'd']);
+        expect(getLfIndexes(state)).toEqual([0, 1]);
+    });
+
+    it('should drop the mark of a deleted or cleared LF row', () => {
+        state = reducer(state, quoteActions.deleteRow(0));
+        expect(getLfIndexes(state)).toEqual([1]);
+        expect(state.quoteData.uiMetadata.itemMetadata).toEqual({ c: { lf: true } });
+
+        state = reducer(state, quoteActions.clearRow(1));
+        expect(state.quoteData.uiMetadata.itemMetadata).toEqual({});
+    });
+
+    it('should drop the mark of the last populated row, which keeps its itemId as the empty row', () => {
+        state = reducer(state, quoteActions.deleteRow(2));
+
+        expect(getItemIds(state)).toEqual(['a', 'b', 'c']);
+        expect(getLfIndexes(state)).toEqual([0]);
+    });
+
+    it('should drop the mark of a row whose type changes', () => {
+        state = reducer(state, quoteActions.batchUpdateFabricTypeForSelection([2], 'B1'));
+
+        expect(getLfIndexes(state)).toEqual([0]);
+    });
+
+    it('should remove marks by the rows\' positions', () => {
+        state = reducer(state, quoteActions.removeLFModifiedRows([2]));
+
+        expect(state.quoteData.uiMetadata.itemMetadata).toEqual({ a: { lf: true } });
+    });
+});
\ No newline at end of file
@@ -1,5 +1,7 @@
 // /04-core-code/services/calculation-service.js
 
+import { getRoomSubtotals } from '../utils/room-utils.js';
+
 /**
  * @fileoverview Service for handling all price and sum calculations.
  * Acts as a generic executor that delegates product-specific logic to a strategy.
@@ -13,7 +15,12 @@ export class CalculationService {
     }
 
     /**
-     * Calculates line prices for all valid items and the total sum using a provided product strategy.
+     * Calculates line prices, the total sum and the subtotal of each room (see room-utils.js) for
+     * every product in the quote.
+     * The given strategy is used for the current product; other products use their own
+     * strategy from the ProductFactory. Errors in the current product take precedence.
+     * Prices come from the price list the quote is pinned to or, for a quote that has not
+     * been priced yet, the one in effect on its issueDate; the version used is recorded.
      */
     calculateAndSum(quoteData, productStrategy) {
         if (!productStrategy) {
@@ -21,22 +28,61 @@ export class CalculationService {
             return { quoteData, firstError: { message: "Product strategy not provided." } };
         }
 
+        const priceListVersion = this.configManager.usePriceList({
+            version: quoteData.priceListVersion,
+            date: quoteData.issueDate
+        });
+
         const currentProductKey = quoteData.currentProduct;
-        const currentProductData = quoteData.products[currentProductKey];
-        
+        const productKeys = [currentProductKey, ...Object.keys(quoteData.products).filter(key => key !== currentProductKey)];
+
         let firstError = null;
+        const newProducts = { ...quoteData.products };
 
-        const newItems = currentProductData.items.map((item, index) => {
-            const newItem = { ...item, linePrice: null };
+        productKeys.forEach(productKey => {
+            const strategy = productKey === currentProductKey
+                ? productStrategy
+                : this.productFactory.getProductStrategy(productKey);
+            if (!strategy || !newProducts[productKey]) return;
+
+            const { productData, error } = this._calculateProduct(newProducts[productKey], strategy);
+            newProducts[productKey] = productData;
+
+            if (error && !firstError) {
+                firstError = { ...error, productKey };
+                if (productKey !== currentProductKey) {
+                    firstError.message = `${this._getProductName(productKey)} ${error.message}`;
+                }
+            }
+        });
+
+        const updatedQuoteData = {
+            ...quoteData,
+            products: newProducts,
+            priceListVersion
+        };
+
+        return { updatedQuoteData, firstError };
+    }
+
+    _calculateProduct(productData, productStrategy) {
+        let error = null;
+
+        const newItems = productData.items.map((item, index) => {
+            // linePriceRule flags prices that did not come straight from a matrix bucket.
+            const newItem = { ...item, linePrice: null, linePriceRule: null };
             if (item.width && item.height && item.fabricType) {
                 const priceMatrix = this.configManager.getPriceMatrix(item.fabricType);
                 const result = productStrategy.calculatePrice(item, priceMatrix);
                 
                 if (result.price !== null) {
                     newItem.linePrice = result.price;
-                } else if (result.error && !firstError) {
+                    if (result.pricingRule && result.pricingRule !== 'bucket') {
+                        newItem.linePriceRule = result.pricingRule;
+                    }
+                } else if (result.error && !error) {
                     const errorColumn = result.error.toLowerCase().includes('width') ? 'width' : 'height';
-                    firstError = {
+                    error = {
                         message: `Row ${index + 1}: ${result.error}`,
                         rowIndex: index,
                         column: errorColumn
@@ -49,7 +95,7 @@ export class CalculationService {
         const itemsTotal = newItems.reduce((sum, item) => sum + (item.linePrice || 0), 0);
         
         let accessoriesTotal = 0;
-        const currentSummary = currentProductData.summary;
+        const currentSummary = productData.summary;
         if (currentSummary && currentSummary.accessories) {
             const acc = currentSummary.accessories;
             accessoriesTotal += acc.winder?.price || 0;
@@ -61,24 +107,140 @@ export class CalculationService {
 
         const newSummary = {
             ...currentSummary,
-            totalSum: itemsTotal + accessoriesTotal
+            totalSum: itemsTotal + accessoriesTotal,
+            // Accessories are priced for the whole product, so room subtotals only cover the items.
+            roomSubtotals: getRoomSubtotals(newItems)
         };
 
-        const newProductData = {
-            ...currentProductData,
-            items: newItems,
-            summary: newSummary
+        return {
+            productData: { ...productData, items: newItems, summary: newSummary },
+            error
         };
+    }
 
-        const updatedQuoteData = {
-            ...quoteData,
-            products: {
-                ...quoteData.products,
-                [currentProductKey]: newProductData
+    /**
+     * Compares the line prices of two versions of the same quote, matching items by itemId.
+     * Only entered items whose price changed are listed.
+     * @param {object} quoteDataBefore
+     * @param {object} quoteDataAfter
+     * @returns {{items: Array<{productKey: string, rowIndex: number, item: object, before: number|null, after: number|null}>, totalBefore: number|null, totalAfter: number|null}}
+     */
+    getPriceDiff(quoteDataBefore, quoteDataAfter) {
+        const pricesBefore = new Map(this.getAllItems(quoteDataBefore).map(item => [item.itemId, item.linePrice ?? null]));
+
+        const items = [];
+        for (const [productKey, productData] of Object.entries(quoteDataAfter.products)) {
+            (productData.items || []).forEach((item, rowIndex) => {
+                if (!item.width && !item.height) return;
+                const before = pricesBefore.has(item.itemId) ? pricesBefore.get(item.itemId) : null;
+                const after = item.linePrice ?? null;
+                if (before !== after) {
+                    items.push({ productKey, rowIndex, item, before, after });
+                }
+            });
+        }
+
+        return {
+            items,
+            totalBefore: this.getQuoteTotals(quoteDataBefore).grandTotal,
+            totalAfter: this.getQuoteTotals(quoteDataAfter).grandTotal
+        };
+    }
+
+    /**
+     * Compares two versions of the same quote item by item, matching items by itemId.
+     * Items without a width or height are ignored, like empty rows.
+     * @param {object} quoteDataBefore
+     * @param {object} quoteDataAfter
+     * @returns {{added: Array<{productKey: string, productName: string, rowIndex: number, item: object}>, removed: Array<{productKey: string, productName: string, rowIndex: number, item: object}>, changed: Array<{productKey: string, productName: string, rowIndex: number, item: object, before: object, fields: Array<{field: string, before: *, after: *}>}>, totalBefore: number|null, totalAfter: number|null}}
+     *   Changed items are listed with their new row (`item`) and their previous data (`before`).
+     */
+    getQuoteDiff(quoteDataBefore, quoteDataAfter) {
+        const listEntered = (quoteData) => Object.entries(quoteData.products).flatMap(([productKey, productData]) =>
+            (productData.items || [])
+                .map((item, rowIndex) => ({ productKey, productName: this._getProductName(productKey), rowIndex, item }))
+                .filter(({ item }) => item.width || item.height));
+        const entriesBefore = listEntered(quoteDataBefore);
+        const entriesAfter = listEntered(quoteDataAfter);
+        const beforeById = new Map(entriesBefore.map(entry => [entry.item.itemId, entry]));
+        const afterIds = new Set(entriesAfter.map(entry => entry.item.itemId));
+
+        const added = [];
+        const changed = [];
+        for (const entry of entriesAfter) {
+            const previous = beforeById.get(entry.item.itemId);
+            if (!previous) {
+                added.push(entry);
+                continue;
+            }
+            const fieldNames = new Set([...Object.keys(previous.item), ...Object.keys(entry.item)]);
+            fieldNames.delete('itemId');
+            const fields = [...fieldNames]
+                .map(field => ({ field, before: previous.item[field] ?? null, after: entry.item[field] ?? null }))
+                .filter(({ before, after }) => before !== after);
+            if (fields.length > 0) {
+                changed.push({ ...entry, before: previous.item, fields });
             }
+        }
+
+        return {
+            added,
+            removed: entriesBefore.filter(entry => !afterIds.has(entry.item.itemId)),
+            changed,
+            totalBefore: this.getQuoteTotals(quoteDataBefore).grandTotal,
+            totalAfter: this.getQuoteTotals(quoteDataAfter).grandTotal
         };
+    }
 
-        return { updatedQuoteData, firstError };
+    /**
+     * Returns the items of every product in the quote as a single list.
+     * @param {object} quoteData
+     * @returns {object[]}
+     */
+    getAllItems(quoteData) {
+        return Object.values(quoteData.products).flatMap(productData => productData.items || []);
+    }
+
+    /**
+     * Returns per-product subtotals and the grand total of the quote.
+     * Products without any entered item are left out.
+     * @param {object} quoteData
+     * @returns {{subtotals: Array<{productKey: string, productName: string, itemCount: number, totalSum: number|null}>, grandTotal: number|null}}
+     */
+    getQuoteTotals(quoteData) {
+        const subtotals = [];
+        let grandTotal = null;
+
+        for (const [productKey, productData] of Object.entries(quoteData.products)) {
+            const itemCount = (productData.items || []).filter(item => item.width || item.height).length;
+            if (itemCount === 0) continue;
+
+            const totalSum = productData.summary ? productData.summary.totalSum : null;
+            subtotals.push({
+                productKey,
+                productName: this._getProductName(productKey),
+                itemCount,
+                totalSum
+            });
+            if (typeof totalSum === 'number') {
+                grandTotal = (grandTotal || 0) + totalSum;
+            }
+        }
+
+        return { subtotals, grandTotal };
+    }
+
+    _getProductName(productKey) {
+        const strategy = this.productFactory.getProductStrategy(productKey);
+        return strategy?.getProductName ? strategy.getProductName() : productKey;
+    }
+
+    /**
+     * Sums a numeric accessory summary field across every product.
+     */
+    _sumAccessoryField(quoteData, field) {
+        return Object.values(quoteData.products)
+            .reduce((sum, productData) => sum + (productData.summary?.accessories?.[field] || 0), 0);
     }
 
     /**
@@ -152,6 +314,34 @@ export class CalculationService {
         }
     }
 
+    /**
+     * Returns the quantities of the F1 panel components: HD winders and motors from the items,
+     * remotes, chargers and cords from K4, and dual brackets from the K5 pairs unless they were
+     * distributed in F1.
+     * @param {object} quoteData
+     * @param {object} uiState
+     * @returns {Object<string, number>} Keyed by the component keys of calculateF1ComponentPrice.
+     */
+    getF1ComponentQuantities(quoteData, uiState) {
+        const items = this.getAllItems(quoteData);
+        const f1State = uiState.f1;
+
+        const totalRemoteQty = uiState.driveRemoteCount || 0;
+        const remote1chQty = f1State.remote_1ch_qty;
+        const totalDualPairs = Math.floor(items.filter(item => item.dual === 'D').length / 2);
+
+        return {
+            'winder': items.filter(item => item.winder === 'HD').length,
+            'motor': items.filter(item => !!item.motor).length,
+            'remote-1ch': remote1chQty,
+            'remote-16ch': (remote1chQty === null) ? totalRemoteQty : (totalRemoteQty - remote1chQty),
+            'charger': uiState.driveChargerCount || 0,
+            '3m-cord': uiState.driveCordCount || 0,
+            'dual-combo': (f1State.dual_combo_qty === null) ? totalDualPairs : f1State.dual_combo_qty,
+            'slim': (f1State.dual_slim_qty === null) ? 0 : f1State.dual_slim_qty
+        };
+    }
+
     /**
      * [REFACTORED] Calculates the total price for a given F1 panel component based on its quantity.
      * It now fetches mappings from the ConfigManager.
@@ -190,21 +380,18 @@ export class CalculationService {
      * Calculates all values for the F2 summary panel.
      */
     calculateF2Summary(quoteData, uiState) {
-        const currentProductKey = quoteData.currentProduct;
-        const items = quoteData.products[currentProductKey].items;
-        const productSummary = quoteData.products[currentProductKey].summary;
-        const totalSumFromQuickQuote = productSummary.totalSum || 0;
+        const items = this.getAllItems(quoteData);
+        const totalSumFromQuickQuote = this.getQuoteTotals(quoteData).grandTotal || 0;
 
         const f2Config = this.configManager.getF2Config();
         const UNIT_PRICES = f2Config.unitPrices || {};
 
-        const accessories = productSummary.accessories || {};
-        const winderPrice = accessories.winderCostSum || 0;
-        const dualPrice = accessories.dualCostSum || 0;
-        const motorPrice = accessories.motorCostSum || 0;
-        const remotePrice = accessories.remoteCostSum || 0;
-        const chargerPrice = accessories.chargerCostSum || 0;
-        const cordPrice = accessories.cordCostSum || 0;
+        const winderPrice = this._sumAccessoryField(quoteData, 'winderCostSum');
+        const dualPrice = this._sumAccessoryField(quoteData, 'dualCostSum');
+        const motorPrice = this._sumAccessoryField(quoteData, 'motorCostSum');
+        const remotePrice = this._sumAccessoryField(quoteData, 'remoteCostSum');
+        const chargerPrice = this._sumAccessoryField(quoteData, 'chargerCostSum');
+        const cordPrice = this._sumAccessoryField(quoteData, 'cordCostSum');
         
         const f1State = uiState.f1;
         const f2State = uiState.f2;
@@ -235,29 +422,13 @@ export class CalculationService {
         const sumPrice = acceSum + eAcceSum + surchargeFee + disRbPrice;
 
         // --- Start: Replicate F1 Final Total Calculation ---
-        const winderQtyF1 = items.filter(item => item.winder === 'HD').length;
-        const motorQtyF1 = items.filter(item => !!item.motor).length;
-        const totalRemoteQtyF1 = uiState.driveRemoteCount || 0;
-        const remote1chQtyF1 = f1State.remote_1ch_qty;
-        const remote16chQtyF1 = (f1State.remote_16ch_qty === null) ? totalRemoteQtyF1 - remote1chQtyF1 : f1State.remote_16ch_qty;
-        const chargerQtyF1 = uiState.driveChargerCount || 0;
-        const cordQtyF1 = uiState.driveCordCount || 0;
-        const totalDualPairsF1 = Math.floor(items.filter(item => item.dual === 'D').length / 2);
-        const comboQtyF1 = (f1State.dual_combo_qty === null) ? totalDualPairsF1 : f1State.dual_combo_qty;
-        const slimQtyF1 = (f1State.dual_slim_qty === null) ? 0 : f1State.dual_slim_qty;
-
-        const f1ComponentTotal = 
-            this.calculateF1ComponentPrice('winder', winderQtyF1) +
-            this.calculateF1ComponentPrice('motor', motorQtyF1) +
-            this.calculateF1ComponentPrice('remote-1ch', remote1chQtyF1) +
-            this.calculateF1ComponentPrice('remote-16ch', remote16chQtyF1) +
-            this.calculateF1ComponentPrice('charger', chargerQtyF1) +
-            this.calculateF1ComponentPrice('3m-cord', cordQtyF1) +
-            this.calculateF1ComponentPrice('dual-combo', comboQtyF1) +
-            this.calculateF1ComponentPrice('slim', slimQtyF1);
+        // Same quantities as F1 and the supplier purchase order.
+        const f1Quantities = this.getF1ComponentQuantities(quoteData, uiState);
+        const f1ComponentTotal = Object.entries(f1Quantities)
+            .reduce((sum, [key, qty]) => sum + this.calculateF1ComponentPrice(key, qty), 0);
 
         const f1DiscountPercentage = f1State.discountPercentage || 0;
-        const retailTotalFromF1 = quoteData.products.rollerBlind.summary.totalSum || 0;
+        const retailTotalFromF1 = totalSumFromQuickQuote;
         const f1_rb_price = retailTotalFromF1 * (1 - (f1DiscountPercentage / 100));
         
         const f1SubTotal = f1ComponentTotal + f1_rb_price;
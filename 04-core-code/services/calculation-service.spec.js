@@ -20,6 +20,7 @@ const mockProductStrategy = {
 };
 
 const mockConfigManager = {
+    usePriceList: jest.fn(({ version }) => version || '1.1'),
     getPriceMatrix: jest.fn((fabricType) => {
         if (fabricType === 'B5') {
             return { name: 'SHAW - VIBE', aliasFor: 'SN' };
@@ -35,6 +36,9 @@ const mockConfigManager = {
         };
         return prices[key] || 0;
     }),
+    getF2Config: jest.fn(() => ({
+        unitPrices: { wifi: 200, delivery: 100, install: 20, removal: 20 }
+    })),
     getAccessoryMappings: jest.fn(() => ({
         accessoryPriceKeyMap: {
             'dual': 'comboBracket',
@@ -103,6 +107,7 @@ describe('CalculationService (Refactored)', () => {
             const productItems = updatedQuoteData.products.rollerBlind.items;
     
             expect(productSummary.totalSum).toBe(1080);
+            expect(productSummary.roomSubtotals).toEqual([{ key: '', room: '', itemCount: 2, subtotal: 800 }]);
             expect(productItems[0].linePrice).toBe(300);
             expect(productItems[1].linePrice).toBe(500);
             expect(firstError).toBeNull();
@@ -137,9 +142,245 @@ describe('CalculationService (Refactored)', () => {
             expect(firstError.rowIndex).toBe(1);
             expect(firstError.message).toContain('Width exceeds maximum.');
         });
+
+        it('should sum the line prices of each room, leaving out the accessories', () => {
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                products: {
+                    rollerBlind: {
+                        items: [
+                            { width: 1000, height: 1000, fabricType: 'B1', location: 'Bed 1' },
+                            { width: 2000, height: 1500, fabricType: 'B1', location: 'Lounge' },
+                            { width: 1000, height: 1500, fabricType: 'B1', location: 'bed 1' }
+                        ],
+                        summary: { accessories: { motor: { price: 250 } } }
+                    }
+                }
+            };
+
+            const { updatedQuoteData } = calculationService.calculateAndSum(quoteData, mockProductStrategy);
+
+            expect(updatedQuoteData.products.rollerBlind.summary.roomSubtotals).toEqual([
+                { key: 'bed 1', room: 'Bed 1', itemCount: 2, subtotal: 700 },
+                { key: 'lounge', room: 'Lounge', itemCount: 1, subtotal: 500 }
+            ]);
+        });
+
+        it('should price an unpriced quote with the list in effect on its issue date and record the version', () => {
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                issueDate: '2025-03-01',
+                priceListVersion: null,
+                products: { rollerBlind: { items: [{ width: 1000, height: 1000, fabricType: 'B1' }], summary: {} } }
+            };
+
+            const { updatedQuoteData } = calculationService.calculateAndSum(quoteData, mockProductStrategy);
+
+            expect(mockConfigManager.usePriceList).toHaveBeenCalledWith({ version: null, date: '2025-03-01' });
+            expect(updatedQuoteData.priceListVersion).toBe('1.1');
+        });
+
+        it('should keep a quote on the price list version it is pinned to', () => {
+            const quoteData = {
+                currentProduct: 'rollerBlind',
+                issueDate: '2025-03-01',
+                priceListVersion: '1.0',
+                products: { rollerBlind: { items: [{ width: 1000, height: 1000, fabricType: 'B1' }], summary: {} } }
+            };
+
+            const { updatedQuoteData } = calculationService.calculateAndSum(quoteData, mockProductStrategy);
+
+            expect(mockConfigManager.usePriceList).toHaveBeenCalledWith({ version: '1.0', date: '2025-03-01' });
+            expect(updatedQuoteData.priceListVersion).toBe('1.0');
+        });
+    });
+
+    describe('getPriceDiff', () => {
+        it('should list changed line prices by itemId along with both totals', () => {
+            const before = {
+                products: {
+                    rollerBlind: {
+                        items: [
+                            { itemId: 'a', width: 1000, height: 1000, linePrice: 100 },
+                            { itemId: 'b', width: 1200, height: 1000, linePrice: 120 },
+                            { itemId: 'c', width: null, height: null, linePrice: null }
+                        ],
+                        summary: { totalSum: 220 }
+                    }
+                }
+            };
+            const after = JSON.parse(JSON.stringify(before));
+            after.products.rollerBlind.items[1].linePrice = 130;
+            after.products.rollerBlind.summary.totalSum = 230;
+
+            const diff = calculationService.getPriceDiff(before, after);
+
+            expect(diff.items).toHaveLength(1);
+            expect(diff.items[0]).toMatchObject({ productKey: 'rollerBlind', rowIndex: 1, before: 120, after: 130 });
+            expect(diff.totalBefore).toBe(220);
+            expect(diff.totalAfter).toBe(230);
+        });
+    });
+
+    describe('getQuoteDiff', () => {
+        it('should list added, removed and changed items by itemId along with both totals', () => {
+            const before = {
+                products: {
+                    rollerBlind: {
+                        items: [
+                            { itemId: 'a', width: 1000, height: 1000, fabric: 'Vibe', linePrice: 100 },
+                            { itemId: 'b', width: 1200, height: 1000, fabric: 'Vibe', linePrice: 120 },
+                            { itemId: 'c', width: null, height: null, fabric: '', linePrice: null }
+                        ],
+                        summary: { totalSum: 220 }
+                    }
+                }
+            };
+            const after = JSON.parse(JSON.stringify(before));
+            // Item a is removed (moving b up), b gets a new fabric and price, d is added.
+            after.products.rollerBlind.items = [
+                { ...before.products.rollerBlind.items[1], fabric: 'Linen', linePrice: 150 },
+                { itemId: 'd', width: 900, height: 900, fabric: 'Vibe', linePrice: 90 },
+                { itemId: 'e', width: null, height: null, fabric: '', linePrice: null }
+            ];
+            after.products.rollerBlind.summary.totalSum = 240;
+
+            const diff = calculationService.getQuoteDiff(before, after);
+
+            expect(diff.added.map(entry => entry.item.itemId)).toEqual(['d']);
+            expect(diff.removed.map(entry => entry.item.itemId)).toEqual(['a']);
+            expect(diff.changed).toHaveLength(1);
+            expect(diff.changed[0]).toMatchObject({ productKey: 'rollerBlind', rowIndex: 0 });
+            expect(diff.changed[0].fields).toEqual([
+                { field: 'fabric', before: 'Vibe', after: 'Linen' },
+                { field: 'linePrice', before: 120, after: 150 }
+            ]);
+            expect(diff.totalBefore).toBe(220);
+            expect(diff.totalAfter).toBe(240);
+        });
+    });
+
+    describe('multi-product quotes', () => {
+        const buildQuoteData = () => ({
+            currentProduct: 'rollerBlind',
+            products: {
+                rollerBlind: {
+                    items: [
+                        { width: 1000, height: 1000, fabricType: 'B1', winder: 'HD', linePrice: null },
+                        { width: null, height: null, fabricType: null, linePrice: null }
+                    ],
+                    summary: { totalSum: 0, accessories: { winderCostSum: 8 } }
+                },
+                sheerCurtain: {
+                    items: [
+                        { width: 2000, height: 1000, fabricType: 'S1', linePrice: null },
+                        { width: null, height: null, fabricType: null, linePrice: null }
+                    ],
+                    summary: { totalSum: null, accessories: {} }
+                }
+            }
+        });
+
+        it('should calculate every product, not only the current one', () => {
+            const { updatedQuoteData, firstError } = calculationService.calculateAndSum(buildQuoteData(), mockProductStrategy);
+
+            expect(firstError).toBeNull();
+            expect(updatedQuoteData.products.rollerBlind.summary.totalSum).toBe(300);
+            expect(updatedQuoteData.products.sheerCurtain.summary.totalSum).toBe(400);
+            expect(updatedQuoteData.products.sheerCurtain.items[0].linePrice).toBe(400);
+        });
+
+        it('should tag errors from other products with their product key', () => {
+            const quoteData = buildQuoteData();
+            quoteData.products.sheerCurtain.items[0].width = 4000;
+
+            const { firstError } = calculationService.calculateAndSum(quoteData, mockProductStrategy);
+
+            expect(firstError.productKey).toBe('sheerCurtain');
+            expect(firstError.rowIndex).toBe(0);
+        });
+
+        it('should report per-product subtotals and a grand total', () => {
+            const { updatedQuoteData } = calculationService.calculateAndSum(buildQuoteData(), mockProductStrategy);
+            const { subtotals, grandTotal } = calculationService.getQuoteTotals(updatedQuoteData);
+
+            expect(subtotals.map(s => [s.productKey, s.itemCount, s.totalSum])).toEqual([
+                ['rollerBlind', 1, 300],
+                ['sheerCurtain', 1, 400]
+            ]);
+            expect(grandTotal).toBe(700);
+        });
+
+        it('should leave products without entered items out of the totals', () => {
+            const quoteData = buildQuoteData();
+            quoteData.products.sheerCurtain.items = [{ width: null, height: null }];
+
+            expect(calculationService.getQuoteTotals(quoteData).subtotals).toHaveLength(1);
+        });
+
+        it('should aggregate items and accessory costs across products for the F2 summary', () => {
+            const { updatedQuoteData } = calculationService.calculateAndSum(buildQuoteData(), mockProductStrategy);
+            const uiState = {
+                f1: { discountPercentage: 0, remote_1ch_qty: 0, remote_16ch_qty: null, dual_combo_qty: null, dual_slim_qty: null },
+                f2: { mulTimes: 2, discount: 0 }
+            };
+
+            const f2 = calculationService.calculateF2Summary(updatedQuoteData, uiState);
+
+            expect(f2.totalSumForRbTime).toBe(700);
+            expect(f2.firstRbPrice).toBe(1400);
+            expect(calculationService.getAllItems(updatedQuoteData)).toHaveLength(4);
+        });
+
+        it('should cost the F1 components in the F2 profit from the same quantities as F1', () => {
+            const { updatedQuoteData } = calculationService.calculateAndSum(buildQuoteData(), mockProductStrategy);
+            const uiState = {
+                driveRemoteCount: 3,
+                f1: { discountPercentage: 0, remote_1ch_qty: 1, remote_16ch_qty: 0, dual_combo_qty: null, dual_slim_qty: null },
+                f2: { mulTimes: 2, discount: 0 }
+            };
+            const priceSpy = jest.spyOn(calculationService, 'calculateF1ComponentPrice').mockImplementation((key, qty) => qty * 10);
+
+            const f2 = calculationService.calculateF2Summary(updatedQuoteData, uiState);
+
+            const quantities = calculationService.getF1ComponentQuantities(updatedQuoteData, uiState);
+            const componentTotal = Object.values(quantities).reduce((sum, qty) => sum + (qty || 0) * 10, 0);
+            expect(quantities['remote-16ch']).toBe(2);
+            expect(f2.sumProfit).toBeCloseTo(f2.sumPrice - (componentTotal + 700));
+            priceSpy.mockRestore();
+        });
     });
 
     // --- Tests for NEW Refactored Methods ---
+    describe('getF1ComponentQuantities', () => {
+        const uiState = (overrides = {}) => ({
+            driveRemoteCount: 3, driveChargerCount: 1, driveCordCount: 2,
+            f1: { remote_1ch_qty: 0, remote_16ch_qty: null, dual_combo_qty: null, dual_slim_qty: null },
+            ...overrides
+        });
+        const quoteData = {
+            products: {
+                rollerBlind: { items: [{ winder: 'HD', dual: 'D' }, { motor: 'Motor', dual: 'D' }, { dual: 'D' }, { winder: 'HD' }] },
+                sheerCurtain: { items: [{ motor: 'Motor' }] }
+            }
+        };
+
+        it('should count the hardware of every product and default the brackets to the dual pairs', () => {
+            expect(calculationService.getF1ComponentQuantities(quoteData, uiState())).toEqual({
+                'winder': 2, 'motor': 2, 'remote-1ch': 0, 'remote-16ch': 3,
+                'charger': 1, '3m-cord': 2, 'dual-combo': 1, 'slim': 0
+            });
+        });
+
+        it('should use the remote and bracket distributions made in F1', () => {
+            const quantities = calculationService.getF1ComponentQuantities(quoteData, uiState({
+                f1: { remote_1ch_qty: 1, remote_16ch_qty: 2, dual_combo_qty: 0, dual_slim_qty: 1 }
+            }));
+
+            expect(quantities).toMatchObject({ 'remote-1ch': 1, 'remote-16ch': 2, 'dual-combo': 0, 'slim': 1 });
+        });
+    });
+
     describe('calculateAccessorySalePrice', () => {
         it('should calculate the SALE PRICE for an accessory using the price key map', () => {
             const productType = 'rollerBlind';
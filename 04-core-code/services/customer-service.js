@@ -0,0 +1,152 @@
+// File: 04-core-code/services/customer-service.js
+
+import { v4 as uuidv4 } from 'https://cdn.jsdelivr.net/npm/uuid@9.0.1/dist/esm-browser/index.js';
+import { STORAGE_KEYS } from '../config/constants.js';
+
+const CUSTOMER_FIELDS = ['name', 'address', 'phone', 'email'];
+const SUGGESTION_LIMIT = 8;
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+const digitsOf = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * @fileoverview Manages the customer directory.
+ * Customers are kept in localStorage so they can be picked again in later quotes. Quotes refer to
+ * their customer by customerId and keep a copy of the details, so a quote still prints correctly
+ * after its customer is edited or deleted.
+ */
+export class CustomerService {
+    constructor() {
+        this.customers = this._load();
+        console.log("CustomerService Initialized.");
+    }
+
+    /**
+     * @returns {Array<object>} All customers, sorted by name.
+     */
+    getCustomers() {
+        return [...this.customers].sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getCustomer(customerId) {
+        return this.customers.find(customer => customer.customerId === customerId) || null;
+    }
+
+    /**
+     * Finds customers whose name, phone number or email contains the text. Names starting with
+     * the text come first.
+     * @param {string} text
+     * @param {number} [limit]
+     * @returns {Array<object>}
+     */
+    searchCustomers(text, limit = SUGGESTION_LIMIT) {
+        const needle = normalize(text);
+        if (!needle) return [];
+        const needleDigits = digitsOf(text);
+
+        return this.getCustomers()
+            .map(customer => {
+                const name = normalize(customer.name);
+                if (name.startsWith(needle)) return { customer, rank: 0 };
+                if (name.includes(needle) || normalize(customer.email).includes(needle)) return { customer, rank: 1 };
+                if (needleDigits.length >= 3 && digitsOf(customer.phone).includes(needleDigits)) return { customer, rank: 1 };
+                return null;
+            })
+            .filter(Boolean)
+            .sort((a, b) => a.rank - b.rank)
+            .slice(0, limit)
+            .map(({ customer }) => customer);
+    }
+
+    /**
+     * Adds or updates a customer. A customer without a known customerId is matched to an existing
+     * one with the same name and the same email or phone number, so saving twice does not create
+     * a duplicate.
+     * @param {object} details - { customerId?, name, address, phone, email }
+     * @returns {object} The saved customer.
+     */
+    saveCustomer(details) {
+        const customer = this._applyDetails(details);
+        this._persist();
+        return customer;
+    }
+
+    deleteCustomer(customerId) {
+        const count = this.customers.length;
+        this.customers = this.customers.filter(customer => customer.customerId !== customerId);
+        if (this.customers.length === count) return false;
+        this._persist();
+        return true;
+    }
+
+    /**
+     * Merges imported customers into the directory.
+     * @param {Array<object>} customers
+     * @returns {{added: number, updated: number}}
+     */
+    importCustomers(customers) {
+        let added = 0;
+        let updated = 0;
+        for (const details of customers) {
+            const isExisting = Boolean(this._findExisting(details));
+            this._applyDetails(details);
+            if (isExisting) updated++; else added++;
+        }
+        this._persist();
+        return { added, updated };
+    }
+
+    _applyDetails(details) {
+        const name = String(details.name || '').trim();
+        if (!name) {
+            throw new Error('A customer needs a name.');
+        }
+        const now = new Date().toISOString();
+        const fields = { name };
+        CUSTOMER_FIELDS.filter(field => field !== 'name').forEach(field => {
+            fields[field] = String(details[field] || '').trim();
+        });
+
+        const existing = this._findExisting(details);
+        if (existing) {
+            Object.assign(existing, fields, { updatedAt: now });
+            return { ...existing };
+        }
+
+        const customer = { customerId: details.customerId || uuidv4(), ...fields, createdAt: now, updatedAt: now };
+        this.customers.push(customer);
+        return { ...customer };
+    }
+
+    _findExisting({ customerId, name, phone, email }) {
+        if (customerId) {
+            const byId = this.getCustomer(customerId);
+            if (byId) return byId;
+        }
+        return this.customers.find(customer =>
+            normalize(customer.name) === normalize(name) &&
+            ((email && normalize(customer.email) === normalize(email)) ||
+                (digitsOf(phone) && digitsOf(customer.phone) === digitsOf(phone)) ||
+                (!email && !phone && !customer.email && !customer.phone))
+        ) || null;
+    }
+
+    _load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.CUSTOMERS));
+            return Array.isArray(stored) ? stored.filter(customer => customer && customer.customerId && customer.name) : [];
+        } catch (error) {
+            console.error('Failed to read the customer directory:', error);
+            return [];
+        }
+    }
+
+    _persist() {
+        try {
+            localStorage.setItem(STORAGE_KEYS.CUSTOMERS, JSON.stringify(this.customers));
+        } catch (error) {
+            console.error('Failed to store the customer directory:', error);
+            throw new Error('The customer directory could not be saved.');
+        }
+    }
+}
\ No newline at end of file
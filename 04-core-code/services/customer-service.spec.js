@@ -0,0 +1,76 @@
+// File: 04-core-code/services/customer-service.spec.js
+
+import { CustomerService } from './customer-service.js';
+import { STORAGE_KEYS } from '../config/constants.js';
+
+describe('CustomerService', () => {
+    let service;
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        service = new CustomerService();
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    it('should save customers to localStorage and load them on the next start', () => {
+        const saved = service.saveCustomer({ name: ' Jane Doe ', phone: '0400 111 222' });
+
+        expect(saved).toMatchObject({ name: 'Jane Doe', address: '', phone: '0400 111 222', email: '' });
+        expect(saved.customerId).toEqual(expect.any(String));
+        expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.CUSTOMERS))).toHaveLength(1);
+        expect(new CustomerService().getCustomer(saved.customerId)).toEqual(saved);
+    });
+
+    it('should update a customer by id, or by the same name and contact, instead of adding a duplicate', () => {
+        const jane = service.saveCustomer({ name: 'Jane Doe', email: 'jane@example.com' });
+
+        service.saveCustomer({ customerId: jane.customerId, name: 'Jane Doe-Smith', email: 'jane@example.com' });
+        service.saveCustomer({ name: 'jane doe-smith', email: 'JANE@example.com', phone: '0400 111 222' });
+        service.saveCustomer({ name: 'Jane Doe-Smith', email: 'other@example.com' });
+
+        const customers = service.getCustomers();
+        expect(customers).toHaveLength(2);
+        expect(service.getCustomer(jane.customerId)).toMatchObject({ name: 'jane doe-smith', phone: '0400 111 222' });
+    });
+
+    it('should refuse a customer without a name', () => {
+        expect(() => service.saveCustomer({ name: '  ', phone: '0400' })).toThrow('A customer needs a name.');
+        expect(service.getCustomers()).toHaveLength(0);
+    });
+
+    it('should suggest customers by name, email or phone, names starting with the text first', () => {
+        service.saveCustomer({ name: 'Mary Janeway' });
+        service.saveCustomer({ name: 'Jane Doe', phone: '0400 111 222' });
+        service.saveCustomer({ name: 'Bob Brown', email: 'bob@jane.example' });
+
+        expect(service.searchCustomers('jane').map(customer => customer.name)).toEqual(['Jane Doe', 'Bob Brown', 'Mary Janeway']);
+        expect(service.searchCustomers('0400111').map(customer => customer.name)).toEqual(['Jane Doe']);
+        expect(service.searchCustomers('jane', 1)).toHaveLength(1);
+        expect(service.searchCustomers('  ')).toEqual([]);
+    });
+
+    it('should delete a customer', () => {
+        const jane = service.saveCustomer({ name: 'Jane Doe' });
+
+        expect(service.deleteCustomer(jane.customerId)).toBe(true);
+        expect(service.deleteCustomer(jane.customerId)).toBe(false);
+        expect(service.getCustomers()).toEqual([]);
+    });
+
+    it('should merge imported customers and count the new and updated ones', () => {
+        const jane = service.saveCustomer({ name: 'Jane Doe', email: 'jane@example.com' });
+
+        const result = service.importCustomers([
+            { customerId: null, name: 'Jane Doe', email: 'jane@example.com', address: '12 High St' },
+            { customerId: 'c-bob', name: 'Bob Brown' },
+        ]);
+
+        expect(result).toEqual({ added: 1, updated: 1 });
+        expect(service.getCustomer(jane.customerId).address).toBe('12 High St');
+        expect(service.getCustomer('c-bob')).toMatchObject({ name: 'Bob Brown' });
+    });
+});
\ No newline at end of file
@@ -1,6 +1,12 @@
 // /04-core-code/services/file-service.js
 
-import { dataToCsv, csvToData } from '../utils/csv-parser.js';
+import { dataToCsv, dataToSections, csvToData, sectionsToData, isQuoteCsv, parseCsvRows, SECTIONS } from '../utils/csv-parser.js';
+import { createXlsx, readXlsx, XLSX_MIME_TYPE } from '../utils/xlsx-utils.js';
+import { priceListToCsv, csvToPriceList } from '../utils/price-list-utils.js';
+import { customersToCsv, csvToCustomers, customersToVCard, vCardToCustomers } from '../utils/customer-utils.js';
+import { workOrderToCsv } from '../utils/work-order-utils.js';
+import { purchaseOrderToCsv } from '../utils/purchase-order-utils.js';
+import { migrateUiMetadata, setItemMetadataField } from '../utils/item-metadata-utils.js';
 import { initialState } from '../config/initial-state.js';
 
 /**
@@ -14,7 +20,7 @@ export class FileService {
     }
 
     _triggerDownload(content, fileName, contentType) {
-        const blob = new Blob([content], { type: contentType });
+        const blob = content instanceof Blob ? content : new Blob([content], { type: contentType });
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -25,14 +31,14 @@ export class FileService {
         URL.revokeObjectURL(url);
     }
 
-    _generateFileName(extension) {
+    _generateFileName(extension, prefix = 'quote') {
         const now = new Date();
         const yyyy = now.getFullYear();
         const mm = String(now.getMonth() + 1).padStart(2, '0');
         const dd = String(now.getDate()).padStart(2, '0');
         const hh = String(now.getHours()).padStart(2, '0');
         const min = String(now.getMinutes()).padStart(2, '0');
-        return `quote-${yyyy}${mm}${dd}${hh}${min}.${extension}`;
+        return `${prefix}-${yyyy}${mm}${dd}${hh}${min}.${extension}`;
     }
 
     saveToJson(quoteData) {
@@ -47,9 +53,13 @@ export class FileService {
         }
     }
 
-    exportToCsv(quoteData) {
+    /**
+     * @param {object} quoteData
+     * @param {object} [uiState] - To include the F1, F2 and K4 inputs in the file.
+     */
+    exportToCsv(quoteData, uiState = null) {
         try {
-            const csvString = dataToCsv(quoteData);
+            const csvString = dataToCsv(quoteData, uiState);
             const fileName = this._generateFileName('csv');
             this._triggerDownload(csvString, fileName, 'text/csv;charset=utf-8;');
             return { success: true, message: 'CSV file is being downloaded...' };
@@ -59,44 +69,248 @@ export class FileService {
         }
     }
 
+    /**
+     * Downloads the quote as an Excel workbook: a Summary sheet with the financial summary of the
+     * printed quote, then a sheet per section of the CSV format (see dataToSections), which
+     * parseFileContent reads back.
+     * @param {object} quoteData
+     * @param {object} uiState - For the F1, F2 and K4 inputs.
+     * @param {object} [printableQuote] - The quote as printed (see WorkflowService._buildPrintableQuote),
+     *   for the Summary sheet; it is left out without it.
+     */
+    exportToXlsx(quoteData, uiState, printableQuote = null) {
+        try {
+            const sections = dataToSections(quoteData, uiState);
+            if (sections.length === 0) {
+                return { success: false, message: 'The quote has no items to export.' };
+            }
+            const sheets = sections.map(({ name, rows, currencyColumns }) => ({ name, rows, currencyColumns }));
+            if (printableQuote) {
+                sheets.unshift(this._buildSummarySheet(printableQuote));
+            }
+            const fileName = this._generateFileName('xlsx');
+            this._triggerDownload(createXlsx(sheets), fileName, XLSX_MIME_TYPE);
+            return { success: true, message: 'Excel file is being downloaded...' };
+        } catch (error) {
+            console.error("Failed to export Excel file:", error);
+            return { success: false, message: 'Error creating Excel file.' };
+        }
+    }
+
+    _buildSummarySheet(printableQuote) {
+        const rows = [
+            ['Quote ID', printableQuote.quoteId],
+            ['Issue Date', printableQuote.issueDate],
+            ['Customer', printableQuote.customer?.name || ''],
+            [],
+            ['Description', 'Amount'],
+            ...printableQuote.summaryRows.map(({ description, amount }) => [description, amount]),
+            ['Sub Total', printableQuote.subTotal],
+            ['GST', printableQuote.gstAmount],
+            ['Total', printableQuote.finalTotal],
+        ];
+        return { name: 'Summary', rows, currencyColumns: [1], boldRows: [0, 1, 2, 4, rows.length - 1] };
+    }
+
+    exportWorkOrderToCsv(workOrder) {
+        try {
+            const csvString = workOrderToCsv(workOrder);
+            const fileName = this._generateFileName('csv', 'work-order');
+            this._triggerDownload(csvString, fileName, 'text/csv;charset=utf-8;');
+            return { success: true, message: 'Work order CSV file is being downloaded...' };
+        } catch (error) {
+            console.error("Failed to export work order CSV file:", error);
+            return { success: false, message: 'Error creating work order CSV file.' };
+        }
+    }
+
+    /**
+     * Downloads one CSV file per supplier.
+     * @param {Array<object>} purchaseOrders - The result of PurchaseOrderService.buildPurchaseOrders.
+     */
+    exportPurchaseOrdersToCsv(purchaseOrders) {
+        if (purchaseOrders.length === 0) {
+            return { success: false, message: 'The quote has nothing to order.' };
+        }
+        try {
+            purchaseOrders.forEach(order => {
+                const supplierSlug = order.supplier.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+                const fileName = this._generateFileName('csv', supplierSlug ? `purchase-order-${supplierSlug}` : 'purchase-order');
+                this._triggerDownload(purchaseOrderToCsv(order), fileName, 'text/csv;charset=utf-8;');
+            });
+            return { success: true, message: `${purchaseOrders.length} purchase order CSV file(s) are being downloaded...` };
+        } catch (error) {
+            console.error("Failed to export purchase order CSV files:", error);
+            return { success: false, message: 'Error creating purchase order CSV files.' };
+        }
+    }
+
+    savePdf(blob, fileName) {
+        try {
+            this._triggerDownload(blob, fileName, 'application/pdf');
+            return { success: true, message: 'PDF file is being downloaded...' };
+        } catch (error) {
+            console.error("Failed to save PDF file:", error);
+            return { success: false, message: 'Error saving PDF file.' };
+        }
+    }
+
+    exportPriceListToJson(priceList) {
+        try {
+            const jsonString = JSON.stringify(priceList, null, 2);
+            const fileName = this._generateFileName('json', 'price-list');
+            this._triggerDownload(jsonString, fileName, 'application/json');
+            return { success: true, message: 'Price list file is being downloaded...' };
+        } catch (error) {
+            console.error("Failed to export price list JSON file:", error);
+            return { success: false, message: 'Error creating price list file.' };
+        }
+    }
+
+    exportPriceListToCsv(priceList) {
+        try {
+            const csvString = priceListToCsv(priceList);
+            const fileName = this._generateFileName('csv', 'price-list');
+            this._triggerDownload(csvString, fileName, 'text/csv;charset=utf-8;');
+            return { success: true, message: 'Price list CSV file is being downloaded...' };
+        } catch (error) {
+            console.error("Failed to export price list CSV file:", error);
+            return { success: false, message: 'Error creating price list CSV file.' };
+        }
+    }
+
+    /**
+     * Parses an imported price list file. CSV grids only carry matrices and accessories,
+     * so everything else is taken from the base price list.
+     * The result is not validated here; the caller validates it before applying it.
+     * @param {string} fileName
+     * @param {string} content
+     * @param {object} basePriceList - The price list currently in use.
+     * @returns {{success: boolean, data?: object, message: string}}
+     */
+    parsePriceListContent(fileName, content, basePriceList) {
+        try {
+            let priceList = null;
+            if (fileName.toLowerCase().endsWith('.json')) {
+                priceList = JSON.parse(content);
+            } else if (fileName.toLowerCase().endsWith('.csv')) {
+                priceList = csvToPriceList(content, basePriceList);
+            } else {
+                return { success: false, message: `Unsupported file type: ${fileName}` };
+            }
+            return { success: true, data: priceList, message: `Imported price list from ${fileName}` };
+        } catch (error) {
+            console.error("Failed to parse price list file:", error);
+            return { success: false, message: `Error importing price list: ${error.message}` };
+        }
+    }
+
+    exportCustomersToCsv(customers) {
+        try {
+            const csvString = customersToCsv(customers);
+            const fileName = this._generateFileName('csv', 'customers');
+            this._triggerDownload(csvString, fileName, 'text/csv;charset=utf-8;');
+            return { success: true, message: 'Customer CSV file is being downloaded...' };
+        } catch (error) {
+            console.error("Failed to export customer CSV file:", error);
+            return { success: false, message: 'Error creating customer CSV file.' };
+        }
+    }
+
+    exportCustomersToVCard(customers) {
+        try {
+            const vCardString = customersToVCard(customers);
+            const fileName = this._generateFileName('vcf', 'customers');
+            this._triggerDownload(vCardString, fileName, 'text/vcard;charset=utf-8;');
+            return { success: true, message: 'Customer vCard file is being downloaded...' };
+        } catch (error) {
+            console.error("Failed to export customer vCard file:", error);
+            return { success: false, message: 'Error creating customer vCard file.' };
+        }
+    }
+
+    /**
+     * Parses an imported customer list from a CSV or vCard (.vcf) file.
+     * @param {string} fileName
+     * @param {string} content
+     * @returns {{success: boolean, data?: Array<object>, message: string}}
+     */
+    parseCustomersContent(fileName, content) {
+        try {
+            let customers = null;
+            const lowerName = fileName.toLowerCase();
+            if (lowerName.endsWith('.csv')) {
+                customers = csvToCustomers(content);
+            } else if (lowerName.endsWith('.vcf') || lowerName.endsWith('.vcard')) {
+                customers = vCardToCustomers(content);
+            } else {
+                return { success: false, message: `Unsupported file type: ${fileName}` };
+            }
+            if (customers.length === 0) {
+                throw new Error('No customers with a name were found.');
+            }
+            return { success: true, data: customers, message: `Read ${customers.length} customer(s) from ${fileName}` };
+        } catch (error) {
+            console.error("Failed to parse customer file:", error);
+            return { success: false, message: `Error importing customers: ${error.message}` };
+        }
+    }
+
+    /**
+     * Reads a quote file (JSON, CSV or XLSX). A CSV or workbook that is not a quote export, such as
+     * a measurement sheet, is returned as rows (of its first sheet) with `needsColumnMapping` set,
+     * for the import wizard.
+     * @param {string} fileName
+     * @param {string|ArrayBuffer} content - An ArrayBuffer for .xlsx files, text otherwise.
+     * @returns {{success: boolean, message: string, data?: object|string[][], uiInputs?: object|null, needsColumnMapping?: boolean}}
+     */
     parseFileContent(fileName, content) {
         try {
             let loadedData = null;
+            let financialInputs = null;
 
             if (fileName.toLowerCase().endsWith('.json')) {
                 loadedData = JSON.parse(content);
+            } else if (fileName.toLowerCase().endsWith('.csv') && !isQuoteCsv(content)) {
+                const rows = parseCsvRows(content);
+                if (rows.length === 0) {
+                    throw new Error('The file is empty.');
+                }
+                return { success: true, needsColumnMapping: true, data: rows, message: `Map the columns of ${fileName} to import it.` };
             } else if (fileName.toLowerCase().endsWith('.csv')) {
                 const parsedResult = csvToData(content);
                 if (parsedResult === null) {
                     throw new Error("CSV parser returned null.");
                 }
-
-                const { items, lfIndexes } = parsedResult;
-
-                const productStrategy = this.productFactory.getProductStrategy('rollerBlind');
-                const newItem = productStrategy.getInitialItemData();
-                items.push(newItem);
-
-                const newQuoteData = JSON.parse(JSON.stringify(initialState.quoteData));
-                newQuoteData.products.rollerBlind.items = items;
-                newQuoteData.uiMetadata.lfModifiedRowIndexes = lfIndexes;
-                loadedData = newQuoteData;
-                
+                loadedData = this._quoteFromParsedData(parsedResult);
+                financialInputs = parsedResult.uiInputs;
+            } else if (fileName.toLowerCase().endsWith('.xlsx')) {
+                const sheets = readXlsx(content);
+                // Workbooks exported by exportToXlsx have a sheet per section; others are measurement sheets.
+                if (!sheets.some(({ name }) => name === SECTIONS.ITEMS)) {
+                    const rows = sheets.find(({ rows }) => rows.length > 0)?.rows;
+                    if (!rows) {
+                        throw new Error('The workbook is empty.');
+                    }
+                    return { success: true, needsColumnMapping: true, data: rows, message: `Map the columns of ${fileName} to import it.` };
+                }
+                const parsedResult = sectionsToData(sheets);
+                loadedData = this._quoteFromParsedData(parsedResult);
+                financialInputs = parsedResult.uiInputs;
             } else {
                 return { success: false, message: `Unsupported file type: ${fileName}` };
             }
 
-            if (loadedData && !loadedData.uiMetadata) {
-                loadedData.uiMetadata = {
-                    lfModifiedRowIndexes: []
-                };
+            // Files saved before LF marks were keyed by itemId hold row positions.
+            if (loadedData && loadedData.products) {
+                loadedData.uiMetadata = migrateUiMetadata(loadedData.uiMetadata, loadedData.products);
             }
 
             const currentProduct = loadedData?.currentProduct;
             const productData = loadedData?.products?.[currentProduct];
 
             if (productData && Array.isArray(productData.items)) {
-                return { success: true, data: loadedData, message: `Successfully loaded data from ${fileName}` };
+                return { success: true, data: loadedData, uiInputs: financialInputs, message: `Successfully loaded data from ${fileName}` };
             } else {
                 if (loadedData && loadedData.rollerBlindItems && Array.isArray(loadedData.rollerBlindItems)) {
                      return { success: true, data: loadedData, message: `Successfully loaded legacy data from ${fileName}` };
@@ -108,4 +322,53 @@ export class FileService {
             return { success: false, message: `Error loading file: ${error.message}` };
         }
     }
+
+    /**
+     * Builds the quote data of a quote read by csvToData or sectionsToData.
+     */
+    _quoteFromParsedData({ productItems, lfItemIds, quoteDetails, productSummaries }) {
+        const newQuoteData = JSON.parse(JSON.stringify(initialState.quoteData));
+        const { customer, ...details } = quoteDetails || {};
+        Object.assign(newQuoteData, details);
+        newQuoteData.customer = { ...newQuoteData.customer, ...customer };
+        for (const [productKey, items] of Object.entries(productItems)) {
+            const productStrategy = this.productFactory.getProductStrategy(productKey);
+            if (!productStrategy) continue;
+            items.push(productStrategy.getInitialItemData());
+
+            const productData = newQuoteData.products[productKey] || { summary: { totalSum: null, accessories: {} } };
+            newQuoteData.products[productKey] = { ...productData, items };
+        }
+        for (const [productKey, summary] of Object.entries(productSummaries || {})) {
+            const productData = newQuoteData.products[productKey];
+            if (!productData) continue;
+            productData.summary = { ...productData.summary, ...summary, accessories: { ...productData.summary?.accessories, ...summary.accessories } };
+        }
+        // A file containing only other products, and not saying which was open, opens on its first product.
+        if (!productItems.rollerBlind && !details.currentProduct) {
+            const firstProductKey = Object.keys(productItems).find(key => newQuoteData.products[key]);
+            if (firstProductKey) newQuoteData.currentProduct = firstProductKey;
+        }
+        newQuoteData.uiMetadata = setItemMetadataField(newQuoteData.uiMetadata, lfItemIds, 'lf', true);
+        return newQuoteData;
+    }
+
+    /**
+     * Builds a new quote holding imported items, e.g. from the measurement import wizard.
+     * @param {string} productKey
+     * @param {Array<object>} itemValues - The values of each item; the rest are the product's defaults.
+     * @returns {object} The quote data, opened on the product.
+     */
+    createQuoteFromItems(productKey, itemValues) {
+        const productStrategy = this.productFactory.getProductStrategy(productKey);
+        if (!productStrategy) {
+            throw new Error(`Unknown product: ${productKey}`);
+        }
+        const quoteData = JSON.parse(JSON.stringify(initialState.quoteData));
+        const items = [...itemValues, {}].map(values => ({ ...productStrategy.getInitialItemData(), ...values }));
+        const productData = quoteData.products[productKey] || { summary: { totalSum: null, accessories: {} } };
+        quoteData.products[productKey] = { ...productData, items };
+        quoteData.currentProduct = productKey;
+        return quoteData;
+    }
 }
\ No newline at end of file
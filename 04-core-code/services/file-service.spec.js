@@ -2,6 +2,9 @@
 
 import { FileService } from './file-service.js';
 import { RollerBlindStrategy } from '../strategies/roller-blind-strategy.js';
+import { dataToCsv } from '../utils/csv-parser.js';
+import { createXlsx, readXlsx } from '../utils/xlsx-utils.js';
+import { initialState } from '../config/initial-state.js';
 
 describe('FileService', () => {
     let fileService;
@@ -23,7 +26,7 @@ describe('FileService', () => {
             const mockQuoteData = {
                 currentProduct: 'rollerBlind',
                 products: { rollerBlind: { items: [{ width: 1000, height: 1000 }] } },
-                uiMetadata: {},
+                uiMetadata: { itemMetadata: {} },
             };
             const jsonString = JSON.stringify(mockQuoteData);
 
@@ -53,6 +56,12 @@ describe('FileService', () => {
             expect(items[1].width).toBeNull(); // The last row should be empty
         });
 
+        it('should return the rows of a CSV that is not a quote export for column mapping', () => {
+            const result = fileService.parseFileContent('measure.csv', 'Room;W (cm);Drop\r\nBed 1;120;130');
+
+            expect(result).toMatchObject({ success: true, needsColumnMapping: true, data: [['Room', 'W (cm)', 'Drop'], ['Bed 1', '120', '130']] });
+        });
+
         it('should return an error for an unsupported file type', () => {
             // Arrange
             const textContent = 'some content';
@@ -80,7 +89,144 @@ describe('FileService', () => {
             // Assert
             expect(result.success).toBe(true);
             expect(result.data.uiMetadata).toBeDefined();
-            expect(result.data.uiMetadata).toEqual({ lfModifiedRowIndexes: [] });
+            expect(result.data.uiMetadata).toEqual({ itemMetadata: {} });
+        });
+
+        it('should convert the LF row positions of an older JSON file to marks by itemId', () => {
+            const olderQuoteData = {
+                currentProduct: 'rollerBlind',
+                products: { rollerBlind: { items: [{ itemId: 'a', width: 1000, height: 1000 }, { itemId: 'b', width: 900, height: 900 }] } },
+                uiMetadata: { lfModifiedRowIndexes: [1, 5] },
+            };
+
+            const result = fileService.parseFileContent('quote.json', JSON.stringify(olderQuoteData));
+
+            expect(result.data.uiMetadata).toEqual({ itemMetadata: { b: { lf: true } } });
+        });
+
+        it('should restore the quote details and customer from an exported CSV', () => {
+            const quoteData = JSON.parse(JSON.stringify(initialState.quoteData));
+            quoteData.products.rollerBlind.items = [
+                { itemId: 'a', width: 1200, height: 1300, fabricType: 'B1', linePrice: 75, location: 'Bed 1, left' },
+            ];
+            Object.assign(quoteData, {
+                quoteId: 'RB2025030110',
+                issueDate: '2025-03-01',
+                dueDate: '2025-03-15',
+                finalOfferPrice: 1999,
+                generalNotes: 'Measure again\nbefore "ordering"',
+                termsConditions: '50% deposit, balance on install.',
+            });
+            quoteData.customer = { customerId: 'c-1', name: 'Jane Doe', address: '12 High St', phone: '0400', email: 'jane@example.com' };
+
+            const result = fileService.parseFileContent('quote.csv', dataToCsv(quoteData));
+
+            expect(result.success).toBe(true);
+            expect(result.data).toMatchObject({
+                quoteId: 'RB2025030110',
+                issueDate: '2025-03-01',
+                dueDate: '2025-03-15',
+                finalOfferPrice: 1999,
+                generalNotes: 'Measure again\nbefore "ordering"',
+                termsConditions: '50% deposit, balance on install.',
+                customer: quoteData.customer,
+            });
+            expect(result.data.products.rollerBlind.items[0]).toMatchObject({ width: 1200, location: 'Bed 1, left' });
+        });
+
+        it('should restore an identical quote and the financial inputs from an exported CSV', () => {
+            const quoteData = JSON.parse(JSON.stringify(initialState.quoteData));
+            quoteData.products.rollerBlind.items = [
+                { itemId: 'a', width: 1200, height: 1300, fabricType: 'B1', linePrice: 75, location: 'Bed 1', fabric: 'Linen', color: 'White', over: '', oi: 'IN', lr: 'L', dual: '', chain: 900, winder: 'HD', motor: '' },
+            ];
+            quoteData.products.rollerBlind.summary.totalSum = 75;
+            quoteData.products.rollerBlind.summary.accessories.winder = { count: 1, price: 30 };
+            Object.assign(quoteData, { quoteId: 'RB2025030110', status: 'Quoted', priceListVersion: '2025-02', costDiscountPercentage: 5 });
+            quoteData.statusHistory = [{ from: 'Configuring', to: 'Quoted', changedAt: '2025-03-01T10:00:00.000Z', changedBy: 'Sam', note: '' }];
+            quoteData.customer = { customerId: 'c-1', name: 'Jane Doe', address: '12 High St', phone: '0400', email: 'jane@example.com' };
+            const ui = JSON.parse(JSON.stringify(initialState.ui));
+            ui.f1.discountPercentage = 12.5;
+            ui.f2.deliveryQty = 2;
+            ui.driveChargerCount = 1;
+
+            const result = fileService.parseFileContent('quote.csv', dataToCsv(quoteData, ui));
+
+            const { items, ...productData } = result.data.products.rollerBlind;
+            expect(items.slice(0, -1)).toEqual(quoteData.products.rollerBlind.items);
+            expect(items[items.length - 1]).toMatchObject({ width: null, height: null });
+            expect({ ...result.data, products: { rollerBlind: { ...productData, items: quoteData.products.rollerBlind.items } } }).toEqual(quoteData);
+            expect(result.uiInputs).toMatchObject({ f1: { discountPercentage: 12.5 }, f2: { deliveryQty: 2 }, driveChargerCount: 1 });
+        });
+    });
+
+    describe('XLSX files', () => {
+        const createQuoteData = () => {
+            const quoteData = JSON.parse(JSON.stringify(initialState.quoteData));
+            quoteData.products.rollerBlind.items = [
+                { itemId: 'a', width: 1200, height: 1300, fabricType: 'B1', linePrice: 75, location: 'Bed 1', fabric: 'Linen', color: 'White', over: '', oi: 'IN', lr: 'L', dual: '', chain: 900, winder: 'HD', motor: '' },
+            ];
+            quoteData.products.rollerBlind.summary.totalSum = 75;
+            Object.assign(quoteData, { quoteId: 'RB2025030110', status: 'Quoted' });
+            quoteData.customer = { customerId: 'c-1', name: 'Jane Doe', address: '12 High St', phone: '0400', email: 'jane@example.com' };
+            return quoteData;
+        };
+
+        it('should export a summary sheet and a sheet per section', () => {
+            fileService._triggerDownload = jest.fn();
+            const printableQuote = {
+                quoteId: 'RB2025030110', issueDate: '2025-03-01', customer: { name: 'Jane Doe' },
+                summaryRows: [{ description: 'Roller Blinds', amount: 67.5 }], subTotal: 67.5, gstAmount: 6.75, finalTotal: 74.25,
+            };
+
+            const result = fileService.exportToXlsx(createQuoteData(), initialState.ui, printableQuote);
+
+            const [bytes, fileName] = fileService._triggerDownload.mock.calls[0];
+            const sheets = readXlsx(bytes);
+            expect(result.success).toBe(true);
+            expect(fileName).toMatch(/^quote-\d{12}\.xlsx$/);
+            expect(sheets.map(({ name }) => name)).toEqual(['Summary', 'Items', 'Products', 'Accessories', 'Financial Inputs', 'Quote', 'Customer', 'Status History']);
+            expect(sheets[0].rows).toContainEqual(['Total', '74.25']);
+        });
+
+        it('should restore the quote and the financial inputs from an exported workbook', () => {
+            fileService._triggerDownload = jest.fn();
+            const quoteData = createQuoteData();
+            const ui = JSON.parse(JSON.stringify(initialState.ui));
+            ui.f1.discountPercentage = 12.5;
+            fileService.exportToXlsx(quoteData, ui);
+
+            const [bytes] = fileService._triggerDownload.mock.calls[0];
+            const result = fileService.parseFileContent('quote.xlsx', bytes.buffer);
+
+            expect(result.success).toBe(true);
+            expect(result.data.products.rollerBlind.items.slice(0, -1)).toEqual(quoteData.products.rollerBlind.items);
+            expect(result.data.customer).toEqual(quoteData.customer);
+            expect(result.uiInputs.f1.discountPercentage).toBe(12.5);
+        });
+
+        it('should return the first sheet of another workbook for column mapping', () => {
+            const xlsx = createXlsx([{ name: 'Sheet1', rows: [['Room', 'Width', 'Drop'], ['Bed 1', 1200, 1300]] }]);
+
+            const result = fileService.parseFileContent('measurements.xlsx', xlsx.buffer);
+
+            expect(result).toMatchObject({ success: true, needsColumnMapping: true, data: [['Room', 'Width', 'Drop'], ['Bed 1', '1200', '1300']] });
+        });
+
+        it('should return an error for a file that is not a workbook', () => {
+            expect(fileService.parseFileContent('broken.xlsx', new ArrayBuffer(8)).success).toBe(false);
+        });
+    });
+
+    describe('createQuoteFromItems', () => {
+        it('should open a new quote on the product with the items and an empty row', () => {
+            const quoteData = fileService.createQuoteFromItems('rollerBlind', [{ location: 'Bed 1', width: 1200, height: 1300 }]);
+
+            const items = quoteData.products.rollerBlind.items;
+            expect(quoteData.currentProduct).toBe('rollerBlind');
+            expect(items).toHaveLength(2);
+            expect(items[0]).toMatchObject({ location: 'Bed 1', width: 1200, height: 1300, fabricType: null, linePrice: null });
+            expect(items[0].itemId).not.toBe(items[1].itemId);
+            expect(items[1].width).toBeNull();
         });
     });
 });
\ No newline at end of file
@@ -68,7 +68,7 @@ export class FocusService {
         let { rowIndex } = activeCell;
         let { column } = activeCell;
         
-        const navigableColumns = ['width', 'height', 'TYPE'];
+        const navigableColumns = ['width', 'height', 'TYPE', 'fullness'].filter(key => ui.visibleColumns.includes(key));
         let columnIndex = navigableColumns.indexOf(column);
 
         switch (direction) {
@@ -0,0 +1,90 @@
+// File: 04-core-code/services/location-vocabulary-service.js
+
+import { STORAGE_KEYS } from '../config/constants.js';
+import { getRoomKey } from '../utils/room-utils.js';
+
+export const DEFAULT_LOCATION_PRESETS = [
+    'Bed', 'Living L', 'Living R', 'Lounge', 'Dining', 'Kitchen', 'Family', 'Study', 'Bath', 'Ensuite', 'Laundry'
+];
+
+const MAX_PRESET_LENGTH = 40;
+
+/**
+ * @fileoverview Manages the team's room vocabulary: the location presets offered in K1 and in the
+ * location auto-complete. The list is kept in localStorage and edited from the F4 "Rooms" settings.
+ */
+export class LocationVocabularyService {
+    constructor() {
+        this.presets = this._load();
+        console.log("LocationVocabularyService Initialized.");
+    }
+
+    /**
+     * @returns {string[]} The presets in the order they were saved.
+     */
+    getPresets() {
+        return [...this.presets];
+    }
+
+    /**
+     * Replaces the presets. Names are trimmed, and blank names and repeats (regardless of case and
+     * extra spaces) are dropped.
+     * @param {string[]} names
+     * @returns {{success: boolean, errors: Array<string>}}
+     */
+    savePresets(names) {
+        const presets = this._normalize(names);
+        const errors = [];
+        if (presets.length === 0) {
+            errors.push('Please enter at least one room name.');
+        }
+        const tooLong = presets.filter(name => name.length > MAX_PRESET_LENGTH);
+        if (tooLong.length > 0) {
+            errors.push(`Room names can have up to ${MAX_PRESET_LENGTH} characters: ${tooLong.join(', ')}.`);
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        this.presets = presets;
+        this._persist();
+        return { success: true, errors: [] };
+    }
+
+    resetPresets() {
+        this.presets = [...DEFAULT_LOCATION_PRESETS];
+        this._persist();
+    }
+
+    _normalize(names) {
+        const seen = new Set();
+        return names
+            .map(name => String(name ?? '').trim().replace(/\s+/g, ' '))
+            .filter(name => {
+                const key = getRoomKey(name);
+                if (!key || seen.has(key)) return false;
+                seen.add(key);
+                return true;
+            });
+    }
+
+    _load() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.LOCATION_VOCABULARY));
+            if (!Array.isArray(stored)) return [...DEFAULT_LOCATION_PRESETS];
+            const presets = this._normalize(stored);
+            return presets.length > 0 ? presets : [...DEFAULT_LOCATION_PRESETS];
+        } catch (error) {
+            console.error('Failed to read the location presets:', error);
+            return [...DEFAULT_LOCATION_PRESETS];
+        }
+    }
+
+    _persist() {
+        try {
+            localStorage.setItem(STORAGE_KEYS.LOCATION_VOCABULARY, JSON.stringify(this.presets));
+        } catch (error) {
+            console.error('Failed to store the location presets:', error);
+        }
+    }
+}
\ No newline at end of file
@@ -0,0 +1,46 @@
+// File: 04-core-code/services/location-vocabulary-service.spec.js
+
+import { LocationVocabularyService, DEFAULT_LOCATION_PRESETS } from './location-vocabulary-service.js';
+import { STORAGE_KEYS } from '../config/constants.js';
+
+describe('LocationVocabularyService', () => {
+    let service;
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        service = new LocationVocabularyService();
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    it('should start with the default presets', () => {
+        expect(service.getPresets()).toEqual(DEFAULT_LOCATION_PRESETS);
+    });
+
+    it('should save trimmed presets without repeats and keep them across restarts', () => {
+        const result = service.savePresets([' Master  Bed ', 'Theatre', '', 'master bed', 'Garage']);
+
+        expect(result).toEqual({ success: true, errors: [] });
+        expect(new LocationVocabularyService().getPresets()).toEqual(['Master Bed', 'Theatre', 'Garage']);
+    });
+
+    it('should reject an empty list and keep the saved presets', () => {
+        const result = service.savePresets([' ', '']);
+
+        expect(result.success).toBe(false);
+        expect(result.errors).toEqual(['Please enter at least one room name.']);
+        expect(service.getPresets()).toEqual(DEFAULT_LOCATION_PRESETS);
+    });
+
+    it('should reset to the defaults, and ignore unreadable stored presets', () => {
+        service.savePresets(['Theatre']);
+        service.resetPresets();
+        expect(service.getPresets()).toEqual(DEFAULT_LOCATION_PRESETS);
+
+        localStorage.setItem(STORAGE_KEYS.LOCATION_VOCABULARY, '{"not": "a list"}');
+        expect(new LocationVocabularyService().getPresets()).toEqual(DEFAULT_LOCATION_PRESETS);
+    });
+});
\ No newline at end of file
@@ -1,7 +1,9 @@
 // File: 04-core-code/services/migration-service.js
 
 import { initialState } from '../config/initial-state.js';
-import { STORAGE_KEYS } from '../config/constants.js';
+import { STORAGE_KEYS, QUOTE_STATUS } from '../config/constants.js';
+import { isKnownQuoteStatus } from '../utils/quote-status-utils.js';
+import { migrateUiMetadata } from '../utils/item-metadata-utils.js';
 
 export class MigrationService {
     constructor() {}
@@ -50,8 +52,17 @@ export class MigrationService {
         if (oldData && oldData.products && oldData.currentProduct) {
             if (!oldData.uiMetadata) {
                 console.warn("Patching modern auto-saved data with missing uiMetadata.");
-                oldData.uiMetadata = { lfModifiedRowIndexes: [] };
             }
+            // LF marks used to be row positions; they are now keyed by itemId.
+            oldData.uiMetadata = migrateUiMetadata(oldData.uiMetadata, oldData.products);
+            if (oldData.priceListVersion === undefined) {
+                oldData.priceListVersion = null;
+            }
+            if (!isKnownQuoteStatus(oldData.status)) {
+                oldData.status = QUOTE_STATUS.CONFIGURING;
+            }
+            oldData.statusHistory = oldData.statusHistory || [];
+            oldData.customer = { ...initialState.quoteData.customer, ...oldData.customer };
             return oldData;
         }
 
@@ -67,14 +78,20 @@ export class MigrationService {
                     }
                 },
                 uiMetadata: {
-                    lfModifiedRowIndexes: []
+                    itemMetadata: {}
                 },
                 quoteId: oldData.quoteId || null,
                 issueDate: oldData.issueDate || null,
                 dueDate: oldData.dueDate || null,
-                status: oldData.status || "Configuring",
+                finalOfferPrice: null,
+                generalNotes: oldData.generalNotes || "",
+                termsConditions: oldData.termsConditions || "",
+                // Legacy quotes did not record which price list they were priced with.
+                priceListVersion: null,
+                status: isKnownQuoteStatus(oldData.status) ? oldData.status : QUOTE_STATUS.CONFIGURING,
+                statusHistory: [],
                 costDiscountPercentage: oldData.costDiscountPercentage || 0,
-                customer: oldData.customer || { name: "", address: "", phone: "", email: "" }
+                customer: { ...initialState.quoteData.customer, ...oldData.customer }
             };
             return newData;
         }
@@ -0,0 +1,115 @@
+// /04-core-code/services/purchase-order-service.js
+
+// The F1 hardware ordered from the supplier, with the cost-* accessory keys of the price list.
+const HARDWARE_LINES = [
+    { component: 'winder', costKey: 'cost-winder', description: 'HD Winder' },
+    { component: 'motor', costKey: 'cost-motor', description: 'Motor' },
+    { component: 'remote-1ch', costKey: 'cost-L-1ch-remote', description: 'Remote, 1 Channel' },
+    { component: 'remote-16ch', costKey: 'cost-L-16ch-remote', description: 'Remote, 16 Channel' },
+    { component: 'charger', costKey: 'cost-charger', description: 'Charger' },
+    { component: '3m-cord', costKey: 'cost-3mcord', description: '3m Cord' },
+    { component: 'dual-combo', costKey: 'cost-combo-dual', description: 'Combo Bracket (Dual Pair)' },
+    { component: 'slim', costKey: 'cost-slim-dual', description: 'Slim Bracket (Dual Pair)' }
+];
+
+const roundCents = (value) => Math.round(value * 100) / 100;
+
+/**
+ * @fileoverview Builds the purchase orders of a quote, one per supplier. Blinds are aggregated by
+ * product, fabric type, fabric and colour, with their cut sizes, and costed at the F1 price (the
+ * list price less the F1 discount). Hardware is ordered in the quantities F1 shows, at the cost-*
+ * accessory prices, from the supplier of the price list (see ConfigManager.getSupplier).
+ */
+export class PurchaseOrderService {
+    constructor({ calculationService, configManager, productFactory }) {
+        this.calculationService = calculationService;
+        this.configManager = configManager;
+        this.productFactory = productFactory;
+        console.log("PurchaseOrderService Initialized.");
+    }
+
+    /**
+     * @param {object} quoteData
+     * @param {object} uiState - For the F1 quantities and discount.
+     * @returns {Array<{supplier: string, quoteId: string, issueDate: string, fabricLines: Array<object>,
+     *   hardwareLines: Array<object>, fabricCost: number, hardwareCost: number, totalCost: number}>}
+     *   Fabric lines are { productName, fabricType, fabricTypeName, fabric, color, quantity, cost,
+     *   cutSizes: [{ width, height, quantity, cost }] }; hardware lines are
+     *   { component, description, quantity, unitCost, cost }. A cost is null when it is unknown.
+     */
+    buildPurchaseOrders(quoteData, uiState) {
+        const orders = new Map();
+        const getOrder = (supplier) => {
+            if (!orders.has(supplier)) {
+                orders.set(supplier, { supplier, quoteId: quoteData.quoteId || '', issueDate: quoteData.issueDate || '', fabricLines: [], hardwareLines: [] });
+            }
+            return orders.get(supplier);
+        };
+
+        const costFactor = 1 - ((uiState.f1.discountPercentage || 0) / 100);
+        const fabricLines = new Map();
+
+        Object.entries(quoteData.products || {}).forEach(([productKey, productData]) => {
+            (productData.items || []).forEach(item => {
+                if (!item.width && !item.height) return;
+
+                const fabricType = item.fabricType || '';
+                const lineKey = [productKey, fabricType, item.fabric || '', item.color || ''].join('\u0000');
+                if (!fabricLines.has(lineKey)) {
+                    const line = {
+                        productName: this._getProductName(productKey),
+                        fabricType,
+                        fabricTypeName: (fabricType && this.configManager.getPriceMatrix(fabricType)?.name) || '',
+                        fabric: item.fabric || '',
+                        color: item.color || '',
+                        quantity: 0,
+                        cost: null,
+                        cutSizes: []
+                    };
+                    fabricLines.set(lineKey, line);
+                    getOrder(this.configManager.getSupplier(fabricType || null)).fabricLines.push(line);
+                }
+
+                const line = fabricLines.get(lineKey);
+                let cutSize = line.cutSizes.find(size => size.width === item.width && size.height === item.height);
+                if (!cutSize) {
+                    cutSize = { width: item.width, height: item.height, quantity: 0, cost: null };
+                    line.cutSizes.push(cutSize);
+                }
+                cutSize.quantity++;
+                line.quantity++;
+                if (typeof item.linePrice === 'number') {
+                    const cost = item.linePrice * costFactor;
+                    cutSize.cost = roundCents((cutSize.cost || 0) + cost);
+                    line.cost = roundCents((line.cost || 0) + cost);
+                }
+            });
+        });
+
+        const quantities = this.calculationService.getF1ComponentQuantities(quoteData, uiState);
+        HARDWARE_LINES.forEach(({ component, costKey, description }) => {
+            const quantity = quantities[component];
+            if (!quantity || quantity <= 0) return;
+            const unitCost = this.configManager.getAccessoryPrice(costKey);
+            getOrder(this.configManager.getSupplier()).hardwareLines.push({
+                component,
+                description,
+                quantity,
+                unitCost,
+                cost: unitCost === null ? null : roundCents(unitCost * quantity)
+            });
+        });
+
+        const sumCosts = (lines) => roundCents(lines.reduce((sum, line) => sum + (line.cost || 0), 0));
+        return [...orders.values()].map(order => {
+            const fabricCost = sumCosts(order.fabricLines);
+            const hardwareCost = sumCosts(order.hardwareLines);
+            return { ...order, fabricCost, hardwareCost, totalCost: roundCents(fabricCost + hardwareCost) };
+        });
+    }
+
+    _getProductName(productKey) {
+        const strategy = this.productFactory.getProductStrategy(productKey);
+        return strategy?.getProductName ? strategy.getProductName() : productKey;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,83 @@
+// /04-core-code/services/purchase-order-service.spec.js
+
+import { PurchaseOrderService } from './purchase-order-service.js';
+
+describe('PurchaseOrderService', () => {
+    let purchaseOrderService;
+    let mockCalculationService;
+    let mockConfigManager;
+
+    const costPrices = { 'cost-winder': 8, 'cost-motor': 160, 'cost-L-16ch-remote': 70, 'cost-combo-dual': 10 };
+    const uiState = { f1: { discountPercentage: 40 } };
+
+    beforeEach(() => {
+        mockCalculationService = {
+            getF1ComponentQuantities: jest.fn(() => ({
+                'winder': 2, 'motor': 1, 'remote-1ch': 0, 'remote-16ch': 1,
+                'charger': 0, '3m-cord': 0, 'dual-combo': 1, 'slim': 0
+            }))
+        };
+        mockConfigManager = {
+            getPriceMatrix: jest.fn((fabricType) => ({ B1: { name: 'UNILINE - SUNSET' }, B5: { name: 'SHAW - VIBE' } })[fabricType] || null),
+            getSupplier: jest.fn((fabricType) => (fabricType === 'B5' ? 'Shaw Fabrics' : 'B Window Covers')),
+            getAccessoryPrice: jest.fn((key) => costPrices[key] ?? null)
+        };
+        purchaseOrderService = new PurchaseOrderService({
+            calculationService: mockCalculationService,
+            configManager: mockConfigManager,
+            productFactory: { getProductStrategy: () => ({ getProductName: () => 'Roller Blind' }) }
+        });
+    });
+
+    const quoteData = {
+        quoteId: 'Q-2026-0042',
+        issueDate: '2026-03-15',
+        products: {
+            rollerBlind: {
+                items: [
+                    { width: 1000, height: 1200, fabricType: 'B1', fabric: 'Sunset', color: 'White', linePrice: 100 },
+                    { width: 1000, height: 1200, fabricType: 'B1', fabric: 'Sunset', color: 'White', linePrice: 100 },
+                    { width: 800, height: 1500, fabricType: 'B1', fabric: 'Sunset', color: 'White', linePrice: 90 },
+                    { width: 600, height: 900, fabricType: 'B5', fabric: 'Vibe', color: 'Grey', linePrice: 50 },
+                    { width: null, height: null, fabricType: null, linePrice: null }
+                ]
+            }
+        }
+    };
+
+    it('should aggregate blinds by fabric type, fabric and colour with their cut sizes at the F1 price, per supplier', () => {
+        const orders = purchaseOrderService.buildPurchaseOrders(quoteData, uiState);
+
+        expect(orders.map(order => order.supplier)).toEqual(['B Window Covers', 'Shaw Fabrics']);
+        expect(orders[0].fabricLines).toEqual([{
+            productName: 'Roller Blind', fabricType: 'B1', fabricTypeName: 'UNILINE - SUNSET', fabric: 'Sunset', color: 'White',
+            quantity: 3, cost: 174,
+            cutSizes: [{ width: 1000, height: 1200, quantity: 2, cost: 120 }, { width: 800, height: 1500, quantity: 1, cost: 54 }]
+        }]);
+        expect(orders[1]).toMatchObject({
+            quoteId: 'Q-2026-0042',
+            fabricLines: [{ fabricType: 'B5', fabric: 'Vibe', quantity: 1, cost: 30 }],
+            hardwareLines: [],
+            totalCost: 30
+        });
+    });
+
+    it('should order the F1 hardware quantities at the cost prices from the price list supplier', () => {
+        const [order] = purchaseOrderService.buildPurchaseOrders(quoteData, uiState);
+
+        expect(mockCalculationService.getF1ComponentQuantities).toHaveBeenCalledWith(quoteData, uiState);
+        expect(order.hardwareLines).toEqual([
+            { component: 'winder', description: 'HD Winder', quantity: 2, unitCost: 8, cost: 16 },
+            { component: 'motor', description: 'Motor', quantity: 1, unitCost: 160, cost: 160 },
+            { component: 'remote-16ch', description: 'Remote, 16 Channel', quantity: 1, unitCost: 70, cost: 70 },
+            { component: 'dual-combo', description: 'Combo Bracket (Dual Pair)', quantity: 1, unitCost: 10, cost: 10 }
+        ]);
+        expect(order).toMatchObject({ fabricCost: 174, hardwareCost: 256, totalCost: 430 });
+    });
+
+    it('should return no orders for a quote with nothing to order', () => {
+        mockCalculationService.getF1ComponentQuantities.mockReturnValue({ 'winder': 0, 'remote-1ch': null });
+
+        expect(purchaseOrderService.buildPurchaseOrders({ products: { rollerBlind: { items: [] } } }, uiState)).toEqual([]);
+    });
+});
\ No newline at end of file
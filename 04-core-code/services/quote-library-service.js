@@ -0,0 +1,314 @@
+// File: 04-core-code/services/quote-library-service.js
+
+import { v4 as uuidv4 } from 'https://cdn.jsdelivr.net/npm/uuid@9.0.1/dist/esm-browser/index.js';
+import { initialState } from '../config/initial-state.js';
+import { STORAGE_KEYS } from '../config/constants.js';
+import { parseQuoteRevision } from '../utils/quote-number-utils.js';
+
+/**
+ * @fileoverview Manages the local library of saved quotes.
+ * Every quote lives in its own record in the QuoteRepository. The service remembers which record
+ * is open so that autosave updates that record, and starting a new quote leaves the previous one
+ * in the library instead of overwriting it. The open record id is kept in localStorage so the
+ * same quote can be reopened on the next start.
+ */
+export class QuoteLibraryService {
+    constructor({ repository, calculationService }) {
+        this.repository = repository;
+        this.calculationService = calculationService;
+
+        this.openRecordId = this._loadOpenRecordId();
+        this.lastSavedJson = null;
+
+        console.log("QuoteLibraryService Initialized.");
+    }
+
+    isAvailable() {
+        return this.repository.isAvailable();
+    }
+
+    getOpenRecordId() {
+        return this.openRecordId;
+    }
+
+    /**
+     * Returns true if the quote has at least one item with a width or height entered.
+     */
+    hasContent(quoteData) {
+        return this.calculationService.getAllItems(quoteData).some(item => item.width || item.height);
+    }
+
+    /**
+     * Saves the quote into the open record, creating a new record if no quote is open.
+     * @returns {Promise<object>} The saved record.
+     */
+    async saveQuote(quoteData) {
+        const existingRecord = this.openRecordId ? await this.repository.get(this.openRecordId) : null;
+        const record = this._buildRecord(quoteData, existingRecord);
+        await this.repository.put(record);
+
+        this._setOpenRecordId(record.recordId);
+        this.lastSavedJson = JSON.stringify(quoteData);
+        return record;
+    }
+
+    /**
+     * Saves the quote only if it has content and has changed since the last save.
+     * @returns {Promise<object|null>} The saved record, or null if nothing needed saving.
+     */
+    async autoSave(quoteData) {
+        if (!this.hasContent(quoteData)) return null;
+        if (JSON.stringify(quoteData) === this.lastSavedJson) return null;
+        return this.saveQuote(quoteData);
+    }
+
+    /**
+     * Moves a quote restored from the old single autosave slot into its own library record.
+     */
+    async adoptLegacyAutoSave(quoteData) {
+        this._setOpenRecordId(null);
+        const record = await this.saveQuote(quoteData);
+        localStorage.removeItem(STORAGE_KEYS.AUTOSAVE);
+        return record;
+    }
+
+    /**
+     * Closes the open record; the next save creates a new one.
+     */
+    startNewQuote() {
+        this._setOpenRecordId(null);
+        this.lastSavedJson = null;
+    }
+
+    /**
+     * Makes the given record the open one.
+     * @returns {Promise<object>} The quote data stored in the record.
+     */
+    async openQuote(recordId) {
+        const record = await this.repository.get(recordId);
+        if (!record) {
+            throw new Error('The quote could not be found in the library.');
+        }
+        this._setOpenRecordId(record.recordId);
+        this.lastSavedJson = JSON.stringify(record.quoteData);
+        return JSON.parse(JSON.stringify(record.quoteData));
+    }
+
+    /**
+     * Loads the quote that was open when the app was last closed.
+     * @returns {Promise<object|null>} The quote data, or null if no quote was open or it no longer exists.
+     */
+    async loadOpenQuote() {
+        if (!this.openRecordId) return null;
+        const record = await this.repository.get(this.openRecordId);
+        if (!record) {
+            this.startNewQuote();
+            return null;
+        }
+        return this.openQuote(record.recordId);
+    }
+
+    /**
+     * Copies a saved quote into a new record. The copy has no quote ID and starts over at the
+     * initial status with an empty status history.
+     * @returns {Promise<object>} The new record.
+     */
+    async duplicateQuote(recordId) {
+        const record = await this.repository.get(recordId);
+        if (!record) {
+            throw new Error('The quote could not be found in the library.');
+        }
+        const quoteData = JSON.parse(JSON.stringify(record.quoteData));
+        quoteData.quoteId = null;
+        quoteData.status = initialState.quoteData.status;
+        quoteData.statusHistory = [];
+
+        const copy = this._buildRecord(quoteData, null);
+        await this.repository.put(copy);
+        return copy;
+    }
+
+    /**
+     * Deletes a saved quote with its revisions and documents. Deleting the open quote closes it.
+     */
+    async deleteQuote(recordId) {
+        await this.repository.delete(recordId);
+        await this.repository.deleteRevisions(recordId);
+        await this.repository.deleteDocuments(recordId);
+        if (recordId === this.openRecordId) {
+            this.startNewQuote();
+        }
+    }
+
+    /**
+     * Saves the quote and keeps a numbered snapshot of it as it is now, e.g. before amending a quote
+     * the customer has seen. The snapshot includes the F1/F2 inputs, which are not part of quoteData.
+     * @param {object} snapshot
+     * @param {object} snapshot.quoteData
+     * @param {object} snapshot.f1
+     * @param {object} snapshot.f2
+     * @param {object} [options]
+     * @param {string} [options.note] - Why the revision was made.
+     * @returns {Promise<object>} The new revision.
+     */
+    async createRevision({ quoteData, f1, f2 }, { note = '' } = {}) {
+        // Only a quote that is not in the library yet is saved here, so that this cannot overwrite
+        // a newer autosave of the open quote.
+        const recordId = this.openRecordId || (await this.saveQuote(quoteData)).recordId;
+        const revisions = await this.getRevisions(recordId);
+        const revision = {
+            revisionId: uuidv4(),
+            recordId,
+            revision: revisions.reduce((highest, { revision }) => Math.max(highest, revision), 0) + 1,
+            ...this._summarize(quoteData),
+            note: note.trim(),
+            createdAt: new Date().toISOString(),
+            snapshot: JSON.parse(JSON.stringify({ quoteData, f1, f2 }))
+        };
+        await this.repository.putRevision(revision);
+        return revision;
+    }
+
+    /**
+     * @param {string} [recordId] - Defaults to the open quote.
+     * @returns {Promise<Array<object>>} The revisions of the quote, oldest first.
+     */
+    async getRevisions(recordId = this.openRecordId) {
+        if (!recordId || !this.isAvailable()) return [];
+        const revisions = await this.repository.getRevisions(recordId);
+        return revisions.sort((a, b) => a.revision - b.revision);
+    }
+
+    /**
+     * Attaches a file made from the open quote, such as its PDF, to the quote in the library.
+     * @param {object} quoteData - The open quote; saved first if it is not in the library yet.
+     * @param {object} document
+     * @param {Blob} document.blob
+     * @param {string} document.fileName
+     * @returns {Promise<object>} The stored document.
+     */
+    async attachDocument(quoteData, { blob, fileName }) {
+        const recordId = this.openRecordId || (await this.saveQuote(quoteData)).recordId;
+        return this.repository.putDocument({
+            documentId: uuidv4(),
+            recordId,
+            quoteId: quoteData.quoteId || null,
+            fileName,
+            type: blob.type,
+            size: blob.size,
+            createdAt: new Date().toISOString(),
+            blob
+        });
+    }
+
+    /**
+     * @param {string} [recordId] - Defaults to the open quote.
+     * @returns {Promise<Array<object>>} The documents attached to the quote, newest first.
+     */
+    async getDocuments(recordId = this.openRecordId) {
+        if (!recordId || !this.isAvailable()) return [];
+        const documents = await this.repository.getDocuments(recordId);
+        return documents.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    /**
+     * Searches the library. All criteria are optional.
+     * @param {object} criteria
+     * @param {string} [criteria.text] - Matched (case-insensitively) against the quote ID and customer name.
+     * @param {string} [criteria.customerId] - Only quotes for this customer from the customer directory.
+     * @param {string} [criteria.status] - Exact quote status.
+     * @param {string} [criteria.dateFrom] - Earliest quote date (YYYY-MM-DD), inclusive.
+     * @param {string} [criteria.dateTo] - Latest quote date (YYYY-MM-DD), inclusive.
+     * @returns {Promise<Array<object>>} Matching records, most recently updated first.
+     */
+    async searchQuotes({ text = '', customerId = '', status = '', dateFrom = '', dateTo = '' } = {}) {
+        const needle = text.trim().toLowerCase();
+        const records = await this.repository.getAll();
+
+        return records
+            .filter(record => {
+                if (needle) {
+                    const haystack = `${record.quoteId || ''} ${record.customerName || ''}`.toLowerCase();
+                    if (!haystack.includes(needle)) return false;
+                }
+                if (customerId && record.customerId !== customerId) return false;
+                if (status && record.status !== status) return false;
+                const date = this.getRecordDate(record);
+                if (dateFrom && date < dateFrom) return false;
+                if (dateTo && date > dateTo) return false;
+                return true;
+            })
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Finds the saved quotes, other than the open one, that use a quote ID.
+     * @param {string} quoteId
+     * @param {object} [options]
+     * @param {boolean} [options.includeRevisions] - Also match revisions of the ID (ID-R1, ID-R2, ...).
+     * @returns {Promise<Array<object>>} The matching records; none if the library is not available.
+     */
+    async findOtherQuotesWithId(quoteId, { includeRevisions = false } = {}) {
+        if (!quoteId || !this.isAvailable()) return [];
+        const records = includeRevisions
+            ? (await this.repository.getAll()).filter(record => record.quoteId && parseQuoteRevision(record.quoteId).baseId === quoteId)
+            : await this.repository.findByQuoteId(quoteId);
+        return records.filter(record => record.recordId !== this.openRecordId);
+    }
+
+    /**
+     * The date a quote is listed and searched under: its issue date, or the day it was first saved.
+     */
+    getRecordDate(record) {
+        return record.issueDate || record.createdAt.slice(0, 10);
+    }
+
+    _summarize(quoteData) {
+        return {
+            quoteId: quoteData.quoteId || null,
+            status: quoteData.status || initialState.quoteData.status,
+            itemCount: this.calculationService.getAllItems(quoteData).filter(item => item.width || item.height).length,
+            grandTotal: this.calculationService.getQuoteTotals(quoteData).grandTotal
+        };
+    }
+
+    _buildRecord(quoteData, existingRecord) {
+        const now = new Date().toISOString();
+        const { quoteId, status, itemCount, grandTotal } = this._summarize(quoteData);
+        return {
+            recordId: existingRecord ? existingRecord.recordId : uuidv4(),
+            quoteId,
+            customerId: quoteData.customer?.customerId || null,
+            customerName: quoteData.customer?.name || '',
+            issueDate: quoteData.issueDate || null,
+            status,
+            itemCount,
+            grandTotal,
+            createdAt: existingRecord ? existingRecord.createdAt : now,
+            updatedAt: now,
+            quoteData: JSON.parse(JSON.stringify(quoteData))
+        };
+    }
+
+    _loadOpenRecordId() {
+        try {
+            return localStorage.getItem(STORAGE_KEYS.OPEN_QUOTE_RECORD) || null;
+        } catch (error) {
+            console.error('Failed to read the open quote record id:', error);
+            return null;
+        }
+    }
+
+    _setOpenRecordId(recordId) {
+        this.openRecordId = recordId;
+        try {
+            if (recordId) {
+                localStorage.setItem(STORAGE_KEYS.OPEN_QUOTE_RECORD, recordId);
+            } else {
+                localStorage.removeItem(STORAGE_KEYS.OPEN_QUOTE_RECORD);
+            }
+        } catch (error) {
+            console.error('Failed to store the open quote record id:', error);
+        }
+    }
+}
\ No newline at end of file
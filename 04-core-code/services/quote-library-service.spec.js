@@ -0,0 +1,305 @@
+// File: 04-core-code/services/quote-library-service.spec.js
+
+import { QuoteLibraryService } from './quote-library-service.js';
+import { STORAGE_KEYS } from '../config/constants.js';
+
+// An in-memory stand-in for the IndexedDB-backed QuoteRepository.
+const createMemoryRepository = () => {
+    const records = new Map();
+    const revisions = new Map();
+    const documents = new Map();
+    const clone = (value) => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+    return {
+        records,
+        revisions,
+        documents,
+        isAvailable: () => true,
+        get: jest.fn(async (recordId) => clone(records.get(recordId))),
+        getAll: jest.fn(async () => [...records.values()].map(clone)),
+        findByQuoteId: jest.fn(async (quoteId) => [...records.values()].filter(record => record.quoteId === quoteId).map(clone)),
+        put: jest.fn(async (record) => {
+            records.set(record.recordId, clone(record));
+            return record;
+        }),
+        delete: jest.fn(async (recordId) => { records.delete(recordId); }),
+        getRevisions: jest.fn(async (recordId) => [...revisions.values()].filter(revision => revision.recordId === recordId).map(clone)),
+        putRevision: jest.fn(async (revision) => {
+            revisions.set(revision.revisionId, clone(revision));
+            return revision;
+        }),
+        deleteRevisions: jest.fn(async (recordId) => {
+            [...revisions.values()].filter(revision => revision.recordId === recordId)
+                .forEach(revision => revisions.delete(revision.revisionId));
+        }),
+        // Documents hold Blobs, which are stored as they are rather than cloned.
+        getDocuments: jest.fn(async (recordId) => [...documents.values()].filter(document => document.recordId === recordId)),
+        putDocument: jest.fn(async (document) => {
+            documents.set(document.documentId, document);
+            return document;
+        }),
+        deleteDocuments: jest.fn(async (recordId) => {
+            [...documents.values()].filter(document => document.recordId === recordId)
+                .forEach(document => documents.delete(document.documentId));
+        }),
+    };
+};
+
+const mockCalculationService = {
+    getAllItems: (quoteData) => Object.values(quoteData.products).flatMap(productData => productData.items),
+    getQuoteTotals: (quoteData) => ({ subtotals: [], grandTotal: quoteData.products.rollerBlind.summary.totalSum }),
+};
+
+const createQuote = ({ quoteId = null, customerId = null, customerName = '', issueDate = null, status = 'Configuring', width = 1000, totalSum = 250 } = {}) => ({
+    currentProduct: 'rollerBlind',
+    products: {
+        rollerBlind: {
+            items: [
+                { itemId: 'a', width, height: width ? 1200 : null },
+                { itemId: 'b', width: null, height: null },
+            ],
+            summary: { totalSum }
+        }
+    },
+    quoteId,
+    issueDate,
+    status,
+    customer: { customerId, name: customerName }
+});
+
+describe('QuoteLibraryService', () => {
+    let repository;
+    let service;
+
+    beforeEach(() => {
+        localStorage.clear();
+        repository = createMemoryRepository();
+        service = new QuoteLibraryService({ repository, calculationService: mockCalculationService });
+    });
+
+    describe('saving', () => {
+        it('should create a record with summary fields and make it the open quote', async () => {
+            const record = await service.saveQuote(createQuote({ quoteId: 'RB001', customerName: 'Jane Doe', issueDate: '2025-03-01' }));
+
+            expect(record).toMatchObject({
+                quoteId: 'RB001',
+                customerName: 'Jane Doe',
+                issueDate: '2025-03-01',
+                status: 'Configuring',
+                itemCount: 1,
+                grandTotal: 250
+            });
+            expect(repository.records.size).toBe(1);
+            expect(service.getOpenRecordId()).toBe(record.recordId);
+            expect(localStorage.getItem(STORAGE_KEYS.OPEN_QUOTE_RECORD)).toBe(record.recordId);
+        });
+
+        it('should update the open record instead of creating another one', async () => {
+            const first = await service.saveQuote(createQuote({ width: 1000 }));
+            const second = await service.saveQuote(createQuote({ width: 1500 }));
+
+            expect(second.recordId).toBe(first.recordId);
+            expect(second.createdAt).toBe(first.createdAt);
+            expect(repository.records.size).toBe(1);
+            expect(repository.records.get(first.recordId).quoteData.products.rollerBlind.items[0].width).toBe(1500);
+        });
+
+        it('should keep the previous quote when a new quote is started', async () => {
+            const first = await service.saveQuote(createQuote({ customerName: 'First' }));
+            service.startNewQuote();
+            const second = await service.saveQuote(createQuote({ customerName: 'Second' }));
+
+            expect(second.recordId).not.toBe(first.recordId);
+            expect(repository.records.size).toBe(2);
+            expect(localStorage.getItem(STORAGE_KEYS.OPEN_QUOTE_RECORD)).toBe(second.recordId);
+        });
+
+        it('should skip autosave for an empty or unchanged quote', async () => {
+            expect(await service.autoSave(createQuote({ width: null }))).toBeNull();
+
+            const quoteData = createQuote();
+            expect(await service.autoSave(quoteData)).not.toBeNull();
+            expect(await service.autoSave(quoteData)).toBeNull();
+            expect(repository.put).toHaveBeenCalledTimes(1);
+        });
+
+        it('should move a quote from the legacy autosave slot into the library', async () => {
+            localStorage.setItem(STORAGE_KEYS.AUTOSAVE, '{}');
+            const record = await service.adoptLegacyAutoSave(createQuote({ customerName: 'Legacy' }));
+
+            expect(repository.records.get(record.recordId).customerName).toBe('Legacy');
+            expect(service.getOpenRecordId()).toBe(record.recordId);
+            expect(localStorage.getItem(STORAGE_KEYS.AUTOSAVE)).toBeNull();
+        });
+    });
+
+    describe('opening', () => {
+        it('should open a saved quote and treat it as already saved', async () => {
+            const { recordId } = await service.saveQuote(createQuote({ customerName: 'Jane' }));
+            service.startNewQuote();
+
+            const quoteData = await service.openQuote(recordId);
+            expect(quoteData.customer.name).toBe('Jane');
+            expect(service.getOpenRecordId()).toBe(recordId);
+            expect(await service.autoSave(quoteData)).toBeNull();
+        });
+
+        it('should reject when the record does not exist', async () => {
+            await expect(service.openQuote('missing')).rejects.toThrow('could not be found');
+        });
+
+        it('should reopen the quote that was open in the previous session', async () => {
+            const { recordId } = await service.saveQuote(createQuote({ customerName: 'Jane' }));
+
+            const nextSession = new QuoteLibraryService({ repository, calculationService: mockCalculationService });
+            expect(nextSession.getOpenRecordId()).toBe(recordId);
+            expect((await nextSession.loadOpenQuote()).customer.name).toBe('Jane');
+        });
+
+        it('should forget an open quote that no longer exists', async () => {
+            localStorage.setItem(STORAGE_KEYS.OPEN_QUOTE_RECORD, 'deleted-elsewhere');
+            const nextSession = new QuoteLibraryService({ repository, calculationService: mockCalculationService });
+
+            expect(await nextSession.loadOpenQuote()).toBeNull();
+            expect(nextSession.getOpenRecordId()).toBeNull();
+            expect(localStorage.getItem(STORAGE_KEYS.OPEN_QUOTE_RECORD)).toBeNull();
+        });
+    });
+
+    describe('duplicating and deleting', () => {
+        it('should copy a quote into a new record without its quote ID and status', async () => {
+            const original = await service.saveQuote(createQuote({ quoteId: 'RB001', customerName: 'Jane', status: 'Sent' }));
+            const copy = await service.duplicateQuote(original.recordId);
+
+            expect(copy.recordId).not.toBe(original.recordId);
+            expect(copy).toMatchObject({ quoteId: null, customerName: 'Jane', status: 'Configuring', itemCount: 1 });
+            expect(repository.records.size).toBe(2);
+            // The open quote does not change.
+            expect(service.getOpenRecordId()).toBe(original.recordId);
+        });
+
+        it('should close the open quote when it is deleted', async () => {
+            const { recordId } = await service.saveQuote(createQuote());
+            await service.deleteQuote(recordId);
+
+            expect(repository.records.size).toBe(0);
+            expect(service.getOpenRecordId()).toBeNull();
+        });
+    });
+
+    describe('searchQuotes', () => {
+        beforeEach(async () => {
+            const save = async (options) => {
+                service.startNewQuote();
+                return service.saveQuote(createQuote(options));
+            };
+            await save({ quoteId: 'RB100', customerId: 'c-jane', customerName: 'Jane Doe', issueDate: '2025-01-10', status: 'Quoted' });
+            await save({ quoteId: 'RB200', customerName: 'John Smith', issueDate: '2025-02-20', status: 'Configuring' });
+            await save({ quoteId: 'RB300', customerName: 'Janet Lee', issueDate: '2025-03-30', status: 'Quoted' });
+            await save({ quoteId: 'RB400', customerId: 'c-jane', customerName: 'Jane Doe-Smith', issueDate: '2025-04-02', status: 'Configuring' });
+        });
+
+        const quoteIds = (records) => records.map(record => record.quoteId).sort();
+
+        it('should return every quote, most recently saved first, without criteria', async () => {
+            const records = await service.searchQuotes();
+            expect(records).toHaveLength(4);
+            for (let i = 1; i < records.length; i++) {
+                expect(records[i - 1].updatedAt >= records[i].updatedAt).toBe(true);
+            }
+        });
+
+        it('should match text against the quote ID and customer name, ignoring case', async () => {
+            expect(quoteIds(await service.searchQuotes({ text: 'jan' }))).toEqual(['RB100', 'RB300', 'RB400']);
+            expect(quoteIds(await service.searchQuotes({ text: 'rb2' }))).toEqual(['RB200']);
+        });
+
+        it('should filter by status and by date range', async () => {
+            expect(quoteIds(await service.searchQuotes({ status: 'Quoted' }))).toEqual(['RB100', 'RB300']);
+            expect(quoteIds(await service.searchQuotes({ dateFrom: '2025-02-01', dateTo: '2025-03-30' }))).toEqual(['RB200', 'RB300']);
+            expect(quoteIds(await service.searchQuotes({ text: 'jan', status: 'Quoted', dateTo: '2025-02-01' }))).toEqual(['RB100']);
+        });
+
+        it('should list the quotes of one customer from the directory, even under a changed name', async () => {
+            expect(quoteIds(await service.searchQuotes({ customerId: 'c-jane' }))).toEqual(['RB100', 'RB400']);
+            expect(quoteIds(await service.searchQuotes({ customerId: 'c-jane', status: 'Quoted' }))).toEqual(['RB100']);
+        });
+    });
+
+    describe('revisions', () => {
+        const f1 = { discountPercentage: 5 };
+        const f2 = { deliveryQty: 1 };
+
+        it('should number snapshots of the open quote, including the F1/F2 inputs', async () => {
+            const record = await service.saveQuote(createQuote({ quoteId: 'Q-1', totalSum: 250 }));
+            const first = await service.createRevision({ quoteData: createQuote({ quoteId: 'Q-1', totalSum: 250 }), f1, f2 }, { note: ' As sent ' });
+            const second = await service.createRevision({ quoteData: createQuote({ quoteId: 'Q-1-R1', totalSum: 300 }), f1, f2 });
+
+            expect(first).toMatchObject({ recordId: record.recordId, revision: 1, quoteId: 'Q-1', grandTotal: 250, itemCount: 1, note: 'As sent' });
+            expect(second).toMatchObject({ revision: 2, quoteId: 'Q-1-R1', grandTotal: 300 });
+            expect(first.snapshot).toEqual({ quoteData: createQuote({ quoteId: 'Q-1', totalSum: 250 }), f1, f2 });
+
+            const revisions = await service.getRevisions();
+            expect(revisions.map(revision => revision.revision)).toEqual([1, 2]);
+        });
+
+        it('should not overwrite the open record, and save a quote that is not in the library yet', async () => {
+            await service.saveQuote(createQuote({ totalSum: 400 }));
+            await service.createRevision({ quoteData: createQuote({ totalSum: 100 }), f1, f2 });
+            expect(repository.records.get(service.getOpenRecordId()).grandTotal).toBe(400);
+
+            service.startNewQuote();
+            const revision = await service.createRevision({ quoteData: createQuote({ totalSum: 100 }), f1, f2 });
+            expect(revision.recordId).toBe(service.getOpenRecordId());
+            expect(repository.records.has(revision.recordId)).toBe(true);
+        });
+
+        it('should delete the revisions along with their quote', async () => {
+            const record = await service.saveQuote(createQuote());
+            await service.createRevision({ quoteData: createQuote(), f1, f2 });
+
+            await service.deleteQuote(record.recordId);
+
+            expect(repository.revisions.size).toBe(0);
+            expect(await service.getRevisions(record.recordId)).toEqual([]);
+        });
+    });
+
+    describe('documents', () => {
+        it('should attach files to the open quote, newest first, and delete them with it', async () => {
+            const record = await service.saveQuote(createQuote({ quoteId: 'Q-1' }));
+            const blob = new Blob(['%PDF-1.4'], { type: 'application/pdf' });
+            const first = await service.attachDocument(createQuote({ quoteId: 'Q-1' }), { blob, fileName: 'Quote Q-1.pdf' });
+            first.createdAt = '2026-01-01T00:00:00.000Z';
+            await service.attachDocument(createQuote({ quoteId: 'Q-1' }), { blob, fileName: 'Quote Q-1 (2).pdf' });
+
+            const documents = await service.getDocuments();
+            expect(documents.map(document => document.fileName)).toEqual(['Quote Q-1 (2).pdf', 'Quote Q-1.pdf']);
+            expect(documents[0]).toMatchObject({ recordId: record.recordId, quoteId: 'Q-1', type: 'application/pdf', size: 8 });
+            expect(documents[0].blob).toBe(blob);
+
+            await service.deleteQuote(record.recordId);
+            expect(repository.documents.size).toBe(0);
+        });
+    });
+
+    describe('findOtherQuotesWithId', () => {
+        beforeEach(async () => {
+            await service.saveQuote(createQuote({ quoteId: 'Q-2026-0001' }));
+            service.startNewQuote();
+            await service.saveQuote(createQuote({ quoteId: 'Q-2026-0002-R1' }));
+        });
+
+        it('should ignore the open quote', async () => {
+            expect(await service.findOtherQuotesWithId('Q-2026-0002-R1')).toEqual([]);
+            service.startNewQuote();
+            expect(await service.findOtherQuotesWithId('Q-2026-0002-R1')).toHaveLength(1);
+        });
+
+        it('should find revisions of a quote number only when asked to', async () => {
+            service.startNewQuote();
+            expect(await service.findOtherQuotesWithId('Q-2026-0002')).toEqual([]);
+            expect(await service.findOtherQuotesWithId('Q-2026-0002', { includeRevisions: true })).toHaveLength(1);
+            expect(await service.findOtherQuotesWithId('Q-2026-0001', { includeRevisions: true })).toHaveLength(1);
+        });
+    });
+});
\ No newline at end of file
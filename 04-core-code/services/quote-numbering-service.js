@@ -0,0 +1,129 @@
+// File: 04-core-code/services/quote-numbering-service.js
+
+import { STORAGE_KEYS } from '../config/constants.js';
+import {
+    DEFAULT_QUOTE_NUMBER_PATTERN,
+    formatQuoteNumber,
+    getQuoteNumberScope,
+    validateQuoteNumberPattern
+} from '../utils/quote-number-utils.js';
+
+// Stops issuing if this many numbers in a row are already used by saved quotes.
+const MAX_COLLISION_SKIPS = 1000;
+
+/**
+ * @fileoverview Issues sequential quote numbers from a configurable pattern.
+ * The pattern, the salesperson's initials and the last number issued in each counter scope (see
+ * getQuoteNumberScope) are kept in localStorage. A number that is already used by a saved quote,
+ * e.g. one typed in by hand or loaded from a file, is skipped.
+ */
+export class QuoteNumberingService {
+    constructor({ quoteLibraryService }) {
+        this.quoteLibraryService = quoteLibraryService;
+        this.settings = this._load();
+        console.log("QuoteNumberingService Initialized.");
+    }
+
+    /**
+     * @returns {{pattern: string, initials: string}}
+     */
+    getSettings() {
+        const { pattern, initials } = this.settings;
+        return { pattern, initials };
+    }
+
+    /**
+     * Changes the pattern and initials, and optionally the next counter value in the new scope
+     * (e.g. to carry on from another system's numbers).
+     * @param {object} settings
+     * @param {string} settings.pattern
+     * @param {string} [settings.initials]
+     * @param {number|null} [settings.nextCounter]
+     * @returns {{success: boolean, errors: Array<string>}}
+     */
+    saveSettings({ pattern, initials = '', nextCounter = null }) {
+        const errors = validateQuoteNumberPattern(pattern);
+        if (nextCounter !== null && (!Number.isInteger(nextCounter) || nextCounter < 1)) {
+            errors.push('The next number must be a whole number of 1 or more.');
+        }
+        if (errors.length > 0) {
+            return { success: false, errors };
+        }
+
+        this.settings = { ...this.settings, pattern: pattern.trim(), initials: initials.trim().toUpperCase() };
+        if (nextCounter !== null) {
+            this.settings.counters = { ...this.settings.counters, [this._getScope(new Date())]: nextCounter - 1 };
+        }
+        this._persist();
+        return { success: true, errors: [] };
+    }
+
+    /**
+     * The counter value the next number issued on the date will have, ignoring collisions.
+     */
+    getNextCounter(date = new Date()) {
+        return (this.settings.counters[this._getScope(date)] || 0) + 1;
+    }
+
+    previewNextNumber(date = new Date()) {
+        return this._format(date, this.getNextCounter(date));
+    }
+
+    /**
+     * Issues the next free quote number and records it as used.
+     * @param {Date} [date] - The date the number is issued on; supplies the year and month.
+     * @returns {Promise<string>}
+     */
+    async issueQuoteNumber(date = new Date()) {
+        let counter = this.getNextCounter(date);
+        for (let skips = 0; skips < MAX_COLLISION_SKIPS; skips++, counter++) {
+            const quoteId = this._format(date, counter);
+            if (!(await this.isQuoteIdTaken(quoteId, { includeRevisions: true }))) {
+                this.settings.counters = { ...this.settings.counters, [this._getScope(date)]: counter };
+                this._persist();
+                return quoteId;
+            }
+        }
+        throw new Error('No free quote number was found. Please check the numbering pattern.');
+    }
+
+    /**
+     * Returns true if a saved quote other than the open one uses the quote ID.
+     * @param {string} quoteId
+     * @param {object} [options]
+     * @param {boolean} [options.includeRevisions] - Also count revisions of the ID (ID-R1, ...).
+     * @returns {Promise<boolean>}
+     */
+    async isQuoteIdTaken(quoteId, { includeRevisions = false } = {}) {
+        const records = await this.quoteLibraryService.findOtherQuotesWithId(quoteId, { includeRevisions });
+        return records.length > 0;
+    }
+
+    _format(date, counter) {
+        return formatQuoteNumber(this.settings.pattern, { date, counter, initials: this.settings.initials });
+    }
+
+    _getScope(date) {
+        return getQuoteNumberScope(this.settings.pattern, { date, initials: this.settings.initials });
+    }
+
+    _load() {
+        const defaults = { pattern: DEFAULT_QUOTE_NUMBER_PATTERN, initials: '', counters: {} };
+        try {
+            const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.QUOTE_NUMBERING));
+            if (!stored || validateQuoteNumberPattern(stored.pattern).length > 0) return defaults;
+            return { ...defaults, ...stored, counters: { ...stored.counters } };
+        } catch (error) {
+            console.error('Failed to read the quote numbering settings:', error);
+            return defaults;
+        }
+    }
+
+    _persist() {
+        try {
+            localStorage.setItem(STORAGE_KEYS.QUOTE_NUMBERING, JSON.stringify(this.settings));
+        } catch (error) {
+            console.error('Failed to store the quote numbering settings:', error);
+        }
+    }
+}
\ No newline at end of file
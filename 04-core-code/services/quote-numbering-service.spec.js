@@ -0,0 +1,62 @@
+// File: 04-core-code/services/quote-numbering-service.spec.js
+
+import { QuoteNumberingService } from './quote-numbering-service.js';
+import { STORAGE_KEYS } from '../config/constants.js';
+
+describe('QuoteNumberingService', () => {
+    const date = new Date(2026, 2, 15);
+    let takenIds;
+    let mockQuoteLibraryService;
+    let service;
+
+    beforeEach(() => {
+        localStorage.clear();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        takenIds = [];
+        mockQuoteLibraryService = {
+            findOtherQuotesWithId: jest.fn(async (quoteId, { includeRevisions }) => takenIds
+                .filter(id => id === quoteId || (includeRevisions && id.startsWith(`${quoteId}-R`)))
+                .map(id => ({ quoteId: id }))),
+        };
+        service = new QuoteNumberingService({ quoteLibraryService: mockQuoteLibraryService });
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    it('should issue sequential numbers and remember the counter across restarts', async () => {
+        expect(await service.issueQuoteNumber(date)).toBe('Q-2026-0001');
+        expect(await service.issueQuoteNumber(date)).toBe('Q-2026-0002');
+
+        const restarted = new QuoteNumberingService({ quoteLibraryService: mockQuoteLibraryService });
+        expect(await restarted.issueQuoteNumber(date)).toBe('Q-2026-0003');
+    });
+
+    it('should start the counter again in a new year', async () => {
+        await service.issueQuoteNumber(date);
+        expect(await service.issueQuoteNumber(new Date(2027, 0, 2))).toBe('Q-2027-0001');
+    });
+
+    it('should skip numbers used by saved quotes, including their revisions', async () => {
+        takenIds = ['Q-2026-0001', 'Q-2026-0002-R1'];
+
+        expect(await service.issueQuoteNumber(date)).toBe('Q-2026-0003');
+        expect(mockQuoteLibraryService.findOtherQuotesWithId).toHaveBeenCalledWith('Q-2026-0002', { includeRevisions: true });
+    });
+
+    it('should save a valid pattern with initials and a new starting number', () => {
+        const result = service.saveSettings({ pattern: '{INITIALS}-{YY}-{###}', initials: 'jd', nextCounter: 100 });
+
+        expect(result).toEqual({ success: true, errors: [] });
+        expect(service.getSettings()).toEqual({ pattern: '{INITIALS}-{YY}-{###}', initials: 'JD' });
+        expect(service.previewNextNumber()).toMatch(/^JD-\d{2}-100$/);
+        expect(JSON.parse(localStorage.getItem(STORAGE_KEYS.QUOTE_NUMBERING)).pattern).toBe('{INITIALS}-{YY}-{###}');
+    });
+
+    it('should refuse an invalid pattern or starting number and keep the current settings', () => {
+        expect(service.saveSettings({ pattern: 'Q-{YYYY}' }).success).toBe(false);
+        expect(service.saveSettings({ pattern: 'Q-{####}', nextCounter: 0 }).success).toBe(false);
+        expect(service.getSettings().pattern).toBe('Q-{YYYY}-{####}');
+    });
+});
@@ -0,0 +1,289 @@
+// File: 04-core-code/services/quote-pdf-service.js
+
+import { companyConfig } from '../config/company-config.js';
+import { PdfDocument, A4_WIDTH, A4_HEIGHT } from '../utils/pdf-document.js';
+
+const MARGIN = 40;
+const CONTENT_WIDTH = A4_WIDTH - MARGIN * 2;
+const CONTENT_TOP = 78; // Below the company header.
+const CONTENT_BOTTOM = A4_HEIGHT - 50; // Above the footer.
+
+const GREY_TEXT = [90, 90, 90];
+const RULE_COLOR = [200, 200, 200];
+const HEADER_FILL = [242, 242, 242];
+
+const SUMMARY_ROW_HEIGHT = 20;
+const DETAIL_ROW_HEIGHT = 16;
+const DETAIL_FONT_SIZE = 7.5;
+
+// The columns of the detailed item list, as in detailed-item-list-final.html.
+const DETAIL_COLUMNS = [
+    { label: '#', width: 20, value: ({ rowNumber }) => rowNumber },
+    { label: 'Location', width: 60, align: 'left', value: ({ item }) => item.location },
+    { label: 'Width', width: 32, value: ({ item }) => item.width },
+    { label: 'Height', width: 32, value: ({ item }) => item.height },
+    { label: 'Type', width: 32, value: ({ item }) => item.fabricType },
+    { label: 'F-Name', width: 55, align: 'left', value: ({ item }) => item.fabric },
+    { label: 'F-Color', width: 45, align: 'left', value: ({ item }) => item.color },
+    { label: 'Over', width: 26, value: ({ item }) => item.over },
+    { label: 'O/I', width: 22, value: ({ item }) => item.oi },
+    { label: 'L/R', width: 22, value: ({ item }) => item.lr },
+    { label: 'Dual', width: 26, value: ({ item }) => item.dual },
+    { label: 'Chain', width: 26, value: ({ item }) => item.chain },
+    { label: 'Winder', width: 30, value: ({ item }) => item.winder },
+    { label: 'Motor', width: 30, value: ({ item }) => item.motor },
+    { label: 'Price', width: CONTENT_WIDTH - 458, align: 'right', value: ({ item }) => (item.linePrice ? formatPrice(item.linePrice) : '') }
+];
+
+const formatPrice = (value) => (typeof value === 'number' ? `$${value.toFixed(2)}` : '$0.00');
+
+/**
+ * @fileoverview Renders the printable quote as an A4 PDF without the browser's print dialog.
+ * The PDF has the quote page (quote details, customer, price summary, totals, notes and terms)
+ * followed by the detailed item list, whose table header is repeated on every page. Every page
+ * carries the company header and a footer with the page number.
+ * It works from the printable quote that WorkflowService also fills the HTML templates from, and
+ * needs no DOM, so quotes can be rendered in tests.
+ */
+export class QuotePdfService {
+    constructor({ company = companyConfig } = {}) {
+        this.company = company;
+        console.log("QuotePdfService Initialized.");
+    }
+
+    /**
+     * @param {object} printableQuote - See WorkflowService._buildPrintableQuote.
+     * @param {object} [options]
+     * @param {Date} [options.creationDate]
+     * @returns {Blob} An application/pdf Blob.
+     */
+    renderQuote(printableQuote, options = {}) {
+        return this.buildDocument(printableQuote, options).toBlob();
+    }
+
+    /**
+     * Lays out the quote without writing the file, so that its pages can be inspected.
+     * @returns {PdfDocument}
+     */
+    buildDocument(printableQuote, { creationDate = new Date() } = {}) {
+        const doc = new PdfDocument({
+            title: `Quote ${printableQuote.quoteId}`.trim(),
+            author: this.company.name,
+            creationDate
+        });
+        const layout = { doc, y: CONTENT_TOP, onNewPage: null };
+        this._newPage(layout);
+
+        this._drawQuoteDetails(layout, printableQuote);
+        this._drawSummary(layout, printableQuote);
+        this._drawNotes(layout, printableQuote);
+        this._drawItemList(layout, printableQuote);
+
+        for (let pageIndex = 0; pageIndex < doc.pageCount; pageIndex++) {
+            doc.setPage(pageIndex);
+            this._drawHeaderAndFooter(doc, pageIndex + 1, doc.pageCount);
+        }
+        return doc;
+    }
+
+    /**
+     * @returns {string} A file name for the quote's PDF, e.g. "Quote Q-2026-0042.pdf".
+     */
+    getFileName(quoteId) {
+        const safeId = String(quoteId || '').replace(/[\\/:*?"<>|]+/g, '-').trim();
+        return safeId ? `Quote ${safeId}.pdf` : 'Quote.pdf';
+    }
+
+    // --- Layout ---
+
+    _newPage(layout) {
+        layout.doc.addPage();
+        layout.y = CONTENT_TOP;
+        layout.onNewPage?.();
+    }
+
+    /**
+     * Starts a new page if the next block of the given height does not fit on this one.
+     */
+    _ensureSpace(layout, height) {
+        if (layout.y + height > CONTENT_BOTTOM) {
+            this._newPage(layout);
+        }
+    }
+
+    _drawHeaderAndFooter(doc, pageNumber, pageCount) {
+        const { name, addressLines, phone, email, web } = this.company;
+        doc.text(name, MARGIN, 44, { size: 18, bold: true });
+        doc.text(`Phone: ${phone}   Email: ${email}`, A4_WIDTH - MARGIN, 36, { size: 8, align: 'right', color: GREY_TEXT });
+        doc.text(web, A4_WIDTH - MARGIN, 47, { size: 8, align: 'right', color: GREY_TEXT });
+        doc.line(MARGIN, 56, A4_WIDTH - MARGIN, 56, { width: 1.5 });
+
+        const footerY = A4_HEIGHT - 30;
+        doc.line(MARGIN, footerY - 12, A4_WIDTH - MARGIN, footerY - 12, { color: RULE_COLOR });
+        doc.text(`${name}, ${addressLines.join(', ')}`, MARGIN, footerY, { size: 8, color: GREY_TEXT });
+        doc.text(`Page ${pageNumber} of ${pageCount}`, A4_WIDTH - MARGIN, footerY, { size: 8, align: 'right', color: GREY_TEXT });
+    }
+
+    _drawQuoteDetails(layout, quote) {
+        const { doc } = layout;
+        const top = layout.y;
+        const right = A4_WIDTH - MARGIN;
+
+        doc.text('QUOTE', right, top + 10, { size: 16, bold: true, align: 'right' });
+        const details = [
+            ['Quote No:', quote.quoteId],
+            ['Date:', quote.issueDate],
+            ['Valid Until:', quote.dueDate],
+            ['Status:', quote.status]
+        ];
+        details.forEach(([label, value], index) => {
+            const y = top + 28 + index * 13;
+            doc.text(label, right - 150, y, { size: 9, bold: true });
+            doc.text(value || '', right, y, { size: 9, align: 'right' });
+        });
+
+        const { customer } = quote;
+        const customerLines = [
+            customer.name,
+            ...doc.wrapText(customer.address, 260, { size: 9 }),
+            customer.phone,
+            customer.email
+        ].filter(Boolean);
+        doc.text('Quote to:', MARGIN, top + 10, { size: 9, bold: true });
+        customerLines.forEach((line, index) => {
+            doc.text(line, MARGIN, top + 24 + index * 12, { size: 9 });
+        });
+
+        layout.y = Math.max(top + 28 + details.length * 13, top + 24 + customerLines.length * 12) + 16;
+    }
+
+    _drawSummary(layout, quote) {
+        const { doc } = layout;
+        const right = A4_WIDTH - MARGIN;
+
+        const drawHeader = () => {
+            doc.rect(MARGIN, layout.y, CONTENT_WIDTH, SUMMARY_ROW_HEIGHT, { fill: HEADER_FILL, stroke: RULE_COLOR });
+            doc.text('DESCRIPTION', MARGIN + 8, layout.y + 13.5, { size: 9, bold: true });
+            doc.text('TOTAL', right - 8, layout.y + 13.5, { size: 9, bold: true, align: 'right' });
+            layout.y += SUMMARY_ROW_HEIGHT;
+        };
+
+        this._ensureSpace(layout, SUMMARY_ROW_HEIGHT * 2);
+        drawHeader();
+        layout.onNewPage = drawHeader;
+        quote.summaryRows.forEach(({ description, amount }) => {
+            this._ensureSpace(layout, SUMMARY_ROW_HEIGHT);
+            doc.rect(MARGIN, layout.y, CONTENT_WIDTH, SUMMARY_ROW_HEIGHT, { stroke: RULE_COLOR });
+            doc.text(doc.fitText(description, CONTENT_WIDTH - 120, { size: 9 }), MARGIN + 8, layout.y + 13.5, { size: 9 });
+            doc.text(formatPrice(amount), right - 8, layout.y + 13.5, { size: 9, align: 'right' });
+            layout.y += SUMMARY_ROW_HEIGHT;
+        });
+        layout.onNewPage = null;
+
+        const totals = [
+            ['Sub total', quote.subTotal, false],
+            ['GST (10%)', quote.gstAmount, false],
+            ['TOTAL', quote.finalTotal, true]
+        ];
+        this._ensureSpace(layout, 20 + totals.length * 16);
+        layout.y += 20;
+        totals.forEach(([label, value, isGrandTotal]) => {
+            if (isGrandTotal) {
+                doc.line(right - 200, layout.y - 2, right, layout.y - 2, { width: 1.5 });
+                layout.y += 4;
+            }
+            const size = isGrandTotal ? 12 : 9;
+            doc.text(label, right - 200, layout.y + 9, { size, bold: isGrandTotal });
+            doc.text(formatPrice(value), right, layout.y + 9, { size, bold: isGrandTotal, align: 'right' });
+            layout.y += 16;
+        });
+        layout.y += 16;
+    }
+
+    _drawNotes(layout, quote) {
+        const { doc } = layout;
+        const sections = [['Notes:', quote.notes], ['Terms & Conditions:', quote.terms]].filter(([, text]) => text && text.trim());
+        if (sections.length === 0) return;
+
+        this._ensureSpace(layout, 40);
+        doc.line(MARGIN, layout.y, A4_WIDTH - MARGIN, layout.y, { color: RULE_COLOR });
+        layout.y += 16;
+        sections.forEach(([title, text]) => {
+            this._ensureSpace(layout, 24);
+            doc.text(title, MARGIN, layout.y, { size: 9, bold: true });
+            layout.y += 12;
+            doc.wrapText(text, CONTENT_WIDTH, { size: 8 }).forEach(line => {
+                this._ensureSpace(layout, 10);
+                doc.text(line, MARGIN, layout.y, { size: 8 });
+                layout.y += 10;
+            });
+            layout.y += 8;
+        });
+    }
+
+    _drawItemList(layout, quote) {
+        const { doc } = layout;
+        this._newPage(layout);
+        doc.text('Detailed Item List', A4_WIDTH / 2, layout.y + 8, { size: 14, bold: true, align: 'center' });
+        layout.y += 24;
+
+        const drawHeader = () => {
+            this._drawDetailRow(layout, DETAIL_COLUMNS.map(column => column.label), { fill: HEADER_FILL, bold: true, centerAll: true });
+        };
+        drawHeader();
+        layout.onNewPage = drawHeader;
+
+        const showProductHeadings = quote.productGroups.length > 1;
+        const showRoomHeadings = quote.productGroups.some(group => group.rooms.some(({ room }) => room));
+        quote.productGroups.forEach(({ productName, totalSum, rooms }) => {
+            if (showProductHeadings) {
+                // Keep a product's heading on the same page as its first item.
+                this._ensureSpace(layout, DETAIL_ROW_HEIGHT * 2);
+                this._drawSpanningRow(layout, productName, '', { bold: true });
+            }
+            rooms.forEach(({ room, subtotal, items }) => {
+                const roomName = room || 'No location';
+                if (showRoomHeadings) {
+                    this._ensureSpace(layout, DETAIL_ROW_HEIGHT * 2);
+                    this._drawSpanningRow(layout, roomName, '', { bold: true });
+                }
+                items.forEach(entry => {
+                    this._ensureSpace(layout, DETAIL_ROW_HEIGHT);
+                    this._drawDetailRow(layout, DETAIL_COLUMNS.map(column => column.value(entry) ?? ''));
+                });
+                if (showRoomHeadings) {
+                    this._ensureSpace(layout, DETAIL_ROW_HEIGHT);
+                    this._drawSpanningRow(layout, `${roomName} Subtotal`, formatPrice(subtotal));
+                }
+            });
+            if (showProductHeadings) {
+                this._ensureSpace(layout, DETAIL_ROW_HEIGHT);
+                this._drawSpanningRow(layout, `${productName} Subtotal`, typeof totalSum === 'number' ? formatPrice(totalSum) : '');
+            }
+        });
+        layout.onNewPage = null;
+    }
+
+    _drawDetailRow(layout, values, { fill = null, bold = false, centerAll = false } = {}) {
+        const { doc } = layout;
+        let x = MARGIN;
+        DETAIL_COLUMNS.forEach((column, index) => {
+            doc.rect(x, layout.y, column.width, DETAIL_ROW_HEIGHT, { fill, stroke: RULE_COLOR });
+            const options = { size: DETAIL_FONT_SIZE, bold };
+            const text = doc.fitText(values[index], column.width - 4, options);
+            const align = centerAll ? 'center' : column.align || 'center';
+            const textX = align === 'left' ? x + 2 : align === 'right' ? x + column.width - 2 : x + column.width / 2;
+            doc.text(text, textX, layout.y + 10.5, { ...options, align });
+            x += column.width;
+        });
+        layout.y += DETAIL_ROW_HEIGHT;
+    }
+
+    _drawSpanningRow(layout, label, price, { bold = false } = {}) {
+        const { doc } = layout;
+        doc.rect(MARGIN, layout.y, CONTENT_WIDTH, DETAIL_ROW_HEIGHT, { stroke: RULE_COLOR });
+        doc.text(label, MARGIN + 2, layout.y + 10.5, { size: DETAIL_FONT_SIZE, bold });
+        doc.text(price, A4_WIDTH - MARGIN - 2, layout.y + 10.5, { size: DETAIL_FONT_SIZE, align: 'right' });
+        layout.y += DETAIL_ROW_HEIGHT;
+    }
+}
\ No newline at end of file
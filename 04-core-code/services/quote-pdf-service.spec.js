@@ -0,0 +1,97 @@
+// File: 04-core-code/services/quote-pdf-service.spec.js
+
+import { QuotePdfService } from './quote-pdf-service.js';
+
+const company = { name: 'Test Blinds', addressLines: ['1 Test St', 'Testville'], phone: '0400 000 000', email: 'a@b.c', web: 'test.example' };
+
+const createPrintableQuote = ({ itemCount = 3, products = ['Roller Blind'] } = {}) => ({
+    quoteId: 'Q-2026-0042',
+    issueDate: '2026-03-15',
+    dueDate: '2026-03-29',
+    status: 'Quoted',
+    customer: { name: 'Jane Doe', address: '1 Main St\nSpringfield', phone: '0400 111 222', email: 'jane@example.com' },
+    summaryRows: [{ description: 'Roller Blinds', amount: 900 }, { description: 'Installation Accessories', amount: 100 }],
+    subTotal: 1000,
+    gstAmount: 100,
+    finalTotal: 1100,
+    notes: 'Measure again before ordering.',
+    terms: '',
+    productGroups: products.map(productName => {
+        const items = Array.from({ length: itemCount }, (_, index) => ({
+            rowNumber: index + 1,
+            item: { width: 1000 + index, height: 1200, fabricType: 'B1', location: '', linePrice: 150 }
+        }));
+        return { productName, totalSum: 500, items, rooms: [{ room: '', subtotal: 500, items }] };
+    })
+});
+
+// The text shown on each page, from the uncompressed content streams.
+const pageTexts = (doc) => doc.pages.map(operations => operations
+    .map(operation => operation.match(/\((.*)\) Tj/)?.[1])
+    .filter(Boolean));
+
+describe('QuotePdfService', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        service = new QuotePdfService({ company });
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    it('should put the quote page and the detailed item list on separate pages', () => {
+        const doc = service.buildDocument(createPrintableQuote());
+        const [quotePage, itemPage] = pageTexts(doc);
+
+        expect(doc.pageCount).toBe(2);
+        expect(quotePage).toEqual(expect.arrayContaining(['QUOTE', 'Q-2026-0042', 'Jane Doe', 'Springfield', 'Roller Blinds', '$1100.00', 'Measure again before ordering.']));
+        expect(quotePage).not.toContain('Terms & Conditions:');
+        expect(itemPage).toEqual(expect.arrayContaining(['Detailed Item List', '1002', '$150.00']));
+        expect(itemPage).not.toContain('No location');
+    });
+
+    it('should repeat the company header, the table header and number every page', () => {
+        const doc = service.buildDocument(createPrintableQuote({ itemCount: 120 }));
+        const texts = pageTexts(doc);
+
+        expect(doc.pageCount).toBeGreaterThan(3);
+        texts.forEach((page, index) => {
+            expect(page).toContain('Test Blinds');
+            expect(page).toContain(`Page ${index + 1} of ${doc.pageCount}`);
+            if (index > 0) expect(page).toEqual(expect.arrayContaining(['Location', 'F-Name', 'Price']));
+        });
+        expect(texts.flat()).toContain('1119');
+    });
+
+    it('should add product headings and subtotals when the quote has several products', () => {
+        const texts = pageTexts(service.buildDocument(createPrintableQuote({ products: ['Roller Blind', 'Sheer Curtain'] }))).flat();
+
+        expect(texts).toEqual(expect.arrayContaining(['Roller Blind', 'Sheer Curtain', 'Sheer Curtain Subtotal', '$500.00']));
+    });
+
+    it('should add room headings and subtotals once locations are entered', () => {
+        const quote = createPrintableQuote();
+        const [first, second, third] = quote.productGroups[0].items;
+        first.item.location = 'Bed 1';
+        third.item.location = 'Bed 1';
+        quote.productGroups[0].rooms = [
+            { room: 'Bed 1', subtotal: 300, items: [first, third] },
+            { room: '', subtotal: 150, items: [second] }
+        ];
+        const texts = pageTexts(service.buildDocument(quote)).flat();
+
+        expect(texts).toEqual(expect.arrayContaining(['Bed 1', 'Bed 1 Subtotal', '$300.00', 'No location', 'No location Subtotal']));
+    });
+
+    it('should render a PDF Blob and name it after the quote', () => {
+        const blob = service.renderQuote(createPrintableQuote());
+
+        expect(blob.type).toBe('application/pdf');
+        expect(blob.size).toBeGreaterThan(0);
+        expect(service.getFileName('Q-2026/0042')).toBe('Quote Q-2026-0042.pdf');
+        expect(service.getFileName('')).toBe('Quote.pdf');
+    });
+});
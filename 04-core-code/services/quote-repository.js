@@ -0,0 +1,129 @@
+// File: 04-core-code/services/quote-repository.js
+
+const DB_NAME = 'quickQuoteLibrary';
+const DB_VERSION = 3;
+const STORE_NAME = 'quotes';
+const REVISION_STORE_NAME = 'revisions';
+const DOCUMENT_STORE_NAME = 'documents';
+
+/**
+ * @fileoverview A thin promise-based wrapper around the IndexedDB object stores that hold saved quotes.
+ * Records are keyed by `recordId`; the summary fields (quoteId, customerName, status, updatedAt) are
+ * indexed so that they can be looked up without loading every quote.
+ * Revisions (snapshots of a quote) and documents (files such as PDFs made from a quote) are kept
+ * in stores of their own, keyed by `revisionId` and `documentId` and indexed by the `recordId` of
+ * their quote, so that listing quotes does not load them.
+ */
+export class QuoteRepository {
+    constructor({ indexedDBFactory = window.indexedDB } = {}) {
+        this.indexedDBFactory = indexedDBFactory;
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return !!this.indexedDBFactory;
+    }
+
+    _openDatabase() {
+        if (this.dbPromise) return this.dbPromise;
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            if (!this.isAvailable()) {
+                reject(new Error('IndexedDB is not available in this browser.'));
+                return;
+            }
+            const request = this.indexedDBFactory.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains(STORE_NAME)) {
+                    const store = db.createObjectStore(STORE_NAME, { keyPath: 'recordId' });
+                    store.createIndex('quoteId', 'quoteId');
+                    store.createIndex('customerName', 'customerName');
+                    store.createIndex('status', 'status');
+                    store.createIndex('updatedAt', 'updatedAt');
+                }
+                if (!db.objectStoreNames.contains(REVISION_STORE_NAME)) {
+                    const revisionStore = db.createObjectStore(REVISION_STORE_NAME, { keyPath: 'revisionId' });
+                    revisionStore.createIndex('recordId', 'recordId');
+                }
+                if (!db.objectStoreNames.contains(DOCUMENT_STORE_NAME)) {
+                    const documentStore = db.createObjectStore(DOCUMENT_STORE_NAME, { keyPath: 'documentId' });
+                    documentStore.createIndex('recordId', 'recordId');
+                }
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        // Allow a later call to retry if opening failed (e.g. the user blocked storage).
+        this.dbPromise.catch(() => { this.dbPromise = null; });
+        return this.dbPromise;
+    }
+
+    async _run(mode, operation, storeName = STORE_NAME) {
+        const db = await this._openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    get(recordId) {
+        return this._run('readonly', store => store.get(recordId));
+    }
+
+    getAll() {
+        return this._run('readonly', store => store.getAll());
+    }
+
+    findByQuoteId(quoteId) {
+        return this._run('readonly', store => store.index('quoteId').getAll(quoteId));
+    }
+
+    async put(record) {
+        await this._run('readwrite', store => store.put(record));
+        return record;
+    }
+
+    delete(recordId) {
+        return this._run('readwrite', store => store.delete(recordId));
+    }
+
+    getRevisions(recordId) {
+        return this._run('readonly', store => store.index('recordId').getAll(recordId), REVISION_STORE_NAME);
+    }
+
+    async putRevision(revision) {
+        await this._run('readwrite', store => store.put(revision), REVISION_STORE_NAME);
+        return revision;
+    }
+
+    deleteRevisions(recordId) {
+        return this._deleteByRecordId(recordId, REVISION_STORE_NAME);
+    }
+
+    getDocuments(recordId) {
+        return this._run('readonly', store => store.index('recordId').getAll(recordId), DOCUMENT_STORE_NAME);
+    }
+
+    async putDocument(document) {
+        await this._run('readwrite', store => store.put(document), DOCUMENT_STORE_NAME);
+        return document;
+    }
+
+    deleteDocuments(recordId) {
+        return this._deleteByRecordId(recordId, DOCUMENT_STORE_NAME);
+    }
+
+    _deleteByRecordId(recordId, storeName) {
+        return this._run('readwrite', store => {
+            const request = store.index('recordId').getAllKeys(recordId);
+            // The transaction completes once these deletes have run too.
+            request.onsuccess = () => request.result.forEach(key => store.delete(key));
+            return request;
+        }, storeName);
+    }
+}
\ No newline at end of file
@@ -2,6 +2,7 @@
 
 import { EVENTS } from '../config/constants.js';
 import { createRootReducer } from '../reducers/root-reducer.js';
+import { isItemEditAction, isQuoteLocked } from '../utils/quote-status-utils.js';
 
 /**
  * @fileoverview Service for managing the entire application state.
@@ -32,6 +33,16 @@ export class StateService {
      * @param {object} action The action object describing the state change.
      */
     dispatch(action) {
+        // The reducer ignores item edits on a locked quote; tell the user why nothing happened.
+        const { status } = this._state.quoteData;
+        if (isItemEditAction(action) && isQuoteLocked(status)) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, {
+                message: `This quote is ${status}, so its items are locked. Change the status to Configuring to edit them.`,
+                type: 'error'
+            });
+            return;
+        }
+
         const newState = this.reducer(this._state, action);
         
         // Only update and publish if the state has actually changed.
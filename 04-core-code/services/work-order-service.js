@@ -0,0 +1,90 @@
+// /04-core-code/services/work-order-service.js
+
+import { getRoomKey } from '../utils/room-utils.js';
+
+/**
+ * @fileoverview Builds the installer work order (cutting sheet) of a quote: the entered items of
+ * every product, grouped by location, with the fields set in K1-K5 that the workshop and the
+ * installer need and without prices.
+ */
+export class WorkOrderService {
+    constructor({ productFactory }) {
+        this.productFactory = productFactory;
+        console.log("WorkOrderService Initialized.");
+    }
+
+    /**
+     * @param {object} quoteData
+     * @returns {{quoteId: string, issueDate: string, customer: object, itemCount: number, dualPairCount: number,
+     *   locations: Array<{location: string, items: Array<object>}>}}
+     *   Locations are listed in the order they first appear and items in the order of their product
+     *   and row. Each item has its product and row number, its size, fabric and K3-K5 options, and
+     *   `dualPair`, the number of the dual bracket pair it belongs to (or null).
+     */
+    buildWorkOrder(quoteData) {
+        const locations = new Map();
+        let itemCount = 0;
+        let dualPairCount = 0;
+
+        Object.entries(quoteData.products || {}).forEach(([productKey, productData]) => {
+            const productName = this._getProductName(productKey);
+            // Dual blinds are marked in K5 in adjacent rows; each two marked rows share a bracket.
+            let pendingDual = null;
+
+            (productData.items || []).forEach((item, index) => {
+                if (!item.width && !item.height) return;
+
+                const entry = {
+                    itemId: item.itemId,
+                    productKey,
+                    productName,
+                    rowNumber: index + 1,
+                    location: (item.location || '').trim(),
+                    width: item.width,
+                    height: item.height,
+                    fabricType: item.fabricType || '',
+                    fabric: item.fabric || '',
+                    color: item.color || '',
+                    over: item.over || '',
+                    oi: item.oi || '',
+                    lr: item.lr || '',
+                    dual: item.dual || '',
+                    dualPair: null,
+                    chain: item.chain || null,
+                    winder: item.winder || '',
+                    motor: item.motor || ''
+                };
+                if (entry.dual === 'D') {
+                    if (pendingDual) {
+                        dualPairCount++;
+                        pendingDual.dualPair = dualPairCount;
+                        entry.dualPair = dualPairCount;
+                        pendingDual = null;
+                    } else {
+                        pendingDual = entry;
+                    }
+                }
+
+                // Locations are grouped as rooms, so "Bed 1" and "bed 1" share a heading.
+                const roomKey = getRoomKey(entry.location);
+                if (!locations.has(roomKey)) locations.set(roomKey, { location: entry.location, items: [] });
+                locations.get(roomKey).items.push(entry);
+                itemCount++;
+            });
+        });
+
+        return {
+            quoteId: quoteData.quoteId || '',
+            issueDate: quoteData.issueDate || '',
+            customer: { ...quoteData.customer },
+            itemCount,
+            dualPairCount,
+            locations: [...locations.values()]
+        };
+    }
+
+    _getProductName(productKey) {
+        const strategy = this.productFactory.getProductStrategy(productKey);
+        return strategy?.getProductName ? strategy.getProductName() : productKey;
+    }
+}
\ No newline at end of file
@@ -0,0 +1,68 @@
+// /04-core-code/services/work-order-service.spec.js
+
+import { WorkOrderService } from './work-order-service.js';
+
+describe('WorkOrderService', () => {
+    const productNames = { rollerBlind: 'Roller Blind', sheerCurtain: 'Sheer Curtain' };
+    let workOrderService;
+
+    const item = (fields) => ({
+        itemId: fields.itemId, width: 1000, height: 1200, fabricType: 'B1', linePrice: 100,
+        location: '', fabric: '', color: '', over: '', oi: '', lr: '', dual: '', chain: null, winder: '', motor: '',
+        ...fields
+    });
+
+    beforeEach(() => {
+        workOrderService = new WorkOrderService({
+            productFactory: { getProductStrategy: (productKey) => ({ getProductName: () => productNames[productKey] }) }
+        });
+    });
+
+    it('should group the entered items of every product by location in the order they first appear', () => {
+        const workOrder = workOrderService.buildWorkOrder({
+            quoteId: 'Q-2026-0042',
+            customer: { name: 'Jane Doe' },
+            products: {
+                rollerBlind: {
+                    items: [
+                        item({ itemId: 'a', location: 'Bed 1 ', fabric: 'Linen', color: 'White', over: 'O', lr: 'L', chain: 1500, winder: 'HD' }),
+                        item({ itemId: 'b', location: 'Lounge', motor: 'Motor' }),
+                        item({ itemId: 'c', location: 'Bed 1' }),
+                        item({ itemId: 'd', width: null, height: null })
+                    ]
+                },
+                sheerCurtain: { items: [item({ itemId: 'e', location: 'Lounge' })] }
+            }
+        });
+
+        expect(workOrder).toMatchObject({ quoteId: 'Q-2026-0042', customer: { name: 'Jane Doe' }, itemCount: 4, dualPairCount: 0 });
+        expect(workOrder.locations.map(({ location, items }) => [location, items.map(entry => entry.itemId)])).toEqual([
+            ['Bed 1', ['a', 'c']],
+            ['Lounge', ['b', 'e']]
+        ]);
+        expect(workOrder.locations[0].items[0]).toMatchObject({
+            productName: 'Roller Blind', rowNumber: 1, width: 1000, height: 1200,
+            fabric: 'Linen', color: 'White', over: 'O', lr: 'L', chain: 1500, winder: 'HD'
+        });
+        expect(workOrder.locations[0].items[0]).not.toHaveProperty('linePrice');
+        expect(workOrder.locations[1].items[1]).toMatchObject({ productName: 'Sheer Curtain', rowNumber: 1 });
+    });
+
+    it('should number the dual pairs in row order and leave an unpaired dual without a pair', () => {
+        const workOrder = workOrderService.buildWorkOrder({
+            products: {
+                rollerBlind: {
+                    items: [
+                        item({ itemId: 'a', dual: 'D' }), item({ itemId: 'b', dual: 'D' }),
+                        item({ itemId: 'c' }),
+                        item({ itemId: 'd', dual: 'D' }), item({ itemId: 'e', dual: 'D' }),
+                        item({ itemId: 'f', dual: 'D' })
+                    ]
+                }
+            }
+        });
+
+        expect(workOrder.dualPairCount).toBe(2);
+        expect(workOrder.locations[0].items.map(entry => entry.dualPair)).toEqual([1, 1, null, 2, 2, null]);
+    });
+});
\ No newline at end of file
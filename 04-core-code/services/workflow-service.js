@@ -1,22 +1,52 @@
 // File: 04-core-code/services/workflow-service.js
 
 import { initialState } from '../config/initial-state.js';
-import { EVENTS, DOM_IDS } from '../config/constants.js';
-import { paths } from '../config/paths.js';
+import { EVENTS, DOM_IDS, STORAGE_KEYS, QUOTE_STATUS } from '../config/constants.js';
+import { PRINT_TEMPLATES, DEFAULT_PRINT_TEMPLATE } from '../config/print-templates.js';
+import { companyConfig } from '../config/company-config.js';
 import * as uiActions from '../actions/ui-actions.js';
 import * as quoteActions from '../actions/quote-actions.js';
+import * as historyActions from '../actions/history-actions.js';
+import { canChangeQuoteStatus, getNextQuoteStatuses, isKnownQuoteStatus, isQuoteLocked, isQuoteStatusNoteRequired } from '../utils/quote-status-utils.js';
+import { getNextRevisionId } from '../utils/quote-number-utils.js';
+import { migrateUiMetadata } from '../utils/item-metadata-utils.js';
+import { renderTemplate } from '../utils/template-engine.js';
+import { groupItemsByRoom } from '../utils/room-utils.js';
+
+const QUOTE_DUE_DAYS = 14;
+
+// Formats a date as YYYY-MM-DD in local time, the value format of date inputs.
+const formatDateInput = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+const addDays = (dateString, days) => {
+    const [year, month, day] = dateString.split('-').map(Number);
+    return formatDateInput(new Date(year, month - 1, day + days));
+};
 
 /**
  * @fileoverview A dedicated service for coordinating complex, multi-step user workflows.
  * This service takes complex procedural logic out of the AppController.
  */
 export class WorkflowService {
-    constructor({ eventAggregator, stateService, fileService, calculationService, productFactory, detailConfigView }) {
+    constructor({ eventAggregator, stateService, fileService, calculationService, productFactory, configManager, quoteLibraryService, customerService, quoteNumberingService, locationVocabularyService, quotePdfService, workOrderService, purchaseOrderService, detailConfigView }) {
         this.eventAggregator = eventAggregator;
         this.stateService = stateService;
         this.fileService = fileService;
         this.calculationService = calculationService;
         this.productFactory = productFactory;
+        this.configManager = configManager;
+        this.quoteLibraryService = quoteLibraryService;
+        this.customerService = customerService;
+        this.quoteNumberingService = quoteNumberingService;
+        this.locationVocabularyService = locationVocabularyService;
+        this.quotePdfService = quotePdfService;
+        this.workOrderService = workOrderService;
+        this.purchaseOrderService = purchaseOrderService;
         this.detailConfigView = detailConfigView;
 
         this.f2InputSequence = [
@@ -27,33 +57,56 @@ export class WorkflowService {
         console.log("WorkflowService Initialized.");
     }
 
+    /**
+     * Prints the document chosen in F3 (see config/print-templates.js) in the preview overlay.
+     */
     async handlePrintableQuoteRequest() {
-        const state = this.stateService.getState();
-        const f3Inputs = this._getF3InputValues();
-        const finalQuoteData = this._mergeF3Overrides(state, f3Inputs);
-
         try {
-            const [quoteTemplate, detailTemplate] = await Promise.all([
-                fetch(paths.partials.quoteTemplate).then(res => res.text()),
-                fetch(paths.partials.detailedItemList).then(res => res.text())
-            ]);
+            const templateId = this._getPrintTemplateId();
+            const partials = await Promise.all(
+                PRINT_TEMPLATES[templateId].partials.map(path => fetch(path).then(res => res.text()))
+            );
+
+            if (!this.stateService.getState().quoteData.quoteId && !(await this._assignQuoteNumber())) {
+                return;
+            }
+            // Producing the printable quote is what turns a configuration into a quote.
+            if (this.stateService.getState().quoteData.status === QUOTE_STATUS.CONFIGURING) {
+                this._changeQuoteStatus(QUOTE_STATUS.QUOTED, { note: 'Printable quote generated.' });
+            }
+            // A customer who is quoted is kept in the directory for the next quote.
+            this._linkCustomerToDirectory();
 
-            let populatedQuote = this._populateQuoteTemplate(quoteTemplate, finalQuoteData, f3Inputs);
-            let populatedDetail = this._populateDetailTemplate(detailTemplate, finalQuoteData);
+            const finalQuoteData = this._applyFinalOfferPrice(this.stateService.getState());
+            const printableQuote = this._buildPrintableQuote(finalQuoteData);
+
+            const documentHtml = this._renderPrintTemplate(partials, printableQuote);
+            // The PDF is drawn from the same data but always as the customer quote.
+            const pdfButton = templateId === DEFAULT_PRINT_TEMPLATE
+                ? '<button id="preview-btn-pdf" class="btn-download">Download PDF</button>'
+                : '';
+            const workOrderCsvButton = templateId === 'installerWorkOrder'
+                ? '<button id="preview-btn-work-order-csv" class="btn-download">Download Work Order CSV</button>'
+                : '';
+            const purchaseOrderCsvButton = templateId === 'supplierOrder'
+                ? '<button id="preview-btn-purchase-order-csv" class="btn-download">Download Order CSV</button>'
+                : '';
 
             const finalHtml = `
                 <div class="preview-content-area">
                     <div class="preview-actions">
-                        <button id="preview-btn-print" class="btn-print">Print / Save as PDF</button>
+                        ${pdfButton}
+                        ${workOrderCsvButton}
+                        ${purchaseOrderCsvButton}
+                        <button id="preview-btn-print" class="btn-print">Print</button>
                         <button id="preview-btn-json" class="btn-download">Download JSON</button>
                         <button id="preview-btn-csv" class="btn-download">Download CSV</button>
+                        <button id="preview-btn-xlsx" class="btn-download">Download Excel</button>
                         <button id="preview-btn-save" class="btn-save-cloud" disabled>Save to Cloud</button>
                         <button id="preview-btn-close" class="btn-close">Close</button>
                     </div>
                     <div class="preview-scroll-container">
-                        ${populatedQuote}
-                        <div class="page-break-before"></div>
-                        ${populatedDetail}
+                        ${documentHtml}
                     </div>
                 </div>`;
             
@@ -61,7 +114,7 @@ export class WorkflowService {
             overlay.innerHTML = finalHtml;
             overlay.classList.remove('is-hidden');
 
-            this._bindPreviewActions(finalQuoteData);
+            this._bindPreviewActions(finalQuoteData, printableQuote);
 
         } catch (error) {
             console.error('Failed to generate printable quote:', error);
@@ -69,117 +122,111 @@ export class WorkflowService {
         }
     }
 
-    _getF3InputValues() {
-        const queryValue = (id) => document.getElementById(id)?.value || '';
-        return {
-            quoteId: queryValue('f3-quote-id'),
-            issueDate: queryValue('f3-issue-date'),
-            dueDate: queryValue('f3-due-date'),
-            customerName: queryValue('f3-customer-name'),
-            customerAddress: queryValue('f3-customer-address'),
-            customerPhone: queryValue('f3-customer-phone'),
-            customerEmail: queryValue('f3-customer-email'),
-            finalOfferPrice: queryValue('f3-final-offer-price'),
-            generalNotes: queryValue('f3-general-notes'),
-            termsConditions: queryValue('f3-terms-conditions'),
-        };
-    }
-
-    _mergeF3Overrides(state, f3Inputs) {
+    /**
+     * Returns a copy of the state for printing in which the final offer price, if one was entered,
+     * replaces the calculated total.
+     */
+    _applyFinalOfferPrice(state) {
         let finalState = JSON.parse(JSON.stringify(state));
+        const finalPrice = state.quoteData.finalOfferPrice;
 
-        // Override customer info
-        finalState.quoteData.customer.name = f3Inputs.customerName || finalState.quoteData.customer.name;
-        finalState.quoteData.customer.address = f3Inputs.customerAddress || finalState.quoteData.customer.address;
-        finalState.quoteData.customer.phone = f3Inputs.customerPhone || finalState.quoteData.customer.phone;
-        finalState.quoteData.customer.email = f3Inputs.customerEmail || finalState.quoteData.customer.email;
-
-        // Override quote details
-        finalState.quoteData.quoteId = f3Inputs.quoteId || finalState.quoteData.quoteId;
-        finalState.quoteData.issueDate = f3Inputs.issueDate || finalState.quoteData.issueDate;
-        finalState.quoteData.dueDate = f3Inputs.dueDate || finalState.quoteData.dueDate;
-
-        // Override final price if provided
-        if (f3Inputs.finalOfferPrice && !isNaN(parseFloat(f3Inputs.finalOfferPrice))) {
-            const finalPrice = parseFloat(f3Inputs.finalOfferPrice);
+        if (typeof finalPrice === 'number' && finalPrice > 0) {
             const gst = finalPrice / 11;
-            const subTotal = finalPrice - gst;
             finalState.ui.f2.gst = finalPrice; // GST incl.
             finalState.ui.f2.netProfit = finalPrice - (state.ui.f1.finalTotal || 0);
             
-            // For template placeholders
-            finalState.templateOverrides = {
-                final_total: `$${finalPrice.toFixed(2)}`,
-                gst_amount: `$${gst.toFixed(2)}`,
-                sub_total: `$${subTotal.toFixed(2)}`
+            // For the printed totals
+            finalState.totalsOverride = {
+                finalTotal: finalPrice,
+                gstAmount: gst,
+                subTotal: finalPrice - gst
             };
         }
 
         return finalState;
     }
 
-    _populateQuoteTemplate(template, state, f3Inputs) {
+    /**
+     * Collects what the printed quote shows from a state prepared by _applyFinalOfferPrice.
+     * The HTML preview and the PDF are both made from it.
+     * @returns {object} The quote details and customer, the summary rows and totals, the notes and
+     *   terms, the entered items grouped by product as { rowNumber, item }, the installer work
+     *   order (see WorkOrderService) and the supplier purchase orders (see PurchaseOrderService).
+     */
+    _buildPrintableQuote(state) {
+        const { quoteData } = state;
         const f2 = state.ui.f2;
-        const overrides = state.templateOverrides || {};
-        
-        const formatPrice = (value) => (typeof value === 'number') ? `$${value.toFixed(2)}` : '$0.00';
-
-        let productSummaryRows = `
-            <tr>
-                <td>Roller Blinds</td>
-                <td class="price">${formatPrice(f2.disRbPrice)}</td>
-            </tr>
-            <tr>
-                <td>Installation Accessories</td>
-                <td class="price">${formatPrice(f2.acceSum + f2.eAcceSum + f2.surchargeFee)}</td>
-            </tr>
-        `;
-
-        return template
-            .replace('{{quote_id}}', state.quoteData.quoteId)
-            .replace('{{issue_date}}', state.quoteData.issueDate)
-            .replace('{{due_date}}', state.quoteData.dueDate)
-            .replace('{{customer_name}}', state.quoteData.customer.name)
-            .replace('{{customer_address}}', state.quoteData.customer.address)
-            .replace('{{customer_phone}}', state.quoteData.customer.phone)
-            .replace('{{customer_email}}', state.quoteData.customer.email)
-            .replace('{{product_summary_rows}}', productSummaryRows)
-            .replace('{{sub_total}}', overrides.sub_total || formatPrice(f2.sumPrice))
-            .replace('{{gst_amount}}', overrides.gst_amount || formatPrice(f2.gst - f2.sumPrice))
-            .replace('{{final_total}}', overrides.final_total || formatPrice(f2.gst))
-            .replace('{{notes}}', f3Inputs.generalNotes)
-            .replace('{{terms_and_conditions}}', f3Inputs.termsConditions);
-    }
-
-    _populateDetailTemplate(template, state) {
-        const items = state.quoteData.products[state.quoteData.currentProduct].items;
-        let itemRows = items.map((item, index) => {
-            if (!item.width && !item.height) return ''; // Skip empty final row
-            return `
-                <tr>
-                    <td>${index + 1}</td>
-                    <td class="text-left">${item.location || ''}</td>
-                    <td>${item.width || ''}</td>
-                    <td>${item.height || ''}</td>
-                    <td>${item.fabricType || ''}</td>
-                    <td class="text-left">${item.fabric || ''}</td>
-                    <td class="text-left">${item.color || ''}</td>
-                    <td>${item.over || ''}</td>
-                    <td>${item.oi || ''}</td>
-                    <td>${item.lr || ''}</td>
-                    <td>${item.dual || ''}</td>
-                    <td>${item.chain || ''}</td>
-                    <td>${item.winder || ''}</td>
-                    <td>${item.motor || ''}</td>
-                    <td class="price">${item.linePrice ? `$${item.linePrice.toFixed(2)}` : ''}</td>
-                </tr>
-            `;
-        }).join('');
-
-        return template.replace('{{item_rows}}', itemRows);
+        const overrides = state.totalsOverride;
+
+        // The discounted product price is split across products in proportion to their subtotals.
+        const { subtotals, grandTotal } = this.calculationService.getQuoteTotals(quoteData);
+        const summaryRows = subtotals.map(({ productName, totalSum }) => ({
+            description: `${productName}s`,
+            amount: f2.disRbPrice * (grandTotal ? (totalSum || 0) / grandTotal : 0)
+        }));
+        summaryRows.push({ description: 'Installation Accessories', amount: f2.acceSum + f2.eAcceSum + f2.surchargeFee });
+
+        return {
+            quoteId: quoteData.quoteId || '',
+            issueDate: quoteData.issueDate || '',
+            dueDate: quoteData.dueDate || '',
+            status: quoteData.status,
+            customer: { ...quoteData.customer },
+            summaryRows,
+            subTotal: overrides ? overrides.subTotal : f2.sumPrice,
+            gstAmount: overrides ? overrides.gstAmount : f2.gst - f2.sumPrice,
+            finalTotal: overrides ? overrides.finalTotal : f2.gst,
+            notes: quoteData.generalNotes || '',
+            terms: quoteData.termsConditions || '',
+            productGroups: subtotals.map(({ productKey, productName, totalSum }) => {
+                const items = quoteData.products[productKey].items;
+                return {
+                    productName,
+                    totalSum,
+                    items: items
+                        .map((item, index) => ({ rowNumber: index + 1, item }))
+                        .filter(({ item }) => item.width || item.height), // Skip empty final row
+                    rooms: groupItemsByRoom(items).map(({ room, indexes }) => ({
+                        room,
+                        subtotal: indexes.reduce((sum, index) => sum + (items[index].linePrice || 0), 0),
+                        items: indexes.map(index => ({ rowNumber: index + 1, item: items[index] }))
+                    }))
+                };
+            }),
+            workOrder: this.workOrderService.buildWorkOrder(quoteData),
+            purchaseOrders: this.purchaseOrderService.buildPurchaseOrders(quoteData, state.ui)
+        };
     }
-    
-    _bindPreviewActions(finalState) {
+
+    /**
+     * Renders the partials of a print template with the printable quote, each on a new page.
+     * Besides the printable quote, the partials can use `company` (config/company-config.js),
+     * `showProductHeadings`, which is true when the quote has items of more than one product, and
+     * `showRoomHeadings`, which is true when locations were entered.
+     */
+    _renderPrintTemplate(partials, printableQuote) {
+        const context = {
+            ...printableQuote,
+            company: companyConfig,
+            showProductHeadings: printableQuote.productGroups.length > 1,
+            showRoomHeadings: printableQuote.productGroups.some(group => group.rooms.some(({ room }) => room))
+        };
+        return partials
+            .map(partial => renderTemplate(partial, context))
+            .join('<div class="page-break-before"></div>');
+    }
+
+    _getPrintTemplateId() {
+        const { printTemplateId } = this.stateService.getState().ui;
+        return PRINT_TEMPLATES[printTemplateId] ? printTemplateId : DEFAULT_PRINT_TEMPLATE;
+    }
+
+    handlePrintTemplateChange({ templateId }) {
+        if (!PRINT_TEMPLATES[templateId]) return;
+        this.stateService.dispatch(uiActions.setPrintTemplate(templateId));
+    }
+
+    _bindPreviewActions(finalState, printableQuote) {
         const overlay = document.getElementById(DOM_IDS.QUOTE_PREVIEW_OVERLAY);
         if (!overlay) return;
 
@@ -187,13 +234,27 @@ export class WorkflowService {
 
         overlay.querySelector('#preview-btn-close').addEventListener('click', close);
         overlay.querySelector('#preview-btn-print').addEventListener('click', () => window.print());
+        overlay.querySelector('#preview-btn-pdf')?.addEventListener('click', () => this._downloadQuotePdf(printableQuote));
+        overlay.querySelector('#preview-btn-work-order-csv')?.addEventListener('click', () => {
+            const result = this.fileService.exportWorkOrderToCsv(printableQuote.workOrder);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: result.success ? 'info' : 'error' });
+        });
+        overlay.querySelector('#preview-btn-purchase-order-csv')?.addEventListener('click', () => {
+            const result = this.fileService.exportPurchaseOrdersToCsv(printableQuote.purchaseOrders);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: result.success ? 'info' : 'error' });
+        });
         
         overlay.querySelector('#preview-btn-json').addEventListener('click', () => {
             this.fileService.saveToJson(finalState.quoteData);
         });
 
         overlay.querySelector('#preview-btn-csv').addEventListener('click', () => {
-            this.fileService.exportToCsv(finalState.quoteData);
+            this.fileService.exportToCsv(finalState.quoteData, finalState.ui);
+        });
+
+        overlay.querySelector('#preview-btn-xlsx')?.addEventListener('click', () => {
+            const result = this.fileService.exportToXlsx(finalState.quoteData, finalState.ui, printableQuote);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: result.success ? 'info' : 'error' });
         });
         
         // Listener for future cloud save functionality
@@ -202,6 +263,32 @@ export class WorkflowService {
         });
     }
 
+    /**
+     * Renders the quote as a PDF, downloads it and attaches it to the quote in the library.
+     */
+    async _downloadQuotePdf(printableQuote) {
+        let blob;
+        const fileName = this.quotePdfService.getFileName(printableQuote.quoteId);
+        try {
+            blob = this.quotePdfService.renderQuote(printableQuote);
+        } catch (error) {
+            console.error('Failed to render the quote PDF:', error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'The PDF could not be created.', type: 'error' });
+            return;
+        }
+
+        const result = this.fileService.savePdf(blob, fileName);
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: result.success ? 'info' : 'error' });
+
+        if (!this.quoteLibraryService.isAvailable()) return;
+        try {
+            await this.quoteLibraryService.attachDocument(this.stateService.getState().quoteData, { blob, fileName });
+        } catch (error) {
+            console.error('Failed to attach the PDF to the quote:', error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'The PDF could not be attached to the saved quote.', type: 'error' });
+        }
+    }
+
     handleRemoteDistribution() {
         const { ui } = this.stateService.getState();
         const totalRemoteCount = ui.driveRemoteCount || 0;
@@ -277,7 +364,7 @@ export class WorkflowService {
 
     handleDualDistribution() {
         const { quoteData, ui } = this.stateService.getState();
-        const items = quoteData.products[quoteData.currentProduct].items;
+        const items = Object.values(quoteData.products).flatMap(productData => productData.items);
         const totalDualPairs = Math.floor(items.filter(item => item.dual === 'D').length / 2);
     
         const initialCombo = (ui.f1.dual_combo_qty === null) ? totalDualPairs : ui.f1.dual_combo_qty;
@@ -354,7 +441,7 @@ export class WorkflowService {
         const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
         const { updatedQuoteData } = this.calculationService.calculateAndSum(quoteData, productStrategy);
         
-        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
+        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData, { skipHistory: true }));
     }
 
     handleF2TabActivation() {
@@ -362,7 +449,7 @@ export class WorkflowService {
         const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
         const { updatedQuoteData } = this.calculationService.calculateAndSum(quoteData, productStrategy);
         
-        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
+        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData, { skipHistory: true }));
         
         this.detailConfigView.driveAccessoriesView.recalculateAllDriveAccessoryPrices();
         this.detailConfigView.dualChainView._calculateAndStoreDualPrice();
@@ -379,19 +466,80 @@ export class WorkflowService {
             this.detailConfigView.activateTab('k1-tab'); 
         } else {
             this.stateService.dispatch(uiActions.setCurrentView('QUICK_QUOTE'));
-            this.stateService.dispatch(uiActions.setVisibleColumns(initialState.ui.visibleColumns));
+            this._syncQuickQuoteColumns();
         }
     }
 
     handleNavigationToQuickQuoteView() {
         this.stateService.dispatch(uiActions.setCurrentView('QUICK_QUOTE'));
-        this.stateService.dispatch(uiActions.setVisibleColumns(initialState.ui.visibleColumns));
+        this._syncQuickQuoteColumns();
     }
 
     handleTabSwitch({ tabId }) {
+        const { quoteData } = this.stateService.getState();
+        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
+        if (productStrategy && !productStrategy.getDetailTabs().includes(tabId)) {
+            const tabName = tabId.replace('-tab', '').toUpperCase();
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, {
+                message: `${tabName} is not available for ${productStrategy.getProductName()}.`,
+                type: 'error'
+            });
+            return;
+        }
         this.detailConfigView.activateTab(tabId);
     }
 
+    handleProductSwitchRequest() {
+        const { quoteData } = this.stateService.getState();
+        const currentStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
+        const currentName = currentStrategy ? currentStrategy.getProductName() : quoteData.currentProduct;
+
+        const productButtons = this.productFactory.getProductTypes().map(productKey => {
+            const productName = this.productFactory.getProductStrategy(productKey).getProductName();
+            return {
+                type: 'button',
+                text: productKey === quoteData.currentProduct ? `${productName} (current)` : productName,
+                callback: () => this._switchProduct(productKey)
+            };
+        });
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Current product: ${currentName}. Each product keeps its own items. Switch to:`,
+            layout: [
+                productButtons,
+                [{ type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }]
+            ]
+        });
+    }
+
+    _switchProduct(productKey) {
+        const { quoteData } = this.stateService.getState();
+        if (productKey === quoteData.currentProduct) return;
+
+        this.stateService.dispatch(quoteActions.setCurrentProduct(productKey));
+        this.stateService.dispatch(uiActions.setCurrentView('QUICK_QUOTE'));
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+        this.stateService.dispatch(uiActions.clearLFSelection());
+        this.stateService.dispatch(uiActions.setActiveCell(0, 'width'));
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+        this._syncQuickQuoteColumns();
+
+        const productName = this.productFactory.getProductStrategy(productKey).getProductName();
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Switched to ${productName}.` });
+    }
+
+    /**
+     * Shows the Quick Quote columns of the current product while the Quick Quote view is active.
+     */
+    _syncQuickQuoteColumns() {
+        const { ui, quoteData } = this.stateService.getState();
+        if (ui.currentView !== 'QUICK_QUOTE') return;
+
+        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
+        const columns = productStrategy ? productStrategy.getQuickQuoteColumns() : initialState.ui.visibleColumns;
+        this.stateService.dispatch(uiActions.setVisibleColumns(columns));
+    }
+
     handleUserRequestedLoad() {
         const { quoteData } = this.stateService.getState();
         const productKey = quoteData.currentProduct;
@@ -409,18 +557,292 @@ export class WorkflowService {
         this.eventAggregator.publish(EVENTS.TRIGGER_FILE_LOAD);
     }
 
-    handleFileLoad({ fileName, content }) {
+    async handleFileLoad({ fileName, content }) {
         const result = this.fileService.parseFileContent(fileName, content);
-        if (result.success) {
-            this.stateService.dispatch(quoteActions.setQuoteData(result.data));
-            this.stateService.dispatch(uiActions.resetUi());
-            this.stateService.dispatch(uiActions.setSumOutdated(true));
+        if (result.success && result.needsColumnMapping) {
+            // A sheet from elsewhere goes through the import wizard, which comes back to handleMeasurementImport.
+            this.eventAggregator.publish(EVENTS.SHOW_MEASUREMENT_IMPORT, { fileName, rows: result.data });
+        } else if (result.success) {
+            if (!(await this._openLoadedQuote(result.data))) return;
+            if (result.uiInputs) {
+                this.stateService.dispatch(uiActions.restoreFinancialInputs(result.uiInputs));
+            }
             this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message });
+            this.handleQuotePriceListCheck();
         } else {
             this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: 'error' });
         }
     }
 
+    /**
+     * Opens the items accepted in the measurement import wizard as a new quote.
+     */
+    async handleMeasurementImport({ fileName, productKey, items }) {
+        let quoteData;
+        try {
+            quoteData = this.fileService.createQuoteFromItems(productKey, items);
+        } catch (error) {
+            console.error('Failed to import measurements:', error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: error.message, type: 'error' });
+            return;
+        }
+        if (!(await this._openLoadedQuote(quoteData))) return;
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Imported ${items.length} item(s) from ${fileName}.` });
+        this.handleQuotePriceListCheck();
+    }
+
+    /**
+     * A loaded file becomes a new quote in the library; the previous quote is saved first and keeps its record.
+     * @returns {Promise<boolean>} False if the open quote could not be saved and nothing was loaded.
+     */
+    async _openLoadedQuote(quoteData) {
+        if (!(await this._saveOpenQuote())) return false;
+        this.quoteLibraryService.startNewQuote();
+        this._replaceQuote(quoteData);
+        return true;
+    }
+
+    /**
+     * Starts a new, blank quote. The current quote is saved to the library first and stays there.
+     */
+    async handleNewQuote() {
+        if (!(await this._saveOpenQuote())) return;
+        this.quoteLibraryService.startNewQuote();
+        this.stateService.dispatch(quoteActions.resetQuoteData());
+        this.stateService.dispatch(historyActions.clearHistory());
+        this.stateService.dispatch(uiActions.resetUi());
+        this.handleQuotePriceListCheck();
+    }
+
+    /**
+     * Opens a quote from the library in place of the current one, which is saved first.
+     */
+    async handleOpenQuote({ recordId }) {
+        if (recordId === this.quoteLibraryService.getOpenRecordId()) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'This quote is already open.' });
+            return;
+        }
+        if (!(await this._saveOpenQuote())) return;
+
+        try {
+            const quoteData = await this.quoteLibraryService.openQuote(recordId);
+            this._replaceQuote(quoteData);
+            const label = quoteData.quoteId || quoteData.customer?.name || 'Untitled quote';
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Opened "${label}".` });
+            this.handleQuotePriceListCheck();
+        } catch (error) {
+            console.error('Failed to open quote:', error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'The quote could not be opened.', type: 'error' });
+        }
+    }
+
+    /**
+     * Called once at startup. A quote restored from the legacy single autosave slot is moved into
+     * the library; otherwise the quote that was open when the app was last closed is reopened.
+     * Without IndexedDB the app keeps using the legacy slot, so there is nothing to do.
+     */
+    async handleRestoreOpenQuote({ legacyQuoteData = null } = {}) {
+        if (!this.quoteLibraryService.isAvailable()) return;
+
+        try {
+            if (legacyQuoteData) {
+                await this.quoteLibraryService.adoptLegacyAutoSave(legacyQuoteData);
+                return;
+            }
+            const quoteData = await this.quoteLibraryService.loadOpenQuote();
+            if (quoteData) {
+                this._replaceQuote(quoteData);
+            }
+        } catch (error) {
+            console.error('Failed to restore the open quote:', error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'The last open quote could not be restored from the quote library.', type: 'error' });
+        }
+    }
+
+    /**
+     * Saves the quote on screen to its library record before another quote replaces it.
+     * @returns {Promise<boolean>} False if the quote could not be saved and should not be replaced.
+     */
+    async _saveOpenQuote() {
+        if (!this.quoteLibraryService.isAvailable()) return true;
+        try {
+            await this.quoteLibraryService.autoSave(this.stateService.getState().quoteData);
+            return true;
+        } catch (error) {
+            console.error('Failed to save the open quote:', error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'The current quote could not be saved to the quote library.', type: 'error' });
+            return false;
+        }
+    }
+
+    /**
+     * Keeps a revision of the quote on screen, including the F1/F2 inputs.
+     * @param {string} note
+     * @returns {Promise<object|null>} The revision, or null if it could not be stored.
+     */
+    async _createRevision(note) {
+        if (!this.quoteLibraryService.isAvailable()) return null;
+        const { quoteData, ui } = this.stateService.getState();
+        try {
+            return await this.quoteLibraryService.createRevision({ quoteData, f1: ui.f1, f2: ui.f2 }, { note });
+        } catch (error) {
+            console.error('Failed to create a quote revision:', error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'A revision of the quote could not be saved.', type: 'error' });
+            return null;
+        }
+    }
+
+    /**
+     * Replaces the quote on screen. Undo history is cleared so that undo cannot bring the previous
+     * quote's data into the newly opened one.
+     */
+    _replaceQuote(quoteData) {
+        // Quotes saved before the status workflow may have a free-text status or none at all.
+        if (!isKnownQuoteStatus(quoteData.status)) {
+            quoteData = { ...quoteData, status: QUOTE_STATUS.CONFIGURING };
+        }
+        // Library quotes saved before LF marks were keyed by itemId hold row positions.
+        if (quoteData.uiMetadata?.lfModifiedRowIndexes) {
+            quoteData = { ...quoteData, uiMetadata: migrateUiMetadata(quoteData.uiMetadata, quoteData.products) };
+        }
+        this.stateService.dispatch(quoteActions.setQuoteData(quoteData, { skipHistory: true }));
+        this.stateService.dispatch(historyActions.clearHistory());
+        this.stateService.dispatch(uiActions.resetUi());
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+        this._syncQuickQuoteColumns();
+    }
+
+    /**
+     * Switches the price list in use to the quote's own and warns if the quote was priced on
+     * an older (or no longer available) price list than the one in effect today, offering a re-price.
+     */
+    handleQuotePriceListCheck() {
+        const { quoteData } = this.stateService.getState();
+        const pinnedVersion = quoteData.priceListVersion || null;
+        this.configManager.usePriceList({ version: pinnedVersion, date: quoteData.issueDate });
+
+        // An accepted quote keeps the prices the customer agreed to.
+        if (isQuoteLocked(quoteData.status)) return;
+
+        const hasPricedItems = this.calculationService.getAllItems(quoteData).some(item => typeof item.linePrice === 'number');
+        if (!pinnedVersion || !hasPricedItems) return;
+
+        const latestVersion = this.configManager.findPriceListVersion();
+        const isAvailable = this.configManager.hasPriceListVersion(pinnedVersion);
+        if (isAvailable && this.configManager.comparePriceListVersions(pinnedVersion, latestVersion) >= 0) return;
+
+        const message = isAvailable
+            ? `This quote was priced on price list ${pinnedVersion}. Price list ${latestVersion} is now in effect.`
+            : `This quote was priced on price list ${pinnedVersion}, which is no longer available. Price list ${latestVersion} is now in effect.`;
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message,
+            layout: [[
+                {
+                    type: 'button',
+                    text: `Compare Re-price with ${latestVersion}`,
+                    callback: () => {
+                        this._showRepriceDiff(latestVersion);
+                        return false;
+                    },
+                    colspan: 2
+                },
+                { type: 'button', text: 'Keep Prices', className: 'secondary', callback: () => {} }
+            ]]
+        });
+    }
+
+    /**
+     * Prices the quote on another price list version and shows the before/after line prices
+     * and totals. The re-priced quote only replaces the current one once confirmed.
+     */
+    _showRepriceDiff(targetVersion) {
+        const { quoteData } = this.stateService.getState();
+        const productStrategy = this.productFactory.getProductStrategy(quoteData.currentProduct);
+        const { updatedQuoteData } = this.calculationService.calculateAndSum({ ...quoteData, priceListVersion: targetVersion }, productStrategy);
+        const diff = this.calculationService.getPriceDiff(quoteData, updatedQuoteData);
+
+        const formatPrice = (value) => (typeof value === 'number' ? `$${value.toFixed(2)}` : 'n/a');
+        const MAX_DIFF_ROWS = 10;
+
+        const itemRows = diff.items.slice(0, MAX_DIFF_ROWS).map(({ productKey, rowIndex, item, before, after }) => {
+            const productPrefix = productKey !== quoteData.currentProduct
+                ? `${this.productFactory.getProductStrategy(productKey).getProductName()} `
+                : '';
+            return [
+                { type: 'text', text: `${productPrefix}#${rowIndex + 1} ${item.fabricType || ''}` },
+                { type: 'text', text: `${item.width || ''} x ${item.height || ''}` },
+                { type: 'text', text: `${formatPrice(before)} → ${formatPrice(after)}` }
+            ];
+        });
+        if (diff.items.length > MAX_DIFF_ROWS) {
+            itemRows.push([{ type: 'text', text: `...and ${diff.items.length - MAX_DIFF_ROWS} more changed items.`, colspan: 3 }]);
+        }
+
+        const restorePinnedPriceList = () => this.configManager.usePriceList({ version: quoteData.priceListVersion, date: quoteData.issueDate });
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: diff.items.length > 0
+                ? `Re-pricing on price list ${targetVersion} changes ${diff.items.length} line price(s):`
+                : `Re-pricing on price list ${targetVersion} does not change any line price.`,
+            layout: [
+                ...itemRows,
+                [
+                    { type: 'text', text: 'Total' },
+                    { type: 'text', text: '' },
+                    { type: 'text', text: `${formatPrice(diff.totalBefore)} → ${formatPrice(diff.totalAfter)}` }
+                ],
+                [
+                    {
+                        type: 'button',
+                        text: `Apply Price List ${targetVersion}`,
+                        callback: () => {
+                            this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
+                            this.stateService.dispatch(uiActions.setSumOutdated(false));
+                            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Quote re-priced on price list ${targetVersion}.` });
+                        },
+                        colspan: 2
+                    },
+                    { type: 'button', text: 'Cancel', className: 'secondary', callback: restorePinnedPriceList }
+                ]
+            ],
+            closeOnOverlayClick: false
+        });
+    }
+
+    handleUndo() {
+        this._travelHistory(historyActions.undo(), 'Nothing to undo.');
+    }
+
+    handleRedo() {
+        this._travelHistory(historyActions.redo(), 'Nothing to redo.');
+    }
+
+    _travelHistory(action, emptyMessage) {
+        const quoteDataBefore = this.stateService.getState().quoteData;
+        this.stateService.dispatch(action);
+
+        const { quoteData, ui } = this.stateService.getState();
+        if (quoteData === quoteDataBefore) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: emptyMessage });
+            return;
+        }
+
+        // Row-based UI selections may now point past the end of the restored item list.
+        const items = quoteData.products[quoteData.currentProduct].items;
+        const lastIndex = items.length - 1;
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+        this.stateService.dispatch(uiActions.clearLFSelection());
+        if (ui.activeCell && ui.activeCell.rowIndex > lastIndex) {
+            this.stateService.dispatch(uiActions.setActiveCell(lastIndex, ui.activeCell.column));
+        }
+        if (ui.targetCell && ui.targetCell.rowIndex > lastIndex) {
+            this.stateService.dispatch(uiActions.setTargetCell(null));
+        }
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+        this._syncQuickQuoteColumns();
+    }
+
     handleF1DiscountChange({ percentage }) {
         this.stateService.dispatch(uiActions.setF1DiscountPercentage(percentage));
     }
@@ -466,4 +888,318 @@ export class WorkflowService {
             this.stateService.dispatch(uiActions.setF2Value(key, summaryValues[key]));
         }
     }
+
+    /**
+     * Gives a quote that has none yet an issue date of today and a due date, and a quote number
+     * once it has items (so that abandoned blank quotes do not use up numbers).
+     * These are defaults rather than edits, so they are not an undo step.
+     */
+    handleF3TabActivation() {
+        const { quoteData } = this.stateService.getState();
+        const now = new Date();
+        const defaults = {};
+        if (!quoteData.issueDate) {
+            defaults.issueDate = formatDateInput(now);
+        }
+        if (!quoteData.dueDate) {
+            defaults.dueDate = addDays(defaults.issueDate || quoteData.issueDate, QUOTE_DUE_DAYS);
+        }
+        if (Object.keys(defaults).length > 0) {
+            this.stateService.dispatch(quoteActions.updateQuoteDetails(defaults, { skipHistory: true }));
+        }
+        if (!quoteData.quoteId && this.quoteLibraryService.hasContent(quoteData)) {
+            this._assignQuoteNumber();
+        }
+    }
+
+    handleF3ValueChange({ field, value }) {
+        const details = {};
+        if (field === 'finalOfferPrice') {
+            const price = parseFloat(value);
+            details.finalOfferPrice = Number.isFinite(price) && price > 0 ? price : null;
+        } else if (field === 'issueDate') {
+            details.issueDate = value || null;
+            // The due date follows the issue date.
+            if (value) details.dueDate = addDays(value, QUOTE_DUE_DAYS);
+        } else if (field === 'quoteId' || field === 'dueDate') {
+            details[field] = value.trim() || null;
+        } else {
+            details[field] = value;
+        }
+        this.stateService.dispatch(quoteActions.updateQuoteDetails(details));
+
+        if (field === 'quoteId' && details.quoteId) {
+            this._warnIfQuoteIdTaken(details.quoteId);
+        }
+    }
+
+    /**
+     * Issues the next quote number to the quote on screen.
+     * @returns {Promise<boolean>} False if no number could be issued.
+     */
+    async _assignQuoteNumber() {
+        try {
+            const quoteId = await this.quoteNumberingService.issueQuoteNumber();
+            // The user may have typed an ID while the number was being issued.
+            if (this.stateService.getState().quoteData.quoteId) return true;
+            this.stateService.dispatch(quoteActions.updateQuoteDetails({ quoteId }, { skipHistory: true }));
+            return true;
+        } catch (error) {
+            console.error('Failed to issue a quote number:', error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: error.message, type: 'error' });
+            return false;
+        }
+    }
+
+    async _warnIfQuoteIdTaken(quoteId) {
+        try {
+            if (await this.quoteNumberingService.isQuoteIdTaken(quoteId)) {
+                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, {
+                    message: `Quote ID ${quoteId} is already used by another saved quote.`,
+                    type: 'error'
+                });
+            }
+        } catch (error) {
+            console.error('Failed to check the quote ID:', error);
+        }
+    }
+
+    /**
+     * Shows the quote numbering settings: the pattern, the salesperson's initials and the next number.
+     */
+    handleQuoteNumberingRequest() {
+        const { pattern, initials } = this.quoteNumberingService.getSettings();
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Quote numbers use a pattern with {YYYY}, {YY}, {MM}, {INITIALS} and a counter such as {####}. The next number is ${this.quoteNumberingService.previewNextNumber()}.`,
+            layout: [
+                [
+                    { type: 'text', text: 'Pattern' },
+                    { type: 'input', inputType: 'text', id: DOM_IDS.DIALOG_INPUT_NUMBER_PATTERN, value: pattern, colspan: 2 }
+                ],
+                [
+                    { type: 'text', text: 'Initials' },
+                    { type: 'input', inputType: 'text', id: DOM_IDS.DIALOG_INPUT_NUMBER_INITIALS, value: initials, placeholder: 'e.g. JD', colspan: 2 }
+                ],
+                [
+                    { type: 'text', text: 'Next No.' },
+                    { type: 'input', id: DOM_IDS.DIALOG_INPUT_NUMBER_NEXT, placeholder: 'Leave blank to carry on', colspan: 2 }
+                ],
+                [
+                    { type: 'button', text: 'Save', callback: () => this._saveQuoteNumberingFromDialog() },
+                    { type: 'button', text: 'Cancel', className: 'secondary', colspan: 2, callback: () => {} }
+                ]
+            ]
+        });
+    }
+
+    _saveQuoteNumberingFromDialog() {
+        const valueOf = (id) => document.getElementById(id)?.value.trim() || '';
+        const nextValue = valueOf(DOM_IDS.DIALOG_INPUT_NUMBER_NEXT);
+        const result = this.quoteNumberingService.saveSettings({
+            pattern: valueOf(DOM_IDS.DIALOG_INPUT_NUMBER_PATTERN),
+            initials: valueOf(DOM_IDS.DIALOG_INPUT_NUMBER_INITIALS),
+            nextCounter: nextValue === '' ? null : Number(nextValue)
+        });
+        if (!result.success) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.errors.join(' '), type: 'error' });
+            return false;
+        }
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Quote numbering saved. The next number is ${this.quoteNumberingService.previewNextNumber()}.` });
+    }
+
+    /**
+     * Shows the team's room presets, offered in K1 and in the location auto-complete, for editing.
+     */
+    handleLocationPresetsRequest() {
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: 'Room presets are offered when entering locations in K1. Separate the names with commas.',
+            layout: [
+                [
+                    { type: 'input', inputType: 'text', id: DOM_IDS.DIALOG_INPUT_LOCATION_PRESETS, value: this.locationVocabularyService.getPresets().join(', '), colspan: 3 }
+                ],
+                [
+                    { type: 'button', text: 'Save', callback: () => this._saveLocationPresetsFromDialog() },
+                    { type: 'button', text: 'Defaults', className: 'secondary', callback: () => this._resetLocationPresets() },
+                    { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }
+                ]
+            ]
+        });
+    }
+
+    _saveLocationPresetsFromDialog() {
+        const value = document.getElementById(DOM_IDS.DIALOG_INPUT_LOCATION_PRESETS)?.value || '';
+        const result = this.locationVocabularyService.savePresets(value.split(','));
+        if (!result.success) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.errors.join(' '), type: 'error' });
+            return false;
+        }
+        this.eventAggregator.publish(EVENTS.LOCATION_PRESETS_CHANGED);
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${this.locationVocabularyService.getPresets().length} room presets saved.` });
+    }
+
+    _resetLocationPresets() {
+        this.locationVocabularyService.resetPresets();
+        this.eventAggregator.publish(EVENTS.LOCATION_PRESETS_CHANGED);
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Room presets reset to the defaults.' });
+    }
+
+    handleCustomerFieldChange({ field, value }) {
+        this.stateService.dispatch(quoteActions.updateCustomerField(field, value));
+    }
+
+    /**
+     * Fills the quote's customer from the customer directory.
+     */
+    handleCustomerSelected({ customerId }) {
+        const customer = this.customerService.getCustomer(customerId);
+        if (!customer) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'The customer could not be found in the directory.', type: 'error' });
+            return;
+        }
+        this.stateService.dispatch(quoteActions.setCustomer(customer));
+    }
+
+    /**
+     * Adds the quote's customer to the directory, or updates the directory entry it is linked to.
+     */
+    handleSaveCustomerRequest() {
+        const { customer } = this.stateService.getState().quoteData;
+        if (!customer?.name) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Please enter the customer name first.', type: 'error' });
+            return;
+        }
+        try {
+            const saved = this.customerService.saveCustomer(customer);
+            this.stateService.dispatch(quoteActions.setCustomer(saved));
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${saved.name} saved to the customer directory.` });
+        } catch (error) {
+            console.error('Failed to save customer:', error);
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: error.message, type: 'error' });
+        }
+    }
+
+    /**
+     * Opens the quote library filtered to the quote's customer.
+     */
+    handleCustomerQuotesRequest() {
+        const { customer } = this.stateService.getState().quoteData;
+        if (!customer?.customerId) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Save the customer to the directory to see their quotes.' });
+            return;
+        }
+        this.eventAggregator.publish(EVENTS.SHOW_QUOTE_LIBRARY, { customerId: customer.customerId, customerName: customer.name });
+    }
+
+    /**
+     * Adds a named customer who is not linked yet to the directory. Failure only costs the link,
+     * so it is logged rather than interrupting the workflow.
+     */
+    _linkCustomerToDirectory() {
+        const { customer } = this.stateService.getState().quoteData;
+        if (!customer?.name || customer.customerId) return;
+        try {
+            this.stateService.dispatch(quoteActions.setCustomer(this.customerService.saveCustomer(customer)));
+        } catch (error) {
+            console.error('Failed to add the customer to the directory:', error);
+        }
+    }
+
+    /**
+     * Shows the quote's status and the statuses it can move to, with fields for who made the change and why.
+     */
+    handleStatusChangeRequest() {
+        const { quoteData } = this.stateService.getState();
+        const nextStatuses = getNextQuoteStatuses(quoteData.status);
+        if (nextStatuses.length === 0) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${quoteData.status} is the final status of a quote.` });
+            return;
+        }
+
+        const lastChange = (quoteData.statusHistory || []).slice(-1)[0];
+        const since = lastChange ? ` since ${new Date(lastChange.changedAt).toLocaleString()}${lastChange.changedBy ? ` (${lastChange.changedBy})` : ''}` : '';
+
+        const statusButtons = nextStatuses.map(status => ({
+            type: 'button',
+            text: status === QUOTE_STATUS.CONFIGURING ? 'Reopen' : status,
+            callback: () => this._changeQuoteStatusFromDialog(status)
+        }));
+        const cancelButton = { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} };
+        const buttonRows = statusButtons.length < 3
+            ? [[...statusButtons, { ...cancelButton, colspan: 3 - statusButtons.length }]]
+            : [statusButtons, [{ ...cancelButton, colspan: 3 }]];
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `This quote is ${quoteData.status}${since}. Move it to:`,
+            layout: [
+                [
+                    { type: 'text', text: 'By' },
+                    { type: 'input', inputType: 'text', id: DOM_IDS.DIALOG_INPUT_STATUS_BY, value: this._getStatusChangedBy(), placeholder: 'Your name', colspan: 2 }
+                ],
+                [
+                    { type: 'text', text: 'Note' },
+                    { type: 'input', inputType: 'text', id: DOM_IDS.DIALOG_INPUT_STATUS_NOTE, placeholder: 'Why (required to reject or reopen)', colspan: 2 }
+                ],
+                ...buttonRows
+            ]
+        });
+    }
+
+    _changeQuoteStatusFromDialog(status) {
+        const changedBy = document.getElementById(DOM_IDS.DIALOG_INPUT_STATUS_BY)?.value.trim() || '';
+        const note = document.getElementById(DOM_IDS.DIALOG_INPUT_STATUS_NOTE)?.value.trim() || '';
+
+        if (isQuoteStatusNoteRequired(status) && !note) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Please enter a note saying why.', type: 'error' });
+            return false;
+        }
+
+        try {
+            localStorage.setItem(STORAGE_KEYS.STATUS_CHANGED_BY, changedBy);
+        } catch (error) {
+            console.error('Failed to remember who changed the status:', error);
+        }
+        this._changeQuoteStatus(status, { changedBy, note });
+    }
+
+    _getStatusChangedBy() {
+        try {
+            return localStorage.getItem(STORAGE_KEYS.STATUS_CHANGED_BY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    /**
+     * Moves the quote to another status if the lifecycle allows it.
+     * @returns {boolean} True if the status was changed.
+     */
+    _changeQuoteStatus(status, { changedBy = this._getStatusChangedBy(), note = '' } = {}) {
+        const { quoteData } = this.stateService.getState();
+        if (!canChangeQuoteStatus(quoteData.status, status)) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `A quote that is ${quoteData.status} cannot be moved to ${status}.`, type: 'error' });
+            return false;
+        }
+
+        // Amending a quote the customer has already seen keeps a revision of what they saw and
+        // gives the amended quote the next revision of the same number.
+        const isAmendment = status === QUOTE_STATUS.CONFIGURING &&
+            [QUOTE_STATUS.SENT, QUOTE_STATUS.ACCEPTED, QUOTE_STATUS.REJECTED].includes(quoteData.status);
+        const revisionSaved = isAmendment
+            ? this._createRevision(`${quoteData.status} version, before amendment.`)
+            : null;
+
+        this.stateService.dispatch(quoteActions.setQuoteStatus(status, { changedBy, note }));
+        let message = `Quote status changed to ${status}.`;
+        if (isAmendment && quoteData.quoteId) {
+            const revisionId = getNextRevisionId(quoteData.quoteId);
+            this.stateService.dispatch(quoteActions.updateQuoteDetails({ quoteId: revisionId }));
+            message += ` The amended quote is ${revisionId}.`;
+        }
+        // A status change is a checkpoint: undo must not take the quote back across it (e.g. unlock an accepted quote).
+        this.stateService.dispatch(historyActions.clearHistory());
+        // The revision may create the library record, so it has to be stored before the amended quote.
+        Promise.resolve(revisionSaved).then(() => this._saveOpenQuote());
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message });
+        return true;
+    }
 }
\ No newline at end of file
@@ -1,7 +1,11 @@
 // File: 04-core-code/services/workflow-service.spec.js
 
+import { readFileSync } from 'fs';
 import { WorkflowService } from './workflow-service.js';
+import { WorkOrderService } from './work-order-service.js';
 import { EVENTS } from '../config/constants.js';
+import { PRINT_TEMPLATES } from '../config/print-templates.js';
+import { paths } from '../config/paths.js';
 
 describe('WorkflowService', () => {
     let workflowService;
@@ -12,6 +16,11 @@ describe('WorkflowService', () => {
     let mockQuoteService;
     let mockCalculationService;
     let mockProductFactory;
+    let mockConfigManager;
+    let mockQuoteLibraryService;
+    let mockCustomerService;
+    let mockQuoteNumberingService;
+    let mockPurchaseOrderService;
     let mockDetailConfigView;
 
     beforeEach(() => {
@@ -29,6 +38,39 @@ describe('WorkflowService', () => {
         mockQuoteService = {};
         mockCalculationService = {};
         mockProductFactory = {};
+        mockConfigManager = {
+            usePriceList: jest.fn(),
+            findPriceListVersion: jest.fn(() => '1.1'),
+            hasPriceListVersion: jest.fn(() => true),
+            comparePriceListVersions: jest.fn((a, b) => a.localeCompare(b)),
+        };
+        mockQuoteLibraryService = {
+            isAvailable: jest.fn(() => true),
+            autoSave: jest.fn(async () => null),
+            startNewQuote: jest.fn(),
+            getOpenRecordId: jest.fn(() => 'current'),
+            openQuote: jest.fn(),
+            hasContent: jest.fn(() => true),
+            createRevision: jest.fn(async () => ({ revision: 1 })),
+        };
+        mockCustomerService = {
+            getCustomer: jest.fn(),
+            saveCustomer: jest.fn(customer => ({ ...customer, customerId: customer.customerId || 'c-new' })),
+        };
+        mockQuoteNumberingService = {
+            issueQuoteNumber: jest.fn(async () => 'Q-2026-0001'),
+            isQuoteIdTaken: jest.fn(async () => false),
+        };
+        mockPurchaseOrderService = {
+            buildPurchaseOrders: jest.fn(() => [{
+                supplier: 'B Window Covers', quoteId: 'Q-2026-0042', issueDate: '2026-03-15',
+                fabricLines: [{
+                    productName: 'Roller Blind', fabricType: 'B1', fabricTypeName: 'UNILINE - SUNSET', fabric: '', color: '',
+                    quantity: 1, cost: 90, cutSizes: [{ width: 1000, height: 1200, quantity: 1, cost: 90 }]
+                }],
+                hardwareLines: [], fabricCost: 90, hardwareCost: 0, totalCost: 90
+            }]),
+        };
         mockDetailConfigView = {};
 
         // Arrange: Instantiate the service with mock dependencies
@@ -39,6 +81,12 @@ describe('WorkflowService', () => {
             quoteService: mockQuoteService,
             calculationService: mockCalculationService,
             productFactory: mockProductFactory,
+            configManager: mockConfigManager,
+            quoteLibraryService: mockQuoteLibraryService,
+            customerService: mockCustomerService,
+            quoteNumberingService: mockQuoteNumberingService,
+            workOrderService: new WorkOrderService({ productFactory: { getProductStrategy: () => ({ getProductName: () => 'Roller Blind' }) } }),
+            purchaseOrderService: mockPurchaseOrderService,
             detailConfigView: mockDetailConfigView,
         });
     });
@@ -110,4 +158,442 @@ describe('WorkflowService', () => {
             );
         });
     });
+
+    describe('handleQuotePriceListCheck', () => {
+        const mockStateWithQuote = (priceListVersion) => ({
+            quoteData: {
+                currentProduct: 'rollerBlind',
+                issueDate: '2025-01-10',
+                priceListVersion,
+                products: { rollerBlind: { items: [{ width: 1000, height: 1000, linePrice: 120 }] } }
+            }
+        });
+
+        beforeEach(() => {
+            mockCalculationService.getAllItems = jest.fn(quoteData => quoteData.products.rollerBlind.items);
+        });
+
+        it('should use the pinned price list and warn when a newer one is in effect', () => {
+            mockStateService.getState.mockReturnValue(mockStateWithQuote('1.0'));
+
+            workflowService.handleQuotePriceListCheck();
+
+            expect(mockConfigManager.usePriceList).toHaveBeenCalledWith({ version: '1.0', date: '2025-01-10' });
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(
+                EVENTS.SHOW_CONFIRMATION_DIALOG,
+                expect.objectContaining({
+                    message: 'This quote was priced on price list 1.0. Price list 1.1 is now in effect.',
+                })
+            );
+        });
+
+        it('should not warn when the quote is on the current price list', () => {
+            mockStateService.getState.mockReturnValue(mockStateWithQuote('1.1'));
+
+            workflowService.handleQuotePriceListCheck();
+
+            expect(mockEventAggregator.publish).not.toHaveBeenCalled();
+        });
+
+        it('should not warn for a quote that has not been priced yet', () => {
+            mockStateService.getState.mockReturnValue(mockStateWithQuote(null));
+
+            workflowService.handleQuotePriceListCheck();
+
+            expect(mockConfigManager.usePriceList).toHaveBeenCalledWith({ version: null, date: '2025-01-10' });
+            expect(mockEventAggregator.publish).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('quote library workflows', () => {
+        const currentQuote = { currentProduct: 'rollerBlind', products: { rollerBlind: { items: [] } } };
+        const openedQuote = { currentProduct: 'rollerBlind', quoteId: 'RB100', status: 'Quoted', priceListVersion: null, products: { rollerBlind: { items: [] } } };
+
+        beforeEach(() => {
+            mockStateService.dispatch = jest.fn();
+            mockStateService.getState.mockReturnValue({ ui: { currentView: 'QUICK_QUOTE' }, quoteData: currentQuote });
+            mockProductFactory.getProductStrategy = jest.fn(() => ({ getQuickQuoteColumns: () => ['sequence', 'width'] }));
+            mockCalculationService.getAllItems = jest.fn(() => []);
+        });
+
+        const dispatchedTypes = () => mockStateService.dispatch.mock.calls.map(([action]) => action.type);
+
+        it('should save the current quote and then start a new one', async () => {
+            await workflowService.handleNewQuote();
+
+            expect(mockQuoteLibraryService.autoSave).toHaveBeenCalledWith(currentQuote);
+            expect(mockQuoteLibraryService.startNewQuote).toHaveBeenCalled();
+            expect(dispatchedTypes()).toEqual(expect.arrayContaining(['quote/resetQuoteData', 'history/clear', 'ui/reset']));
+        });
+
+        it('should not replace the current quote when it cannot be saved', async () => {
+            mockQuoteLibraryService.autoSave.mockRejectedValue(new Error('Quota exceeded'));
+            jest.spyOn(console, 'error').mockImplementation(() => {});
+
+            await workflowService.handleOpenQuote({ recordId: 'other' });
+
+            expect(mockQuoteLibraryService.openQuote).not.toHaveBeenCalled();
+            expect(mockStateService.dispatch).not.toHaveBeenCalled();
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, expect.objectContaining({ type: 'error' }));
+            console.error.mockRestore();
+        });
+
+        it('should open a saved quote with a fresh undo history', async () => {
+            mockQuoteLibraryService.openQuote.mockResolvedValue(openedQuote);
+
+            await workflowService.handleOpenQuote({ recordId: 'other' });
+
+            expect(mockQuoteLibraryService.openQuote).toHaveBeenCalledWith('other');
+            expect(mockStateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'quote/setQuoteData',
+                payload: { newQuoteData: openedQuote },
+                meta: { skipHistory: true }
+            }));
+            expect(dispatchedTypes()).toContain('history/clear');
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, { message: 'Opened "RB100".' });
+        });
+
+        it('should not reopen the quote that is already open', async () => {
+            await workflowService.handleOpenQuote({ recordId: 'current' });
+
+            expect(mockQuoteLibraryService.autoSave).not.toHaveBeenCalled();
+            expect(mockQuoteLibraryService.openQuote).not.toHaveBeenCalled();
+        });
+
+        it('should send a sheet that is not a quote export to the measurement import wizard', async () => {
+            const rows = [['Room', 'W (cm)', 'Drop'], ['Bed 1', '120', '130']];
+            workflowService.fileService = { parseFileContent: jest.fn(() => ({ success: true, needsColumnMapping: true, data: rows })) };
+
+            await workflowService.handleFileLoad({ fileName: 'measure.csv', content: '...' });
+
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_MEASUREMENT_IMPORT, { fileName: 'measure.csv', rows });
+            expect(mockQuoteLibraryService.startNewQuote).not.toHaveBeenCalled();
+            expect(mockStateService.dispatch).not.toHaveBeenCalled();
+        });
+
+        it('should open the items accepted in the import wizard as a new quote', async () => {
+            const importedQuote = { ...openedQuote, quoteId: null };
+            workflowService.fileService = { createQuoteFromItems: jest.fn(() => importedQuote) };
+            const items = [{ location: 'Bed 1', width: 1200, height: 1300 }];
+
+            await workflowService.handleMeasurementImport({ fileName: 'measure.csv', productKey: 'rollerBlind', items });
+
+            expect(workflowService.fileService.createQuoteFromItems).toHaveBeenCalledWith('rollerBlind', items);
+            expect(mockQuoteLibraryService.autoSave).toHaveBeenCalledWith(currentQuote);
+            expect(mockQuoteLibraryService.startNewQuote).toHaveBeenCalled();
+            expect(mockStateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({ type: 'quote/setQuoteData', payload: { newQuoteData: importedQuote } }));
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, { message: 'Imported 1 item(s) from measure.csv.' });
+        });
+    });
+
+    describe('quote status workflow', () => {
+        const mockStateWithStatus = (status) => ({ quoteData: { status, statusHistory: [] } });
+
+        beforeEach(() => {
+            mockStateService.dispatch = jest.fn();
+            document.body.innerHTML = '';
+        });
+
+        it('should offer the statuses the quote can move to', () => {
+            mockStateService.getState.mockReturnValue(mockStateWithStatus('Sent'));
+
+            workflowService.handleStatusChangeRequest();
+
+            const [, config] = mockEventAggregator.publish.mock.calls[0];
+            const buttonTexts = config.layout.flat().filter(cell => cell.type === 'button').map(cell => cell.text);
+            expect(config.message).toBe('This quote is Sent. Move it to:');
+            expect(buttonTexts).toEqual(['Accepted', 'Rejected', 'Reopen', 'Cancel']);
+        });
+
+        it('should require a note to reject a quote', () => {
+            mockStateService.getState.mockReturnValue(mockStateWithStatus('Sent'));
+            workflowService.handleStatusChangeRequest();
+            const [, config] = mockEventAggregator.publish.mock.calls[0];
+            const rejectButton = config.layout.flat().find(cell => cell.text === 'Rejected');
+
+            expect(rejectButton.callback()).toBe(false);
+            expect(mockStateService.dispatch).not.toHaveBeenCalled();
+
+            document.body.innerHTML = '<input id="dialog-input-status-by" value="Sam"><input id="dialog-input-status-note" value="Too expensive">';
+            rejectButton.callback();
+            expect(mockStateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'quote/setQuoteStatus',
+                payload: expect.objectContaining({ status: 'Rejected', changedBy: 'Sam', note: 'Too expensive' })
+            }));
+            expect(mockStateService.dispatch).toHaveBeenCalledWith({ type: 'history/clear' });
+        });
+
+        it('should refuse a status change the lifecycle does not allow', () => {
+            mockStateService.getState.mockReturnValue(mockStateWithStatus('Configuring'));
+
+            expect(workflowService._changeQuoteStatus('Accepted')).toBe(false);
+            expect(mockStateService.dispatch).not.toHaveBeenCalled();
+        });
+
+        it('should keep a revision of a reopened sent quote and give it the next revision of its number', () => {
+            const sentQuote = { status: 'Sent', statusHistory: [], quoteId: 'Q-2026-0042-R1' };
+            const ui = { f1: { discountPercentage: 5 }, f2: { deliveryQty: 1 } };
+            mockStateService.getState.mockReturnValue({ quoteData: sentQuote, ui });
+
+            workflowService._changeQuoteStatus('Configuring');
+
+            expect(mockQuoteLibraryService.createRevision).toHaveBeenCalledWith(
+                { quoteData: sentQuote, f1: ui.f1, f2: ui.f2 },
+                { note: 'Sent version, before amendment.' }
+            );
+
+            expect(mockStateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'quote/updateQuoteDetails',
+                payload: { details: { quoteId: 'Q-2026-0042-R2' } }
+            }));
+        });
+
+        it('should keep the quote number when a quote is moved forward', () => {
+            mockStateService.getState.mockReturnValue({ quoteData: { status: 'Quoted', statusHistory: [], quoteId: 'Q-2026-0042' } });
+
+            workflowService._changeQuoteStatus('Sent');
+
+            expect(mockStateService.dispatch).not.toHaveBeenCalledWith(expect.objectContaining({ type: 'quote/updateQuoteDetails' }));
+            expect(mockQuoteLibraryService.createRevision).not.toHaveBeenCalled();
+        });
+
+        it('should not offer a re-price for an accepted quote', () => {
+            mockStateService.getState.mockReturnValue({ quoteData: { status: 'Accepted', priceListVersion: '1.0', issueDate: '2025-01-10', products: {} } });
+
+            workflowService.handleQuotePriceListCheck();
+
+            expect(mockConfigManager.usePriceList).toHaveBeenCalledWith({ version: '1.0', date: '2025-01-10' });
+            expect(mockEventAggregator.publish).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('customer workflows', () => {
+        const mockStateWithCustomer = (customer) => ({ quoteData: { customer } });
+
+        beforeEach(() => {
+            mockStateService.dispatch = jest.fn();
+        });
+
+        it('should put a customer picked from the directory on the quote', () => {
+            const customer = { customerId: 'c-1', name: 'Jane Doe', address: '', phone: '0400', email: '' };
+            mockCustomerService.getCustomer.mockReturnValue(customer);
+
+            workflowService.handleCustomerSelected({ customerId: 'c-1' });
+
+            expect(mockStateService.dispatch).toHaveBeenCalledWith({ type: 'quote/setCustomer', payload: { customer } });
+        });
+
+        it('should save the quote customer to the directory and link the quote to it', () => {
+            mockStateService.getState.mockReturnValue(mockStateWithCustomer({ customerId: null, name: 'Jane Doe', phone: '0400' }));
+
+            workflowService.handleSaveCustomerRequest();
+
+            expect(mockCustomerService.saveCustomer).toHaveBeenCalledWith(expect.objectContaining({ name: 'Jane Doe' }));
+            expect(mockStateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'quote/setCustomer',
+                payload: { customer: expect.objectContaining({ customerId: 'c-new' }) }
+            }));
+        });
+
+        it('should not save a customer without a name', () => {
+            mockStateService.getState.mockReturnValue(mockStateWithCustomer({ customerId: null, name: '' }));
+
+            workflowService.handleSaveCustomerRequest();
+
+            expect(mockCustomerService.saveCustomer).not.toHaveBeenCalled();
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, expect.objectContaining({ type: 'error' }));
+        });
+
+        it('should open the quote library on the customer\'s quotes', () => {
+            mockStateService.getState.mockReturnValue(mockStateWithCustomer({ customerId: 'c-1', name: 'Jane Doe' }));
+
+            workflowService.handleCustomerQuotesRequest();
+
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_QUOTE_LIBRARY, { customerId: 'c-1', customerName: 'Jane Doe' });
+        });
+    });
+
+    describe('F3 quote details', () => {
+        beforeEach(() => {
+            mockStateService.dispatch = jest.fn();
+        });
+
+        it('should move the due date along with the issue date', () => {
+            workflowService.handleF3ValueChange({ field: 'issueDate', value: '2025-12-25' });
+
+            expect(mockStateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({
+                type: 'quote/updateQuoteDetails',
+                payload: { details: { issueDate: '2025-12-25', dueDate: '2026-01-08' } }
+            }));
+        });
+
+        it('should store the final offer price as a number, or clear it', () => {
+            workflowService.handleF3ValueChange({ field: 'finalOfferPrice', value: '1999.50' });
+            workflowService.handleF3ValueChange({ field: 'finalOfferPrice', value: '' });
+
+            const details = mockStateService.dispatch.mock.calls.map(([action]) => action.payload.details);
+            expect(details).toEqual([{ finalOfferPrice: 1999.5 }, { finalOfferPrice: null }]);
+        });
+
+        it('should fill in only the missing dates, outside the undo history', () => {
+            mockStateService.getState.mockReturnValue({ quoteData: { quoteId: 'RB7', issueDate: '2025-03-01', dueDate: null } });
+
+            workflowService.handleF3TabActivation();
+
+            expect(mockStateService.dispatch).toHaveBeenCalledWith({
+                type: 'quote/updateQuoteDetails',
+                payload: { details: { dueDate: '2025-03-15' } },
+                meta: { skipHistory: true }
+            });
+        });
+
+        it('should number a quote that has items but no quote ID', async () => {
+            mockStateService.getState.mockReturnValue({ quoteData: { quoteId: null, issueDate: '2025-03-01', dueDate: '2025-03-15' } });
+
+            workflowService.handleF3TabActivation();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockQuoteNumberingService.issueQuoteNumber).toHaveBeenCalled();
+            expect(mockStateService.dispatch).toHaveBeenCalledWith({
+                type: 'quote/updateQuoteDetails',
+                payload: { details: { quoteId: 'Q-2026-0001' } },
+                meta: { skipHistory: true }
+            });
+        });
+
+        it('should not use up a number on a blank quote', () => {
+            mockQuoteLibraryService.hasContent.mockReturnValue(false);
+            mockStateService.getState.mockReturnValue({ quoteData: { quoteId: null, issueDate: '2025-03-01', dueDate: '2025-03-15' } });
+
+            workflowService.handleF3TabActivation();
+
+            expect(mockQuoteNumberingService.issueQuoteNumber).not.toHaveBeenCalled();
+        });
+
+        it('should warn when a typed quote ID is used by another saved quote', async () => {
+            mockQuoteNumberingService.isQuoteIdTaken.mockResolvedValue(true);
+
+            workflowService.handleF3ValueChange({ field: 'quoteId', value: ' Q-2026-0007 ' });
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(mockStateService.dispatch).toHaveBeenCalledWith(expect.objectContaining({ payload: { details: { quoteId: 'Q-2026-0007' } } }));
+            expect(mockQuoteNumberingService.isQuoteIdTaken).toHaveBeenCalledWith('Q-2026-0007');
+            expect(mockEventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, expect.objectContaining({ type: 'error' }));
+        });
+    });
+
+    describe('printable quote', () => {
+        const buildState = (finalOfferPrice) => ({
+            quoteData: {
+                quoteId: 'Q-2026-0042', issueDate: '2026-03-15', dueDate: '2026-03-29', status: 'Quoted',
+                customer: { name: 'Jane Doe', address: '', phone: '', email: '' },
+                finalOfferPrice, generalNotes: 'Note', termsConditions: '',
+                products: {
+                    rollerBlind: {
+                        items: [{ itemId: 'a', width: 1000, height: 1200, linePrice: 150 }, { itemId: 'b', width: null, height: null }],
+                        summary: { totalSum: 150 }
+                    }
+                }
+            },
+            ui: {
+                f1: { finalTotal: 500 },
+                f2: { disRbPrice: 800, acceSum: 50, eAcceSum: 30, surchargeFee: 20, sumPrice: 900, gst: 990 }
+            }
+        });
+
+        beforeEach(() => {
+            mockCalculationService.getQuoteTotals = jest.fn(() => ({
+                subtotals: [{ productKey: 'rollerBlind', productName: 'Roller Blind', itemCount: 1, totalSum: 150 }],
+                grandTotal: 150
+            }));
+        });
+
+        it('should collect the summary, totals and entered items the HTML and PDF quote show', () => {
+            const printable = workflowService._buildPrintableQuote(workflowService._applyFinalOfferPrice(buildState(null)));
+
+            expect(printable).toMatchObject({
+                quoteId: 'Q-2026-0042',
+                summaryRows: [{ description: 'Roller Blinds', amount: 800 }, { description: 'Installation Accessories', amount: 100 }],
+                subTotal: 900,
+                gstAmount: 90,
+                finalTotal: 990,
+                notes: 'Note'
+            });
+            const entries = [{ rowNumber: 1, item: expect.objectContaining({ itemId: 'a' }) }];
+            expect(printable.productGroups).toEqual([{ productName: 'Roller Blind', totalSum: 150, items: entries, rooms: [{ room: '', subtotal: 150, items: entries }] }]);
+        });
+
+        it('should print the final offer price in place of the calculated total', () => {
+            const printable = workflowService._buildPrintableQuote(workflowService._applyFinalOfferPrice(buildState(1100)));
+
+            expect(printable.finalTotal).toBe(1100);
+            expect(printable.gstAmount).toBeCloseTo(100);
+            expect(printable.subTotal).toBeCloseTo(1000);
+        });
+
+        it('should render the customer quote partials with escaped values, formatted totals and the item rows', () => {
+            const state = buildState(null);
+            state.quoteData.customer.name = 'Smith & <Sons>';
+            const printable = workflowService._buildPrintableQuote(workflowService._applyFinalOfferPrice(state));
+
+            const html = workflowService._renderPrintTemplate(
+                PRINT_TEMPLATES.customerQuote.partials.map(path => readFileSync(path, 'utf8')),
+                printable
+            );
+
+            expect(html).not.toMatch(/\{\{/);
+            expect(html).toContain('Smith &amp; &lt;Sons&gt;');
+            expect(html).toContain('15/03/2026');
+            expect(html).toContain('$990.00');
+            expect(html).toContain('<td class="price">$150.00</td>');
+            expect(html).not.toContain('product-group-header');
+            expect(html).not.toContain('room-group-header');
+            expect(html.split('page-break-before')).toHaveLength(2);
+        });
+
+        it('should list the items room by room with a subtotal per room once locations are entered', () => {
+            const state = buildState(null);
+            state.quoteData.products.rollerBlind.items = [
+                { itemId: 'a', width: 1000, height: 1200, linePrice: 150, location: 'Bed 1' },
+                { itemId: 'c', width: 900, height: 1200, linePrice: 120, location: 'Lounge' },
+                { itemId: 'd', width: 800, height: 1200, linePrice: 100, location: 'bed 1' },
+                { itemId: 'b', width: null, height: null }
+            ];
+            const printable = workflowService._buildPrintableQuote(workflowService._applyFinalOfferPrice(state));
+
+            expect(printable.productGroups[0].rooms.map(({ room, subtotal, items }) => [room, subtotal, items.map(entry => entry.rowNumber)])).toEqual([
+                ['Bed 1', 250, [1, 3]],
+                ['Lounge', 120, [2]]
+            ]);
+
+            const html = workflowService._renderPrintTemplate([readFileSync(paths.partials.detailedItemList, 'utf8')], printable);
+            expect(html).toMatch(/Bed 1 Subtotal<\/td>\s*<td class="price">\$250\.00/);
+            expect(html).toContain('<strong>Lounge</strong>');
+        });
+
+        it.each(Object.keys(PRINT_TEMPLATES))('should render every partial of the %s template', (templateId) => {
+            const partials = PRINT_TEMPLATES[templateId].partials.map(path => readFileSync(path, 'utf8'));
+            const printable = workflowService._buildPrintableQuote(workflowService._applyFinalOfferPrice(buildState(null)));
+
+            const html = workflowService._renderPrintTemplate(partials, printable);
+
+            expect(html).toContain('Q-2026-0042');
+            expect(html).toContain('1200');
+            expect(html).not.toMatch(/\{\{/);
+        });
+
+        it('should print the document chosen in F3 and fall back to the customer quote', () => {
+            mockStateService.dispatch = jest.fn();
+            mockStateService.getState.mockReturnValue({ ui: { printTemplateId: 'installerWorkOrder' } });
+            expect(workflowService._getPrintTemplateId()).toBe('installerWorkOrder');
+
+            mockStateService.getState.mockReturnValue({ ui: { printTemplateId: 'unknown' } });
+            expect(workflowService._getPrintTemplateId()).toBe('customerQuote');
+
+            workflowService.handlePrintTemplateChange({ templateId: 'supplierOrder' });
+            workflowService.handlePrintTemplateChange({ templateId: 'unknown' });
+            expect(mockStateService.dispatch).toHaveBeenCalledTimes(1);
+            expect(mockStateService.dispatch).toHaveBeenCalledWith({ type: 'ui/setPrintTemplate', payload: { templateId: 'supplierOrder' } });
+        });
+    });
 });
\ No newline at end of file
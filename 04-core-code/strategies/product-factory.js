@@ -5,16 +5,17 @@
  * This allows the application to easily support multiple product types.
  */
 
-// 匯入我們目前唯一的一個產品策略
+// 匯入所有產品策略
 import { RollerBlindStrategy } from './roller-blind-strategy.js';
+import { SheerCurtainStrategy } from './sheer-curtain-strategy.js';
 
 // 建立一個產品策略的地圖 (Map)
 // Key: 產品類型的字串
 // Value: 對應的策略類別
 const strategyMap = {
     rollerBlind: RollerBlindStrategy,
+    sheerCurtain: SheerCurtainStrategy,
     // --- 未來擴充 ---
-    // sheerCurtain: SheerCurtainStrategy, // 未來新增紗簾時，只需在此處增加一行
     // flyScreen: FlyScreenStrategy,       // 新增伸縮紗門時，再加一行
 };
 
@@ -24,6 +25,14 @@ export class ProductFactory {
         console.log("ProductFactory Initialized with ConfigManager.");
     }
 
+    /**
+     * Returns the keys of all registered product types.
+     * @returns {string[]}
+     */
+    getProductTypes() {
+        return Object.keys(strategyMap);
+    }
+
     /**
      * Returns an instance of the strategy for the given product type.
      * @param {string} productType - The type of the product (e.g., 'rollerBlind').
@@ -14,8 +14,18 @@ export class RollerBlindStrategy {
         console.log("RollerBlindStrategy Initialized.");
     }
 
+    getProductName() {
+        return 'Roller Blind';
+    }
+
     /**
      * Calculates the price for a single roller blind item based on a price matrix.
+     * The pricing mode comes from the matrix's own `pricing` block, falling back to the
+     * product defaults in businessRules.pricing:
+     * - 'bucket': sizes round up to the next matrix bucket.
+     * - 'interpolate': prices are interpolated linearly between bucket boundaries.
+     * Sizes beyond the last bucket are priced at the last bucket plus the oversize rule, if one is set.
+     * @returns {{price: number|null, pricingRule?: string, surcharge?: number, error?: string}}
      */
     calculatePrice(item, priceMatrix) {
         if (!item || !item.width || !item.height || !item.fabricType) {
@@ -25,21 +35,104 @@ export class RollerBlindStrategy {
             return { price: null, error: `Price matrix not found for fabric type: ${item.fabricType}` };
         }
 
-        const widthIndex = priceMatrix.widths.findIndex(w => item.width <= w);
-        const dropIndex = priceMatrix.drops.findIndex(d => item.height <= d);
+        const { mode, oversize } = { ...this.configManager.getPricingRules('rollerBlind'), ...(priceMatrix.pricing || {}) };
+        const maxMatrixWidth = priceMatrix.widths[priceMatrix.widths.length - 1];
+        const maxMatrixDrop = priceMatrix.drops[priceMatrix.drops.length - 1];
+        const widthOver = Math.max(0, item.width - maxMatrixWidth);
+        const dropOver = Math.max(0, item.height - maxMatrixDrop);
+
+        if (widthOver > 0 || dropOver > 0) {
+            const limitError = this._checkOversizeLimits(item, oversize, widthOver);
+            if (limitError) return { price: null, error: limitError };
+        }
+
+        const width = Math.min(item.width, maxMatrixWidth);
+        const drop = Math.min(item.height, maxMatrixDrop);
+        const basePrice = mode === 'interpolate'
+            ? this._interpolatePrice(priceMatrix, width, drop)
+            : this._bucketPrice(priceMatrix, width, drop);
+
+        if (basePrice === undefined || basePrice === null) {
+            return { price: null, error: 'Price not found for the given dimensions.' };
+        }
+
+        if (widthOver > 0 || dropOver > 0) {
+            const surcharge = this._calculateOversizeSurcharge(oversize, basePrice, widthOver, dropOver);
+            return { price: this._roundPrice(basePrice + surcharge), pricingRule: 'oversize', surcharge };
+        }
+
+        const isOnBucket = priceMatrix.widths.includes(width) && priceMatrix.drops.includes(drop);
+        const pricingRule = (mode === 'interpolate' && !isOnBucket) ? 'interpolated' : 'bucket';
+        return { price: this._roundPrice(basePrice), pricingRule };
+    }
 
-        if (widthIndex === -1) {
-            const errorMsg = `Width ${item.width} exceeds the maximum width in the price matrix.`;
-            return { price: null, error: errorMsg };
+    _checkOversizeLimits(item, oversize, widthOver) {
+        if (!oversize) {
+            return widthOver > 0
+                ? `Width ${item.width} exceeds the maximum width in the price matrix.`
+                : `Height ${item.height} exceeds the maximum height in the price matrix.`;
+        }
+
+        // Oversize pricing still stops at the product's validation limits.
+        const { width: widthRule, height: heightRule } = this.getValidationRules();
+        if (widthRule.max && item.width > widthRule.max) {
+            return `Width ${item.width} exceeds the maximum width of ${widthRule.max}.`;
+        }
+        if (heightRule.max && item.height > heightRule.max) {
+            return `Height ${item.height} exceeds the maximum height of ${heightRule.max}.`;
         }
-        if (dropIndex === -1) {
-            const errorMsg = `Height ${item.height} exceeds the maximum height in the price matrix.`;
-            return { price: null, error: errorMsg };
+        return null;
+    }
+
+    _bucketPrice(priceMatrix, width, drop) {
+        const widthIndex = priceMatrix.widths.findIndex(w => width <= w);
+        const dropIndex = priceMatrix.drops.findIndex(d => drop <= d);
+        return priceMatrix.prices[dropIndex]?.[widthIndex];
+    }
+
+    /**
+     * Bilinear interpolation between the surrounding bucket boundaries.
+     * Sizes below the first bucket use the first bucket's price.
+     */
+    _interpolatePrice(priceMatrix, width, drop) {
+        const locate = (values, value) => {
+            const upper = values.findIndex(v => value <= v);
+            if (upper <= 0) return { lower: 0, upper: 0, ratio: 0 };
+            const lower = upper - 1;
+            return { lower, upper, ratio: (value - values[lower]) / (values[upper] - values[lower]) };
+        };
+        const w = locate(priceMatrix.widths, width);
+        const d = locate(priceMatrix.drops, drop);
+        const price = (dropIndex, widthIndex) => priceMatrix.prices[dropIndex]?.[widthIndex];
+
+        const corners = [price(d.lower, w.lower), price(d.lower, w.upper), price(d.upper, w.lower), price(d.upper, w.upper)];
+        if (corners.some(value => value === undefined)) return undefined;
+
+        const lowerDropPrice = corners[0] + (corners[1] - corners[0]) * w.ratio;
+        const upperDropPrice = corners[2] + (corners[3] - corners[2]) * w.ratio;
+        return lowerDropPrice + (upperDropPrice - lowerDropPrice) * d.ratio;
+    }
+
+    /**
+     * Surcharge for every started 100mm beyond the last bucket, in width and drop combined.
+     * - 'per100mm': a fixed amount per 100mm.
+     * - 'percentage': a percentage of the last-bucket price per 100mm.
+     */
+    _calculateOversizeSurcharge(oversize, basePrice, widthOver, dropOver) {
+        const steps = Math.ceil(widthOver / 100) + Math.ceil(dropOver / 100);
+        switch (oversize.type) {
+            case 'per100mm':
+                return steps * (oversize.amountPer100mm || 0);
+            case 'percentage':
+                return this._roundPrice(basePrice * steps * (oversize.percentPer100mm || 0) / 100);
+            default:
+                console.error(`Unknown oversize rule type: ${oversize.type}`);
+                return 0;
         }
+    }
 
-        const price = priceMatrix.prices[dropIndex][widthIndex];
-        
-        return price !== undefined ? { price: price } : { price: null, error: 'Price not found for the given dimensions.' };
+    _roundPrice(value) {
+        return Math.round(value * 100) / 100;
     }
 
     /**
@@ -88,6 +181,22 @@ export class RollerBlindStrategy {
         };
     }
 
+    /**
+     * Returns the columns shown in the Quick Quote table for this product.
+     * @returns {string[]}
+     */
+    getQuickQuoteColumns() {
+        return ['sequence', 'width', 'height', 'TYPE', 'Price'];
+    }
+
+    /**
+     * Returns the detail configuration tabs that apply to this product.
+     * @returns {string[]}
+     */
+    getDetailTabs() {
+        return ['k1-tab', 'k2-tab', 'k3-tab', 'k4-tab', 'k5-tab'];
+    }
+
     // --- Accessory Pricing Logic ---
 
     calculateDualPrice(items, pricePerPair) {
@@ -0,0 +1,77 @@
+// /04-core-code/strategies/roller-blind-strategy.spec.js
+
+import { RollerBlindStrategy } from './roller-blind-strategy.js';
+
+// --- Mock Dependencies ---
+const mockConfigManager = {
+    getValidationRules: jest.fn(() => ({ minWidth: 250, maxWidth: 3300, minHeight: 300, maxHeight: 3300 })),
+    getPricingRules: jest.fn(() => ({ mode: 'bucket', oversize: null })),
+};
+
+const matrix = {
+    name: 'TEST',
+    widths: [1000, 2000],
+    drops: [1000, 2000],
+    prices: [
+        [100, 200],
+        [150, 300]
+    ]
+};
+
+describe('RollerBlindStrategy.calculatePrice', () => {
+    let strategy;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        strategy = new RollerBlindStrategy({ configManager: mockConfigManager });
+    });
+
+    it('should round up to the next bucket in bucket mode', () => {
+        const result = strategy.calculatePrice({ width: 1200, height: 900, fabricType: 'B1' }, matrix);
+        expect(result).toEqual({ price: 200, pricingRule: 'bucket' });
+    });
+
+    it('should return an error beyond the matrix when no oversize rule is set', () => {
+        const result = strategy.calculatePrice({ width: 2100, height: 900, fabricType: 'B1' }, matrix);
+        expect(result.price).toBeNull();
+        expect(result.error).toContain('Width 2100 exceeds the maximum width in the price matrix.');
+    });
+
+    it('should interpolate between bucket boundaries when the matrix asks for it', () => {
+        const interpolatedMatrix = { ...matrix, pricing: { mode: 'interpolate' } };
+
+        // Halfway across the width and drop: average of all four corners.
+        const result = strategy.calculatePrice({ width: 1500, height: 1500, fabricType: 'B1' }, interpolatedMatrix);
+        expect(result).toEqual({ price: 187.5, pricingRule: 'interpolated' });
+
+        const onBucket = strategy.calculatePrice({ width: 2000, height: 1000, fabricType: 'B1' }, interpolatedMatrix);
+        expect(onBucket).toEqual({ price: 200, pricingRule: 'bucket' });
+    });
+
+    it('should use the first bucket price below the first boundary when interpolating', () => {
+        const interpolatedMatrix = { ...matrix, pricing: { mode: 'interpolate' } };
+        const result = strategy.calculatePrice({ width: 500, height: 500, fabricType: 'B1' }, interpolatedMatrix);
+        expect(result.price).toBe(100);
+    });
+
+    it('should add a per-100mm surcharge beyond the last bucket', () => {
+        mockConfigManager.getPricingRules.mockReturnValueOnce({ mode: 'bucket', oversize: { type: 'per100mm', amountPer100mm: 6 } });
+
+        // 250mm over in width = 3 started 100mm steps, 100mm over in drop = 1 step.
+        const result = strategy.calculatePrice({ width: 2250, height: 2100, fabricType: 'B1' }, matrix);
+        expect(result).toEqual({ price: 324, pricingRule: 'oversize', surcharge: 24 });
+    });
+
+    it('should add a percentage surcharge beyond the last bucket', () => {
+        const percentageMatrix = { ...matrix, pricing: { oversize: { type: 'percentage', percentPer100mm: 5 } } };
+        const result = strategy.calculatePrice({ width: 2200, height: 2000, fabricType: 'B1' }, percentageMatrix);
+        expect(result).toEqual({ price: 330, pricingRule: 'oversize', surcharge: 30 });
+    });
+
+    it('should still reject sizes beyond the validation limits when oversize pricing is on', () => {
+        const percentageMatrix = { ...matrix, pricing: { oversize: { type: 'percentage', percentPer100mm: 5 } } };
+        const result = strategy.calculatePrice({ width: 3400, height: 2000, fabricType: 'B1' }, percentageMatrix);
+        expect(result.price).toBeNull();
+        expect(result.error).toContain('maximum width of 3300');
+    });
+});
\ No newline at end of file
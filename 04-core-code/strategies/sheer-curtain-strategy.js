@@ -0,0 +1,115 @@
+// File: 04-core-code/strategies/sheer-curtain-strategy.js
+
+/**
+ * @fileoverview Contains all business logic specific to the Sheer Curtain product.
+ * Sheer curtains are priced per metre of fabric, where the fabric length is the
+ * track width multiplied by the chosen fullness.
+ */
+
+import { v4 as uuidv4 } from 'https://cdn.jsdelivr.net/npm/uuid@9.0.1/dist/esm-browser/index.js';
+
+const FALLBACK_FULLNESS = { options: [2], default: 2 };
+
+export class SheerCurtainStrategy {
+    constructor({ configManager }) {
+        this.configManager = configManager;
+        console.log("SheerCurtainStrategy Initialized.");
+    }
+
+    getProductName() {
+        return 'Sheer Curtain';
+    }
+
+    /**
+     * Calculates the price for a single sheer curtain item.
+     * The price matrix provides a price per metre of fabric for each drop band.
+     */
+    calculatePrice(item, priceMatrix) {
+        if (!item || !item.width || !item.height || !item.fabricType) {
+            return { price: null, error: 'Incomplete item data.' };
+        }
+        if (!priceMatrix || !priceMatrix.pricesPerMetre) {
+            return { price: null, error: `Price matrix not found for fabric type: ${item.fabricType}` };
+        }
+
+        const dropIndex = priceMatrix.drops.findIndex(d => item.height <= d);
+        if (dropIndex === -1) {
+            const errorMsg = `Height ${item.height} exceeds the maximum height in the price matrix.`;
+            return { price: null, error: errorMsg };
+        }
+
+        const { max: maxWidth } = this.getValidationRules().width;
+        if (maxWidth && item.width > maxWidth) {
+            const errorMsg = `Width ${item.width} exceeds the maximum track width of ${maxWidth}.`;
+            return { price: null, error: errorMsg };
+        }
+
+        const fullness = item.fullness || this.getFullnessRules().default;
+        const fabricMetres = (item.width / 1000) * fullness;
+        const price = Math.round(fabricMetres * priceMatrix.pricesPerMetre[dropIndex] * 100) / 100;
+
+        return { price };
+    }
+
+    /**
+     * Returns the validation rules specific to sheer curtains by fetching them from ConfigManager.
+     * @returns {object}
+     */
+    getValidationRules() {
+        const rules = this.configManager.getValidationRules('sheerCurtain');
+        if (!rules) {
+            return {
+                width: { name: 'Track Width' },
+                height: { name: 'Drop' }
+            };
+        }
+        return {
+            width: { min: rules.minWidth, max: rules.maxWidth, name: 'Track Width' },
+            height: { min: rules.minHeight, max: rules.maxHeight, name: 'Drop' }
+        };
+    }
+
+    /**
+     * Returns the fullness options and the default fullness for new items.
+     * @returns {{options: number[], default: number}}
+     */
+    getFullnessRules() {
+        const logic = this.configManager.getLogicThresholds();
+        return logic?.sheerCurtainFullness || FALLBACK_FULLNESS;
+    }
+
+    /**
+     * Returns a new, empty item object for a sheer curtain.
+     * @returns {object}
+     */
+    getInitialItemData() {
+        return {
+            itemId: uuidv4(),
+            width: null,
+            height: null,
+            fabricType: null,
+            fullness: this.getFullnessRules().default,
+            linePrice: null,
+            location: '',
+            fabric: '',
+            color: ''
+        };
+    }
+
+    /**
+     * Returns the columns shown in the Quick Quote table for this product.
+     * @returns {string[]}
+     */
+    getQuickQuoteColumns() {
+        return ['sequence', 'width', 'height', 'TYPE', 'fullness', 'Price'];
+    }
+
+    /**
+     * Returns the detail configuration tabs that apply to this product.
+     * Roller blind hardware (options, drive, dual/chain) does not apply to sheer curtains.
+     * @returns {string[]}
+     */
+    getDetailTabs() {
+        return ['k1-tab', 'k2-tab'];
+    }
+}
\ No newline at end of file
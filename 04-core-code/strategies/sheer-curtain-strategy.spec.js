@@ -0,0 +1,66 @@
+// /04-core-code/strategies/sheer-curtain-strategy.spec.js
+
+import { SheerCurtainStrategy } from './sheer-curtain-strategy.js';
+
+// --- Mock Dependencies ---
+const mockConfigManager = {
+    getValidationRules: jest.fn(() => ({ minWidth: 400, maxWidth: 8000, minHeight: 500, maxHeight: 3300 })),
+    getLogicThresholds: jest.fn(() => ({ sheerCurtainFullness: { options: [2, 2.5, 3], default: 2 } })),
+};
+
+const voileMatrix = {
+    name: 'SHEER - VOILE',
+    pricingModel: 'perMetre',
+    drops: [2400, 2700, 3000, 3300],
+    pricesPerMetre: [28, 31, 34, 38]
+};
+
+describe('SheerCurtainStrategy', () => {
+    let strategy;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        strategy = new SheerCurtainStrategy({ configManager: mockConfigManager });
+    });
+
+    it('should price by fabric metres (track width x fullness) for the drop band', () => {
+        const item = { width: 2000, height: 2500, fabricType: 'S1', fullness: 2.5 };
+        // 2.0m track x 2.5 fullness = 5m of fabric at $31/m (2700 drop band)
+        expect(strategy.calculatePrice(item, voileMatrix)).toEqual({ price: 155 });
+    });
+
+    it('should use the default fullness when an item has none', () => {
+        const item = { width: 1500, height: 2400, fabricType: 'S1' };
+        expect(strategy.calculatePrice(item, voileMatrix)).toEqual({ price: 84 });
+    });
+
+    it('should return an error when the drop exceeds the price matrix', () => {
+        const item = { width: 1500, height: 3400, fabricType: 'S1', fullness: 2 };
+        const result = strategy.calculatePrice(item, voileMatrix);
+        expect(result.price).toBeNull();
+        expect(result.error).toContain('Height 3400');
+    });
+
+    it('should return an error when the track width exceeds the validation maximum', () => {
+        const item = { width: 8500, height: 2400, fabricType: 'S1', fullness: 2 };
+        const result = strategy.calculatePrice(item, voileMatrix);
+        expect(result.price).toBeNull();
+        expect(result.error).toContain('Width 8500');
+    });
+
+    it('should return an error for incomplete items or a missing matrix', () => {
+        expect(strategy.calculatePrice({ width: 1000, height: null, fabricType: 'S1' }, voileMatrix).price).toBeNull();
+        expect(strategy.calculatePrice({ width: 1000, height: 2000, fabricType: 'S9' }, null).error).toContain('S9');
+    });
+
+    it('should create new items with the default fullness and no roller blind fields', () => {
+        const item = strategy.getInitialItemData();
+        expect(item.itemId).toEqual(expect.any(String));
+        expect(item.fullness).toBe(2);
+        expect(item).not.toHaveProperty('winder');
+    });
+
+    it('should adapt validation rules from the config', () => {
+        expect(strategy.getValidationRules().width).toEqual({ min: 400, max: 8000, name: 'Track Width' });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,262 @@
+// /04-core-code/ui/customer-directory-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { escapeHtml } from '../utils/html-utils.js';
+
+const FIELDS = ['name', 'address', 'phone', 'email'];
+const FIELD_LABELS = { name: 'Name', address: 'Address', phone: 'Phone', email: 'Email' };
+
+/**
+ * @fileoverview A full-screen view of the customer directory (F4 > Customers).
+ * Customers can be searched, added and edited in place (each changed cell is saved at once),
+ * deleted, and imported or exported as CSV or vCard. "Use" puts a customer on the open quote and
+ * "Quotes" opens the quote library on that customer's quotes.
+ */
+export class CustomerDirectoryComponent {
+    constructor({ overlayElement, eventAggregator, customerService, fileService }) {
+        if (!overlayElement || !eventAggregator || !customerService || !fileService) {
+            throw new Error("Overlay element, event aggregator, customer service and file service are required for CustomerDirectoryComponent.");
+        }
+        this.overlay = overlayElement;
+        this.eventAggregator = eventAggregator;
+        this.customerService = customerService;
+        this.fileService = fileService;
+
+        this.searchText = '';
+
+        this.initialize();
+        console.log("CustomerDirectoryComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_CUSTOMER_DIRECTORY, () => this.open());
+
+        this.overlay.addEventListener('click', (event) => this._handleClick(event));
+        this.overlay.addEventListener('input', (event) => this._handleInput(event));
+        this.overlay.addEventListener('change', (event) => this._handleChange(event));
+    }
+
+    open() {
+        this.render();
+        this.overlay.classList.remove('is-hidden');
+    }
+
+    close() {
+        this.overlay.classList.add('is-hidden');
+        this.overlay.innerHTML = '';
+    }
+
+    _notify(message, type = 'info') {
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message, type });
+    }
+
+    // --- Rendering ---
+
+    render() {
+        this.overlay.innerHTML = `
+            <div class="customer-directory-content">
+                <div class="customer-directory-actions">
+                    <span class="customer-directory-title">Customers</span>
+                    <input type="search" class="customer-directory-search" placeholder="Name, phone or email" value="${escapeHtml(this.searchText)}">
+                    <span class="customer-directory-spacer"></span>
+                    <button data-action="import" class="btn-secondary">Import</button>
+                    <button data-action="export-csv" class="btn-secondary">Export CSV</button>
+                    <button data-action="export-vcard" class="btn-secondary">Export vCard</button>
+                    <button data-action="close" class="btn-close">Close</button>
+                </div>
+                <div class="customer-directory-body">
+                    <table class="customer-directory-table">
+                        <thead>
+                            <tr>
+                                ${FIELDS.map(field => `<th>${FIELD_LABELS[field]}</th>`).join('')}
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                        <tfoot>
+                            <tr class="customer-directory-new">
+                                ${FIELDS.map(field => `<td><input type="text" data-new-field="${field}" placeholder="${FIELD_LABELS[field]}"></td>`).join('')}
+                                <td class="customer-directory-row-actions">
+                                    <button data-action="add" class="btn-save">Add</button>
+                                </td>
+                            </tr>
+                        </tfoot>
+                    </table>
+                </div>
+                <input type="file" class="customer-directory-file" accept=".csv,.vcf,.vcard" hidden>
+            </div>
+        `;
+        this._renderRows();
+    }
+
+    _renderRows() {
+        const tbody = this.overlay.querySelector('.customer-directory-table tbody');
+        if (!tbody) return;
+
+        const customers = this.searchText.trim()
+            ? this.customerService.searchCustomers(this.searchText, Infinity)
+            : this.customerService.getCustomers();
+
+        if (customers.length === 0) {
+            const message = this.searchText.trim() ? 'No customers match the search.' : 'The directory is empty. Add a customer below or import a file.';
+            tbody.innerHTML = `<tr><td colspan="5" class="customer-directory-empty">${message}</td></tr>`;
+            return;
+        }
+
+        tbody.innerHTML = customers.map(customer => {
+            const customerId = escapeHtml(customer.customerId);
+            return `
+                <tr data-customer-id="${customerId}">
+                    ${FIELDS.map(field => `<td><input type="text" data-field="${field}" value="${escapeHtml(customer[field])}"></td>`).join('')}
+                    <td class="customer-directory-row-actions">
+                        <button data-action="use" data-customer-id="${customerId}">Use</button>
+                        <button data-action="quotes" data-customer-id="${customerId}">Quotes</button>
+                        <button data-action="delete" data-customer-id="${customerId}" class="btn-danger">Delete</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // --- Event Handling ---
+
+    _handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { customerId } = button.dataset;
+        const actions = {
+            'use': () => {
+                this.close();
+                this.eventAggregator.publish(EVENTS.USER_SELECTED_CUSTOMER, { customerId });
+            },
+            'quotes': () => {
+                const customer = this.customerService.getCustomer(customerId);
+                this.close();
+                this.eventAggregator.publish(EVENTS.SHOW_QUOTE_LIBRARY, { customerId, customerName: customer?.name || '' });
+            },
+            'delete': () => this._requestDelete(customerId),
+            'add': () => this._addCustomer(),
+            'import': () => this.overlay.querySelector('.customer-directory-file')?.click(),
+            'export-csv': () => this._export('csv'),
+            'export-vcard': () => this._export('vcard'),
+            'close': () => this.close(),
+        };
+        actions[button.dataset.action]?.();
+    }
+
+    _handleInput(event) {
+        if (!event.target.matches('.customer-directory-search')) return;
+        this.searchText = event.target.value;
+        this._renderRows();
+    }
+
+    _handleChange(event) {
+        const target = event.target;
+
+        if (target.matches('.customer-directory-file')) {
+            const file = target.files[0];
+            target.value = '';
+            if (file) this._importFile(file);
+            return;
+        }
+
+        const { field } = target.dataset;
+        const row = target.closest('tr[data-customer-id]');
+        if (!field || !row) return;
+
+        const customer = this.customerService.getCustomer(row.dataset.customerId);
+        if (!customer) return;
+        const value = target.value.trim();
+        if (field === 'name' && !value) {
+            this._notify('A customer needs a name.', 'error');
+            target.value = customer.name;
+            return;
+        }
+        this._save({ ...customer, [field]: value });
+    }
+
+    _save(details) {
+        try {
+            return this.customerService.saveCustomer(details);
+        } catch (error) {
+            console.error('Failed to save customer:', error);
+            this._notify(error.message, 'error');
+            return null;
+        }
+    }
+
+    _addCustomer() {
+        const inputs = this.overlay.querySelectorAll('[data-new-field]');
+        const details = {};
+        inputs.forEach(input => { details[input.dataset.newField] = input.value; });
+        if (!details.name?.trim()) {
+            this._notify('Please enter the customer name.', 'error');
+            return;
+        }
+        const customer = this._save(details);
+        if (!customer) return;
+
+        inputs.forEach(input => { input.value = ''; });
+        this._renderRows();
+        this._notify(`${customer.name} added to the directory.`);
+    }
+
+    _requestDelete(customerId) {
+        const customer = this.customerService.getCustomer(customerId);
+        if (!customer) return;
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Delete ${customer.name} from the customer directory? Their saved quotes are kept.`,
+            layout: [[
+                { type: 'button', text: 'Delete', callback: () => this._delete(customerId) },
+                { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }
+            ]]
+        });
+    }
+
+    _delete(customerId) {
+        try {
+            this.customerService.deleteCustomer(customerId);
+            this._notify('Customer deleted.');
+        } catch (error) {
+            console.error('Failed to delete customer:', error);
+            this._notify(error.message, 'error');
+        }
+        this._renderRows();
+    }
+
+    _export(format) {
+        const customers = this.customerService.getCustomers();
+        if (customers.length === 0) {
+            this._notify('There are no customers to export.', 'error');
+            return;
+        }
+        const result = format === 'vcard'
+            ? this.fileService.exportCustomersToVCard(customers)
+            : this.fileService.exportCustomersToCsv(customers);
+        this._notify(result.message, result.success ? 'info' : 'error');
+    }
+
+    _importFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const result = this.fileService.parseCustomersContent(file.name, e.target.result);
+            if (!result.success) {
+                this._notify(result.message, 'error');
+                return;
+            }
+            try {
+                const { added, updated } = this.customerService.importCustomers(result.data);
+                this._renderRows();
+                this._notify(`Imported customers from ${file.name}: ${added} added, ${updated} updated.`);
+            } catch (error) {
+                console.error('Failed to import customers:', error);
+                this._notify(error.message, 'error');
+            }
+        };
+        reader.onerror = () => {
+            this._notify(`Error reading file: ${reader.error}`, 'error');
+        };
+        reader.readAsText(file);
+    }
+}
\ No newline at end of file
@@ -94,12 +94,14 @@ export class DialogComponent {
                     const input = document.createElement('input');
                     input.className = 'dialog-input';
                     input.id = cellConfig.id;
-                    input.type = 'number';
+                    input.type = cellConfig.inputType || 'number';
                     input.placeholder = cellConfig.placeholder || '';
                     if (cellConfig.value !== undefined) {
                         input.value = cellConfig.value;
                     }
-                    input.min = 0;
+                    if (input.type === 'number') {
+                        input.min = 0;
+                    }
                     
                     input.addEventListener('keydown', (event) => {
                         if (event.key === 'Enter') {
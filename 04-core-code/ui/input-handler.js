@@ -3,6 +3,17 @@
 import { LeftPanelInputHandler } from './left-panel-input-handler.js';
 import { EVENTS, DOM_IDS } from '../config/constants.js';
 
+// Dialogs and full-screen views shown over the quote table.
+const OVERLAY_IDS = [
+    DOM_IDS.CONFIRMATION_DIALOG_OVERLAY,
+    DOM_IDS.QUOTE_PREVIEW_OVERLAY,
+    DOM_IDS.PRICE_LIST_EDITOR_OVERLAY,
+    DOM_IDS.QUOTE_LIBRARY_OVERLAY,
+    DOM_IDS.CUSTOMER_DIRECTORY_OVERLAY,
+    DOM_IDS.QUOTE_REVISIONS_OVERLAY,
+    DOM_IDS.MEASUREMENT_IMPORT_OVERLAY,
+];
+
 export class InputHandler {
     constructor(eventAggregator) {
         this.eventAggregator = eventAggregator;
@@ -18,14 +29,44 @@ export class InputHandler {
         this._setupFunctionKeys();
         this._setupPanelToggles();
         this._setupFileLoader();
+        this._setupClipboardPaste();
         this._setupPhysicalKeyboard();
         
         this.leftPanelHandler.initialize();
     }
 
+    /**
+     * Keyboard shortcuts and pasting act on the quote table, so they are ignored while it is covered.
+     */
+    _isOverlayOpen() {
+        return OVERLAY_IDS.some(id => {
+            const overlay = document.getElementById(id);
+            return overlay && !overlay.classList.contains('is-hidden');
+        });
+    }
+
     _setupPhysicalKeyboard() {
         window.addEventListener('keydown', (event) => {
-            if (event.target.matches('input:not([readonly])')) {
+            if (event.target.matches('input:not([readonly]), textarea, select') || this._isOverlayOpen()) {
+                return;
+            }
+
+            if (event.ctrlKey || event.metaKey) {
+                const key = event.key.toLowerCase();
+                if (key === 'z' && !event.shiftKey) {
+                    event.preventDefault();
+                    this.eventAggregator.publish(EVENTS.USER_REQUESTED_UNDO);
+                } else if (key === 'y' || (key === 'z' && event.shiftKey)) {
+                    event.preventDefault();
+                    this.eventAggregator.publish(EVENTS.USER_REQUESTED_REDO);
+                } else if (key === 'c' || key === 'x' || key === 'd') {
+                    // Text selected on the page is copied as usual; otherwise the selected rows are.
+                    const selection = window.getSelection();
+                    if (key !== 'd' && selection && !selection.isCollapsed) return;
+                    event.preventDefault();
+                    const rowEvents = { c: EVENTS.USER_REQUESTED_COPY_ROWS, x: EVENTS.USER_REQUESTED_CUT_ROWS, d: EVENTS.USER_REQUESTED_DUPLICATE_ROWS };
+                    this.eventAggregator.publish(rowEvents[key]);
+                }
                 return;
             }
             
@@ -60,6 +101,18 @@ export class InputHandler {
         });
     }
 
+    _setupClipboardPaste() {
+        // Ctrl+V outside the inputs pastes rows, from the row clipboard or a spreadsheet.
+        window.addEventListener('paste', (event) => {
+            if (event.target.matches?.('input, textarea, select, [contenteditable]') || this._isOverlayOpen()) {
+                return;
+            }
+            event.preventDefault();
+            const text = event.clipboardData ? event.clipboardData.getData('text/plain') : '';
+            this.eventAggregator.publish(EVENTS.USER_REQUESTED_PASTE_ROWS, { text });
+        });
+    }
+
     _setupFileLoader() {
         const fileLoader = document.getElementById(DOM_IDS.FILE_LOADER);
         if (fileLoader) {
@@ -74,7 +127,12 @@ export class InputHandler {
                 reader.onerror = () => {
                     this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Error reading file: ${reader.error}`, type: 'error' });
                 };
-                reader.readAsText(file);
+                // Workbooks are binary (ZIP) files; the other files are text.
+                if (file.name.toLowerCase().endsWith('.xlsx')) {
+                    reader.readAsArrayBuffer(file);
+                } else {
+                    reader.readAsText(file);
+                }
                 event.target.value = '';
             });
         }
@@ -107,6 +165,15 @@ export class InputHandler {
         // These are buttons located outside the main grid (e.g., in the top control bar)
         setupButton('key-reset', EVENTS.USER_REQUESTED_RESET);
         setupButton(DOM_IDS.KEY_M_SET, EVENTS.USER_REQUESTED_MULTI_TYPE_SET);
+        setupButton(DOM_IDS.KEY_UNDO, EVENTS.USER_REQUESTED_UNDO);
+        setupButton(DOM_IDS.KEY_REDO, EVENTS.USER_REQUESTED_REDO);
+        setupButton(DOM_IDS.KEY_COPY_ROWS, EVENTS.USER_REQUESTED_COPY_ROWS);
+        setupButton(DOM_IDS.KEY_CUT_ROWS, EVENTS.USER_REQUESTED_CUT_ROWS);
+        setupButton(DOM_IDS.KEY_PASTE_ROWS, EVENTS.USER_REQUESTED_PASTE_ROWS);
+        setupButton(DOM_IDS.KEY_DUPLICATE_ROWS, EVENTS.USER_REQUESTED_DUPLICATE_ROWS);
+        setupButton(DOM_IDS.KEY_DELETE_ROWS, EVENTS.USER_REQUESTED_DELETE_ROW);
+        setupButton(DOM_IDS.KEY_SORT_ROWS, EVENTS.USER_REQUESTED_SORT_ROWS);
+        setupButton(DOM_IDS.KEY_GROUP_ROOMS, EVENTS.USER_TOGGLED_ROOM_GROUPING);
     }
     
     _setupNumericKeyboard() {
@@ -194,7 +261,10 @@ export class InputHandler {
 
                 if (!this.isLongPress) {
                     const target = e.target;
-                    if (target.tagName === 'TD') {
+                    const roomHeader = target.closest?.('tr.room-group-header');
+                    if (roomHeader) {
+                        this.eventAggregator.publish(EVENTS.USER_TOGGLED_ROOM_GROUP, { roomKey: roomHeader.dataset.roomKey });
+                    } else if (target.tagName === 'TD') {
                         const column = target.dataset.column;
                         const rowIndex = target.parentElement.dataset.rowIndex;
                         if (column && rowIndex) {
@@ -223,6 +293,62 @@ export class InputHandler {
             table.addEventListener('mouseleave', () => {
                 clearTimeout(this.longPressTimer);
             }, true);
+
+            this._setupRowDragging(table);
         }
     }
+
+    /**
+     * Rows are dragged by their sequence cell and dropped before or after another row.
+     */
+    _setupRowDragging(table) {
+        let fromIndex = null;
+        let dropTarget = null;
+
+        const clearDropTarget = () => {
+            dropTarget?.row.classList.remove('row-drop-before', 'row-drop-after');
+            dropTarget = null;
+        };
+
+        table.addEventListener('dragstart', (e) => {
+            const row = e.target.closest('tr[data-row-index]');
+            if (!row || e.target.dataset.column !== 'sequence') return;
+            clearTimeout(this.longPressTimer);
+            fromIndex = parseInt(row.dataset.rowIndex, 10);
+            row.classList.add('row-dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData('text/plain', String(fromIndex));
+        });
+
+        table.addEventListener('dragover', (e) => {
+            const row = e.target.closest('tr[data-row-index]');
+            if (fromIndex === null || !row) return;
+            e.preventDefault();
+            // Nothing is dropped after the final empty row, whose sequence cell is not draggable.
+            const isLastRow = !row.querySelector('td[draggable="true"]');
+            const rect = row.getBoundingClientRect();
+            const position = isLastRow || e.clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+            if (dropTarget?.row === row && dropTarget.position === position) return;
+            clearDropTarget();
+            dropTarget = { row, position };
+            row.classList.add(`row-drop-${position}`);
+        });
+
+        table.addEventListener('drop', (e) => {
+            if (fromIndex === null || !dropTarget) return;
+            e.preventDefault();
+            const overIndex = parseInt(dropTarget.row.dataset.rowIndex, 10);
+            const insertIndex = dropTarget.position === 'after' ? overIndex + 1 : overIndex;
+            const toIndex = insertIndex > fromIndex ? insertIndex - 1 : insertIndex;
+            if (toIndex !== fromIndex) {
+                this.eventAggregator.publish(EVENTS.USER_MOVED_ROW, { fromIndex, toIndex });
+            }
+        });
+
+        table.addEventListener('dragend', () => {
+            table.querySelector('tr.row-dragging')?.classList.remove('row-dragging');
+            clearDropTarget();
+            fromIndex = null;
+        });
+    }
 }
\ No newline at end of file
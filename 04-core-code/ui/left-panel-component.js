@@ -1,21 +1,30 @@
 // File: 04-core-code/ui/left-panel-component.js
 
 import { DOM_IDS } from '../config/constants.js';
+import { isLfModified } from '../utils/item-metadata-utils.js';
+import { groupItemsByRoom, getRoomKey } from '../utils/room-utils.js';
 
 /**
  * @fileoverview A dedicated component for managing and rendering the Left Panel UI.
  */
 export class LeftPanelComponent {
-    constructor(panelElement) {
+    constructor(panelElement, { locationVocabularyService } = {}) {
         if (!panelElement) {
             throw new Error("Panel element is required for LeftPanelComponent.");
         }
         this.panelElement = panelElement;
+        this.locationVocabularyService = locationVocabularyService;
         this.panelToggle = document.getElementById(DOM_IDS.LEFT_PANEL_TOGGLE);
 
         // Cache all DOM elements in the constructor.
         this.locationButton = document.getElementById('btn-focus-location');
         this.locationInput = document.getElementById(DOM_IDS.LOCATION_INPUT_BOX);
+        this.roomNameOptions = document.getElementById(DOM_IDS.ROOM_NAME_OPTIONS);
+        this.locationPresetButtons = document.getElementById(DOM_IDS.LOCATION_PRESET_BUTTONS);
+        this.locationFillDownButton = document.getElementById(DOM_IDS.LOCATION_FILL_DOWN_BUTTON);
+        this.roomScopeBar = document.getElementById(DOM_IDS.ROOM_SCOPE_BAR);
+        this.roomScopeSelect = document.getElementById(DOM_IDS.ROOM_SCOPE_SELECT);
+        this.renderedRoomsKey = null;
         this.fabricColorButton = document.getElementById('btn-focus-fabric');
         this.lfButton = document.getElementById('btn-light-filter');
         this.lfDelButton = document.getElementById('btn-lf-del');
@@ -55,6 +64,8 @@ export class LeftPanelComponent {
         this.k5AccessoriesTotalDisplay = document.getElementById('k5-display-accessories-total');
         this.tabButtons = this.panelElement.querySelectorAll('.tab-button');
         this.tabContents = this.panelElement.querySelectorAll('.tab-content');
+
+        this.renderLocationPresets();
         
         console.log("LeftPanelComponent Initialized.");
     }
@@ -62,6 +73,67 @@ export class LeftPanelComponent {
     render(uiState, quoteData) {
         this._updateTabStates(uiState);
         this._updatePanelButtonStates(uiState, quoteData);
+        this._updateRoomControls(uiState, quoteData);
+    }
+
+    /**
+     * Rebuilds the K1 room preset buttons from the saved presets.
+     */
+    renderLocationPresets() {
+        if (!this.locationPresetButtons || !this.locationVocabularyService) return;
+        const isDisabled = this.locationInput ? this.locationInput.disabled : false;
+        this.locationPresetButtons.replaceChildren(...this._getLocationPresets().map(name => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'location-preset-button';
+            button.dataset.preset = name;
+            button.textContent = name;
+            button.disabled = isDisabled;
+            return button;
+        }));
+        // Let the next render add the new presets to the auto-complete.
+        this.renderedRoomsKey = null;
+    }
+
+    _getLocationPresets() {
+        return this.locationVocabularyService ? this.locationVocabularyService.getPresets() : [];
+    }
+
+    /**
+     * Fills the location auto-complete with the rooms used in any product of the quote followed by
+     * the room presets, and the "Apply to" list of K2-K4 with the rooms of the current product.
+     */
+    _updateRoomControls(uiState, quoteData) {
+        const allItems = Object.values(quoteData.products).flatMap(productData => productData.items || []);
+        const usedRoomNames = groupItemsByRoom(allItems).filter(group => group.key).map(group => group.room);
+        const usedKeys = new Set(usedRoomNames.map(getRoomKey));
+        const roomNames = [...usedRoomNames, ...this._getLocationPresets().filter(name => !usedKeys.has(getRoomKey(name)))];
+        const scopeRooms = groupItemsByRoom(quoteData.products[quoteData.currentProduct].items).filter(group => group.key);
+
+        // The lists are only rebuilt when the rooms change, so an open list is not reset on every render.
+        const roomsKey = JSON.stringify([roomNames, scopeRooms.map(({ key, room }) => [key, room])]);
+        if (roomsKey !== this.renderedRoomsKey) {
+            this.renderedRoomsKey = roomsKey;
+            if (this.roomNameOptions) {
+                this.roomNameOptions.replaceChildren(...roomNames.map(room => new Option(room)));
+            }
+            if (this.roomScopeSelect) {
+                this.roomScopeSelect.replaceChildren(
+                    new Option('All rooms', ''),
+                    ...scopeRooms.map(({ key, room }) => new Option(room, key))
+                );
+            }
+        }
+
+        if (this.roomScopeSelect) {
+            const hasScope = uiState.roomScope !== null && scopeRooms.some(({ key }) => key === uiState.roomScope);
+            this.roomScopeSelect.value = hasScope ? uiState.roomScope : '';
+            this.roomScopeSelect.classList.toggle('is-scoped', hasScope);
+        }
+        if (this.roomScopeBar) {
+            const isBatchTab = ['k2-tab', 'k3-tab', 'k4-tab'].includes(uiState.activeTabId);
+            this.roomScopeBar.classList.toggle('is-hidden', !isBatchTab);
+        }
     }
 
     _updateTabStates(uiState) {
@@ -108,9 +180,6 @@ export class LeftPanelComponent {
             summaryRemotePrice, summaryChargerPrice, summaryCordPrice, summaryAccessoriesTotal
         } = uiState;
 
-        // [CORRECTED] Read lfModifiedRowIndexes from its new location in quoteData.uiMetadata.
-        const lfModifiedRowIndexes = quoteData.uiMetadata?.lfModifiedRowIndexes || [];
-        
         const currentProductKey = quoteData.currentProduct;
         const productData = quoteData.products[currentProductKey];
         const items = productData.items;
@@ -125,6 +194,14 @@ export class LeftPanelComponent {
                 this.locationInput.value = locationInputValue;
             }
         }
+        if (this.locationPresetButtons) {
+            this.locationPresetButtons.querySelectorAll('.location-preset-button').forEach(button => {
+                button.disabled = activeEditMode !== 'K1';
+            });
+        }
+        if (this.locationFillDownButton) {
+            this.locationFillDownButton.disabled = activeEditMode !== 'K1' || uiState.multiSelectSelectedIndexes.length < 2;
+        }
         
         // --- K2 Button Active/Disabled States ---
         const isFCMode = activeEditMode === 'K2';
@@ -137,8 +214,7 @@ export class LeftPanelComponent {
         if (this.lfButton) this.lfButton.classList.toggle('active', isLFSelectMode);
         if (this.lfDelButton) this.lfDelButton.classList.toggle('active', isLFDeleteMode);
         
-        // [CORRECTED] Changed check from .size > 0 to .length > 0 for arrays.
-        const hasLFModified = lfModifiedRowIndexes.length > 0;
+        const hasLFModified = items.some(item => isLfModified(quoteData.uiMetadata, item));
 
         if (this.locationButton) this.locationButton.disabled = isAnyK2ModeActive;
         if (this.fabricColorButton) this.fabricColorButton.disabled = activeEditMode !== null && !isFCMode;
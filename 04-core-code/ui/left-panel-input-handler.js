@@ -14,6 +14,7 @@ export class LeftPanelInputHandler {
     initialize() {
         this._setupNavigationToggle();
         this._setupTabButtons();
+        this._setupRoomScope();
         this._setupK1Inputs();
         this._setupK2Inputs();
         this._setupK3Inputs();
@@ -42,6 +43,18 @@ export class LeftPanelInputHandler {
         }
     }
 
+    /**
+     * The room that K2-K4 batch edits apply to; an empty value stands for all rooms.
+     */
+    _setupRoomScope() {
+        const roomScopeSelect = document.getElementById(DOM_IDS.ROOM_SCOPE_SELECT);
+        if (roomScopeSelect) {
+            roomScopeSelect.addEventListener('change', (event) => {
+                this.eventAggregator.publish(EVENTS.USER_CHANGED_ROOM_SCOPE, { roomKey: event.target.value || null });
+            });
+        }
+    }
+
     _setupK1Inputs() {
         const locationButton = document.getElementById('btn-focus-location');
         if (locationButton) {
@@ -61,6 +74,24 @@ export class LeftPanelInputHandler {
                 }
             });
         }
+
+        // The preset buttons are rebuilt when the presets change, so clicks are handled on their container.
+        const presetButtons = document.getElementById(DOM_IDS.LOCATION_PRESET_BUTTONS);
+        if (presetButtons) {
+            presetButtons.addEventListener('click', (event) => {
+                const button = event.target.closest('.location-preset-button');
+                if (button && !button.disabled) {
+                    this.eventAggregator.publish(EVENTS.USER_SELECTED_LOCATION_PRESET, { name: button.dataset.preset });
+                }
+            });
+        }
+
+        const fillDownButton = document.getElementById(DOM_IDS.LOCATION_FILL_DOWN_BUTTON);
+        if (fillDownButton) {
+            fillDownButton.addEventListener('click', () => {
+                this.eventAggregator.publish(EVENTS.USER_REQUESTED_LOCATION_FILL_DOWN);
+            });
+        }
     }
 
     _setupK2Inputs() {
@@ -0,0 +1,233 @@
+// /04-core-code/ui/measurement-import-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { escapeHtml } from '../utils/html-utils.js';
+import { IMPORT_FIELDS, LENGTH_UNITS, guessColumnMapping, getUnmappedRequiredFields, readMeasurementRows } from '../utils/measurement-import-utils.js';
+
+const PREVIEW_ROW_COUNT = 8;
+
+/**
+ * @fileoverview The import wizard for measurement sheets that are not quote exports (opened from
+ * the load flow, see WorkflowService.handleFileLoad). It previews the sheet, lets the user map each
+ * column to an item field, choose the product and the unit of the lengths, and lists the rows that
+ * will be rejected, with their reasons, before the accepted rows are imported as a new quote.
+ */
+export class MeasurementImportComponent {
+    constructor({ overlayElement, eventAggregator, stateService, productFactory, configManager }) {
+        if (!overlayElement || !eventAggregator || !stateService || !productFactory || !configManager) {
+            throw new Error("Overlay element, event aggregator, state service, product factory and config manager are required for MeasurementImportComponent.");
+        }
+        this.overlay = overlayElement;
+        this.eventAggregator = eventAggregator;
+        this.stateService = stateService;
+        this.productFactory = productFactory;
+        this.configManager = configManager;
+
+        this.fileName = '';
+        this.rows = [];
+        this.mapping = [];
+        this.unit = 'mm';
+        this.hasHeaderRow = true;
+        this.productKey = null;
+
+        this.initialize();
+        console.log("MeasurementImportComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_MEASUREMENT_IMPORT, (data) => this.open(data));
+
+        this.overlay.addEventListener('click', (event) => this._handleClick(event));
+        this.overlay.addEventListener('change', (event) => this._handleChange(event));
+    }
+
+    /**
+     * @param {{fileName: string, rows: string[][]}} data
+     */
+    open({ fileName, rows }) {
+        const { mapping, unit } = guessColumnMapping(rows[0] || []);
+        this.fileName = fileName;
+        this.rows = rows;
+        // Without a recognised header the first row is taken to be data.
+        this.hasHeaderRow = mapping.some(field => field !== null);
+        this.mapping = this._padMapping(mapping);
+        this.unit = unit;
+        this.productKey = this.stateService.getState().quoteData.currentProduct;
+
+        this.render();
+        this.overlay.classList.remove('is-hidden');
+    }
+
+    close() {
+        this.overlay.classList.add('is-hidden');
+        this.overlay.innerHTML = '';
+        this.rows = [];
+    }
+
+    _padMapping(mapping) {
+        const columnCount = Math.max(0, ...this.rows.map(cells => cells.length));
+        return Array.from({ length: columnCount }, (_, index) => mapping[index] || null);
+    }
+
+    _readRows() {
+        const productStrategy = this.productFactory.getProductStrategy(this.productKey);
+        const fabricTypes = this.configManager.getFabricTypeSequence(this.productKey);
+        return readMeasurementRows(this.rows, {
+            mapping: this.mapping,
+            unit: this.unit,
+            hasHeaderRow: this.hasHeaderRow,
+            validationRules: productStrategy.getValidationRules(),
+            fabricTypes: fabricTypes.length > 0 ? fabricTypes : null,
+        });
+    }
+
+    // --- Rendering ---
+
+    render() {
+        const productOptions = this.productFactory.getProductTypes().map(productKey => {
+            const productName = this.productFactory.getProductStrategy(productKey).getProductName();
+            return `<option value="${productKey}" ${productKey === this.productKey ? 'selected' : ''}>${escapeHtml(productName)}</option>`;
+        }).join('');
+        const unitOptions = Object.entries(LENGTH_UNITS)
+            .map(([unit, { label }]) => `<option value="${unit}" ${unit === this.unit ? 'selected' : ''}>${label}</option>`).join('');
+
+        this.overlay.innerHTML = `
+            <div class="measurement-import-content">
+                <div class="measurement-import-actions">
+                    <span class="measurement-import-title">Import ${escapeHtml(this.fileName)}</span>
+                    <label>Product <select data-option="productKey">${productOptions}</select></label>
+                    <label>Lengths in <select data-option="unit">${unitOptions}</select></label>
+                    <label><input type="checkbox" data-option="hasHeaderRow" ${this.hasHeaderRow ? 'checked' : ''}> First row is headings</label>
+                    <span class="measurement-import-spacer"></span>
+                    <button data-action="import" class="btn-save">Import</button>
+                    <button data-action="close" class="btn-close">Cancel</button>
+                </div>
+                <div class="measurement-import-body">
+                    <div class="measurement-import-preview"></div>
+                    <div class="measurement-import-result"></div>
+                </div>
+            </div>
+        `;
+        this._renderPreview();
+        this._renderResult();
+    }
+
+    _renderPreview() {
+        const container = this.overlay.querySelector('.measurement-import-preview');
+        if (!container) return;
+
+        const fieldOptions = (selectedField) => [
+            `<option value="">(Skip)</option>`,
+            ...IMPORT_FIELDS.map(({ field, label }) => `<option value="${field}" ${field === selectedField ? 'selected' : ''}>${label}</option>`)
+        ].join('');
+        const previewRows = this.rows.slice(0, PREVIEW_ROW_COUNT + (this.hasHeaderRow ? 1 : 0));
+
+        container.innerHTML = `
+            <table class="measurement-import-table">
+                <thead>
+                    <tr>${this.mapping.map((field, column) => `<th><select data-column="${column}">${fieldOptions(field)}</select></th>`).join('')}</tr>
+                </thead>
+                <tbody>
+                    ${previewRows.map((cells, index) => `
+                        <tr class="${this.hasHeaderRow && index === 0 ? 'measurement-import-header-row' : ''}">
+                            ${this.mapping.map((_, column) => `<td>${escapeHtml(cells[column] || '')}</td>`).join('')}
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+            ${this.rows.length > previewRows.length ? `<p class="measurement-import-note">Showing the first ${previewRows.length} of ${this.rows.length} rows.</p>` : ''}
+        `;
+    }
+
+    _renderResult() {
+        const container = this.overlay.querySelector('.measurement-import-result');
+        const importButton = this.overlay.querySelector('[data-action="import"]');
+        if (!container || !importButton) return;
+
+        const unmappedFields = getUnmappedRequiredFields(this.mapping);
+        if (unmappedFields.length > 0) {
+            container.innerHTML = `<p class="measurement-import-error">Choose the column${unmappedFields.length > 1 ? 's' : ''} holding the ${unmappedFields.join(' and ')}.</p>`;
+            importButton.disabled = true;
+            importButton.textContent = 'Import';
+            return;
+        }
+
+        const { items, rejected } = this._readRows();
+        importButton.disabled = items.length === 0;
+        importButton.textContent = `Import ${items.length} Item${items.length === 1 ? '' : 's'}`;
+
+        const summary = `<p class="measurement-import-summary">${items.length} row(s) will be imported${rejected.length > 0 ? `; ${rejected.length} row(s) will be left out:` : '.'}</p>`;
+        if (rejected.length === 0) {
+            container.innerHTML = summary;
+            return;
+        }
+        container.innerHTML = `
+            ${summary}
+            <table class="measurement-import-table measurement-import-rejected">
+                <thead><tr><th>Row</th><th>Reason</th><th>Content</th></tr></thead>
+                <tbody>
+                    ${rejected.map(({ rowNumber, cells, reasons }) => `
+                        <tr>
+                            <td>${rowNumber}</td>
+                            <td>${reasons.map(escapeHtml).join('<br>')}</td>
+                            <td>${escapeHtml(cells.join(' | '))}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    // --- Event Handling ---
+
+    _handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const actions = {
+            'import': () => this._import(),
+            'close': () => this.close(),
+        };
+        actions[button.dataset.action]?.();
+    }
+
+    _handleChange(event) {
+        const target = event.target;
+
+        if (target.dataset.column !== undefined) {
+            const field = target.value || null;
+            // A field comes from one column only; choosing it again moves it.
+            this.mapping = this.mapping.map((mappedField, column) => {
+                if (column === Number(target.dataset.column)) return field;
+                return mappedField === field ? null : mappedField;
+            });
+            this._renderPreview();
+            this._renderResult();
+            return;
+        }
+
+        const option = target.dataset.option;
+        if (option === 'hasHeaderRow') {
+            this.hasHeaderRow = target.checked;
+            this._renderPreview();
+        } else if (option === 'productKey' || option === 'unit') {
+            this[option] = target.value;
+        } else {
+            return;
+        }
+        this._renderResult();
+    }
+
+    _import() {
+        if (getUnmappedRequiredFields(this.mapping).length > 0) return;
+        const { items } = this._readRows();
+        if (items.length === 0) return;
+
+        this.eventAggregator.publish(EVENTS.USER_CONFIRMED_MEASUREMENT_IMPORT, {
+            fileName: this.fileName,
+            productKey: this.productKey,
+            items: items.map(({ values }) => values),
+        });
+        this.close();
+    }
+}
\ No newline at end of file
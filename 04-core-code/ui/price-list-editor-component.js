@@ -0,0 +1,753 @@
+// /04-core-code/ui/price-list-editor-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { validatePriceList } from '../utils/price-list-utils.js';
+import { escapeHtml } from '../utils/html-utils.js';
+
+const SECTIONS = {
+    VERSION: 'version',
+    ACCESSORIES: 'accessories',
+    BUSINESS_RULES: 'businessRules',
+};
+const MATRIX_SECTION_PREFIX = 'matrix:';
+const FABRIC_TYPE_CODE_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+// Blank cells become null, which in a price grid marks a size that is not available.
+const toNumber = (value) => (value === '' ? null : Number(value));
+const isInvalidNumber = (value) => value !== null && (typeof value !== 'number' || !Number.isFinite(value) || value < 0);
+
+/**
+ * @fileoverview A full-screen editor for the price list: matrices, accessories and business rules.
+ * All edits are made on a draft copy of one price list version. Saving validates the draft and hands
+ * it to the ConfigManager, which stores it locally under its version so that it takes precedence over
+ * the bundled file of the same version. A new version (e.g. for a supplier price rise) starts as a
+ * copy of the one being edited.
+ */
+export class PriceListEditorComponent {
+    constructor({ overlayElement, eventAggregator, configManager, fileService }) {
+        if (!overlayElement || !eventAggregator || !configManager || !fileService) {
+            throw new Error("Overlay element, event aggregator, config manager and file service are required for PriceListEditorComponent.");
+        }
+        this.overlay = overlayElement;
+        this.eventAggregator = eventAggregator;
+        this.configManager = configManager;
+        this.fileService = fileService;
+
+        this.draft = null;
+        this.sourceVersion = null; // The saved version the draft was loaded from; null for a new version.
+        this.activeSection = null;
+        this.isDirty = false;
+        this.businessRulesError = null;
+
+        this.initialize();
+        console.log("PriceListEditorComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_PRICE_LIST_EDITOR, () => this.open());
+
+        this.overlay.addEventListener('click', (event) => this._handleClick(event));
+        this.overlay.addEventListener('input', (event) => this._handleInput(event));
+        this.overlay.addEventListener('change', (event) => this._handleChange(event));
+    }
+
+    open() {
+        const priceList = this.configManager.getPriceList();
+        if (!priceList) {
+            this._notify('The price list has not been loaded yet.', 'error');
+            return;
+        }
+        this._loadDraft(priceList, { sourceVersion: this.configManager.getActivePriceListVersion() });
+        this.overlay.classList.remove('is-hidden');
+    }
+
+    close({ discardChanges = false } = {}) {
+        if (this.isDirty && !discardChanges) {
+            this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+                message: 'Discard the unsaved changes to the price list?',
+                layout: [[
+                    { type: 'button', text: 'Discard', callback: () => this.close({ discardChanges: true }) },
+                    { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }
+                ]]
+            });
+            return;
+        }
+        this.overlay.classList.add('is-hidden');
+        this.overlay.innerHTML = '';
+        this.draft = null;
+    }
+
+    _loadDraft(priceList, { sourceVersion = this.sourceVersion, isDirty = false } = {}) {
+        this.draft = priceList;
+        this.sourceVersion = sourceVersion;
+        this.draft.meta = this.draft.meta || {};
+        this.draft.matrices = this.draft.matrices || {};
+        this.draft.accessories = this.draft.accessories || {};
+        this.draft.businessRules = this.draft.businessRules || {};
+        this.activeSection = MATRIX_SECTION_PREFIX + (Object.keys(this.draft.matrices)[0] || '');
+        this.isDirty = isDirty;
+        this.businessRulesError = null;
+        this.render();
+    }
+
+    _notify(message, type = 'info') {
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message, type });
+    }
+
+    _getActiveFabricType() {
+        if (!this.activeSection?.startsWith(MATRIX_SECTION_PREFIX)) return null;
+        const fabricType = this.activeSection.slice(MATRIX_SECTION_PREFIX.length);
+        return this.draft.matrices[fabricType] ? fabricType : null;
+    }
+
+    _markDirty() {
+        this.isDirty = true;
+        this._renderStatus();
+    }
+
+    _collectErrors() {
+        const errors = validatePriceList(this.draft);
+        if (this.businessRulesError) {
+            errors.push(`Business rules are not valid JSON: ${this.businessRulesError}`);
+        }
+        return errors;
+    }
+
+    // --- Rendering ---
+
+    render() {
+        this.overlay.innerHTML = `
+            <div class="price-editor-content">
+                <div class="price-editor-actions">
+                    <span class="price-editor-title">Price List</span>
+                    ${this._renderVersionSelect()}
+                    <span class="price-editor-source"></span>
+                    <button data-action="new-version" class="btn-secondary">New Version</button>
+                    <button data-action="import" class="btn-secondary">Import</button>
+                    <button data-action="export-json" class="btn-secondary">Export JSON</button>
+                    <button data-action="export-csv" class="btn-secondary">Export CSV</button>
+                    <button data-action="reset" class="btn-secondary">Reset</button>
+                    <button data-action="save" class="btn-save">Save</button>
+                    <button data-action="close" class="btn-close">Close</button>
+                </div>
+                <div class="price-editor-body">
+                    <nav class="price-editor-nav">${this._renderNav()}</nav>
+                    <div class="price-editor-main">${this._renderSection()}</div>
+                </div>
+                <ul class="price-editor-errors"></ul>
+                <input type="file" class="price-editor-file" accept=".json,.csv" hidden>
+            </div>`;
+        this._renderStatus();
+    }
+
+    _renderStatus() {
+        const sourceElement = this.overlay.querySelector('.price-editor-source');
+        if (sourceElement) {
+            if (this.isDirty) {
+                sourceElement.textContent = this.sourceVersion === null ? 'New version, not saved' : 'Unsaved changes';
+            } else {
+                sourceElement.textContent = this.configManager.hasLocalPriceList(this.sourceVersion) ? 'Local edits' : 'Bundled file';
+            }
+            sourceElement.classList.toggle('is-dirty', this.isDirty);
+        }
+
+        const errorsElement = this.overlay.querySelector('.price-editor-errors');
+        if (errorsElement) {
+            errorsElement.innerHTML = this._collectErrors().map(error => `<li>${escapeHtml(error)}</li>`).join('');
+        }
+    }
+
+    _renderVersionSelect() {
+        const options = this.configManager.getPriceListVersions().map(({ version, effectiveDate, isLocal }) =>
+            `<option value="${escapeHtml(version)}" ${version === this.sourceVersion ? 'selected' : ''}>${escapeHtml(version)} (from ${escapeHtml(effectiveDate)})${isLocal ? ' *' : ''}</option>`
+        ).join('');
+        const newOption = this.sourceVersion === null ? '<option value="" selected>New version</option>' : '';
+        return `<select class="price-editor-version" title="Price list version (* = edited in the app)">${newOption}${options}</select>`;
+    }
+
+    _renderNav() {
+        const navButton = (section, label, detail = '') => `
+            <button data-action="select-section" data-section="${escapeHtml(section)}" class="${section === this.activeSection ? 'is-active' : ''}">
+                ${escapeHtml(label)}${detail ? `<small>${escapeHtml(detail)}</small>` : ''}
+            </button>`;
+
+        const matrixButtons = Object.entries(this.draft.matrices).map(([fabricType, matrix]) =>
+            navButton(MATRIX_SECTION_PREFIX + fabricType, fabricType, matrix.aliasFor !== undefined ? `= ${matrix.aliasFor}` : matrix.name)
+        ).join('');
+
+        return `
+            <div class="price-editor-nav-group">Fabric Types</div>
+            ${matrixButtons}
+            <div class="price-editor-new-type">
+                <input type="text" class="price-editor-new-code" placeholder="New code">
+                <button data-action="add-fabric-type">+ Fabric Type</button>
+                <button data-action="add-alias">+ Alias</button>
+            </div>
+            <div class="price-editor-nav-group">Other</div>
+            ${navButton(SECTIONS.VERSION, 'Version Info', this.draft.meta.version || '')}
+            ${navButton(SECTIONS.ACCESSORIES, 'Accessories')}
+            ${navButton(SECTIONS.BUSINESS_RULES, 'Business Rules')}`;
+    }
+
+    _renderSection() {
+        if (this.activeSection === SECTIONS.VERSION) return this._renderVersionInfo();
+        if (this.activeSection === SECTIONS.ACCESSORIES) return this._renderAccessories();
+        if (this.activeSection === SECTIONS.BUSINESS_RULES) return this._renderBusinessRules();
+
+        const fabricType = this._getActiveFabricType();
+        if (!fabricType) return '<p class="price-editor-empty">Add a fabric type to start.</p>';
+
+        const matrix = this.draft.matrices[fabricType];
+        const header = `
+            <div class="price-editor-matrix-header">
+                <h3>${escapeHtml(fabricType)}</h3>
+                <label>Name <input type="text" data-field="name" value="${escapeHtml(matrix.name)}"></label>
+                ${matrix.aliasFor !== undefined ? this._renderAliasSelect(fabricType, matrix) : ''}
+                ${matrix.pricingModel !== 'perMetre' ? this._renderOversizeRule(matrix) : ''}
+                <button data-action="delete-fabric-type" class="btn-danger">Delete</button>
+            </div>`;
+
+        if (matrix.aliasFor !== undefined) {
+            return `${header}<p class="price-editor-note">${escapeHtml(fabricType)} uses the prices of ${escapeHtml(matrix.aliasFor)}.</p>`;
+        }
+        if (matrix.pricingModel === 'perMetre') {
+            return header + this._renderPerMetreGrid(matrix);
+        }
+        return header + this._renderGrid(matrix);
+    }
+
+    _renderAliasSelect(fabricType, matrix) {
+        const options = Object.entries(this.draft.matrices)
+            .filter(([code, target]) => code !== fabricType && target.aliasFor === undefined)
+            .map(([code]) => `<option value="${escapeHtml(code)}" ${code === matrix.aliasFor ? 'selected' : ''}>${escapeHtml(code)}</option>`)
+            .join('');
+        return `<label>Alias for <select data-field="aliasFor">${options}</select></label>`;
+    }
+
+    /**
+     * How sizes beyond the matrix are priced. Without its own rule a matrix follows
+     * businessRules.pricing.rollerBlind.oversize, which rejects them unless set.
+     */
+    _renderOversizeRule(matrix) {
+        const oversize = matrix.pricing?.oversize;
+        const selectedType = oversize === undefined ? '' : (oversize ? oversize.type : 'none');
+        const describe = (rule) => {
+            if (rule?.type === 'per100mm') return `+$${rule.amountPer100mm ?? 0} per 100mm`;
+            if (rule?.type === 'percentage') return `+${rule.percentPer100mm ?? 0}% per 100mm`;
+            return 'reject';
+        };
+        const options = [
+            ['', `Price list default (${describe(this.draft.businessRules?.pricing?.rollerBlind?.oversize)})`],
+            ['none', 'Reject'],
+            ['per100mm', '+ $ per 100mm'],
+            ['percentage', '+ % per 100mm'],
+        ].map(([value, label]) => `<option value="${value}" ${value === selectedType ? 'selected' : ''}>${escapeHtml(label)}</option>`).join('');
+        const amount = oversize?.type === 'percentage' ? oversize.percentPer100mm : oversize?.amountPer100mm;
+
+        return `
+                <label>Beyond the matrix <select data-field="oversizeType">${options}</select></label>
+                ${oversize ? this._renderNumberInput(amount ?? null, 'data-field="oversizeAmount" title="Surcharge for each 100mm beyond the matrix"') : ''}`;
+    }
+
+    _renderNumberInput(value, attributes) {
+        const isInvalid = value === undefined || isInvalidNumber(value);
+        return `<input type="number" min="0" ${attributes} value="${isInvalid || value === null ? '' : value}" class="${isInvalid ? 'is-invalid' : ''}">`;
+    }
+
+    _renderGrid(matrix) {
+        const widthCells = matrix.widths.map((width, index) =>
+            `<th>${this._renderNumberInput(width, `data-axis="widths" data-index="${index}"`)}</th>`
+        ).join('');
+
+        const rows = matrix.drops.map((drop, rowIndex) => {
+            const priceCells = (matrix.prices[rowIndex] || []).map((price, colIndex) =>
+                `<td>${this._renderNumberInput(price, `data-row="${rowIndex}" data-col="${colIndex}"`)}</td>`
+            ).join('');
+            return `<tr><th>${this._renderNumberInput(drop, `data-axis="drops" data-index="${rowIndex}"`)}</th>${priceCells}</tr>`;
+        }).join('');
+
+        return `
+            <div class="price-editor-grid-tools">
+                <button data-action="add-width">+ Width</button>
+                <button data-action="remove-width">&minus; Width</button>
+                <button data-action="add-drop">+ Drop</button>
+                <button data-action="remove-drop">&minus; Drop</button>
+            </div>
+            <div class="price-editor-grid-scroll">
+                <table class="price-editor-grid">
+                    <thead><tr><th>Drop \\ Width</th>${widthCells}</tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }
+
+    _renderPerMetreGrid(matrix) {
+        const dropCells = matrix.drops.map((drop, index) =>
+            `<td>${this._renderNumberInput(drop, `data-axis="drops" data-index="${index}"`)}</td>`
+        ).join('');
+        const priceCells = matrix.pricesPerMetre.map((price, index) =>
+            `<td>${this._renderNumberInput(price, `data-axis="pricesPerMetre" data-index="${index}"`)}</td>`
+        ).join('');
+
+        return `
+            <div class="price-editor-grid-tools">
+                <button data-action="add-drop">+ Drop</button>
+                <button data-action="remove-drop">&minus; Drop</button>
+            </div>
+            <div class="price-editor-grid-scroll">
+                <table class="price-editor-grid">
+                    <tbody>
+                        <tr><th>Drop</th>${dropCells}</tr>
+                        <tr><th>Price/m</th>${priceCells}</tr>
+                    </tbody>
+                </table>
+            </div>`;
+    }
+
+    _renderVersionInfo() {
+        const { meta } = this.draft;
+        const textField = (field, label, type = 'text') =>
+            `<label>${label} <input type="${type}" data-meta="${field}" value="${escapeHtml(meta[field] ?? '')}"></label>`;
+        return `
+            <p class="price-editor-note">Quotes are priced on the version in effect on their issue date and keep that version until they are re-priced.</p>
+            <div class="price-editor-meta">
+                ${textField('version', 'Version')}
+                ${textField('effectiveDate', 'Effective from', 'date')}
+                ${textField('supplier', 'Supplier')}
+                ${textField('currency', 'Currency')}
+            </div>`;
+    }
+
+    _renderAccessories() {
+        const rows = Object.entries(this.draft.accessories).map(([key, accessory]) => `
+            <tr>
+                <td class="text-left">${escapeHtml(key)}</td>
+                <td class="text-left">${escapeHtml(accessory.name || '')}</td>
+                <td>${this._renderNumberInput(accessory.price, `data-accessory="${escapeHtml(key)}" data-field="price"`)}</td>
+                <td><input type="text" data-accessory="${escapeHtml(key)}" data-field="unit" value="${escapeHtml(accessory.unit || '')}"></td>
+            </tr>`).join('');
+
+        return `
+            <div class="price-editor-grid-scroll">
+                <table class="price-editor-grid price-editor-accessories">
+                    <thead><tr><th>Key</th><th>Name</th><th>Price</th><th>Unit</th></tr></thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>`;
+    }
+
+    _renderBusinessRules() {
+        return `
+            <p class="price-editor-note">Validation limits, pricing modes, logic thresholds and accessory mappings, as JSON. Sizes beyond the matrices are rejected unless pricing.rollerBlind.oversize is set, e.g. {"type": "per100mm", "amountPer100mm": 6}; a matrix can override it.</p>
+            <textarea class="price-editor-rules" data-field="businessRules" spellcheck="false">${escapeHtml(JSON.stringify(this.draft.businessRules, null, 2))}</textarea>`;
+    }
+
+    // --- Event Handling ---
+
+    _handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const actions = {
+            'select-section': () => {
+                this.activeSection = button.dataset.section;
+                this.render();
+            },
+            'add-width': () => this._addWidth(),
+            'remove-width': () => this._removeWidth(),
+            'add-drop': () => this._addDrop(),
+            'remove-drop': () => this._removeDrop(),
+            'add-fabric-type': () => this._addFabricType({ asAlias: false }),
+            'add-alias': () => this._addFabricType({ asAlias: true }),
+            'delete-fabric-type': () => this._requestDeleteFabricType(),
+            'new-version': () => this._createVersion(),
+            'import': () => this.overlay.querySelector('.price-editor-file')?.click(),
+            'export-json': () => this._publishResult(this.fileService.exportPriceListToJson(this.draft)),
+            'export-csv': () => this._publishResult(this.fileService.exportPriceListToCsv(this.draft)),
+            'reset': () => this._requestReset(),
+            'save': () => this._save(),
+            'close': () => this.close(),
+        };
+        actions[button.dataset.action]?.();
+    }
+
+    _handleInput(event) {
+        const target = event.target;
+        const { dataset } = target;
+
+        if (dataset.field === 'businessRules') {
+            try {
+                this.draft.businessRules = JSON.parse(target.value);
+                this.businessRulesError = null;
+            } catch (error) {
+                this.businessRulesError = error.message;
+            }
+            target.classList.toggle('is-invalid', this.businessRulesError !== null);
+            this._markDirty();
+            return;
+        }
+
+        if (dataset.meta !== undefined) {
+            this.draft.meta[dataset.meta] = target.value;
+            this._markDirty();
+            return;
+        }
+
+        if (dataset.accessory !== undefined) {
+            const accessory = this.draft.accessories[dataset.accessory];
+            if (!accessory) return;
+            accessory[dataset.field] = dataset.field === 'price' ? toNumber(target.value) : target.value;
+            this._toggleInvalidNumber(target, dataset.field === 'price' ? accessory.price : 0);
+            this._markDirty();
+            return;
+        }
+
+        const fabricType = this._getActiveFabricType();
+        if (!fabricType) return;
+        const matrix = this.draft.matrices[fabricType];
+
+        if (dataset.field === 'name') {
+            matrix.name = target.value;
+        } else if (dataset.field === 'oversizeAmount') {
+            const { oversize } = matrix.pricing;
+            const value = toNumber(target.value);
+            oversize[oversize.type === 'percentage' ? 'percentPer100mm' : 'amountPer100mm'] = value;
+            this._toggleInvalidNumber(target, value);
+        } else if (dataset.axis !== undefined) {
+            const value = toNumber(target.value);
+            matrix[dataset.axis][Number(dataset.index)] = value;
+            this._toggleInvalidNumber(target, value);
+        } else if (dataset.row !== undefined) {
+            const value = toNumber(target.value);
+            matrix.prices[Number(dataset.row)][Number(dataset.col)] = value;
+            this._toggleInvalidNumber(target, value);
+        } else {
+            return;
+        }
+        this._markDirty();
+    }
+
+    _handleChange(event) {
+        const target = event.target;
+
+        if (target.matches('.price-editor-file')) {
+            const file = target.files[0];
+            target.value = '';
+            if (file) this._importFile(file);
+            return;
+        }
+
+        if (target.matches('.price-editor-version')) {
+            this._switchVersion(target);
+            return;
+        }
+
+        if (target.dataset.field === 'oversizeType') {
+            const fabricType = this._getActiveFabricType();
+            if (!fabricType) return;
+            this._setOversizeType(this.draft.matrices[fabricType], target.value);
+            this.isDirty = true;
+            this.render();
+            return;
+        }
+
+        if (target.dataset.field === 'aliasFor') {
+            const fabricType = this._getActiveFabricType();
+            if (!fabricType) return;
+            this.draft.matrices[fabricType].aliasFor = target.value;
+            this.isDirty = true;
+            this.render();
+        }
+    }
+
+    /**
+     * @param {object} matrix
+     * @param {string} type - '' for the price list default, 'none' to reject, or an oversize rule type.
+     */
+    _setOversizeType(matrix, type) {
+        const { oversize, ...otherRules } = matrix.pricing || {};
+        if (type === '') {
+            if (Object.keys(otherRules).length > 0) {
+                matrix.pricing = otherRules;
+            } else {
+                delete matrix.pricing;
+            }
+            return;
+        }
+        const rules = {
+            none: null,
+            per100mm: { type: 'per100mm', amountPer100mm: 0 },
+            percentage: { type: 'percentage', percentPer100mm: 0 },
+        };
+        matrix.pricing = { ...otherRules, oversize: oversize?.type === type ? oversize : rules[type] };
+    }
+
+    _toggleInvalidNumber(input, value) {
+        input.classList.toggle('is-invalid', isInvalidNumber(value));
+    }
+
+    _publishResult(result) {
+        this._notify(result.message, result.success ? 'info' : 'error');
+    }
+
+    // --- Matrix Editing ---
+
+    _getEditableMatrix() {
+        const fabricType = this._getActiveFabricType();
+        const matrix = fabricType ? this.draft.matrices[fabricType] : null;
+        return matrix && matrix.aliasFor === undefined ? matrix : null;
+    }
+
+    _nextAxisValue(values) {
+        const last = values[values.length - 1] || 0;
+        const step = values.length > 1 ? last - values[values.length - 2] : 100;
+        return last + (step > 0 ? step : 100);
+    }
+
+    _addWidth() {
+        const matrix = this._getEditableMatrix();
+        if (!matrix || matrix.pricingModel === 'perMetre') return;
+        matrix.widths.push(this._nextAxisValue(matrix.widths));
+        matrix.prices.forEach(row => row.push(row[row.length - 1] ?? 0));
+        this.isDirty = true;
+        this.render();
+    }
+
+    _removeWidth() {
+        const matrix = this._getEditableMatrix();
+        if (!matrix || matrix.pricingModel === 'perMetre' || matrix.widths.length <= 1) return;
+        matrix.widths.pop();
+        matrix.prices.forEach(row => row.pop());
+        this.isDirty = true;
+        this.render();
+    }
+
+    _addDrop() {
+        const matrix = this._getEditableMatrix();
+        if (!matrix) return;
+        matrix.drops.push(this._nextAxisValue(matrix.drops));
+        if (matrix.pricingModel === 'perMetre') {
+            matrix.pricesPerMetre.push(matrix.pricesPerMetre[matrix.pricesPerMetre.length - 1] ?? 0);
+        } else {
+            const lastRow = matrix.prices[matrix.prices.length - 1] || matrix.widths.map(() => 0);
+            matrix.prices.push([...lastRow]);
+        }
+        this.isDirty = true;
+        this.render();
+    }
+
+    _removeDrop() {
+        const matrix = this._getEditableMatrix();
+        if (!matrix || matrix.drops.length <= 1) return;
+        matrix.drops.pop();
+        (matrix.pricingModel === 'perMetre' ? matrix.pricesPerMetre : matrix.prices).pop();
+        this.isDirty = true;
+        this.render();
+    }
+
+    /**
+     * Adds a new fabric type based on the active one. A new matrix starts as a copy of the
+     * active matrix's grid; a new alias points at the active matrix (or at its target, if the
+     * active fabric type is itself an alias). The new code joins the same fabric type sequences.
+     */
+    _addFabricType({ asAlias }) {
+        const codeInput = this.overlay.querySelector('.price-editor-new-code');
+        const code = codeInput?.value.trim() || '';
+
+        if (!FABRIC_TYPE_CODE_PATTERN.test(code)) {
+            this._notify('Enter a code for the new fabric type (letters, digits, - or _).', 'error');
+            return;
+        }
+        if (this.draft.matrices[code]) {
+            this._notify(`Fabric type ${code} already exists.`, 'error');
+            return;
+        }
+
+        const sourceFabricType = this._getActiveFabricType() || Object.keys(this.draft.matrices)[0];
+        const source = sourceFabricType ? this.draft.matrices[sourceFabricType] : null;
+        const targetFabricType = source?.aliasFor !== undefined ? source.aliasFor : sourceFabricType;
+        if (!targetFabricType) {
+            this._notify('There is no matrix to base the new fabric type on.', 'error');
+            return;
+        }
+
+        if (asAlias) {
+            this.draft.matrices[code] = { name: code, aliasFor: targetFabricType };
+        } else {
+            this.draft.matrices[code] = { ...JSON.parse(JSON.stringify(this.draft.matrices[targetFabricType])), name: code };
+        }
+
+        this._getSequencesContaining(sourceFabricType).forEach(sequence => sequence.push(code));
+
+        this.activeSection = MATRIX_SECTION_PREFIX + code;
+        this.isDirty = true;
+        this.render();
+        this._notify(asAlias ? `Added ${code} as an alias for ${targetFabricType}.` : `Added ${code} with a copy of the ${targetFabricType} prices.`);
+    }
+
+    _getSequencesContaining(fabricType) {
+        this.draft.fabricTypeSequence = this.draft.fabricTypeSequence || [];
+        const sequences = [this.draft.fabricTypeSequence, ...Object.values(this.draft.productFabricTypeSequences || {})];
+        const containing = sequences.filter(sequence => sequence.includes(fabricType));
+        return containing.length > 0 ? containing : [this.draft.fabricTypeSequence];
+    }
+
+    _requestDeleteFabricType() {
+        const fabricType = this._getActiveFabricType();
+        if (!fabricType) return;
+
+        const aliases = Object.keys(this.draft.matrices).filter(code => this.draft.matrices[code].aliasFor === fabricType);
+        if (aliases.length > 0) {
+            this._notify(`${fabricType} cannot be deleted while ${aliases.join(', ')} use its prices.`, 'error');
+            return;
+        }
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Delete fabric type ${fabricType} from the price list?`,
+            layout: [[
+                { type: 'button', text: 'Delete', callback: () => this._deleteFabricType(fabricType) },
+                { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }
+            ]]
+        });
+    }
+
+    _deleteFabricType(fabricType) {
+        delete this.draft.matrices[fabricType];
+        const removeFrom = (sequence) => {
+            const index = sequence.indexOf(fabricType);
+            if (index !== -1) sequence.splice(index, 1);
+        };
+        removeFrom(this.draft.fabricTypeSequence || []);
+        Object.values(this.draft.productFabricTypeSequences || {}).forEach(removeFrom);
+
+        this.activeSection = MATRIX_SECTION_PREFIX + (Object.keys(this.draft.matrices)[0] || '');
+        this.isDirty = true;
+        this.render();
+    }
+
+    // --- Saving, Importing and Resetting ---
+
+    _switchVersion(selectElement) {
+        if (this.isDirty) {
+            selectElement.value = this.sourceVersion ?? '';
+            this._notify('Save or reset the current changes before switching to another price list version.', 'error');
+            return;
+        }
+        const version = selectElement.value;
+        this._loadDraft(this.configManager.getPriceList(version), { sourceVersion: version });
+    }
+
+    _suggestNextVersion(version) {
+        const versions = new Set(this.configManager.getPriceListVersions().map(entry => entry.version));
+        const match = /^(.*?)(\d+)$/.exec(version || '');
+        let candidate = match ? `${match[1]}${Number(match[2]) + 1}` : `${version || '1'}.1`;
+        while (versions.has(candidate)) {
+            const next = /^(.*?)(\d+)$/.exec(candidate);
+            candidate = `${next[1]}${Number(next[2]) + 1}`;
+        }
+        return candidate;
+    }
+
+    _createVersion() {
+        if (this.isDirty) {
+            this._notify('Save or reset the current changes before creating a new price list version.', 'error');
+            return;
+        }
+        const baseVersion = this.draft.meta.version;
+        const now = new Date();
+        const today = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+        this._loadDraft(JSON.parse(JSON.stringify(this.draft)), { sourceVersion: null, isDirty: true });
+        this.draft.meta.version = this._suggestNextVersion(baseVersion);
+        this.draft.meta.effectiveDate = today;
+        this.activeSection = SECTIONS.VERSION;
+        this.render();
+        this._notify(`New price list ${this.draft.meta.version} copied from ${baseVersion}. Adjust its prices and effective date, then Save.`);
+    }
+
+    _save() {
+        const errors = this._collectErrors();
+        if (errors.length > 0) {
+            this._notify('Please fix the errors listed below before saving the price list.', 'error');
+            return;
+        }
+
+        const version = this.draft.meta.version;
+        const isOtherExistingVersion = version !== this.sourceVersion
+            && this.configManager.getPriceListVersions().some(entry => entry.version === version);
+        if (isOtherExistingVersion) {
+            this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+                message: `Price list ${version} already exists. Replace it with this one?`,
+                layout: [[
+                    { type: 'button', text: 'Replace', callback: () => this._commitSave() },
+                    { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }
+                ]]
+            });
+            return;
+        }
+        this._commitSave();
+    }
+
+    _commitSave() {
+        const result = this.configManager.saveLocalPriceList(this.draft);
+        if (!result.success) {
+            this._notify(result.errors[0], 'error');
+            return;
+        }
+        this.sourceVersion = this.draft.meta.version;
+        this.isDirty = false;
+        this.render();
+        this._notify(`Price list ${this.sourceVersion} saved. Recalculate ($) to apply the new prices to this quote.`);
+    }
+
+    _importFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const result = this.fileService.parsePriceListContent(file.name, e.target.result, this.draft);
+            if (!result.success || !result.data || typeof result.data !== 'object') {
+                this._notify(result.message, 'error');
+                return;
+            }
+            this._loadDraft(result.data, { isDirty: true });
+            this._notify(`${result.message}. Review it and press Save to apply it.`);
+        };
+        reader.onerror = () => {
+            this._notify(`Error reading file: ${reader.error}`, 'error');
+        };
+        reader.readAsText(file);
+    }
+
+    _requestReset() {
+        const version = this.sourceVersion;
+        let message;
+        if (version === null) {
+            message = 'Discard this new, unsaved price list version?';
+        } else if (!this.configManager.hasLocalPriceList(version)) {
+            message = `Discard the unsaved changes to price list ${version}?`;
+        } else if (this.configManager.hasBundledPriceList(version)) {
+            message = `Discard all local edits of price list ${version} and go back to the bundled file?`;
+        } else {
+            message = `Price list ${version} only exists in this app. Delete it?`;
+        }
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message,
+            layout: [[
+                { type: 'button', text: 'Reset', callback: () => this._reset(version) },
+                { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }
+            ]]
+        });
+    }
+
+    _reset(version) {
+        if (version !== null && !this.configManager.resetLocalPriceList(version)) {
+            this._notify('The only price list cannot be deleted.', 'error');
+            return;
+        }
+        const reloadVersion = version !== null && this.configManager.getPriceList(version)
+            ? version
+            : this.configManager.getActivePriceListVersion();
+        this._loadDraft(this.configManager.getPriceList(reloadVersion), { sourceVersion: reloadVersion });
+        this._notify(`Price list ${reloadVersion} reloaded.`);
+    }
+}
\ No newline at end of file
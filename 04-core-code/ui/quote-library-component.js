@@ -0,0 +1,264 @@
+// /04-core-code/ui/quote-library-component.js
+
+import { EVENTS, QUOTE_STATUS } from '../config/constants.js';
+import { escapeHtml } from '../utils/html-utils.js';
+
+const formatTotal = (value) => (typeof value === 'number' ? `$${value.toFixed(2)}` : '—');
+const formatTimestamp = (isoString) => new Date(isoString).toLocaleString();
+
+/**
+ * @fileoverview A full-screen browser for the quote library (F4 > Quotes).
+ * Lists saved quotes with search by quote ID or customer name, status and date range, and lets the
+ * user open, duplicate or delete them, download the last PDF made of them, or start a new quote. It can also be opened on one customer's
+ * quotes (their quote history), which the user can clear to see all quotes again. Opening and starting quotes is left to
+ * the WorkflowService (via events) because it replaces the quote on screen.
+ */
+export class QuoteLibraryComponent {
+    constructor({ overlayElement, eventAggregator, stateService, quoteLibraryService, fileService }) {
+        if (!overlayElement || !eventAggregator || !stateService || !quoteLibraryService || !fileService) {
+            throw new Error("Overlay element, event aggregator, state service, quote library service and file service are required for QuoteLibraryComponent.");
+        }
+        this.overlay = overlayElement;
+        this.eventAggregator = eventAggregator;
+        this.stateService = stateService;
+        this.quoteLibraryService = quoteLibraryService;
+        this.fileService = fileService;
+
+        this.criteria = { text: '', customerId: '', status: '', dateFrom: '', dateTo: '' };
+        this.customerName = '';
+        this.refreshCount = 0; // Lets a slow search be ignored when a newer one has started.
+
+        this.initialize();
+        console.log("QuoteLibraryComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_QUOTE_LIBRARY, (data) => this.open(data));
+
+        this.overlay.addEventListener('click', (event) => this._handleClick(event));
+        this.overlay.addEventListener('input', (event) => this._handleInput(event));
+    }
+
+    /**
+     * @param {object} [options]
+     * @param {string} [options.customerId] - Show only this customer's quotes.
+     * @param {string} [options.customerName] - The customer's name, for the filter label.
+     */
+    async open({ customerId = '', customerName = '' } = {}) {
+        if (!this.quoteLibraryService.isAvailable()) {
+            this._notify('The quote library is not available in this browser.', 'error');
+            return;
+        }
+
+        // Save the quote on screen first so that the list shows it as it is now.
+        try {
+            await this.quoteLibraryService.autoSave(this.stateService.getState().quoteData);
+        } catch (error) {
+            console.error('Failed to save the open quote:', error);
+        }
+
+        this.criteria.customerId = customerId;
+        this.customerName = customerName;
+        this.render();
+        this._renderStatusOptions();
+        this.overlay.classList.remove('is-hidden');
+        await this.refresh();
+    }
+
+    close() {
+        this.overlay.classList.add('is-hidden');
+        this.overlay.innerHTML = '';
+    }
+
+    _notify(message, type = 'info') {
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message, type });
+    }
+
+    // --- Rendering ---
+
+    render() {
+        const { text, dateFrom, dateTo } = this.criteria;
+        this.overlay.innerHTML = `
+            <div class="quote-library-content">
+                <div class="quote-library-actions">
+                    <span class="quote-library-title">Quotes</span>
+                    <input type="search" class="quote-library-search" data-criterion="text" placeholder="Quote ID or customer" value="${escapeHtml(text)}">
+                    ${this.criteria.customerId ? `
+                        <span class="quote-library-filter">Customer: ${escapeHtml(this.customerName)}
+                            <button data-action="clear-customer" title="Show all customers">&times;</button>
+                        </span>` : ''}
+                    <select class="quote-library-status" data-criterion="status"></select>
+                    <label>From <input type="date" data-criterion="dateFrom" value="${escapeHtml(dateFrom)}"></label>
+                    <label>To <input type="date" data-criterion="dateTo" value="${escapeHtml(dateTo)}"></label>
+                    <span class="quote-library-spacer"></span>
+                    <button data-action="new-quote" class="btn-save">New Quote</button>
+                    <button data-action="close" class="btn-close">Close</button>
+                </div>
+                <div class="quote-library-body">
+                    <table class="quote-library-table">
+                        <thead>
+                            <tr>
+                                <th>Quote ID</th>
+                                <th>Customer</th>
+                                <th>Date</th>
+                                <th>Status</th>
+                                <th>Items</th>
+                                <th>Total</th>
+                                <th>Last Saved</th>
+                                <th></th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                </div>
+            </div>
+        `;
+    }
+
+    async refresh() {
+        const refreshId = ++this.refreshCount;
+        let records;
+        try {
+            records = await this.quoteLibraryService.searchQuotes(this.criteria);
+        } catch (error) {
+            console.error('Failed to search the quote library:', error);
+            this._notify('The quote library could not be read.', 'error');
+            return;
+        }
+        if (refreshId !== this.refreshCount) return;
+
+        this._renderRows(records);
+    }
+
+    _renderStatusOptions() {
+        const select = this.overlay.querySelector('.quote-library-status');
+        if (!select) return;
+
+        const statuses = Object.values(QUOTE_STATUS);
+        select.innerHTML = [
+            '<option value="">All statuses</option>',
+            ...statuses.map(status =>
+                `<option value="${escapeHtml(status)}" ${status === this.criteria.status ? 'selected' : ''}>${escapeHtml(status)}</option>`)
+        ].join('');
+    }
+
+    _renderRows(records) {
+        const tbody = this.overlay.querySelector('.quote-library-table tbody');
+        if (!tbody) return;
+
+        if (records.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="8" class="quote-library-empty">No saved quotes match the search.</td></tr>';
+            return;
+        }
+
+        const openRecordId = this.quoteLibraryService.getOpenRecordId();
+        tbody.innerHTML = records.map(record => {
+            const isOpen = record.recordId === openRecordId;
+            const recordId = escapeHtml(record.recordId);
+            return `
+                <tr class="${isOpen ? 'is-open' : ''}">
+                    <td>${escapeHtml(record.quoteId || '(no ID)')}${isOpen ? ' <small>(open)</small>' : ''}</td>
+                    <td>${escapeHtml(record.customerName)}</td>
+                    <td>${escapeHtml(this.quoteLibraryService.getRecordDate(record))}</td>
+                    <td>${escapeHtml(record.status)}</td>
+                    <td class="is-numeric">${record.itemCount}</td>
+                    <td class="is-numeric">${formatTotal(record.grandTotal)}</td>
+                    <td>${escapeHtml(formatTimestamp(record.updatedAt))}</td>
+                    <td class="quote-library-row-actions">
+                        <button data-action="open" data-record-id="${recordId}" ${isOpen ? 'disabled' : ''}>Open</button>
+                        <button data-action="duplicate" data-record-id="${recordId}">Duplicate</button>
+                        <button data-action="pdf" data-record-id="${recordId}">PDF</button>
+                        <button data-action="delete" data-record-id="${recordId}" class="btn-danger">Delete</button>
+                    </td>
+                </tr>
+            `;
+        }).join('');
+    }
+
+    // --- Event Handling ---
+
+    _handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const { recordId } = button.dataset;
+        const actions = {
+            'open': () => {
+                this.close();
+                this.eventAggregator.publish(EVENTS.USER_REQUESTED_OPEN_QUOTE, { recordId });
+            },
+            'duplicate': () => this._duplicate(recordId),
+            'pdf': () => this._downloadPdf(recordId),
+            'delete': () => this._requestDelete(recordId),
+            'new-quote': () => {
+                this.close();
+                this.eventAggregator.publish(EVENTS.USER_REQUESTED_NEW_QUOTE);
+            },
+            'clear-customer': () => {
+                this.criteria.customerId = '';
+                button.closest('.quote-library-filter')?.remove();
+                this.refresh();
+            },
+            'close': () => this.close(),
+        };
+        actions[button.dataset.action]?.();
+    }
+
+    _handleInput(event) {
+        const { criterion } = event.target.dataset;
+        if (criterion === undefined) return;
+        this.criteria[criterion] = event.target.value;
+        this.refresh();
+    }
+
+    async _duplicate(recordId) {
+        try {
+            const copy = await this.quoteLibraryService.duplicateQuote(recordId);
+            this._notify(`Duplicated quote for ${copy.customerName || 'an unnamed customer'}.`);
+        } catch (error) {
+            console.error('Failed to duplicate quote:', error);
+            this._notify('The quote could not be duplicated.', 'error');
+        }
+        await this.refresh();
+    }
+
+    async _downloadPdf(recordId) {
+        try {
+            const [latest] = (await this.quoteLibraryService.getDocuments(recordId))
+                .filter(document => document.type === 'application/pdf');
+            if (!latest) {
+                this._notify('No PDF has been made of this quote yet. Use Download PDF on its printable quote.', 'error');
+                return;
+            }
+            const result = this.fileService.savePdf(latest.blob, latest.fileName);
+            this._notify(result.message, result.success ? 'info' : 'error');
+        } catch (error) {
+            console.error('Failed to read the quote PDF:', error);
+            this._notify('The PDF could not be read from the library.', 'error');
+        }
+    }
+
+    _requestDelete(recordId) {
+        const isOpen = recordId === this.quoteLibraryService.getOpenRecordId();
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: isOpen
+                ? 'Delete the quote that is currently open? It stays on screen and is saved as a new quote if you keep editing it.'
+                : 'Delete this quote from the library? This cannot be undone.',
+            layout: [[
+                { type: 'button', text: 'Delete', callback: () => this._delete(recordId) },
+                { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }
+            ]]
+        });
+    }
+
+    async _delete(recordId) {
+        try {
+            await this.quoteLibraryService.deleteQuote(recordId);
+            this._notify('Quote deleted.');
+        } catch (error) {
+            console.error('Failed to delete quote:', error);
+            this._notify('The quote could not be deleted.', 'error');
+        }
+        await this.refresh();
+    }
+}
\ No newline at end of file
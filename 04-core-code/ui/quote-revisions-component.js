@@ -0,0 +1,271 @@
+// /04-core-code/ui/quote-revisions-component.js
+
+import { EVENTS } from '../config/constants.js';
+import { escapeHtml } from '../utils/html-utils.js';
+
+const CURRENT = 'current';
+
+const ITEM_FIELD_LABELS = {
+    width: 'W', height: 'H', fabricType: 'Type', linePrice: 'Price', location: 'Location',
+    fabric: 'Fabric', color: 'Color', over: 'Over', oi: 'O/I', lr: 'L/R',
+    dual: 'Dual', chain: 'Chain', winder: 'Winder', motor: 'Motor'
+};
+
+const formatTotal = (value) => (typeof value === 'number' ? `$${value.toFixed(2)}` : '—');
+const formatTimestamp = (isoString) => new Date(isoString).toLocaleString();
+const formatValue = (field, value) => {
+    if (value === null || value === '') return '—';
+    return field === 'linePrice' && typeof value === 'number' ? formatTotal(value) : String(value);
+};
+
+const describeItem = (item) => {
+    const size = `${item.width ?? '?'} x ${item.height ?? '?'}`;
+    return [size, item.fabricType, item.fabric, item.color, formatTotal(item.linePrice)].filter(Boolean).join(', ');
+};
+
+/**
+ * @fileoverview A full-screen view of the revisions of the open quote (F3 > Revisions).
+ * A revision is a snapshot of the quote kept in the quote library. The view creates revisions,
+ * lists them, and compares any two of them (or one with the quote on screen) side by side:
+ * added, removed and changed items, matched by itemId, and the change in the total.
+ */
+export class QuoteRevisionsComponent {
+    constructor({ overlayElement, eventAggregator, stateService, quoteLibraryService, calculationService }) {
+        if (!overlayElement || !eventAggregator || !stateService || !quoteLibraryService || !calculationService) {
+            throw new Error("Overlay element, event aggregator, state service, quote library service and calculation service are required for QuoteRevisionsComponent.");
+        }
+        this.overlay = overlayElement;
+        this.eventAggregator = eventAggregator;
+        this.stateService = stateService;
+        this.quoteLibraryService = quoteLibraryService;
+        this.calculationService = calculationService;
+
+        this.revisions = [];
+        this.compare = { before: '', after: CURRENT };
+
+        this.initialize();
+        console.log("QuoteRevisionsComponent Initialized.");
+    }
+
+    initialize() {
+        this.eventAggregator.subscribe(EVENTS.SHOW_QUOTE_REVISIONS, () => this.open());
+
+        this.overlay.addEventListener('click', (event) => this._handleClick(event));
+        this.overlay.addEventListener('change', (event) => this._handleChange(event));
+    }
+
+    async open() {
+        if (!this.quoteLibraryService.isAvailable()) {
+            this._notify('The quote library is not available in this browser.', 'error');
+            return;
+        }
+        this.render();
+        this.overlay.classList.remove('is-hidden');
+        await this.refresh();
+    }
+
+    close() {
+        this.overlay.classList.add('is-hidden');
+        this.overlay.innerHTML = '';
+    }
+
+    _notify(message, type = 'info') {
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message, type });
+    }
+
+    // --- Rendering ---
+
+    render() {
+        const { quoteData } = this.stateService.getState();
+        this.overlay.innerHTML = `
+            <div class="quote-revisions-content">
+                <div class="quote-revisions-actions">
+                    <span class="quote-revisions-title">Revisions of ${escapeHtml(quoteData.quoteId || 'this quote')}</span>
+                    <span class="quote-revisions-spacer"></span>
+                    <input type="text" class="quote-revisions-note" placeholder="Note, e.g. customer asked for linen">
+                    <button data-action="create" class="btn-save">Create Revision</button>
+                    <button data-action="close" class="btn-close">Close</button>
+                </div>
+                <div class="quote-revisions-body">
+                    <table class="quote-revisions-table">
+                        <thead>
+                            <tr>
+                                <th>Rev.</th>
+                                <th>Quote ID</th>
+                                <th>Status</th>
+                                <th>Items</th>
+                                <th>Total</th>
+                                <th>Created</th>
+                                <th>Note</th>
+                            </tr>
+                        </thead>
+                        <tbody></tbody>
+                    </table>
+                    <div class="quote-revisions-compare"></div>
+                    <div class="quote-revisions-diff"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    async refresh() {
+        try {
+            this.revisions = await this.quoteLibraryService.getRevisions();
+        } catch (error) {
+            console.error('Failed to read the quote revisions:', error);
+            this._notify('The revisions could not be read.', 'error');
+            return;
+        }
+        const latest = this.revisions[this.revisions.length - 1];
+        this.compare = { before: latest ? latest.revisionId : '', after: CURRENT };
+
+        this._renderRows();
+        this._renderCompareOptions();
+        this._renderDiff();
+    }
+
+    _renderRows() {
+        const tbody = this.overlay.querySelector('.quote-revisions-table tbody');
+        if (!tbody) return;
+
+        if (this.revisions.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="7" class="quote-revisions-empty">This quote has no revisions yet.</td></tr>';
+            return;
+        }
+        tbody.innerHTML = this.revisions.map(revision => `
+            <tr>
+                <td>${revision.revision}</td>
+                <td>${escapeHtml(revision.quoteId || '(no ID)')}</td>
+                <td>${escapeHtml(revision.status)}</td>
+                <td class="is-numeric">${revision.itemCount}</td>
+                <td class="is-numeric">${formatTotal(revision.grandTotal)}</td>
+                <td>${escapeHtml(formatTimestamp(revision.createdAt))}</td>
+                <td>${escapeHtml(revision.note)}</td>
+            </tr>
+        `).join('');
+    }
+
+    _renderCompareOptions() {
+        const container = this.overlay.querySelector('.quote-revisions-compare');
+        if (!container) return;
+        if (this.revisions.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const options = (selected) => [
+            ...this.revisions.map(revision =>
+                `<option value="${escapeHtml(revision.revisionId)}" ${revision.revisionId === selected ? 'selected' : ''}>Revision ${revision.revision}</option>`),
+            `<option value="${CURRENT}" ${selected === CURRENT ? 'selected' : ''}>Current quote</option>`
+        ].join('');
+        container.innerHTML = `
+            <label>Compare <select data-compare="before">${options(this.compare.before)}</select></label>
+            <label>with <select data-compare="after">${options(this.compare.after)}</select></label>
+        `;
+    }
+
+    _renderDiff() {
+        const container = this.overlay.querySelector('.quote-revisions-diff');
+        if (!container) return;
+        const before = this._getQuoteData(this.compare.before);
+        const after = this._getQuoteData(this.compare.after);
+        if (!before || !after) {
+            container.innerHTML = '';
+            return;
+        }
+
+        const diff = this.calculationService.getQuoteDiff(before, after);
+        const difference = (diff.totalAfter || 0) - (diff.totalBefore || 0);
+        const rowLabel = ({ productName, rowIndex, item }) =>
+            `${escapeHtml(productName)} #${rowIndex + 1}${item.location ? ` (${escapeHtml(item.location)})` : ''}`;
+
+        const rows = [
+            ...diff.removed.map(entry => `
+                <tr class="is-removed">
+                    <td>${rowLabel(entry)}</td>
+                    <td>${escapeHtml(describeItem(entry.item))}</td>
+                    <td>Removed</td>
+                </tr>`),
+            ...diff.added.map(entry => `
+                <tr class="is-added">
+                    <td>${rowLabel(entry)}</td>
+                    <td>Added</td>
+                    <td>${escapeHtml(describeItem(entry.item))}</td>
+                </tr>`),
+            ...diff.changed.map(entry => {
+                const list = (side) => entry.fields
+                    .map(change => `${escapeHtml(ITEM_FIELD_LABELS[change.field] || change.field)}: ${escapeHtml(formatValue(change.field, change[side]))}`)
+                    .join('<br>');
+                return `
+                    <tr class="is-changed">
+                        <td>${rowLabel(entry)}</td>
+                        <td>${list('before')}</td>
+                        <td>${list('after')}</td>
+                    </tr>`;
+            })
+        ];
+
+        container.innerHTML = `
+            <div class="quote-revisions-total">
+                Total: ${formatTotal(diff.totalBefore)} &rarr; ${formatTotal(diff.totalAfter)}
+                (${difference >= 0 ? '+' : '-'}${formatTotal(Math.abs(difference))})
+            </div>
+            <table class="quote-revisions-diff-table">
+                <thead>
+                    <tr><th>Item</th><th>${escapeHtml(this._getLabel(this.compare.before))}</th><th>${escapeHtml(this._getLabel(this.compare.after))}</th></tr>
+                </thead>
+                <tbody>
+                    ${rows.length > 0 ? rows.join('') : '<tr><td colspan="3" class="quote-revisions-empty">The items are the same.</td></tr>'}
+                </tbody>
+            </table>
+        `;
+    }
+
+    _getQuoteData(key) {
+        if (key === CURRENT) return this.stateService.getState().quoteData;
+        return this.revisions.find(revision => revision.revisionId === key)?.snapshot.quoteData || null;
+    }
+
+    _getLabel(key) {
+        if (key === CURRENT) return 'Current quote';
+        const revision = this.revisions.find(candidate => candidate.revisionId === key);
+        return revision ? `Revision ${revision.revision}` : '';
+    }
+
+    // --- Event Handling ---
+
+    _handleClick(event) {
+        const button = event.target.closest('button[data-action]');
+        if (!button) return;
+
+        const actions = {
+            'create': () => this._createRevision(),
+            'close': () => this.close(),
+        };
+        actions[button.dataset.action]?.();
+    }
+
+    _handleChange(event) {
+        const side = event.target.dataset.compare;
+        if (!side) return;
+        this.compare[side] = event.target.value;
+        this._renderDiff();
+    }
+
+    async _createRevision() {
+        const noteInput = this.overlay.querySelector('.quote-revisions-note');
+        const { quoteData, ui } = this.stateService.getState();
+        try {
+            const revision = await this.quoteLibraryService.createRevision(
+                { quoteData, f1: ui.f1, f2: ui.f2 },
+                { note: noteInput ? noteInput.value : '' }
+            );
+            if (noteInput) noteInput.value = '';
+            this._notify(`Revision ${revision.revision} created.`);
+        } catch (error) {
+            console.error('Failed to create a quote revision:', error);
+            this._notify('The revision could not be created.', 'error');
+        }
+        await this.refresh();
+    }
+}
\ No newline at end of file
@@ -85,7 +85,7 @@ export class RightPanelComponent {
         this.activeView = this.views[tabId];
 
         if (this.activeView && typeof this.activeView.activate === 'function') {
-            this.activeView.activate();
+            this.activeView.activate(this.state);
         }
     }
 }
\ No newline at end of file
@@ -4,20 +4,23 @@
  * @fileoverview A dedicated component for rendering the total sum display.
  */
 export class SummaryComponent {
-    constructor(valueElement) {
+    constructor(valueElement, quoteTotalElements = {}) {
         if (!valueElement) {
             throw new Error("Value element is required for SummaryComponent.");
         }
         this.totalSumValueElement = valueElement;
+        this.quoteTotalLabelElement = quoteTotalElements.labelElement || null;
+        this.quoteTotalValueElement = quoteTotalElements.valueElement || null;
         console.log("SummaryComponent Initialized.");
     }
 
     /**
      * Renders the total sum and its state color.
-     * @param {object} summary - The summary object from quoteData.
+     * @param {object} summary - The summary object of the current product.
      * @param {boolean} isSumOutdated - Flag indicating if the sum is outdated.
+     * @param {object} [quoteTotals] - Per-product subtotals and grand total from CalculationService.getQuoteTotals.
      */
-    render(summary, isSumOutdated) {
+    render(summary, isSumOutdated, quoteTotals) {
         const totalSum = summary ? summary.totalSum : null;
         let textContent = '';
         if (typeof totalSum === 'number') {
@@ -32,5 +35,24 @@ export class SummaryComponent {
         // Use toggle with the 'force' parameter for cleaner logic
         this.totalSumValueElement.classList.toggle('is-outdated', isSumOutdated);
         this.totalSumValueElement.classList.toggle('is-current', !isSumOutdated);
+
+        this._renderQuoteTotal(quoteTotals, isSumOutdated);
+    }
+
+    _renderQuoteTotal(quoteTotals, isSumOutdated) {
+        if (!this.quoteTotalLabelElement || !this.quoteTotalValueElement) return;
+
+        const isMultiProduct = !!quoteTotals && quoteTotals.subtotals.length > 1;
+        this.quoteTotalLabelElement.classList.toggle('is-hidden', !isMultiProduct);
+        this.quoteTotalValueElement.classList.toggle('is-hidden', !isMultiProduct);
+        if (!isMultiProduct) return;
+
+        const { subtotals, grandTotal } = quoteTotals;
+        this.quoteTotalValueElement.textContent = typeof grandTotal === 'number' ? grandTotal.toFixed(0) : '';
+        this.quoteTotalValueElement.title = subtotals
+            .map(({ productName, totalSum }) => `${productName}: ${typeof totalSum === 'number' ? totalSum.toFixed(2) : '-'}`)
+            .join('\n');
+        this.quoteTotalValueElement.classList.toggle('is-outdated', isSumOutdated);
+        this.quoteTotalValueElement.classList.toggle('is-current', !isSumOutdated);
     }
 }
\ No newline at end of file
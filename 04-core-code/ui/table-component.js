@@ -1,5 +1,8 @@
 // File: 04-core-code/ui/table-component.js
 
+import { isLfModified } from '../utils/item-metadata-utils.js';
+import { groupItemsByRoom } from '../utils/room-utils.js';
+
 /**
  * @fileoverview A dynamic component for rendering the results table header and body.
  */
@@ -9,6 +12,7 @@ const COLUMN_CONFIG = {
     width: { header: 'W', className: 'col-w', dataColumn: 'width', cellType: 'td' },
     height: { header: 'H', className: 'col-h', dataColumn: 'height', cellType: 'td' },
     TYPE: { header: 'TYPE', className: 'col-type', dataColumn: 'TYPE', cellType: 'td' },
+    fullness: { header: 'FULL', className: 'col-fullness', dataColumn: 'fullness', cellType: 'td' },
     Price: { 
         header: (state) => `<input type="text" class="input-display-cell" id="input-display-cell" value="${state.ui.inputValue || ''}" readonly>`, 
         className: 'input-display-header col-price', 
@@ -43,7 +47,7 @@ export class TableComponent {
         const currentProductKey = state.quoteData.currentProduct;
         const items = state.quoteData.products[currentProductKey].items;
 
-        const { visibleColumns, isLocationEditMode, targetCell } = state.ui;
+        const { visibleColumns } = state.ui;
 
         this.tableElement.innerHTML = '';
 
@@ -75,36 +79,76 @@ export class TableComponent {
             return;
         }
 
-        items.forEach((item, index) => {
-            const row = tbody.insertRow();
-            row.dataset.rowIndex = index;
+        if (state.ui.isGroupedByRoom) {
+            this._renderRoomGroups(tbody, items, state);
+            return;
+        }
 
-            if (isLocationEditMode && targetCell && index === targetCell.rowIndex) {
-                row.classList.add('target-row-highlight');
-            }
+        items.forEach((item, index) => this._renderRow(tbody, item, index, state));
+    }
 
-            visibleColumns.forEach(key => {
-                const config = COLUMN_CONFIG[key];
-                if (!config) return;
+    _renderRow(tbody, item, index, state) {
+        const { visibleColumns, isLocationEditMode, targetCell } = state.ui;
+        const row = tbody.insertRow();
+        row.dataset.rowIndex = index;
 
-                const cell = row.insertCell();
-                cell.className = config.className;
-                cell.dataset.column = config.dataColumn;
-                
-                this._renderCellContent(cell, key, item, index, state);
-            });
+        if (isLocationEditMode && targetCell && index === targetCell.rowIndex) {
+            row.classList.add('target-row-highlight');
+        }
+
+        visibleColumns.forEach(key => {
+            const config = COLUMN_CONFIG[key];
+            if (!config) return;
+
+            const cell = row.insertCell();
+            cell.className = config.className;
+            cell.dataset.column = config.dataColumn;
+            
+            this._renderCellContent(cell, key, item, index, state);
+        });
+    }
+
+    /**
+     * Renders the rows under a heading per room with the room's blind count and subtotal; a
+     * collapsed room shows only its heading. Rows not entered yet, like the final empty row, follow
+     * the rooms. The subtotal is left out while the prices are out of date.
+     */
+    _renderRoomGroups(tbody, items, state) {
+        const { visibleColumns, collapsedRoomKeys, isSumOutdated } = state.ui;
+        const groups = groupItemsByRoom(items);
+        const groupedIndexes = new Set(groups.flatMap(group => group.indexes));
+
+        groups.forEach(({ key, room, indexes }) => {
+            const isCollapsed = collapsedRoomKeys.includes(key);
+            const header = tbody.insertRow();
+            header.className = 'room-group-header';
+            header.classList.toggle('is-collapsed', isCollapsed);
+            header.dataset.roomKey = key;
+
+            const cell = header.insertCell();
+            cell.colSpan = visibleColumns.length;
+            const subtotal = indexes.reduce((sum, index) => sum + (items[index].linePrice || 0), 0);
+            const subtotalText = isSumOutdated ? '' : ` · ${subtotal.toFixed(2)}`;
+            cell.textContent = `${isCollapsed ? '▸' : '▾'} ${room || 'No location'} (${indexes.length})${subtotalText}`;
+
+            if (!isCollapsed) {
+                indexes.forEach(index => this._renderRow(tbody, items[index], index, state));
+            }
+        });
+
+        items.forEach((item, index) => {
+            if (!groupedIndexes.has(index)) this._renderRow(tbody, item, index, state);
         });
     }
 
     _renderCellContent(cell, key, item, index, state) {
         const { targetCell } = state.ui;
-        const { lfModifiedRowIndexes } = state.quoteData.uiMetadata || { lfModifiedRowIndexes: [] };
 
         if (targetCell && index === targetCell.rowIndex && key === targetCell.column) {
             cell.classList.add('target-cell');
         }
 
-        if (lfModifiedRowIndexes.includes(index) && (key === 'fabric' || key === 'color')) {
+        if (isLfModified(state.quoteData.uiMetadata, item) && (key === 'fabric' || key === 'color')) {
             cell.classList.add('is-lf-modified');
         }
 
@@ -124,7 +168,14 @@ export class TableComponent {
 
                 cell.textContent = index + 1;
                 const isLastRowEmpty = (index === items.length - 1) && (!item.width && !item.height);
-                
+
+                // Rows are reordered by dragging their sequence number; the final empty row stays last.
+                // Grouped rows are not in table order, so they cannot be dragged.
+                if (!isLastRowEmpty && !state.ui.isGroupedByRoom) {
+                    cell.draggable = true;
+                    cell.classList.add('row-drag-handle');
+                }
+
                 // [MODIFIED] Simplified highlighting logic to rely only on multiSelectSelectedIndexes
                 if (lfSelectedRowIndexes.includes(index)) {
                     cell.classList.add('lf-selection-highlight');
@@ -159,9 +210,23 @@ export class TableComponent {
 
                 if (activeCell && index === activeCell.rowIndex && activeCell.column === 'TYPE') cell.classList.add('active-input-cell');
             },
+            fullness: (cell, item, index, state) => {
+                const { activeCell } = state.ui;
+                cell.textContent = (item.width || item.height) && item.fullness ? `${item.fullness}x` : '';
+                if (activeCell && index === activeCell.rowIndex && activeCell.column === 'fullness') cell.classList.add('active-input-cell');
+            },
             Price: (cell, item) => {
                 cell.textContent = item.linePrice ? item.linePrice.toFixed(2) : '';
                 cell.classList.add('price-cell');
+
+                if (item.linePrice && item.linePriceRule) {
+                    const ruleTitles = {
+                        interpolated: 'Interpolated between price matrix sizes',
+                        oversize: 'Beyond the price matrix: oversize surcharge applied'
+                    };
+                    cell.classList.add(`price-${item.linePriceRule}`);
+                    cell.title = ruleTitles[item.linePriceRule] || '';
+                }
             },
             fabricTypeDisplay: (cell, item) => {
                 cell.textContent = item.fabricType || '';
@@ -9,7 +9,7 @@ import { LeftPanelComponent } from './left-panel-component.js';
 import { EVENTS, DOM_IDS } from '../config/constants.js';
 
 export class UIManager {
-    constructor({ appElement, eventAggregator, calculationService, rightPanelComponent }) {
+    constructor({ appElement, eventAggregator, calculationService, rightPanelComponent, locationVocabularyService }) {
         this.appElement = appElement;
         this.eventAggregator = eventAggregator;
         this.calculationService = calculationService;
@@ -19,6 +19,13 @@ export class UIManager {
         
         this.insertButton = document.getElementById('key-ins-grid');
         this.clearButton = document.getElementById('key-clear');
+        this.undoButton = document.getElementById(DOM_IDS.KEY_UNDO);
+        this.redoButton = document.getElementById(DOM_IDS.KEY_REDO);
+        // Paste stays enabled: its content is not part of the state.
+        this.selectionButtons = [DOM_IDS.KEY_COPY_ROWS, DOM_IDS.KEY_CUT_ROWS, DOM_IDS.KEY_DUPLICATE_ROWS, DOM_IDS.KEY_DELETE_ROWS]
+            .map(id => document.getElementById(id))
+            .filter(Boolean);
+        this.groupRoomsButton = document.getElementById(DOM_IDS.KEY_GROUP_ROOMS);
         
         this.leftPanelElement = document.getElementById(DOM_IDS.LEFT_PANEL);
 
@@ -26,9 +33,12 @@ export class UIManager {
         this.tableComponent = new TableComponent(tableElement);
 
         const summaryElement = document.getElementById(DOM_IDS.TOTAL_SUM_VALUE);
-        this.summaryComponent = new SummaryComponent(summaryElement);
+        this.summaryComponent = new SummaryComponent(summaryElement, {
+            labelElement: document.getElementById(DOM_IDS.QUOTE_TOTAL_LABEL),
+            valueElement: document.getElementById(DOM_IDS.QUOTE_TOTAL_VALUE)
+        });
 
-        this.leftPanelComponent = new LeftPanelComponent(this.leftPanelElement);
+        this.leftPanelComponent = new LeftPanelComponent(this.leftPanelElement, { locationVocabularyService });
 
         this.functionPanel = new PanelComponent({
             panelElement: document.getElementById(DOM_IDS.FUNCTION_PANEL),
@@ -55,6 +65,7 @@ export class UIManager {
 
     initialize() {
         this.eventAggregator.subscribe(EVENTS.USER_TOGGLED_NUMERIC_KEYBOARD, () => this._toggleNumericKeyboard());
+        this.eventAggregator.subscribe(EVENTS.LOCATION_PRESETS_CHANGED, () => this.leftPanelComponent.renderLocationPresets());
         this._initializeResizeObserver();
     }
 
@@ -102,7 +113,11 @@ _updateExpandedPanelPosition() {
         const currentProductData = state.quoteData.products[currentProductKey];
 
         this.tableComponent.render(state);
-        this.summaryComponent.render(currentProductData.summary, state.ui.isSumOutdated);
+        this.summaryComponent.render(
+            currentProductData.summary,
+            state.ui.isSumOutdated,
+            this.calculationService.getQuoteTotals(state.quoteData)
+        );
         this.leftPanelComponent.render(state.ui, state.quoteData);
         this.rightPanelComponent.render(state);
         
@@ -156,6 +171,17 @@ _updateExpandedPanelPosition() {
             }
         }
         if (this.clearButton) this.clearButton.disabled = clearDisabled;
+
+        // --- Row Clipboard Button Logic ---
+        this.selectionButtons.forEach(button => { button.disabled = selectionCount === 0; });
+        if (this.groupRoomsButton) this.groupRoomsButton.classList.toggle('is-active', state.ui.isGroupedByRoom);
+
+        // --- Undo / Redo Button Logic ---
+        const { history } = state;
+        if (history) {
+            if (this.undoButton) this.undoButton.disabled = history.past.length === 0 && history.groupDepth === 0;
+            if (this.redoButton) this.redoButton.disabled = history.future.length === 0;
+        }
     }
     
     _scrollToActiveCell(state) {
@@ -1,5 +1,7 @@
 // File: 04-core-code/ui/views/detail-config-view.js
 
+import * as uiActions from '../../actions/ui-actions.js';
+
 /**
  * @fileoverview A "Manager" view that delegates logic to specific sub-views for each tab.
  */
@@ -69,6 +71,18 @@ export class DetailConfigView {
         this.k1View.handleLocationInputEnter({ value });
     }
 
+    handleLocationPresetSelect({ name }) {
+        this.k1View.handlePresetSelect({ name });
+    }
+
+    handleLocationFillDown() {
+        this.k1View.handleFillDown();
+    }
+
+    handleRoomScopeChange({ roomKey }) {
+        this.stateService.dispatch(uiActions.setRoomScope(roomKey));
+    }
+
     handlePanelInputBlur({ type, field, value }) {
         this.k2View.handlePanelInputBlur({ type, field, value });
     }
@@ -80,6 +94,10 @@ export class DetailConfigView {
     handleSequenceCellClick({ rowIndex }) {
         const { ui } = this.stateService.getState();
         const { activeEditMode } = ui;
+        if (activeEditMode === 'K1') {
+            this.k1View.handleSequenceCellClick({ rowIndex });
+            return;
+        }
         if (activeEditMode === 'K2_LF_SELECT' || activeEditMode === 'K2_LF_DELETE_SELECT') {
             this.k2View.handleSequenceCellClick({ rowIndex });
         }
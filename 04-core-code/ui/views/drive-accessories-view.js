@@ -3,6 +3,9 @@
 import { EVENTS } from '../../config/constants.js';
 import * as uiActions from '../../actions/ui-actions.js';
 import * as quoteActions from '../../actions/quote-actions.js';
+import * as historyActions from '../../actions/history-actions.js';
+import { groupItemsByRoom, getRoomScopeRowIndexes } from '../../utils/room-utils.js';
+import { isQuoteLocked } from '../../utils/quote-status-utils.js';
 
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the Drive/Accessories tab.
@@ -58,9 +61,47 @@ export class DriveAccessoriesView {
 
             const message = this._getHintMessage(newMode);
             this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message });
+
+            if ((newMode === 'winder' || newMode === 'motor') && getRoomScopeRowIndexes(this._getItems(), ui.roomScope)) {
+                this._offerRoomUpdate(newMode, ui.roomScope);
+            }
         }
     }
 
+    /**
+     * With a room chosen in the left panel, offers to set or clear the winder or motor of all the
+     * room's blinds at once instead of clicking them one by one. A locked quote gets no offer, as
+     * every row of the room would be refused with its own error.
+     */
+    _offerRoomUpdate(mode, roomKey) {
+        if (isQuoteLocked(this._getState().quoteData.status)) return;
+
+        const group = groupItemsByRoom(this._getItems()).find(({ key }) => key === roomKey);
+        if (!group) return;
+
+        const label = mode === 'winder' ? 'HD Winder' : 'Motor';
+        const roomName = group.room || 'No location';
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Set ${label} on all ${group.indexes.length} blind(s) in ${roomName}?`,
+            layout: [
+                [
+                    { type: 'button', text: 'Set All', className: 'primary-confirm-button', callback: () => this._updateRoom(mode, group.indexes, mode === 'winder' ? 'HD' : 'Motor') },
+                    { type: 'button', text: 'Clear All', callback: () => this._updateRoom(mode, group.indexes, '') },
+                    { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }
+                ]
+            ]
+        });
+    }
+
+    _updateRoom(property, rowIndexes, value) {
+        this.stateService.dispatch(historyActions.beginGroup());
+        rowIndexes.forEach(rowIndex => {
+            this.stateService.dispatch(quoteActions.updateWinderMotorProperty(rowIndex, property, value));
+        });
+        this.stateService.dispatch(historyActions.endGroup());
+        this.recalculateAllDriveAccessoryPrices();
+    }
+
     handleTableCellClick({ rowIndex, column }) {
         const { ui } = this._getState();
         const { driveAccessoryMode } = ui;
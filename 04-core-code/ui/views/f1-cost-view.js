@@ -85,43 +85,16 @@ export class F1CostView {
         if (!this.f1 || !state || !state.quoteData || !state.ui) return;
 
         const { quoteData, ui } = state;
-        const items = quoteData.products.rollerBlind.items;
         const formatPrice = (price) => (typeof price === 'number' && price > 0 ? `$${price.toFixed(2)}` : '');
         const formatDisplay = (value) => (value !== null && value !== undefined) ? value : '';
 
         // --- Component Cost Calculation ---
+        const quantities = this.calculationService.getF1ComponentQuantities(quoteData, ui);
         const componentPrices = {};
-        const winderQty = items.filter(item => item.winder === 'HD').length;
-        componentPrices.winder = this.calculationService.calculateF1ComponentPrice('winder', winderQty);
-        this.f1.displays.qty.winder.textContent = winderQty;
-
-        const motorQty = items.filter(item => !!item.motor).length;
-        componentPrices.motor = this.calculationService.calculateF1ComponentPrice('motor', motorQty);
-        this.f1.displays.qty.motor.textContent = motorQty;
-
-        const totalRemoteQty = ui.driveRemoteCount || 0;
-        const remote1chQty = ui.f1.remote_1ch_qty;
-        const remote16chQty = (ui.f1.remote_1ch_qty === null) ? totalRemoteQty : (totalRemoteQty - remote1chQty);
-        componentPrices['remote-1ch'] = this.calculationService.calculateF1ComponentPrice('remote-1ch', remote1chQty);
-        componentPrices['remote-16ch'] = this.calculationService.calculateF1ComponentPrice('remote-16ch', remote16chQty);
-        this.f1.displays.qty['remote-1ch'].textContent = remote1chQty;
-        this.f1.displays.qty['remote-16ch'].textContent = remote16chQty;
-
-        const chargerQty = ui.driveChargerCount || 0;
-        componentPrices.charger = this.calculationService.calculateF1ComponentPrice('charger', chargerQty);
-        this.f1.displays.qty.charger.textContent = chargerQty;
-
-        const cordQty = ui.driveCordCount || 0;
-        componentPrices['3m-cord'] = this.calculationService.calculateF1ComponentPrice('3m-cord', cordQty);
-        this.f1.displays.qty['3m-cord'].textContent = cordQty;
-        
-        const totalDualPairs = Math.floor(items.filter(item => item.dual === 'D').length / 2);
-        const comboQty = (ui.f1.dual_combo_qty === null) ? totalDualPairs : ui.f1.dual_combo_qty;
-        const slimQty = (ui.f1.dual_slim_qty === null) ? 0 : ui.f1.dual_slim_qty;
-        componentPrices['dual-combo'] = this.calculationService.calculateF1ComponentPrice('dual-combo', comboQty);
-        componentPrices.slim = this.calculationService.calculateF1ComponentPrice('slim', slimQty);
-        this.f1.displays.qty['dual-combo'].textContent = comboQty;
-        this.f1.displays.qty.slim.textContent = slimQty;
+        for (const [key, qty] of Object.entries(quantities)) {
+            componentPrices[key] = this.calculationService.calculateF1ComponentPrice(key, qty);
+            this.f1.displays.qty[key].textContent = qty;
+        }
 
         for (const [key, price] of Object.entries(componentPrices)) {
             if (this.f1.displays.price[key]) {
@@ -132,7 +105,7 @@ export class F1CostView {
         this.f1.displays.price.total.textContent = formatPrice(componentTotal);
 
         // --- RB Pricing Calculation ---
-        const retailTotal = quoteData.products.rollerBlind.summary.totalSum || 0;
+        const retailTotal = this.calculationService.getQuoteTotals(quoteData).grandTotal || 0;
         const discountPercentage = ui.f1.discountPercentage || 0;
         const rbPrice = retailTotal * (1 - (discountPercentage / 100));
 
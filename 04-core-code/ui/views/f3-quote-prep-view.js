@@ -1,14 +1,35 @@
 // File: 04-core-code/ui/views/f3-quote-prep-view.js
 
 import { EVENTS } from '../../config/constants.js';
+import { PRINT_TEMPLATES } from '../../config/print-templates.js';
+import { escapeHtml } from '../../utils/html-utils.js';
+
+// F3 inputs stored directly on quoteData, keyed by the same name.
+const QUOTE_DETAIL_INPUTS = ['quoteId', 'issueDate', 'dueDate', 'finalOfferPrice', 'generalNotes', 'termsConditions'];
+
+// Maps the F3 customer inputs to the fields of quoteData.customer.
+const CUSTOMER_INPUT_FIELDS = {
+    customerName: 'name',
+    customerAddress: 'address',
+    customerPhone: 'phone',
+    customerEmail: 'email',
+};
 
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the F3 (Quote Prep) tab.
+ * Every F3 field lives in quoteData: a changed field is published to the WorkflowService, and
+ * render() writes the state back into the inputs. The only exception is the choice of document to
+ * print, which is kept in the UI state. Typing a customer name suggests customers from
+ * the customer directory.
  */
 export class F3QuotePrepView {
-    constructor({ panelElement, eventAggregator }) {
+    constructor({ panelElement, eventAggregator, customerService }) {
         this.panelElement = panelElement;
         this.eventAggregator = eventAggregator; // [MODIFIED] Added eventAggregator dependency
+        this.customerService = customerService;
+
+        this.suggestions = [];
+        this.activeSuggestionIndex = -1;
 
         this._cacheF3Elements();
         this._initializeF3Listeners();
@@ -32,7 +53,16 @@ export class F3QuotePrepView {
             },
             buttons: {
                 addQuote: query('#btn-add-quote'),
-            }
+                changeStatus: query('#btn-change-status'),
+                quoteNumbering: query('#btn-quote-numbering'),
+                quoteRevisions: query('#btn-quote-revisions'),
+                saveCustomer: query('#btn-save-customer'),
+                customerQuotes: query('#btn-customer-quotes'),
+            },
+            printTemplate: query('#f3-print-template'),
+            status: query('#f3-quote-status'),
+            customerSuggestions: query('#f3-customer-suggestions'),
+            customerLink: query('#f3-customer-link')
         };
     }
 
@@ -46,25 +76,54 @@ export class F3QuotePrepView {
             });
         }
 
-        // --- Date Chaining Logic ---
-        this.f3.inputs.issueDate.addEventListener('input', (event) => {
-            const issueDateValue = event.target.value;
-            if (issueDateValue) {
-                const issueDate = new Date(issueDateValue);
-                // Adjust for timezone offset to prevent day-before issues
-                issueDate.setMinutes(issueDate.getMinutes() + issueDate.getTimezoneOffset());
-                
-                const dueDate = new Date(issueDate);
-                dueDate.setDate(dueDate.getDate() + 14);
-
-                const year = dueDate.getFullYear();
-                const month = String(dueDate.getMonth() + 1).padStart(2, '0');
-                const day = String(dueDate.getDate()).padStart(2, '0');
-                
-                this.f3.inputs.dueDate.value = `${year}-${month}-${day}`;
-            }
+        if (this.f3.buttons.changeStatus) {
+            this.f3.buttons.changeStatus.addEventListener('click', () => {
+                this.eventAggregator.publish(EVENTS.USER_REQUESTED_STATUS_CHANGE);
+            });
+        }
+
+        if (this.f3.buttons.quoteNumbering) {
+            this.f3.buttons.quoteNumbering.addEventListener('click', () => {
+                this.eventAggregator.publish(EVENTS.USER_REQUESTED_QUOTE_NUMBERING);
+            });
+        }
+
+        if (this.f3.buttons.quoteRevisions) {
+            this.f3.buttons.quoteRevisions.addEventListener('click', () => {
+                this.eventAggregator.publish(EVENTS.SHOW_QUOTE_REVISIONS);
+            });
+        }
+
+        if (this.f3.buttons.saveCustomer) {
+            this.f3.buttons.saveCustomer.addEventListener('click', () => {
+                this.eventAggregator.publish(EVENTS.USER_REQUESTED_SAVE_CUSTOMER);
+            });
+        }
+
+        if (this.f3.buttons.customerQuotes) {
+            this.f3.buttons.customerQuotes.addEventListener('click', () => {
+                this.eventAggregator.publish(EVENTS.USER_REQUESTED_CUSTOMER_QUOTES);
+            });
+        }
+
+        if (this.f3.printTemplate) {
+            this.f3.printTemplate.innerHTML = Object.entries(PRINT_TEMPLATES)
+                .map(([templateId, { label }]) => `<option value="${templateId}">${escapeHtml(label)}</option>`)
+                .join('');
+            this.f3.printTemplate.addEventListener('change', (event) => {
+                this.eventAggregator.publish(EVENTS.F3_PRINT_TEMPLATE_CHANGED, { templateId: event.target.value });
+            });
+        }
+
+        // The due date follows the issue date; the WorkflowService moves it when the issue date changes.
+        QUOTE_DETAIL_INPUTS.forEach(field => {
+            this.f3.inputs[field]?.addEventListener('change', (event) => {
+                this.eventAggregator.publish(EVENTS.F3_VALUE_CHANGED, { field, value: event.target.value });
+            });
         });
 
+        this._initializeCustomerListeners();
+
         // --- Focus Jumping Logic ---
         const focusOrder = [
             'quoteId', 'issueDate', 'dueDate', 'customerName', 'customerAddress', 
@@ -91,35 +150,128 @@ export class F3QuotePrepView {
         });
     }
 
-    render() {
+    _initializeCustomerListeners() {
+        Object.entries(CUSTOMER_INPUT_FIELDS).forEach(([key, field]) => {
+            this.f3.inputs[key]?.addEventListener('change', (event) => {
+                this.eventAggregator.publish(EVENTS.F3_CUSTOMER_FIELD_CHANGED, { field, value: event.target.value.trim() });
+            });
+        });
+
+        const nameInput = this.f3.inputs.customerName;
+        const suggestionList = this.f3.customerSuggestions;
+        if (!nameInput || !suggestionList || !this.customerService) return;
+
+        nameInput.addEventListener('input', () => {
+            this._showSuggestions(this.customerService.searchCustomers(nameInput.value));
+        });
+        nameInput.addEventListener('blur', () => this._hideSuggestions());
+
+        // Registered before the focus jumping listener so that Enter picks a suggestion instead of moving on.
+        nameInput.addEventListener('keydown', (event) => {
+            if (this.suggestions.length === 0) return;
+            const moves = { ArrowDown: 1, ArrowUp: -1 };
+            if (moves[event.key]) {
+                event.preventDefault();
+                const count = this.suggestions.length;
+                this.activeSuggestionIndex = (this.activeSuggestionIndex + moves[event.key] + count) % count;
+                this._renderSuggestions();
+            } else if (event.key === 'Enter' && this.activeSuggestionIndex !== -1) {
+                event.preventDefault();
+                event.stopImmediatePropagation();
+                this._pickSuggestion(this.activeSuggestionIndex);
+            } else if (event.key === 'Escape') {
+                event.stopPropagation();
+                this._hideSuggestions();
+            }
+        });
+
+        // mousedown rather than click, so the pick happens before the name input loses focus.
+        suggestionList.addEventListener('mousedown', (event) => {
+            const option = event.target.closest('li[data-index]');
+            if (!option) return;
+            event.preventDefault();
+            this._pickSuggestion(Number(option.dataset.index));
+        });
+    }
+
+    _showSuggestions(customers) {
+        this.suggestions = customers;
+        this.activeSuggestionIndex = -1;
+        this._renderSuggestions();
+    }
+
+    _hideSuggestions() {
+        this._showSuggestions([]);
+    }
+
+    _renderSuggestions() {
+        const list = this.f3.customerSuggestions;
+        list.classList.toggle('is-hidden', this.suggestions.length === 0);
+        list.innerHTML = this.suggestions.map((customer, index) => {
+            const contact = customer.phone || customer.email;
+            return `<li data-index="${index}" class="${index === this.activeSuggestionIndex ? 'is-active' : ''}">` +
+                `${escapeHtml(customer.name)}${contact ? ` <small>${escapeHtml(contact)}</small>` : ''}</li>`;
+        }).join('');
+    }
+
+    _pickSuggestion(index) {
+        const customer = this.suggestions[index];
+        this._hideSuggestions();
+        if (!customer) return;
+        this.f3.inputs.customerName.value = customer.name;
+        this.eventAggregator.publish(EVENTS.USER_SELECTED_CUSTOMER, { customerId: customer.customerId });
+    }
+
+    render(state) {
         if (!this.f3.inputs.quoteId) return;
 
-        // Only fill if the fields are empty, to preserve manual changes.
-        const formatDate = (date) => {
-            const year = date.getFullYear();
-            const month = String(date.getMonth() + 1).padStart(2, '0');
-            const day = String(date.getDate()).padStart(2, '0');
-            return `${year}-${month}-${day}`;
-        };
+        if (!state) return;
+
+        const { quoteData } = state;
+        QUOTE_DETAIL_INPUTS.forEach(field => {
+            this._setInputValue(this.f3.inputs[field], quoteData[field]);
+        });
+        this._renderStatus(quoteData);
+        this._renderCustomer(quoteData.customer);
+        this._setInputValue(this.f3.printTemplate, state.ui.printTemplateId);
+    }
+
+    // The field being typed in is left alone; it reaches the state when it changes.
+    _setInputValue(input, value) {
+        if (!input || input === document.activeElement) return;
+        const text = value === null || value === undefined ? '' : String(value);
+        if (input.value !== text) input.value = text;
+    }
+
+    _renderStatus(quoteData) {
+        if (!this.f3.status) return;
+        this.f3.status.textContent = quoteData.status;
+        this.f3.status.dataset.status = quoteData.status;
+
+        const lastChange = (quoteData.statusHistory || []).slice(-1)[0];
+        this.f3.status.title = lastChange
+            ? `Since ${new Date(lastChange.changedAt).toLocaleString()}${lastChange.changedBy ? ` by ${lastChange.changedBy}` : ''}${lastChange.note ? `: ${lastChange.note}` : ''}`
+            : '';
+    }
 
-        const now = new Date();
-        const year = now.getFullYear();
-        const month = String(now.getMonth() + 1).padStart(2, '0');
-        const day = String(now.getDate()).padStart(2, '0');
-        const hours = String(now.getHours()).padStart(2, '0');
-        
-        if (!this.f3.inputs.quoteId.value) this.f3.inputs.quoteId.value = `RB${year}${month}${day}${hours}`;
-        if (!this.f3.inputs.issueDate.value) this.f3.inputs.issueDate.value = formatDate(now);
-        if (!this.f3.inputs.dueDate.value) {
-            const dueDate = new Date();
-            dueDate.setDate(now.getDate() + 14);
-            this.f3.inputs.dueDate.value = formatDate(dueDate);
+    _renderCustomer(customer = {}) {
+        Object.entries(CUSTOMER_INPUT_FIELDS).forEach(([key, field]) => {
+            this._setInputValue(this.f3.inputs[key], customer[field]);
+        });
+
+        if (this.f3.customerLink) {
+            const isLinked = Boolean(customer.customerId);
+            this.f3.customerLink.textContent = isLinked ? 'Saved customer' : (customer.name ? 'Not in the directory' : '');
+            this.f3.customerLink.classList.toggle('is-linked', isLinked);
+        }
+        if (this.f3.buttons.customerQuotes) {
+            this.f3.buttons.customerQuotes.disabled = !customer.customerId;
         }
     }
 
-    activate() {
-        // This method is called when the tab becomes active.
-        // The render logic will automatically handle pre-filling empty fields.
-        this.render();
+    activate(state) {
+        this.render(state);
+        // The WorkflowService fills in a quote ID and dates if the quote has none yet.
+        this.eventAggregator.publish(EVENTS.F3_TAB_ACTIVATED);
     }
 }
\ No newline at end of file
@@ -23,6 +23,12 @@ export class F4ActionsView {
                 'f1-key-export': query('#f1-key-export'),
                 'f1-key-load': query('#f1-key-load'),
                 'f1-key-reset': query('#f1-key-reset'),
+                'f1-key-product': query('#f1-key-product'),
+                'f1-key-prices': query('#f1-key-prices'),
+                'f1-key-quotes': query('#f1-key-quotes'),
+                'f1-key-customers': query('#f1-key-customers'),
+                'f1-key-status': query('#f1-key-status'),
+                'f1-key-rooms': query('#f1-key-rooms'),
             }
         };
     }
@@ -32,7 +38,13 @@ export class F4ActionsView {
             'f1-key-save': EVENTS.USER_REQUESTED_SAVE,
             'f1-key-export': EVENTS.USER_REQUESTED_EXPORT_CSV,
             'f1-key-load': EVENTS.USER_REQUESTED_LOAD,
-            'f1-key-reset': EVENTS.USER_REQUESTED_RESET
+            'f1-key-reset': EVENTS.USER_REQUESTED_RESET,
+            'f1-key-product': EVENTS.USER_REQUESTED_PRODUCT_SWITCH,
+            'f1-key-prices': EVENTS.SHOW_PRICE_LIST_EDITOR,
+            'f1-key-quotes': EVENTS.SHOW_QUOTE_LIBRARY,
+            'f1-key-customers': EVENTS.SHOW_CUSTOMER_DIRECTORY,
+            'f1-key-status': EVENTS.USER_REQUESTED_STATUS_CHANGE,
+            'f1-key-rooms': EVENTS.USER_REQUESTED_LOCATION_PRESETS
         };
 
         for (const [id, eventName] of Object.entries(buttonEventMap)) {
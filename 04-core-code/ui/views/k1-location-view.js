@@ -1,13 +1,16 @@
 // File: 04-core-code/ui/views/k1-location-view.js
 import * as uiActions from '../../actions/ui-actions.js';
 import * as quoteActions from '../../actions/quote-actions.js';
+import { EVENTS, DOM_IDS } from '../../config/constants.js';
+import { getNextRoomName, getRoomKey } from '../../utils/room-utils.js';
 
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the K1 (Location) tab.
  */
 export class K1LocationView {
-    constructor({ stateService, publishStateChangeCallback }) {
+    constructor({ stateService, eventAggregator, publishStateChangeCallback }) {
         this.stateService = stateService;
+        this.eventAggregator = eventAggregator;
         this.publish = publishStateChangeCallback;
         console.log("K1LocationView Initialized.");
     }
@@ -35,6 +38,8 @@ export class K1LocationView {
      */
     _toggleLocationEditMode(newMode) {
         this.stateService.dispatch(uiActions.setActiveEditMode(newMode));
+        // Rows picked for Fill Down only belong to this editing session.
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
 
         if (newMode) {
             const targetRow = 0;
@@ -43,7 +48,7 @@ export class K1LocationView {
             const currentItem = this._getItems()[targetRow];
             this.stateService.dispatch(uiActions.setLocationInputValue(currentItem.location || ''));
             
-            const locationInput = document.getElementById('location-input-box');
+            const locationInput = document.getElementById(DOM_IDS.LOCATION_INPUT_BOX);
             setTimeout(() => {
                 locationInput?.focus();
                 locationInput?.select();
@@ -59,24 +64,54 @@ export class K1LocationView {
      * @param {object} data - The event data containing the value.
      */
     handleLocationInputEnter({ value }) {
-        const { ui } = this.stateService.getState();
-        const { targetCell } = ui;
+        const { targetCell } = this.stateService.getState().ui;
         if (!targetCell) return;
+        this._commitLocation(targetCell.rowIndex, value);
+    }
 
-        this.stateService.dispatch(quoteActions.updateItemProperty(targetCell.rowIndex, targetCell.column, value));
+    /**
+     * Enters a room preset in the target row. A room that is already used, on its own or numbered,
+     * gets the next free number ("Bed" -> "Bed 3"), or the next free side of a window pair ("Living R",
+     * then "Living 2 L").
+     * @param {object} data - The event data { name }.
+     */
+    handlePresetSelect({ name }) {
+        const { targetCell } = this.stateService.getState().ui;
+        if (!targetCell) return;
 
-        const nextRowIndex = targetCell.rowIndex + 1;
-        const totalRows = this._getItems().length;
-        const locationInput = document.getElementById('location-input-box');
+        const usedLocations = this._getItems()
+            .filter((item, index) => index !== targetCell.rowIndex)
+            .map(item => item.location);
+        const nameKey = getRoomKey(name);
+        const isUsed = usedLocations.some(location => getRoomKey(location).replace(/ ?\d+$/, '') === nameKey);
+        const value = isUsed ? (getNextRoomName(name, usedLocations) || name) : name;
+        this._commitLocation(targetCell.rowIndex, value);
+    }
+
+    /**
+     * Stores the location and moves to the next row. An empty next row is offered the next room
+     * after this one (see getNextRoomName), selected so typing replaces it.
+     * @private
+     */
+    _commitLocation(rowIndex, value) {
+        this.stateService.dispatch(quoteActions.updateItemProperty(rowIndex, 'location', value));
+
+        const nextRowIndex = rowIndex + 1;
+        const items = this._getItems();
+        const locationInput = document.getElementById(DOM_IDS.LOCATION_INPUT_BOX);
 
         // Move to the next row if it's not the last empty row
-        if (nextRowIndex < totalRows - 1) {
+        if (nextRowIndex < items.length - 1) {
             this.stateService.dispatch(uiActions.setTargetCell({ rowIndex: nextRowIndex, column: 'location' }));
-            const nextItem = this._getItems()[nextRowIndex];
-            this.stateService.dispatch(uiActions.setLocationInputValue(nextItem.location || ''));
+            const nextLocation = items[nextRowIndex].location
+                || getNextRoomName(value, items.map(item => item.location));
+            this.stateService.dispatch(uiActions.setLocationInputValue(nextLocation));
             
             // Refocus and select the input for continuous entry
-            setTimeout(() => locationInput?.select(), 0);
+            setTimeout(() => {
+                locationInput?.focus();
+                locationInput?.select();
+            }, 0);
         } else {
             // If it's the last row, exit the editing mode
             this._toggleLocationEditMode(null);
@@ -93,13 +128,54 @@ export class K1LocationView {
         const item = this._getItems()[rowIndex];
         this.stateService.dispatch(uiActions.setLocationInputValue(item.location || ''));
         
-        const locationInput = document.getElementById('location-input-box');
+        const locationInput = document.getElementById(DOM_IDS.LOCATION_INPUT_BOX);
         setTimeout(() => {
             locationInput?.focus();
             locationInput?.select();
         }, 50);
     }
 
+    /**
+     * Picks rows for Fill Down by their # cell while K1 mode is active.
+     * @param {object} data - The event data { rowIndex }.
+     */
+    handleSequenceCellClick({ rowIndex }) {
+        if (rowIndex >= this._getItems().length - 1) return;
+        this.stateService.dispatch(uiActions.toggleMultiSelectSelection(rowIndex));
+    }
+
+    /**
+     * Copies the location of the topmost picked row to the other picked rows, in one undo step.
+     */
+    handleFillDown() {
+        const { ui } = this.stateService.getState();
+        const items = this._getItems();
+        const rowIndexes = ui.multiSelectSelectedIndexes
+            .filter(index => index < items.length - 1)
+            .sort((a, b) => a - b);
+        if (rowIndexes.length < 2) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Pick at least two rows by their # cell to fill down.', type: 'error' });
+            return;
+        }
+
+        const [sourceIndex, ...targetIndexes] = rowIndexes;
+        const value = items[sourceIndex].location || '';
+        if (!value.trim()) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Row ${sourceIndex + 1} has no location to fill down.`, type: 'error' });
+            return;
+        }
+
+        this.stateService.dispatch(quoteActions.batchUpdateProperty('location', value, targetIndexes));
+        // A locked quote keeps its locations (StateService has already said why), and the picked rows.
+        if (this._getItems() === items) return;
+
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+        if (ui.targetCell && targetIndexes.includes(ui.targetCell.rowIndex)) {
+            this.stateService.dispatch(uiActions.setLocationInputValue(value));
+        }
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `"${value}" filled down to ${targetIndexes.length} row(s).` });
+    }
+
     /**
      * This method is called by the main DetailConfigView when the K1 tab becomes active.
      */
@@ -0,0 +1,80 @@
+// File: 04-core-code/ui/views/k1-location-view.spec.js
+
+import { K1LocationView } from './k1-location-view.js';
+import { EVENTS } from '../../config/constants.js';
+import { createRootReducer } from '../../reducers/root-reducer.js';
+import { initialState } from '../../config/initial-state.js';
+
+describe('K1LocationView', () => {
+    let k1View;
+    let state;
+    let eventAggregator;
+
+    const getLocations = () => state.quoteData.products.rollerBlind.items.map(item => item.location);
+    const reducer = createRootReducer({ productFactory: {}, configManager: {} });
+    const stateService = {
+        getState: () => state,
+        dispatch: (action) => { state = reducer(state, action); },
+    };
+
+    beforeEach(() => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        state = JSON.parse(JSON.stringify(initialState));
+        state.quoteData.products.rollerBlind.items = [
+            { itemId: 'a', width: 1200, height: 1300, location: '' },
+            { itemId: 'b', width: 900, height: 1300, location: '' },
+            { itemId: 'c', width: 600, height: 1300, location: 'Bed 2' },
+            { itemId: 'd', width: 800, height: 1300, location: '' },
+            { itemId: 'e', width: null, height: null, location: '' },
+        ];
+        eventAggregator = { publish: jest.fn() };
+        k1View = new K1LocationView({ stateService, eventAggregator });
+        k1View.handleFocusModeRequest();
+    });
+
+    afterEach(() => {
+        console.log.mockRestore();
+    });
+
+    it('should offer the next numbered room on an empty next row', () => {
+        k1View.handleLocationInputEnter({ value: 'Bed' });
+
+        expect(getLocations()[0]).toBe('Bed');
+        expect(state.ui.targetCell).toEqual({ rowIndex: 1, column: 'location' });
+        expect(state.ui.locationInputValue).toBe('Bed 3');
+    });
+
+    it('should number a preset that is already used', () => {
+        k1View.handlePresetSelect({ name: 'Living L' });
+        k1View.handlePresetSelect({ name: 'Bed' });
+        k1View.handlePresetSelect({ name: 'Living L' });
+        k1View.handlePresetSelect({ name: 'Living L' });
+
+        expect(getLocations().slice(0, 4)).toEqual(['Living L', 'Bed 3', 'Living R', 'Living 2 L']);
+    });
+
+    it('should fill the location of the first picked row down to the other picked rows in one undo step', () => {
+        k1View.handleLocationInputEnter({ value: 'Study' });
+        const historyLength = state.history.past.length;
+        [3, 0, 1].forEach(rowIndex => k1View.handleSequenceCellClick({ rowIndex }));
+
+        k1View.handleFillDown();
+
+        expect(getLocations()).toEqual(['Study', 'Study', 'Bed 2', 'Study', '']);
+        expect(state.history.past).toHaveLength(historyLength + 1);
+        expect(state.ui.multiSelectSelectedIndexes).toEqual([]);
+        expect(eventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, { message: '"Study" filled down to 2 row(s).' });
+    });
+
+    it('should keep the locations and the picked rows when filling down on a locked quote', () => {
+        k1View.handleLocationInputEnter({ value: 'Study' });
+        state.quoteData.status = 'Accepted';
+        [0, 1].forEach(rowIndex => k1View.handleSequenceCellClick({ rowIndex }));
+
+        k1View.handleFillDown();
+
+        expect(getLocations()).toEqual(['Study', '', 'Bed 2', '', '']);
+        expect(state.ui.multiSelectSelectedIndexes).toEqual([0, 1]);
+        expect(eventAggregator.publish).not.toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, { message: '"Study" filled down to 1 row(s).' });
+    });
+});
\ No newline at end of file
@@ -3,6 +3,9 @@
 import { EVENTS } from '../../config/constants.js';
 import * as uiActions from '../../actions/ui-actions.js';
 import * as quoteActions from '../../actions/quote-actions.js';
+import * as historyActions from '../../actions/history-actions.js';
+import { isLfModified, getLfModifiedIndexes } from '../../utils/item-metadata-utils.js';
+import { getRoomScopeRowIndexes } from '../../utils/room-utils.js';
 
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the K2 (Fabric) tab.
@@ -14,6 +17,7 @@ export class K2FabricView {
         this.publish = publishStateChangeCallback;
         
         this.indexesToExcludeFromBatchUpdate = new Set();
+        this.isBatchEditGroupOpen = false;
 
         console.log("K2FabricView Initialized.");
     }
@@ -34,11 +38,11 @@ export class K2FabricView {
 
         if (newMode) {
             const items = this._getItems();
-            const { lfModifiedRowIndexes } = this._getState().quoteData.uiMetadata;
+            const { uiMetadata } = this._getState().quoteData;
             const eligibleTypes = ['B2', 'B3', 'B4'];
             
-            const hasConflict = items.some((item, index) => 
-                eligibleTypes.includes(item.fabricType) && lfModifiedRowIndexes.includes(index)
+            const hasConflict = items.some(item => 
+                eligibleTypes.includes(item.fabricType) && isLfModified(uiMetadata, item)
             );
 
             if (hasConflict) {
@@ -57,7 +61,7 @@ export class K2FabricView {
                             { 
                                 type: 'button', text: 'Keep Existing (Skip L-Filter)', 
                                 callback: () => {
-                                    this.indexesToExcludeFromBatchUpdate = new Set(this._getState().quoteData.uiMetadata.lfModifiedRowIndexes);
+                                    this.indexesToExcludeFromBatchUpdate = new Set(getLfModifiedIndexes(this._getState().quoteData.uiMetadata, this._getItems()));
                                     this._enterFCMode(false);
                                 }
                             },
@@ -74,13 +78,17 @@ export class K2FabricView {
     }
 
     _enterFCMode(isOverwriting) {
+        // The whole batch-edit session is recorded as a single undo step.
+        this.stateService.dispatch(historyActions.beginGroup());
+        this.isBatchEditGroupOpen = true;
+
         if (isOverwriting) {
             const items = this._getItems();
-            const { lfModifiedRowIndexes } = this._getState().quoteData.uiMetadata;
+            const { uiMetadata } = this._getState().quoteData;
             const indexesToClear = [];
             const eligibleTypes = ['B2', 'B3', 'B4'];
             items.forEach((item, index) => {
-                if (eligibleTypes.includes(item.fabricType) && lfModifiedRowIndexes.includes(index)) {
+                if (eligibleTypes.includes(item.fabricType) && isLfModified(uiMetadata, item)) {
                     indexesToClear.push(index);
                 }
             });
@@ -97,10 +105,26 @@ export class K2FabricView {
         if (type === 'LF') {
             this._applyLFChanges();
         } else {
-            this.stateService.dispatch(quoteActions.batchUpdatePropertyByType(type, field, value, this.indexesToExcludeFromBatchUpdate));
+            this.stateService.dispatch(quoteActions.batchUpdatePropertyByType(type, field, value, this._getBatchExclusions()));
         }
     }
 
+    /**
+     * The rows a batch fabric edit skips: the LF rows being kept and, when a room is chosen in the
+     * left panel, the rows of the other rooms.
+     */
+    _getBatchExclusions() {
+        const items = this._getItems();
+        const roomRowIndexes = getRoomScopeRowIndexes(items, this._getState().ui.roomScope);
+        if (!roomRowIndexes) return this.indexesToExcludeFromBatchUpdate;
+        const roomRows = new Set(roomRowIndexes);
+        const exclusions = new Set(this.indexesToExcludeFromBatchUpdate);
+        items.forEach((item, index) => {
+            if (!roomRows.has(index)) exclusions.add(index);
+        });
+        return exclusions;
+    }
+
     handlePanelInputEnter() {
         const inputs = Array.from(document.querySelectorAll('.panel-input:not([disabled])'));
         const activeElement = document.activeElement;
@@ -125,8 +149,7 @@ export class K2FabricView {
             const item = this._getItems()[rowIndex];
             
             if (activeEditMode === 'K2_LF_DELETE_SELECT') {
-                const { lfModifiedRowIndexes } = this._getState().quoteData.uiMetadata;
-                if (!lfModifiedRowIndexes.includes(rowIndex)) {
+                if (!isLfModified(this._getState().quoteData.uiMetadata, item)) {
                     this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Only items with a Light-Filter setting (pink background) can be selected for deletion.', type: 'error' });
                     return;
                 }
@@ -173,8 +196,10 @@ export class K2FabricView {
         if (activeEditMode === 'K2_LF_DELETE_SELECT') {
             const { lfSelectedRowIndexes } = this._getState().ui;
             if (lfSelectedRowIndexes.length > 0) {
+                this.stateService.dispatch(historyActions.beginGroup());
                 this.stateService.dispatch(quoteActions.removeLFProperties(lfSelectedRowIndexes));
                 this.stateService.dispatch(quoteActions.removeLFModifiedRows(lfSelectedRowIndexes));
+                this.stateService.dispatch(historyActions.endGroup());
                 this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Light-Filter settings have been cleared.' });
             }
             this._exitAllK2Modes();
@@ -191,6 +216,11 @@ export class K2FabricView {
         
         this.indexesToExcludeFromBatchUpdate.clear();
 
+        if (this.isBatchEditGroupOpen) {
+            this.stateService.dispatch(historyActions.endGroup());
+            this.isBatchEditGroupOpen = false;
+        }
+
         this._updatePanelInputsState();
     }
 
@@ -203,16 +233,17 @@ export class K2FabricView {
         
         if (fNameInput && fColorInput && fNameInput.value && fColorInput.value) {
             const fabricNameWithPrefix = `Light-filter ${fNameInput.value}`;
+            this.stateService.dispatch(historyActions.beginGroup());
             this.stateService.dispatch(quoteActions.batchUpdateLFProperties(lfSelectedRowIndexes, fabricNameWithPrefix, fColorInput.value));
             this.stateService.dispatch(quoteActions.addLFModifiedRows(lfSelectedRowIndexes));
+            this.stateService.dispatch(historyActions.endGroup());
         }
     }
 
     _updatePanelInputsState() {
-        const { ui, quoteData } = this._getState();
+        const { ui } = this._getState();
         const { activeEditMode, lfSelectedRowIndexes } = ui;
         const items = this._getItems();
-        const { lfModifiedRowIndexes } = quoteData.uiMetadata;
         const presentTypes = new Set(items.map(item => item.fabricType).filter(Boolean));
         
         const allPanelInputs = document.querySelectorAll('.panel-input');
@@ -1,6 +1,7 @@
 // File: 04-core-code/ui/views/k3-options-view.js
 import * as uiActions from '../../actions/ui-actions.js';
 import * as quoteActions from '../../actions/quote-actions.js';
+import { getRoomScopeRowIndexes } from '../../utils/room-utils.js';
 
 /**
  * @fileoverview A dedicated sub-view for handling all logic related to the K3 (Options) tab.
@@ -32,12 +33,15 @@ export class K3OptionsView {
     }
 
     /**
-     * Handles batch cycling for a given property (over, oi, lr).
+     * Handles batch cycling for a given property (over, oi, lr). When a room is chosen in the
+     * left panel, only that room's rows are cycled.
      * @param {object} data - The event data containing the column to cycle.
      */
     handleBatchCycle({ column }) {
         const items = this._getItems();
-        if (items.length === 0 || !items[0]) return;
+        const rowIndexes = getRoomScopeRowIndexes(items, this._getState().ui.roomScope);
+        const firstItem = rowIndexes ? items[rowIndexes[0]] : items[0];
+        if (items.length === 0 || !firstItem) return;
 
         const BATCH_CYCLE_SEQUENCES = {
             over: ['O', ''],
@@ -47,12 +51,12 @@ export class K3OptionsView {
         const sequence = BATCH_CYCLE_SEQUENCES[column];
         if (!sequence) return;
         
-        const firstItemValue = items[0][column] || '';
+        const firstItemValue = firstItem[column] || '';
         const currentIndex = sequence.indexOf(firstItemValue);
         const nextIndex = (currentIndex === -1) ? 0 : (currentIndex + 1) % sequence.length;
         const nextValue = sequence[nextIndex];
         
-        this.stateService.dispatch(quoteActions.batchUpdateProperty(column, nextValue));
+        this.stateService.dispatch(quoteActions.batchUpdateProperty(column, nextValue, rowIndexes));
     }
     
     /**
@@ -1,8 +1,15 @@
 // File: 04-core-code/ui/views/quick-quote-view.js
 
-import { EVENTS } from '../../config/constants.js';
+import { EVENTS, DOM_IDS } from '../../config/constants.js';
 import * as uiActions from '../../actions/ui-actions.js';
 import * as quoteActions from '../../actions/quote-actions.js';
+import * as historyActions from '../../actions/history-actions.js';
+import { itemsToClipboardText, clipboardTextToItems } from '../../utils/row-clipboard-utils.js';
+import { ITEM_SORT_KEYS, isSortedBy } from '../../utils/item-sort-utils.js';
+import { isLfModified } from '../../utils/item-metadata-utils.js';
+import { getRoomNames } from '../../utils/room-utils.js';
+
+const MAX_DUPLICATE_COUNT = 50;
 
 /**
  * @fileoverview A view class responsible for all logic related to the main "Quick Quote" screen.
@@ -24,6 +31,8 @@ export class QuickQuoteView {
         this.eventAggregator = eventAggregator;
         this.productFactory = productFactory;
         this.configManager = configManager;
+        // Rows copied or cut with the row clipboard: { productKey, entries: [{ item, isLf }], text }.
+        this.clipboard = null;
         console.log("QuickQuoteView Initialized.");
     }
 
@@ -129,6 +138,265 @@ export class QuickQuoteView {
         this.focusService.focusAfterClear();
     }
 
+    // --- Row Clipboard ---
+
+    /**
+     * The selected rows that hold data, in table order, with their LF mark.
+     */
+    _getSelectedEntries() {
+        const { ui, quoteData } = this._getState();
+        const items = this._getItems();
+        return [...ui.multiSelectSelectedIndexes]
+            .sort((a, b) => a - b)
+            .filter(index => items[index] && (items[index].width || items[index].height || items[index].fabricType))
+            .map(index => ({ index, item: items[index], isLf: isLfModified(quoteData.uiMetadata, items[index]) }));
+    }
+
+    /**
+     * Copies the entries with new itemIds, keeping every K1-K5 field.
+     */
+    _createCopies(entries) {
+        const productStrategy = this.productFactory.getProductStrategy(this._getCurrentProductType());
+        return entries.map(({ item }) => ({ ...JSON.parse(JSON.stringify(item)), itemId: productStrategy.getInitialItemData().itemId }));
+    }
+
+    /**
+     * Inserts copies of the entries before index as one undo step, and marks the copies of LF rows.
+     */
+    _insertCopies(index, entries) {
+        return this._insertItems(index, this._createCopies(entries), entries.map(({ isLf }) => isLf));
+    }
+
+    /**
+     * @returns {number} The number of rows inserted; 0 when the items could not be changed (a locked
+     *   quote, for which StateService has already told the user why).
+     */
+    _insertItems(index, newItems, lfFlags = []) {
+        const itemsBefore = this._getItems();
+        this.stateService.dispatch(historyActions.beginGroup());
+        this.stateService.dispatch(quoteActions.insertItems(index, newItems));
+        const items = this._getItems();
+        if (items === itemsBefore) {
+            this.stateService.dispatch(historyActions.endGroup());
+            return 0;
+        }
+        const lfIndexes = newItems
+            .filter((_, itemIndex) => lfFlags[itemIndex])
+            .map(newItem => items.findIndex(item => item.itemId === newItem.itemId));
+        if (lfIndexes.length > 0) {
+            this.stateService.dispatch(quoteActions.addLFModifiedRows(lfIndexes));
+        }
+        this.stateService.dispatch(historyActions.endGroup());
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+        this.stateService.dispatch(uiActions.setSumOutdated(true));
+        return newItems.length;
+    }
+
+    handleCopyRows({ isCut = false } = {}) {
+        const entries = this._getSelectedEntries();
+        if (entries.length === 0) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Please select the rows to ${isCut ? 'cut' : 'copy'} by clicking on their sequence numbers ('#').` });
+            return;
+        }
+
+        const clipboard = {
+            productKey: this._getCurrentProductType(),
+            entries: entries.map(({ item, isLf }) => ({ item: JSON.parse(JSON.stringify(item)), isLf })),
+            text: itemsToClipboardText(entries.map(({ item }) => item))
+        };
+
+        if (isCut) {
+            const itemsBefore = this._getItems();
+            this.stateService.dispatch(quoteActions.deleteMultipleRows(entries.map(({ index }) => index)));
+            // The rows stay on a locked quote, and so does the clipboard.
+            if (this._getItems() === itemsBefore) return;
+            this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+            this.stateService.dispatch(uiActions.setSumOutdated(true));
+        }
+        this.clipboard = clipboard;
+        // Also put the sizes on the system clipboard, for pasting into a spreadsheet.
+        navigator.clipboard?.writeText(clipboard.text).catch(() => {});
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${entries.length} row(s) ${isCut ? 'cut' : 'copied'}.` });
+    }
+
+    handleCutRows() {
+        this.handleCopyRows({ isCut: true });
+    }
+
+    /**
+     * Pastes below the last selected row, or at the end of the table. Text that is not what the row
+     * clipboard copied, e.g. cells copied from a spreadsheet, is read as width, height and type.
+     * @param {{text?: string}} [data] - The text on the system clipboard, when pasted with the keyboard.
+     */
+    handlePasteRows({ text = '' } = {}) {
+        const { ui } = this._getState();
+        const productKey = this._getCurrentProductType();
+        const index = ui.multiSelectSelectedIndexes.length > 0
+            ? Math.max(...ui.multiSelectSelectedIndexes) + 1
+            : this._getItems().length;
+
+        if (text.trim() && text.trim() !== this.clipboard?.text.trim()) {
+            const { items, skippedRowCount } = clipboardTextToItems(text, this.configManager.getFabricTypeSequence(productKey));
+            if (items.length === 0) {
+                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'The clipboard holds no rows with a width and height.', type: 'error' });
+                return;
+            }
+            const productStrategy = this.productFactory.getProductStrategy(productKey);
+            const count = this._insertItems(index, items.map(values => ({ ...productStrategy.getInitialItemData(), ...values })));
+            if (count === 0) return;
+            const skippedMessage = skippedRowCount > 0 ? ` ${skippedRowCount} row(s) without a width and height were skipped.` : '';
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${count} row(s) pasted.${skippedMessage}` });
+            return;
+        }
+
+        if (!this.clipboard) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Copy or cut some rows first.' });
+            return;
+        }
+        if (this.clipboard.productKey !== productKey) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'Rows copied from another product cannot be pasted here.', type: 'error' });
+            return;
+        }
+        const count = this._insertCopies(index, this.clipboard.entries);
+        if (count === 0) return;
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${count} row(s) pasted.` });
+    }
+
+    /**
+     * Asks how many copies to make of the selected rows, and inserts them below the selection.
+     */
+    handleDuplicateRows() {
+        const entries = this._getSelectedEntries();
+        if (entries.length === 0) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: "Please select the rows to duplicate by clicking on their sequence numbers ('#')." });
+            return;
+        }
+
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: `Duplicate the ${entries.length} selected row(s) how many times?`,
+            layout: [
+                [
+                    { type: 'text', text: 'Copies:', className: 'dialog-label' },
+                    { type: 'input', id: DOM_IDS.DIALOG_INPUT_DUPLICATE_COUNT, value: 1 }
+                ],
+                [
+                    {
+                        type: 'button',
+                        text: 'Duplicate',
+                        className: 'primary-confirm-button',
+                        callback: () => {
+                            const count = parseInt(document.getElementById(DOM_IDS.DIALOG_INPUT_DUPLICATE_COUNT).value, 10);
+                            if (isNaN(count) || count < 1 || count > MAX_DUPLICATE_COUNT) {
+                                this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Enter a number of copies from 1 to ${MAX_DUPLICATE_COUNT}.`, type: 'error' });
+                                return false;
+                            }
+                            this.duplicateRows(count);
+                            return true;
+                        }
+                    },
+                    { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }
+                ]
+            ],
+            onOpen: () => document.getElementById(DOM_IDS.DIALOG_INPUT_DUPLICATE_COUNT)?.select()
+        });
+    }
+
+    /**
+     * Inserts count copies of the selected rows below the last selected row.
+     * @param {number} count
+     */
+    duplicateRows(count) {
+        const entries = this._getSelectedEntries();
+        if (entries.length === 0) return;
+        const copies = Array.from({ length: count }, () => entries).flat();
+        const inserted = this._insertCopies(entries[entries.length - 1].index + 1, copies);
+        if (inserted === 0) return;
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `${inserted} row(s) added.` });
+    }
+
+    // --- Row Order ---
+
+    /**
+     * Dispatches a move or sort, keeping the active cell on its row. Row selections are cleared, as
+     * they are by position.
+     * @returns {boolean} True if the rows were reordered.
+     */
+    _reorderRows(action) {
+        const { activeCell } = this._getState().ui;
+        const itemsBefore = this._getItems();
+        const activeItemId = activeCell ? itemsBefore[activeCell.rowIndex]?.itemId : null;
+
+        this.stateService.dispatch(action);
+        const items = this._getItems();
+        if (items === itemsBefore) return false;
+
+        const activeRowIndex = activeItemId ? items.findIndex(item => item.itemId === activeItemId) : -1;
+        if (activeRowIndex >= 0 && activeRowIndex !== activeCell.rowIndex) {
+            this.stateService.dispatch(uiActions.setActiveCell(activeRowIndex, activeCell.column));
+        }
+        this.stateService.dispatch(uiActions.clearMultiSelectSelection());
+        return true;
+    }
+
+    /**
+     * Moves a row dragged by its sequence number.
+     * @param {{fromIndex: number, toIndex: number}} data - toIndex is the row's position after the move.
+     */
+    handleMoveRow({ fromIndex, toIndex }) {
+        this._reorderRows(quoteActions.moveItem(fromIndex, toIndex));
+    }
+
+    handleSortRows() {
+        this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
+            message: 'Sort the rows by which column? Choosing the same column again reverses the order.',
+            layout: [
+                Object.entries(ITEM_SORT_KEYS).map(([sortKey, { label }]) => ({
+                    type: 'button',
+                    text: label,
+                    callback: () => this.sortRows(sortKey)
+                })),
+                [{ type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }]
+            ]
+        });
+    }
+
+    /**
+     * Sorts the rows by the key, in ascending order unless they already are.
+     * @param {string} sortKey - One of the ITEM_SORT_KEYS.
+     */
+    sortRows(sortKey) {
+        const items = this._getItems();
+        const lastItem = items[items.length - 1];
+        const rows = lastItem && !lastItem.width && !lastItem.height && !lastItem.fabricType ? items.slice(0, -1) : items;
+        const direction = isSortedBy(rows, sortKey, 'asc') ? 'desc' : 'asc';
+
+        if (!this._reorderRows(quoteActions.sortItems(sortKey, direction))) return;
+
+        const { label } = ITEM_SORT_KEYS[sortKey];
+        const outdatedMessage = sortKey === 'linePrice' && this._getState().ui.isSumOutdated ? ' Some prices are out of date; press the price key to update them.' : '';
+        this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: `Rows sorted by ${label}, ${direction === 'asc' ? 'ascending' : 'descending'}.${outdatedMessage}` });
+    }
+
+    // --- Room Groups ---
+
+    /**
+     * Shows the table's rows under a heading per room, with the room's subtotal, or as a plain list.
+     */
+    handleToggleRoomGrouping() {
+        this.stateService.dispatch(uiActions.toggleRoomGrouping());
+        if (this._getState().ui.isGroupedByRoom && getRoomNames(this._getItems()).length === 0) {
+            this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: 'No rooms yet. Enter the locations in K1 to group the rows by room.' });
+        }
+    }
+
+    /**
+     * Collapses or expands a room heading.
+     * @param {{roomKey: string}} data
+     */
+    handleToggleRoomGroup({ roomKey }) {
+        this.stateService.dispatch(uiActions.toggleRoomCollapsed(roomKey));
+    }
+
     handleSaveToFile() {
         const { quoteData } = this._getState();
         const result = this.fileService.saveToJson(quoteData);
@@ -136,19 +404,16 @@ export class QuickQuoteView {
     }
 
     handleExportCSV() {
-        const { quoteData } = this._getState();
-        const result = this.fileService.exportToCsv(quoteData);
+        const { quoteData, ui } = this._getState();
+        const result = this.fileService.exportToCsv(quoteData, ui);
         this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: result.message, type: result.success ? 'info' : 'error' });
     }
 
     handleReset() {
         this.eventAggregator.publish(EVENTS.SHOW_CONFIRMATION_DIALOG, {
-            message: 'Are you sure you want to clear all data and start a new quote?',
+            message: 'Start a new, blank quote? The current quote stays in the quote library.',
             layout: [[
-                { type: 'button', text: 'Confirm Reset', callback: () => {
-                    this.stateService.dispatch(quoteActions.resetQuoteData());
-                    this.stateService.dispatch(uiActions.resetUi());
-                }},
+                { type: 'button', text: 'Confirm Reset', callback: () => this.eventAggregator.publish(EVENTS.USER_REQUESTED_NEW_QUOTE) },
                 { type: 'button', text: 'Cancel', className: 'secondary', callback: () => {} }
             ]]
         });
@@ -163,12 +428,15 @@ export class QuickQuoteView {
         const productStrategy = this.productFactory.getProductStrategy(this._getCurrentProductType());
         const { updatedQuoteData, firstError } = this.calculationService.calculateAndSum(quoteData, productStrategy);
 
-        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData));
+        this.stateService.dispatch(quoteActions.setQuoteData(updatedQuoteData, { skipHistory: true }));
         
         if (firstError) {
             this.stateService.dispatch(uiActions.setSumOutdated(true));
             this.eventAggregator.publish(EVENTS.SHOW_NOTIFICATION, { message: firstError.message, type: 'error' });
-            this.stateService.dispatch(uiActions.setActiveCell(firstError.rowIndex, firstError.column));
+            // Errors in another product's items cannot be focused in the current table.
+            if (firstError.productKey === this._getCurrentProductType()) {
+                this.stateService.dispatch(uiActions.setActiveCell(firstError.rowIndex, firstError.column));
+            }
         } else {
             this.stateService.dispatch(uiActions.setSumOutdated(false));
         }
@@ -193,7 +461,14 @@ export class QuickQuoteView {
     handleCycleType() {
         const { ui } = this._getState();
         const { activeCell } = ui;
-        if (!activeCell || activeCell.column !== 'TYPE') return;
+        if (!activeCell) return;
+
+        if (activeCell.column === 'fullness') {
+            this.stateService.dispatch(quoteActions.cycleItemFullness(activeCell.rowIndex));
+            this.stateService.dispatch(uiActions.setSumOutdated(true));
+            return;
+        }
+        if (activeCell.column !== 'TYPE') return;
 
         this.stateService.dispatch(quoteActions.cycleItemType(activeCell.rowIndex));
         this.stateService.dispatch(uiActions.setSumOutdated(true));
@@ -227,16 +502,18 @@ export class QuickQuoteView {
             return;
         }
 
-        const fabricTypes = this.configManager.getFabricTypeSequence();
+        const fabricTypes = this.configManager.getFabricTypeSequence(this._getCurrentProductType());
         const layout = [[]];
         fabricTypes.forEach(type => {
             layout[0].push({
                 type: 'button',
                 text: type,
                 callback: () => {
+                    this.stateService.dispatch(historyActions.beginGroup());
                     multiSelectSelectedIndexes.forEach(index => {
                         this.stateService.dispatch(quoteActions.setItemType(index, type));
                     });
+                    this.stateService.dispatch(historyActions.endGroup());
                     this.stateService.dispatch(uiActions.setSumOutdated(true));
                     this.stateService.dispatch(uiActions.clearMultiSelectSelection());
                 }
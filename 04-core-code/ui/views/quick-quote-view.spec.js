@@ -2,6 +2,10 @@
 
 import { QuickQuoteView } from './quick-quote-view.js';
 import { EVENTS } from '../../config/constants.js';
+import { createRootReducer } from '../../reducers/root-reducer.js';
+import { initialState } from '../../config/initial-state.js';
+import * as uiActions from '../../actions/ui-actions.js';
+import { getLfModifiedIndexes } from '../../utils/item-metadata-utils.js';
 
 describe('QuickQuoteView', () => {
     let quickQuoteView;
@@ -115,4 +119,118 @@ describe('QuickQuoteView', () => {
             expect(mockUiService.setActiveCell).toHaveBeenCalledWith(1, 'width');
         });
     });
+});
+
+describe('QuickQuoteView row clipboard', () => {
+    let quickQuoteView;
+    let state;
+    let eventAggregator;
+    let nextId;
+
+    const getItems = () => state.quoteData.products.rollerBlind.items;
+    const select = (...indexes) => indexes.forEach(index => stateService.dispatch(uiActions.toggleMultiSelectSelection(index)));
+    const productFactory = {
+        getProductStrategy: () => ({
+            getInitialItemData: () => ({ itemId: `new-${nextId++}`, width: null, height: null, fabricType: null, linePrice: null, location: '', fabric: '', color: '' }),
+        }),
+    };
+    const reducer = createRootReducer({ productFactory, configManager: {} });
+    const stateService = {
+        getState: () => state,
+        dispatch: (action) => { state = reducer(state, action); },
+    };
+
+    beforeEach(() => {
+        nextId = 1;
+        state = JSON.parse(JSON.stringify(initialState));
+        state.quoteData.products.rollerBlind.items = [
+            { itemId: 'a', width: 1200, height: 1300, fabricType: 'B1', linePrice: null, location: 'Bed 1', fabric: 'Linen', color: 'White', oi: 'IN', lr: 'L', chain: 900 },
+            { itemId: 'b', width: 900, height: 1300, fabricType: 'B2', linePrice: null, location: 'Bed 2', fabric: '', color: '' },
+            { itemId: 'c', width: null, height: null, fabricType: null, linePrice: null, location: '', fabric: '', color: '' },
+        ];
+        state.quoteData.uiMetadata.itemMetadata = { a: { lf: true } };
+        eventAggregator = { publish: jest.fn() };
+        quickQuoteView = new QuickQuoteView({
+            stateService,
+            eventAggregator,
+            productFactory,
+            configManager: { getFabricTypeSequence: () => ['B1', 'B2'] },
+            calculationService: {},
+            focusService: {},
+            fileService: {},
+        });
+    });
+
+    it('should paste copied rows below the selection with every field, new itemIds and their LF marks', () => {
+        select(0);
+        quickQuoteView.handleCopyRows();
+        select(1);
+        quickQuoteView.handlePasteRows();
+
+        expect(getItems().map(item => item.itemId)).toEqual(['a', 'b', 'new-1', 'c']);
+        expect(getItems()[2]).toEqual({ ...getItems()[0], itemId: 'new-1' });
+        expect(getLfModifiedIndexes(state.quoteData.uiMetadata, getItems())).toEqual([0, 2]);
+        expect(state.ui.multiSelectSelectedIndexes).toEqual([]);
+        expect(state.history.past).toHaveLength(1);
+    });
+
+    it('should cut rows and paste them at the end of the table', () => {
+        select(0);
+        quickQuoteView.handleCutRows();
+        expect(getItems().map(item => item.itemId)).toEqual(['b', 'c']);
+
+        quickQuoteView.handlePasteRows();
+        expect(getItems().map(item => item.itemId)).toEqual(['b', 'new-1', 'c']);
+        expect(getItems()[1].location).toBe('Bed 1');
+    });
+
+    it('should leave the rows, clipboard and selection alone when cutting or pasting on a locked quote', () => {
+        state.quoteData.status = 'Accepted';
+        select(0);
+        quickQuoteView.handleCutRows();
+
+        expect(getItems().map(item => item.itemId)).toEqual(['a', 'b', 'c']);
+        expect(quickQuoteView.clipboard).toBeNull();
+        expect(state.ui.multiSelectSelectedIndexes).toEqual([0]);
+
+        quickQuoteView.handleCopyRows();
+        quickQuoteView.handlePasteRows();
+
+        expect(getItems().map(item => item.itemId)).toEqual(['a', 'b', 'c']);
+        expect(state.ui.multiSelectSelectedIndexes).toEqual([0]);
+        expect(state.ui.isSumOutdated).toBe(false);
+        expect(eventAggregator.publish).not.toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, { message: '1 row(s) pasted.' });
+        expect(eventAggregator.publish).not.toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, { message: '1 row(s) cut.' });
+    });
+
+    it('should paste width, height and type copied from a spreadsheet', () => {
+        quickQuoteView.handlePasteRows({ text: 'W\tH\tType\n1000\t1100\tb2\n800\t900\n' });
+
+        expect(getItems().slice(2, 4)).toMatchObject([
+            { itemId: 'new-1', width: 1000, height: 1100, fabricType: 'B2' },
+            { itemId: 'new-2', width: 800, height: 900, fabricType: null },
+        ]);
+        expect(eventAggregator.publish).toHaveBeenCalledWith(EVENTS.SHOW_NOTIFICATION, { message: '2 row(s) pasted. 1 row(s) without a width and height were skipped.' });
+    });
+
+    it('should duplicate a selected row a number of times in one undo step', () => {
+        select(0);
+        quickQuoteView.duplicateRows(3);
+
+        expect(getItems().map(item => item.itemId)).toEqual(['a', 'new-1', 'new-2', 'new-3', 'b', 'c']);
+        expect(state.history.past).toHaveLength(1);
+    });
+
+    it('should sort by a column, reverse the order when sorted by it again, and keep the active cell on its row', () => {
+        stateService.dispatch(uiActions.setActiveCell(1, 'height'));
+
+        quickQuoteView.sortRows('width');
+        expect(getItems().map(item => item.itemId)).toEqual(['b', 'a', 'c']);
+        expect(getLfModifiedIndexes(state.quoteData.uiMetadata, getItems())).toEqual([1]);
+        expect(state.ui.activeCell).toEqual({ rowIndex: 0, column: 'height' });
+
+        quickQuoteView.sortRows('width');
+        expect(getItems().map(item => item.itemId)).toEqual(['a', 'b', 'c']);
+        expect(eventAggregator.publish).toHaveBeenLastCalledWith(EVENTS.SHOW_NOTIFICATION, { message: 'Rows sorted by Width, descending.' });
+    });
 });
\ No newline at end of file
@@ -1,36 +1,289 @@
 // /04-core-code/utils/csv-parser.js
 
+import { isLfModified } from './item-metadata-utils.js';
+
 /**
  * @fileoverview Utility functions for parsing and stringifying CSV data.
+ *
+ * A quote CSV starts with a "Quick Quote CSV,<version>" row and is made of sections, each a
+ * "[Name]" row, a header row and data rows:
+ *   [Items]             one row per entered item, followed by the subtotal and total rows
+ *   [Products]          each product's total
+ *   [Accessories]       each product's accessory summary, one "Product,key.path,value" row per value
+ *   [Financial Inputs]  the F1, F2 and K4 values entered by the user (not saved in quoteData)
+ *   [Quote]             the quote details (F3), status and price list version
+ *   [Customer]          the customer details
+ *   [Status History]    one row per status change
+ * Files without the version row (version 1) hold only the items, followed by the quote details.
+ *
+ * Files are read as RFC 4180 CSV, also when saved by spreadsheets: a byte order mark, CRLF line
+ * ends and a semicolon or tab delimiter are accepted, and item columns are found by their header,
+ * so they may be re-ordered and extra columns are ignored.
  */
 
+export const CSV_FORMAT_VERSION = 2;
+const CSV_FORMAT_LABEL = 'Quick Quote CSV';
+
+// The item columns in the order they are written, with the header names accepted on import (in
+// lower case) besides the written one.
+const ITEM_COLUMNS = [
+    { field: 'sequence', header: '#', aliases: ['sequence', 'no', 'no.', 'item'] },
+    { field: 'width', header: 'Width', aliases: ['w', 'width (mm)'] },
+    { field: 'height', header: 'Height', aliases: ['h', 'drop', 'height (mm)', 'drop (mm)'] },
+    { field: 'fabricType', header: 'Type', aliases: ['fabric type'] },
+    { field: 'linePrice', header: 'Price', aliases: ['line price'] },
+    { field: 'location', header: 'Location', aliases: ['room'] },
+    { field: 'fabric', header: 'F-Name', aliases: ['fabric', 'fabric name'] },
+    { field: 'color', header: 'F-Color', aliases: ['color', 'colour', 'fabric color', 'fabric colour'] },
+    { field: 'over', header: 'Over', aliases: [] },
+    { field: 'oi', header: 'O/I', aliases: ['in/out'] },
+    { field: 'lr', header: 'L/R', aliases: ['control side'] },
+    { field: 'dual', header: 'Dual', aliases: [] },
+    { field: 'chain', header: 'Chain', aliases: ['chain length'] },
+    { field: 'winder', header: 'Winder', aliases: [] },
+    { field: 'motor', header: 'Motor', aliases: [] },
+    { field: 'isLf', header: 'IsLF', aliases: ['lf'] },
+    { field: 'productKey', header: 'Product', aliases: [] },
+    { field: 'fullness', header: 'Fullness', aliases: [] },
+    { field: 'itemId', header: 'Item ID', aliases: ['id'] },
+];
+export const ITEM_HEADER_ALIASES = Object.fromEntries(ITEM_COLUMNS.map(({ field, header, aliases }) => [field, [header.toLowerCase(), ...aliases]]));
+// Used when the first row is not a header this parser knows.
+const POSITIONAL_ITEM_COLUMNS = Object.fromEntries(ITEM_COLUMNS.map(({ field }, index) => [field, index]));
+
+const CSV_DELIMITERS = [',', ';', '\t'];
+
+// The quote details, one "Label,value" row each, in this order. Nullable fields are null when
+// empty, the others ''. Version 1 files list them after the items and only when they are set.
+const QUOTE_DETAIL_ROWS = [
+    { label: 'Quote ID', field: 'quoteId', isNullable: true },
+    { label: 'Issue Date', field: 'issueDate', isNullable: true },
+    { label: 'Due Date', field: 'dueDate', isNullable: true },
+    { label: 'Customer ID', field: 'customerId', isCustomerField: true, isNullable: true },
+    { label: 'Customer Name', field: 'name', isCustomerField: true },
+    { label: 'Customer Address', field: 'address', isCustomerField: true },
+    { label: 'Customer Phone', field: 'phone', isCustomerField: true },
+    { label: 'Customer Email', field: 'email', isCustomerField: true },
+    { label: 'Final Offer Price', field: 'finalOfferPrice', isNumber: true },
+    { label: 'Notes', field: 'generalNotes' },
+    { label: 'Terms', field: 'termsConditions' },
+];
+
+// Quote fields that only version 2 files carry, in the [Quote] section.
+const QUOTE_META_ROWS = [
+    { label: 'Product', field: 'currentProduct' },
+    { label: 'Status', field: 'status' },
+    { label: 'Price List Version', field: 'priceListVersion', isNullable: true },
+    { label: 'Cost Discount', field: 'costDiscountPercentage', isNumber: true },
+];
+
+// The UI state values entered in F1, F2 and K4, written as "f1.key", "f2.key" or "key".
+const FINANCIAL_INPUT_KEYS = {
+    f1: ['discountPercentage', 'remote_1ch_qty', 'remote_16ch_qty', 'dual_combo_qty', 'dual_slim_qty'],
+    f2: ['wifiQty', 'deliveryQty', 'installQty', 'removalQty', 'mulTimes', 'discount',
+        'deliveryFeeExcluded', 'installFeeExcluded', 'removalFeeExcluded'],
+    drive: ['driveRemoteCount', 'driveChargerCount', 'driveCordCount'],
+};
+
+const STATUS_HISTORY_FIELDS = ['from', 'to', 'changedAt', 'changedBy', 'note'];
+
+export const SECTIONS = {
+    ITEMS: 'Items',
+    PRODUCTS: 'Products',
+    ACCESSORIES: 'Accessories',
+    FINANCIAL_INPUTS: 'Financial Inputs',
+    QUOTE: 'Quote',
+    CUSTOMER: 'Customer',
+    STATUS_HISTORY: 'Status History',
+};
+
 /**
- * Converts the application's quote data object into a comprehensive CSV formatted string,
- * including all detailed item properties and LF status.
+ * Formats one CSV cell, quoting it if it contains the delimiter, a quote or a line break.
+ * @param {*} value
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function formatCsvCell(value, delimiter = ',') {
+    const strValue = value === undefined || value === null ? '' : String(value);
+    if (/["\r\n]/.test(strValue) || strValue.includes(delimiter)) {
+        return `"${strValue.replace(/"/g, '""')}"`;
+    }
+    return strValue;
+}
+
+/**
+ * Formats a row of CSV cells.
+ * @param {Array<*>} cells
+ * @param {string} [delimiter=',']
+ * @returns {string}
+ */
+export function formatCsvRow(cells, delimiter = ',') {
+    return cells.map(cell => formatCsvCell(cell, delimiter)).join(delimiter);
+}
+
+/**
+ * Guesses the delimiter of CSV text from its first line: the one of comma, semicolon (used by
+ * spreadsheets in locales with a decimal comma) and tab found most often outside quotes.
+ * @param {string} text
+ * @returns {string}
+ */
+export function detectCsvDelimiter(text) {
+    const counts = Object.fromEntries(CSV_DELIMITERS.map(delimiter => [delimiter, 0]));
+    let inQuotes = false;
+    for (const char of text) {
+        if (char === '"') {
+            inQuotes = !inQuotes;
+        } else if (!inQuotes && (char === '\n' || char === '\r')) {
+            break;
+        } else if (!inQuotes && char in counts) {
+            counts[char]++;
+        }
+    }
+    return CSV_DELIMITERS.reduce((best, delimiter) => (counts[delimiter] > counts[best] ? delimiter : best), ',');
+}
+
+/**
+ * Splits CSV text into rows of cells (RFC 4180). Quoted cells may contain delimiters, quotes
+ * (doubled) and line breaks. A byte order mark is ignored, and so is an Excel "sep=;" first line
+ * apart from setting the delimiter. Blank rows are dropped unless asked for.
+ * @param {string} text
+ * @param {object} [options]
+ * @param {string} [options.delimiter] - Detected from the first line when not given.
+ * @param {boolean} [options.keepBlankRows=false] - Keep blank rows, e.g. where they separate blocks.
+ * @returns {string[][]}
+ */
+export function parseCsvRows(text, { delimiter, keepBlankRows = false } = {}) {
+    text = String(text).replace(/^\uFEFF/, '');
+    const separatorLine = /^sep=(.)\r?\n/i.exec(text);
+    if (separatorLine) {
+        delimiter = delimiter || separatorLine[1];
+        text = text.slice(separatorLine[0].length);
+    }
+    delimiter = delimiter || detectCsvDelimiter(text);
+
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === delimiter) {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    row.push(cell);
+    rows.push(row);
+
+    return keepBlankRows ? rows : rows.filter(cells => cells.some(value => value.trim() !== ''));
+}
+
+/**
+ * Finds the columns of a header row. Headers are compared trimmed and in lower case.
+ * @param {string[]} headerRow
+ * @param {Object<string, string[]>} headerAliases - The lower-case header names of each field.
+ * @returns {Object<string, number>} The index of each field's column, or -1 if it has none.
+ */
+export function findCsvColumns(headerRow, headerAliases) {
+    const headers = headerRow.map(header => header.trim().toLowerCase().replace(/\s+/g, ' '));
+    return Object.fromEntries(Object.entries(headerAliases)
+        .map(([field, aliases]) => [field, headers.findIndex(header => aliases.includes(header))]));
+}
+
+// A header row without width and height columns is taken to be an older, positional export.
+const findItemColumns = (headerRow) => {
+    const columns = findCsvColumns(headerRow, ITEM_HEADER_ALIASES);
+    return columns.width === -1 && columns.height === -1 ? POSITIONAL_ITEM_COLUMNS : columns;
+};
+
+// Reads a number written with a decimal point, or with a decimal comma ("75,5" or "75,50") by a spreadsheet.
+const parseCsvNumber = (text) => parseFloat(/^-?\d+,\d{1,2}$/.test(text) ? text.replace(',', '.') : text);
+
+// Cells are written as they are, except null (empty) and booleans, so that parseTypedValue reads
+// them back as they were.
+const toCellValue = (value) => {
+    if (value === null || value === undefined) return '';
+    return typeof value === 'boolean' ? String(value) : value;
+};
+
+const parseTypedValue = (text) => {
+    if (text === '') return null;
+    if (text === 'true' || text === 'false') return text === 'true';
+    if (/^-?\d+(\.\d+)?$/.test(text)) return Number(text);
+    return text;
+};
+
+// Lists the leaf values of an object as [dotted.path, value] pairs.
+const flattenObject = (object, prefix = '') => Object.entries(object || {}).flatMap(([key, value]) =>
+    (value !== null && typeof value === 'object' && !Array.isArray(value))
+        ? flattenObject(value, `${prefix}${key}.`)
+        : [[`${prefix}${key}`, value]]);
+
+const setPath = (object, path, value) => {
+    const keys = path.split('.');
+    const last = keys.pop();
+    const target = keys.reduce((node, key) => (node[key] = node[key] || {}), object);
+    target[last] = value;
+};
+
+const parseDetailValue = ({ isNumber, isNullable }, text) => {
+    if (isNumber) {
+        const number = parseFloat(text);
+        return Number.isFinite(number) ? number : null;
+    }
+    return text === '' && isNullable ? null : text;
+};
+
+/**
+ * Lays the quote out in the sections of the file format (see the file overview), for dataToCsv
+ * and the XLSX export, which writes a sheet per section.
  * @param {object} quoteData The application's quote data.
- * @returns {string} A string in CSV format.
+ * @param {object} [uiState] The UI state, for the Financial Inputs section; omitted without it.
+ * @returns {Array<{name: string, rows: Array<Array<string|number>>, currencyColumns: number[]}>}
+ *   Each section's rows, the header row first, and the columns holding amounts of money. Empty if
+ *   the quote has no items to export.
  */
-export function dataToCsv(quoteData) {
+export function dataToSections(quoteData, uiState = null) {
+    const products = quoteData?.products;
     const currentProductKey = quoteData?.currentProduct;
-    const productData = quoteData?.products?.[currentProductKey];
-    const lfModifiedRowIndexes = quoteData?.uiMetadata?.lfModifiedRowIndexes || [];
 
-    if (!productData || !productData.items) return "";
+    if (!products || !products[currentProductKey] || !products[currentProductKey].items) return [];
 
-    const headers = [
-        '#', 'Width', 'Height', 'Type', 'Price', 
-        'Location', 'F-Name', 'F-Color', 'Over', 'O/I', 'L/R', 
-        'Dual', 'Chain', 'Winder', 'Motor', 'IsLF'
-    ];
-    
-    const rows = productData.items.map((item, index) => {
-        if (item.width || item.height) {
-            const rowData = [
+    const productEntries = Object.entries(products)
+        .filter(([, productData]) => (productData.items || []).some(item => item.width || item.height));
+    const isMultiProduct = productEntries.length > 1;
+
+    const itemRows = [];
+    let grandTotal = null;
+    productEntries.forEach(([productKey, productData]) => {
+        productData.items.forEach((item, index) => {
+            if (!item.width && !item.height) return;
+            itemRows.push([
                 index + 1,
                 item.width || '',
                 item.height || '',
                 item.fabricType || '',
-                item.linePrice !== null ? item.linePrice.toFixed(2) : '',
+                typeof item.linePrice === 'number' ? item.linePrice : '',
                 item.location || '',
                 item.fabric || '',
                 item.color || '',
@@ -41,79 +294,258 @@ export function dataToCsv(quoteData) {
                 item.chain || '',
                 item.winder || '',
                 item.motor || '',
-                lfModifiedRowIndexes.includes(index) ? 1 : 0
-            ];
-            return rowData.map(value => {
-                const strValue = String(value);
-                if (strValue.includes(',')) {
-                    return `"${strValue}"`;
-                }
-                return strValue;
-            }).join(',');
+                // Light-filter settings only exist for roller blinds.
+                productKey === 'rollerBlind' && isLfModified(quoteData.uiMetadata, item) ? 1 : 0,
+                productKey,
+                item.fullness || '',
+                item.itemId || ''
+            ]);
+        });
+
+        const totalSum = productData.summary ? productData.summary.totalSum : null;
+        if (typeof totalSum === 'number') {
+            grandTotal = (grandTotal || 0) + totalSum;
+            if (isMultiProduct) {
+                itemRows.push([`Subtotal ${productKey}`, '', '', '', totalSum]);
+            }
         }
-        return null;
-    }).filter(row => row !== null);
+    });
+    if (typeof grandTotal === 'number') {
+        itemRows.push(['Total', '', '', '', grandTotal]);
+    }
+
+    const section = (name, headers, rows, currencyColumns = []) => ({ name, rows: [headers, ...rows], currencyColumns });
+    const summaries = Object.entries(products).filter(([, productData]) => productData.summary);
+    const sections = [
+        section(SECTIONS.ITEMS, ITEM_COLUMNS.map(column => column.header), itemRows, [4]),
+        section(SECTIONS.PRODUCTS, ['Product', 'Total'], summaries.map(([productKey, { summary }]) =>
+            [productKey, toCellValue(summary.totalSum)]), [1]),
+        section(SECTIONS.ACCESSORIES, ['Product', 'Key', 'Value'], summaries.flatMap(([productKey, { summary }]) =>
+            flattenObject(summary.accessories).map(([path, value]) => [productKey, path, toCellValue(value)]))),
+    ];
+    if (uiState) {
+        const inputRows = [
+            ...FINANCIAL_INPUT_KEYS.f1.map(key => [`f1.${key}`, uiState.f1?.[key]]),
+            ...FINANCIAL_INPUT_KEYS.f2.map(key => [`f2.${key}`, uiState.f2?.[key]]),
+            ...FINANCIAL_INPUT_KEYS.drive.map(key => [key, uiState[key]]),
+        ];
+        sections.push(section(SECTIONS.FINANCIAL_INPUTS, ['Key', 'Value'], inputRows.map(([key, value]) => [key, toCellValue(value)])));
+    }
+    sections.push(
+        section(SECTIONS.QUOTE, ['Field', 'Value'], [...QUOTE_META_ROWS, ...QUOTE_DETAIL_ROWS.filter(row => !row.isCustomerField)]
+            .map(row => [row.label, toCellValue(quoteData[row.field])])),
+        section(SECTIONS.CUSTOMER, ['Field', 'Value'], QUOTE_DETAIL_ROWS.filter(row => row.isCustomerField)
+            .map(row => [row.label, toCellValue(quoteData.customer?.[row.field])])),
+        section(SECTIONS.STATUS_HISTORY, ['From', 'To', 'Changed At', 'Changed By', 'Note'], (quoteData.statusHistory || [])
+            .map(change => STATUS_HISTORY_FIELDS.map(field => change[field] ?? ''))),
+    );
+    return sections;
+}
+
+/**
+ * Converts the application's quote data object into a comprehensive CSV formatted string,
+ * including all detailed item properties and LF status.
+ * Items of every product are exported, each followed by a subtotal row for its product, then
+ * the quote total. The other sections hold everything else needed to rebuild the quote.
+ * @param {object} quoteData The application's quote data.
+ * @param {object} [uiState] The UI state, for the [Financial Inputs] section; omitted without it.
+ * @param {object} [options]
+ * @param {string} [options.delimiter=','] - ';' for spreadsheets in locales with a decimal comma.
+ * @returns {string} A string in CSV format.
+ */
+export function dataToCsv(quoteData, uiState = null, { delimiter = ',' } = {}) {
+    const sections = dataToSections(quoteData, uiState);
+    if (sections.length === 0) return "";
+
+    const lines = [formatCsvRow([CSV_FORMAT_LABEL, CSV_FORMAT_VERSION], delimiter)];
+    sections.forEach(({ name, rows, currencyColumns }) => {
+        lines.push('', `[${name}]`, ...rows.map(cells => formatCsvRow(cells.map((cell, column) =>
+            (currencyColumns.includes(column) && typeof cell === 'number' ? cell.toFixed(2) : cell)), delimiter)));
+    });
+    return lines.join('\n');
+}
+
+/**
+ * Reads an item row into productItems (and the itemIds of LF roller blinds into lfItemIds).
+ * @param {string[]} values
+ * @param {Object<string, number>} columns - The column of each item field (see findItemColumns).
+ */
+function readItemRow(values, columns, productItems, lfItemIds) {
+    const cellOf = (field) => (columns[field] === -1 ? '' : (values[columns[field]] || ''));
+    const productKey = cellOf('productKey').trim() || 'rollerBlind';
+    const items = productItems[productKey] || (productItems[productKey] = []);
+
+    const item = {
+        itemId: cellOf('itemId').trim() || `item-${Date.now()}-${productKey}-${items.length}`,
+        width: parseInt(cellOf('width'), 10) || null,
+        height: parseInt(cellOf('height'), 10) || null,
+        fabricType: cellOf('fabricType').trim() || null,
+        linePrice: parseCsvNumber(cellOf('linePrice').trim()) || null,
+        location: cellOf('location'),
+        fabric: cellOf('fabric'),
+        color: cellOf('color'),
+        over: cellOf('over'),
+        oi: cellOf('oi'),
+        lr: cellOf('lr'),
+        dual: cellOf('dual'),
+        chain: parseInt(cellOf('chain'), 10) || null,
+        winder: cellOf('winder'),
+        motor: cellOf('motor')
+    };
+    const fullness = parseCsvNumber(cellOf('fullness').trim());
+    if (fullness) {
+        item.fullness = fullness;
+    }
+    items.push(item);
 
-    const totalSum = productData.summary ? productData.summary.totalSum : null;
-    let summaryRow = '';
-    if (typeof totalSum === 'number') {
-        summaryRow = `\n\nTotal,,,,${totalSum.toFixed(2)}`;
+    const isLf = parseInt(cellOf('isLf'), 10) === 1;
+    if (isLf && productKey === 'rollerBlind') {
+        lfItemIds.push(item.itemId);
     }
+}
 
-    return [headers.join(','), ...rows].join('\n') + summaryRow;
+/**
+ * Tells whether CSV text is a quote written by dataToCsv (or an older version of it), rather than
+ * a sheet from elsewhere that needs its columns mapped (see measurement-import-utils.js).
+ * @param {string} csvString
+ * @returns {boolean}
+ */
+export function isQuoteCsv(csvString) {
+    const [firstRow] = parseCsvRows(String(csvString).trim());
+    const firstCell = (firstRow?.[0] || '').trim().toLowerCase();
+    // Version 1 files start with the "#" header, or "sequence" in the oldest ones.
+    return firstCell === CSV_FORMAT_LABEL.toLowerCase() || firstCell === '#' || firstCell === 'sequence';
 }
 
+const isTotalRow = (label) => label.startsWith('total') || label.startsWith('subtotal');
+
+// Reads a quote detail row ("Label,value") into quoteDetails, if the label is one of detailRows.
+const readDetailRow = (quoteDetails, detailRows, values) => {
+    const detailRow = detailRows.find(row => row.label.toLowerCase() === values[0].trim().toLowerCase());
+    if (!detailRow) return false;
+    const target = detailRow.isCustomerField ? quoteDetails.customer : quoteDetails;
+    target[detailRow.field] = parseDetailValue(detailRow, values[1] || '');
+    return true;
+};
+
+/**
+ * Reads the sections written by dataToSections, from a CSV file or the sheets of a workbook.
+ * Unknown sections, such as the Summary sheet of a workbook, are ignored.
+ * @param {Array<{name: string, rows: string[][]}>} sections - Each section's rows, the header row first.
+ * @param {number} [version=CSV_FORMAT_VERSION]
+ * @returns {object} As csvToData.
+ */
+export function sectionsToData(sections, version = CSV_FORMAT_VERSION) {
+    const productItems = {};
+    const lfItemIds = [];
+    const quoteDetails = { customer: {}, statusHistory: [] };
+    const productSummaries = {};
+    let uiInputs = null;
+
+    sections.forEach(({ name, rows }) => {
+        const [headerRow = [], ...dataRows] = rows;
+        const itemColumns = name === SECTIONS.ITEMS ? findItemColumns(headerRow) : null;
+
+        dataRows.forEach(values => {
+            switch (name) {
+                case SECTIONS.ITEMS:
+                    if (!isTotalRow(values[0].trim().toLowerCase())) readItemRow(values, itemColumns, productItems, lfItemIds);
+                    break;
+                case SECTIONS.PRODUCTS:
+                    productSummaries[values[0]] = { ...productSummaries[values[0]], totalSum: parseTypedValue(values[1] || '') };
+                    break;
+                case SECTIONS.ACCESSORIES: {
+                    const summary = productSummaries[values[0]] || (productSummaries[values[0]] = {});
+                    setPath(summary, `accessories.${values[1]}`, parseTypedValue(values[2] || ''));
+                    break;
+                }
+                case SECTIONS.FINANCIAL_INPUTS: {
+                    uiInputs = uiInputs || { f1: {}, f2: {} };
+                    const [group, key] = values[0].includes('.') ? values[0].split('.') : ['drive', values[0]];
+                    if (!FINANCIAL_INPUT_KEYS[group]?.includes(key)) break;
+                    const value = parseTypedValue(values[1] || '');
+                    if (group === 'drive') {
+                        uiInputs[key] = value;
+                    } else {
+                        uiInputs[group][key] = value;
+                    }
+                    break;
+                }
+                case SECTIONS.QUOTE:
+                    readDetailRow(quoteDetails, [...QUOTE_META_ROWS, ...QUOTE_DETAIL_ROWS], values);
+                    break;
+                case SECTIONS.CUSTOMER:
+                    readDetailRow(quoteDetails, QUOTE_DETAIL_ROWS, values);
+                    break;
+                case SECTIONS.STATUS_HISTORY:
+                    quoteDetails.statusHistory.push(Object.fromEntries(STATUS_HISTORY_FIELDS.map((field, index) =>
+                        [field, field === 'changedBy' || field === 'note' ? (values[index] || '') : (values[index] || null)])));
+                    break;
+                default:
+                    break;
+            }
+        });
+    });
+
+    return { version, items: productItems.rollerBlind || [], lfItemIds, productItems, quoteDetails, productSummaries, uiInputs };
+}
 
 /**
  * Converts a CSV formatted string into an object containing item objects and LF indexes.
  * This function is "pure" and has no external dependencies.
+ * Item columns are found by their header (see ITEM_COLUMNS); without a header this parser knows,
+ * they are read in the order dataToCsv writes them. Rows without a product belong to the roller
+ * blind product.
+ * Total, subtotal and status rows are skipped; quote detail rows are returned as quoteDetails.
  * @param {string} csvString The string containing CSV data.
- * @returns {{items: Array<object>, lfIndexes: Array<number>}|null} An object with items and their LF status, or null if parsing fails.
+ * @returns {{version: number, items: Array<object>, lfItemIds: string[], productItems: Object<string, Array<object>>, quoteDetails: object, productSummaries: Object<string, object>, uiInputs: object|null}|null}
+ * The roller blind items and their LF status, every product's items keyed by product, the quote
+ * details found in the file (only those present), and from version 2 files also the product
+ * summaries and the F1/F2/K4 inputs as { f1, f2, driveRemoteCount, ... }, or null if parsing fails.
  */
 export function csvToData(csvString) {
     try {
-        const lines = csvString.trim().split('\n');
-        const headerIndex = lines.findIndex(line => line.trim() !== '');
-        if (headerIndex === -1) return null;
-
-        const dataLines = lines.slice(headerIndex + 1);
-
-        const items = [];
-        const lfIndexes = [];
-        for (const line of dataLines) {
-            const trimmedLine = line.trim();
-            if (!trimmedLine || trimmedLine.toLowerCase().startsWith('total')) {
-                continue;
-            }
-            
-            const values = trimmedLine.split(',');
-
-            const item = {
-                itemId: `item-${Date.now()}-${items.length}`,
-                width: parseInt(values[1], 10) || null,
-                height: parseInt(values[2], 10) || null,
-                fabricType: values[3] || null,
-                linePrice: parseFloat(values[4]) || null,
-                location: values[5] || '',
-                fabric: values[6] || '',
-                color: values[7] || '',
-                over: values[8] || '',
-                oi: values[9] || '',
-                lr: values[10] || '',
-                dual: values[11] || '',
-                chain: parseInt(values[12], 10) || null,
-                winder: values[13] || '',
-                motor: values[14] || ''
-            };
-            items.push(item);
-            
-            const isLf = parseInt(values[15], 10) === 1;
-            if (isLf) {
-                lfIndexes.push(items.length - 1);
+        const rows = parseCsvRows(String(csvString).trim());
+        if (rows.length === 0) return null;
+
+        const isVersioned = rows[0][0] === CSV_FORMAT_LABEL;
+        if (!isVersioned) {
+            const productItems = {};
+            const lfItemIds = [];
+            const quoteDetails = { customer: {} };
+            const itemColumns = findItemColumns(rows[0]);
+            for (const values of rows.slice(1)) {
+                const label = values[0].trim().toLowerCase();
+                if (isTotalRow(label) || label === 'status') continue;
+                const detailRow = QUOTE_DETAIL_ROWS.find(row => row.label.toLowerCase() === label);
+                if (detailRow) {
+                    const value = values[1] || '';
+                    // Only set details are written to version 1 files, and a number that does not parse is left out.
+                    if (!detailRow.isNumber || Number.isFinite(parseFloat(value))) {
+                        readDetailRow(quoteDetails, QUOTE_DETAIL_ROWS, values);
+                    }
+                    continue;
+                }
+                readItemRow(values, itemColumns, productItems, lfItemIds);
             }
+            return { version: 1, items: productItems.rollerBlind || [], lfItemIds, productItems, quoteDetails, productSummaries: {}, uiInputs: null };
+        }
+
+        const version = parseInt(rows[0][1], 10) || CSV_FORMAT_VERSION;
+        if (version > CSV_FORMAT_VERSION) {
+            console.warn(`The CSV file is format version ${version}; this app reads up to version ${CSV_FORMAT_VERSION}.`);
         }
 
-        return { items, lfIndexes };
+        const sections = [];
+        for (const values of rows.slice(1)) {
+            const sectionMatch = /^\[(.+)\]$/.exec(values[0].trim());
+            if (sectionMatch) {
+                sections.push({ name: sectionMatch[1], rows: [] });
+            } else if (sections.length > 0) {
+                sections[sections.length - 1].rows.push(values);
+            }
+        }
+        return sectionsToData(sections, version);
 
     } catch (error) {
         console.error("Failed to parse CSV string:", error);
@@ -0,0 +1,205 @@
+// /04-core-code/utils/csv-parser.spec.js
+
+import { dataToCsv, dataToSections, csvToData, sectionsToData, CSV_FORMAT_VERSION, detectCsvDelimiter, findCsvColumns, formatCsvCell, formatCsvRow, parseCsvRows } from './csv-parser.js';
+import { initialState } from '../config/initial-state.js';
+
+describe('csv-parser', () => {
+    const createQuoteData = () => {
+        const quoteData = JSON.parse(JSON.stringify(initialState.quoteData));
+        quoteData.products.rollerBlind.items = [
+            { itemId: 'rb-1', width: 1200, height: 1300, fabricType: 'B1', linePrice: 75, location: 'Bed 1, left', fabric: 'Linen', color: 'White', over: 'O', oi: 'IN', lr: 'L', dual: 'D', chain: 1000, winder: 'HD', motor: '' },
+            { itemId: 'rb-2', width: 900, height: 1300, fabricType: 'B2', linePrice: 60.5, location: 'Bed 1, right', fabric: 'Linen', color: 'White', over: '', oi: 'IN', lr: 'R', dual: 'D', chain: null, winder: '', motor: 'Motor' },
+        ];
+        quoteData.products.rollerBlind.summary.totalSum = 135.5;
+        Object.assign(quoteData.products.rollerBlind.summary.accessories, {
+            winder: { count: 1, price: 30 },
+            remote: { type: '16ch', count: 1, price: 120 },
+            winderCostSum: 20,
+        });
+        quoteData.uiMetadata.itemMetadata = { 'rb-2': { lf: true } };
+        Object.assign(quoteData, {
+            quoteId: 'RB2025030110',
+            issueDate: '2025-03-01',
+            finalOfferPrice: 1999,
+            generalNotes: 'Measure again\nbefore "ordering"',
+            priceListVersion: '2025-02',
+            status: 'Sent',
+            statusHistory: [
+                { from: 'Configuring', to: 'Quoted', changedAt: '2025-03-01T10:00:00.000Z', changedBy: 'Sam', note: '' },
+                { from: 'Quoted', to: 'Sent', changedAt: '2025-03-02T09:30:00.000Z', changedBy: '', note: 'Emailed, see "notes"' },
+            ],
+            costDiscountPercentage: 5,
+        });
+        quoteData.customer = { customerId: 'c-1', name: 'Jane Doe', address: '12 High St', phone: '0400', email: 'jane@example.com' };
+        return quoteData;
+    };
+
+    const createUiState = () => {
+        const ui = JSON.parse(JSON.stringify(initialState.ui));
+        Object.assign(ui.f1, { discountPercentage: 12.5, remote_1ch_qty: 0, remote_16ch_qty: 1, dual_combo_qty: 1, dual_slim_qty: 0 });
+        Object.assign(ui.f2, { wifiQty: 1, deliveryQty: 2, installQty: null, mulTimes: 2.2, discount: 10, installFeeExcluded: true });
+        Object.assign(ui, { driveRemoteCount: 1, driveChargerCount: 2, driveCordCount: 0 });
+        return ui;
+    };
+
+    it('should write a versioned file with one section per part of the quote', () => {
+        const lines = dataToCsv(createQuoteData(), createUiState()).split('\n');
+
+        expect(lines[0]).toBe(`Quick Quote CSV,${CSV_FORMAT_VERSION}`);
+        expect(lines.filter(line => line.startsWith('['))).toEqual([
+            '[Items]', '[Products]', '[Accessories]', '[Financial Inputs]', '[Quote]', '[Customer]', '[Status History]'
+        ]);
+        expect(lines).toContain('rollerBlind,remote.type,16ch');
+        expect(lines).toContain('f2.installFeeExcluded,true');
+    });
+
+    it('should read back the items, summaries, details, status history and financial inputs it wrote', () => {
+        const quoteData = createQuoteData();
+        const ui = createUiState();
+
+        const result = csvToData(dataToCsv(quoteData, ui));
+
+        expect(result.version).toBe(CSV_FORMAT_VERSION);
+        expect(result.productItems.rollerBlind).toEqual(quoteData.products.rollerBlind.items);
+        expect(result.lfItemIds).toEqual(['rb-2']);
+        expect(result.productSummaries.rollerBlind).toEqual(quoteData.products.rollerBlind.summary);
+        expect(result.quoteDetails).toEqual({
+            currentProduct: 'rollerBlind',
+            status: 'Sent',
+            priceListVersion: '2025-02',
+            costDiscountPercentage: 5,
+            quoteId: 'RB2025030110',
+            issueDate: '2025-03-01',
+            dueDate: null,
+            finalOfferPrice: 1999,
+            generalNotes: 'Measure again\nbefore "ordering"',
+            termsConditions: '',
+            statusHistory: quoteData.statusHistory,
+            customer: quoteData.customer,
+        });
+        expect(result.uiInputs).toEqual({
+            f1: ui.f1,
+            f2: {
+                wifiQty: 1, deliveryQty: 2, installQty: null, removalQty: null, mulTimes: 2.2, discount: 10,
+                deliveryFeeExcluded: false, installFeeExcluded: true, removalFeeExcluded: false,
+            },
+            driveRemoteCount: 1,
+            driveChargerCount: 2,
+            driveCordCount: 0,
+        });
+    });
+
+    it('should keep amounts as numbers in the sections and read back sections as text', () => {
+        const quoteData = createQuoteData();
+        const ui = createUiState();
+
+        const sections = dataToSections(quoteData, ui);
+        const items = sections.find(({ name }) => name === 'Items');
+        // As a workbook is read: every cell as text.
+        const textSections = sections.map(({ name, rows }) => ({ name, rows: rows.map(cells => cells.map(String)) }));
+
+        expect(items.currencyColumns).toEqual([4]);
+        expect(items.rows[1][4]).toBe(75);
+        expect(items.rows[items.rows.length - 1]).toEqual(['Total', '', '', '', 135.5]);
+        expect(sectionsToData(textSections)).toEqual(csvToData(dataToCsv(quoteData, ui)));
+        expect(dataToSections({ ...quoteData, products: {} })).toEqual([]);
+    });
+
+    it('should leave out the financial inputs without a UI state', () => {
+        const csv = dataToCsv(createQuoteData());
+
+        expect(csv).not.toContain('[Financial Inputs]');
+        expect(csvToData(csv).uiInputs).toBeNull();
+    });
+
+    it('should still read files written before the format was versioned', () => {
+        const csv = [
+            '#,Width,Height,Type,Price,Location,F-Name,F-Color,Over,O/I,L/R,Dual,Chain,Winder,Motor,IsLF,Product,Fullness',
+            '1,1200,1300,B1,75.00,Bed 1,,,,,,,,,,1,rollerBlind,',
+            '1,2000,2400,SN,300.00,Living,,,,,,,,,,0,dualBlind,',
+            '',
+            'Subtotal rollerBlind,,,,75.00',
+            'Total,,,,375.00',
+            'Status,Quoted',
+            'Quote ID,RB2025030110',
+            'Customer Name,Jane Doe',
+            'Final Offer Price,350',
+        ].join('\n');
+
+        const result = csvToData(csv);
+
+        expect(result.version).toBe(1);
+        expect(result.items).toHaveLength(1);
+        expect(result.items[0]).toMatchObject({ width: 1200, height: 1300, fabricType: 'B1', linePrice: 75, location: 'Bed 1' });
+        expect(result.lfItemIds).toEqual([result.items[0].itemId]);
+        expect(result.productItems.dualBlind[0]).toMatchObject({ width: 2000, fabricType: 'SN' });
+        expect(result.quoteDetails).toEqual({ quoteId: 'RB2025030110', finalOfferPrice: 350, customer: { name: 'Jane Doe' } });
+        expect(result.productSummaries).toEqual({});
+        expect(result.uiInputs).toBeNull();
+    });
+
+    it('should quote cells containing the delimiter, quotes or line breaks', () => {
+        expect(formatCsvCell('Bed 2, "north"')).toBe('"Bed 2, ""north"""');
+        expect(formatCsvCell('line 1\r\nline 2')).toBe('"line 1\r\nline 2"');
+        expect(formatCsvCell('Bed 2; north')).toBe('Bed 2; north');
+        expect(formatCsvRow(['Bed 2; north', 75.5, null], ';')).toBe('"Bed 2; north";75.5;');
+    });
+
+    it('should read quoted cells, escaped quotes, embedded line breaks, a byte order mark and CRLF line ends', () => {
+        const csv = '\uFEFFLocation,Notes\r\n"Bed 2, ""north""","line 1\r\nline 2"\r\n\r\nKitchen,\r\n';
+
+        expect(parseCsvRows(csv)).toEqual([
+            ['Location', 'Notes'],
+            ['Bed 2, "north"', 'line 1\r\nline 2'],
+            ['Kitchen', ''],
+        ]);
+    });
+
+    it('should detect semicolon and tab delimiters and honour an Excel sep line', () => {
+        expect(detectCsvDelimiter('"a,b";c;d\n1,2,3,4')).toBe(';');
+        expect(detectCsvDelimiter('a\tb\tc')).toBe('\t');
+        expect(detectCsvDelimiter('single')).toBe(',');
+        expect(parseCsvRows('Width;Location\n1200;"Bed 1; left"')).toEqual([['Width', 'Location'], ['1200', 'Bed 1; left']]);
+        expect(parseCsvRows('sep=;\r\nWidth,mm;Height\n1,2;3')).toEqual([['Width,mm', 'Height'], ['1,2', '3']]);
+        expect(parseCsvRows('a;b,c', { delimiter: ',' })).toEqual([['a;b', 'c']]);
+    });
+
+    it('should find columns by header name or alias', () => {
+        expect(findCsvColumns([' Full  Name ', 'E-mail'], { name: ['full name'], email: ['email', 'e-mail'], phone: ['phone'] }))
+            .toEqual({ name: 0, email: 1, phone: -1 });
+    });
+
+    it('should read item columns by their header, in any order and alongside unknown columns', () => {
+        const csv = [
+            'Room,Notes,Drop,Width,Colour,Fabric,Product,Price',
+            '"Bed 2, ""north""",Call first,1300,1200,White,Linen,rollerBlind,75.50',
+            'Living,,2400,2000,,,dualBlind,',
+        ].join('\n');
+
+        const result = csvToData(csv);
+
+        expect(result.items).toEqual([expect.objectContaining({
+            width: 1200, height: 1300, linePrice: 75.5, location: 'Bed 2, "north"', fabric: 'Linen', color: 'White', fabricType: null, over: ''
+        })]);
+        expect(result.productItems.dualBlind[0]).toMatchObject({ width: 2000, height: 2400, location: 'Living' });
+    });
+
+    it('should read a file saved by a spreadsheet with semicolons and decimal commas', () => {
+        const csv = '\uFEFF#;Width;Height;Type;Price;Location\r\n1;1200;1300;B1;75,50;Bed 1, left\r\nTotal;;;;75,50\r\n';
+
+        const result = csvToData(csv);
+
+        expect(result.items).toHaveLength(1);
+        expect(result.items[0]).toMatchObject({ width: 1200, height: 1300, fabricType: 'B1', linePrice: 75.5, location: 'Bed 1, left' });
+    });
+
+    it('should round-trip a semicolon-delimited export', () => {
+        const quoteData = createQuoteData();
+        quoteData.products.rollerBlind.items[0].location = 'Bed 2; "north", upstairs';
+
+        const csv = dataToCsv(quoteData, createUiState(), { delimiter: ';' });
+
+        expect(csv.split('\n')[0]).toBe(`Quick Quote CSV;${CSV_FORMAT_VERSION}`);
+        expect(csvToData(csv).productItems.rollerBlind).toEqual(quoteData.products.rollerBlind.items);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,150 @@
+// /04-core-code/utils/customer-utils.js
+
+/**
+ * @fileoverview Utility functions for converting the customer directory to and from
+ * CSV and vCard (RFC 6350 / 2426 style) files.
+ */
+
+import { findCsvColumns, formatCsvRow, parseCsvRows } from './csv-parser.js';
+
+const CSV_HEADERS = ['Customer ID', 'Name', 'Address', 'Phone', 'Email'];
+
+// Header names accepted on import, in lower case, for each customer field.
+const CSV_HEADER_ALIASES = {
+    customerId: ['customer id', 'id'],
+    name: ['name', 'customer name', 'full name'],
+    address: ['address'],
+    phone: ['phone', 'telephone', 'mobile'],
+    email: ['email', 'e-mail'],
+};
+
+/**
+ * Converts customers to CSV with a header row.
+ * @param {Array<object>} customers
+ * @returns {string}
+ */
+export function customersToCsv(customers) {
+    const rows = customers.map(customer =>
+        formatCsvRow([customer.customerId, customer.name, customer.address, customer.phone, customer.email]));
+    return [CSV_HEADERS.join(','), ...rows].join('\n');
+}
+
+/**
+ * Reads customers from CSV. Columns are found by their header, so exports from other tools work
+ * as long as they have a Name column. Rows without a name are skipped.
+ * @param {string} csvString
+ * @returns {Array<{customerId: string|null, name: string, address: string, phone: string, email: string}>}
+ */
+export function csvToCustomers(csvString) {
+    const [headerRow, ...dataRows] = parseCsvRows(csvString);
+    if (!headerRow) {
+        throw new Error('The CSV file is empty.');
+    }
+
+    const columns = findCsvColumns(headerRow, CSV_HEADER_ALIASES);
+    if (columns.name === -1) {
+        throw new Error('The CSV file has no Name column.');
+    }
+
+    const cellOf = (cells, field) => (columns[field] === -1 ? '' : (cells[columns[field]] || '').trim());
+    return dataRows
+        .map(cells => ({
+            customerId: cellOf(cells, 'customerId') || null,
+            name: cellOf(cells, 'name'),
+            address: cellOf(cells, 'address'),
+            phone: cellOf(cells, 'phone'),
+            email: cellOf(cells, 'email'),
+        }))
+        .filter(customer => customer.name);
+}
+
+const escapeVCardValue = (value) => String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/\r?\n/g, '\\n')
+    .replace(/,/g, '\\,')
+    .replace(/;/g, '\\;');
+
+const unescapeVCardValue = (value) => value.replace(/\\([\\,;nN])/g, (match, char) => (char.toLowerCase() === 'n' ? '\n' : char));
+
+// Splits a structured value (N, ADR) on unescaped semicolons.
+const splitVCardComponents = (value) => value.split(/(?<!\\);/).map(unescapeVCardValue);
+
+/**
+ * Converts customers to a vCard 3.0 file with one card per customer.
+ * The whole address goes into the street component of ADR.
+ * @param {Array<object>} customers
+ * @returns {string}
+ */
+export function customersToVCard(customers) {
+    return customers.map(customer => {
+        const lines = [
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            `UID:${escapeVCardValue(customer.customerId)}`,
+            `FN:${escapeVCardValue(customer.name)}`,
+            `N:${escapeVCardValue(customer.name)};;;;`,
+        ];
+        if (customer.phone) lines.push(`TEL;TYPE=VOICE:${escapeVCardValue(customer.phone)}`);
+        if (customer.email) lines.push(`EMAIL;TYPE=INTERNET:${escapeVCardValue(customer.email)}`);
+        if (customer.address) lines.push(`ADR;TYPE=WORK:;;${escapeVCardValue(customer.address)};;;;`);
+        lines.push('END:VCARD');
+        return lines.join('\r\n');
+    }).join('\r\n') + '\r\n';
+}
+
+/**
+ * Reads customers from a vCard file (versions 2.1 to 4.0). Only the name, first phone number,
+ * first email and first address are used. Cards without a name are skipped.
+ * @param {string} vCardString
+ * @returns {Array<{customerId: string|null, name: string, address: string, phone: string, email: string}>}
+ */
+export function vCardToCustomers(vCardString) {
+    // Long lines are folded by starting the continuation with a space or tab.
+    const lines = String(vCardString).replace(/^\uFEFF/, '').split(/\r?\n/)
+        .reduce((unfolded, line) => {
+            if (/^[ \t]/.test(line) && unfolded.length > 0) {
+                unfolded[unfolded.length - 1] += line.slice(1);
+            } else {
+                unfolded.push(line);
+            }
+            return unfolded;
+        }, []);
+
+    const customers = [];
+    let card = null;
+    let structuredName = ''; // From N, used when the card has no FN.
+    for (const line of lines) {
+        const separatorIndex = line.indexOf(':');
+        if (separatorIndex === -1) continue;
+
+        // Property names may carry a group prefix ("item1.TEL") and parameters ("TEL;TYPE=CELL").
+        const name = line.slice(0, separatorIndex).split(';')[0].split('.').pop().toUpperCase();
+        const value = line.slice(separatorIndex + 1);
+
+        if (name === 'BEGIN' && value.toUpperCase() === 'VCARD') {
+            card = { customerId: null, name: '', address: '', phone: '', email: '' };
+            structuredName = '';
+        } else if (!card) {
+            continue;
+        } else if (name === 'END') {
+            card.name = card.name || structuredName;
+            if (card.name) customers.push(card);
+            card = null;
+        } else if (name === 'UID') {
+            card.customerId = unescapeVCardValue(value).trim() || null;
+        } else if (name === 'FN') {
+            card.name = unescapeVCardValue(value).trim();
+        } else if (name === 'N' && !structuredName) {
+            // N is Family;Given;Additional;Prefix;Suffix.
+            const [family = '', given = ''] = splitVCardComponents(value);
+            structuredName = [given, family].map(part => part.trim()).filter(Boolean).join(' ');
+        } else if (name === 'TEL' && !card.phone) {
+            card.phone = unescapeVCardValue(value).replace(/^tel:/i, '').trim();
+        } else if (name === 'EMAIL' && !card.email) {
+            card.email = unescapeVCardValue(value).trim();
+        } else if (name === 'ADR' && !card.address) {
+            card.address = splitVCardComponents(value).map(part => part.trim()).filter(Boolean).join(', ');
+        }
+    }
+    return customers;
+}
\ No newline at end of file
@@ -0,0 +1,60 @@
+// File: 04-core-code/utils/customer-utils.spec.js
+
+import { customersToCsv, csvToCustomers, customersToVCard, vCardToCustomers } from './customer-utils.js';
+
+const customers = [
+    { customerId: 'c-1', name: 'Jane Doe', address: '12 High St\nSpringfield, NSW 2000', phone: '0400 111 222', email: 'jane@example.com' },
+    { customerId: 'c-2', name: 'Smith & "Sons"; Pty', address: '', phone: '', email: '' },
+];
+
+describe('customer CSV', () => {
+    it('should round-trip customers, including quotes, commas and line breaks in a cell', () => {
+        const csv = customersToCsv(customers);
+
+        expect(csv.split('\n')[0]).toBe('Customer ID,Name,Address,Phone,Email');
+        expect(csvToCustomers(csv)).toEqual(customers);
+    });
+
+    it('should find columns by header and skip rows without a name', () => {
+        const csv = '\uFEFFE-mail,Full Name,Mobile\r\nbob@example.com,Bob Brown,0411 000 000\r\nnobody@example.com,,\r\n';
+
+        expect(csvToCustomers(csv)).toEqual([
+            { customerId: null, name: 'Bob Brown', address: '', phone: '0411 000 000', email: 'bob@example.com' }
+        ]);
+    });
+
+    it('should reject a file without a Name column', () => {
+        expect(() => csvToCustomers('Phone,Email\n0400,a@b.c')).toThrow('no Name column');
+    });
+});
+
+describe('customer vCard', () => {
+    it('should round-trip customers, escaping special characters', () => {
+        const vCard = customersToVCard(customers);
+
+        expect(vCard).toContain('FN:Smith & "Sons"\\; Pty\r\n');
+        expect(vCard).toContain('ADR;TYPE=WORK:;;12 High St\\nSpringfield\\, NSW 2000;;;;\r\n');
+        expect(vCardToCustomers(vCard)).toEqual(customers);
+    });
+
+    it('should read cards from other address books', () => {
+        const vCard = [
+            'BEGIN:VCARD',
+            'VERSION:4.0',
+            'N:Lee;Janet;;;',
+            'item1.TEL;TYPE=cell:tel:+61-400-333-444',
+            'TEL;TYPE=home:02 9999 0000',
+            'ADR;TYPE=home:;;1 Long Road;Sydney;NSW;2000;Aust',
+            ' ralia',
+            'END:VCARD',
+            'BEGIN:VCARD',
+            'VERSION:3.0',
+            'EMAIL:no-name@example.com',
+            'END:VCARD',
+        ].join('\r\n');
+
+        expect(vCardToCustomers(vCard)).toEqual([
+            { customerId: null, name: 'Janet Lee', address: '1 Long Road, Sydney, NSW, 2000, Australia', phone: '+61-400-333-444', email: '' }
+        ]);
+    });
+});
\ No newline at end of file
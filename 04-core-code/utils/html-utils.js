@@ -0,0 +1,14 @@
+// /04-core-code/utils/html-utils.js
+
+/**
+ * @fileoverview Helpers for building HTML strings from user-entered values.
+ */
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+/**
+ * Escapes a value for use in HTML text or in a quoted attribute. null and undefined become ''.
+ * @param {*} value
+ * @returns {string}
+ */
+export const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, (char) => HTML_ESCAPES[char]);
\ No newline at end of file
@@ -0,0 +1,92 @@
+// /04-core-code/utils/item-metadata-utils.js
+
+/**
+ * @fileoverview Per-row metadata, such as the LF (light-filter) mark, is kept in
+ * quoteData.uiMetadata.itemMetadata keyed by itemId, e.g. { 'item-1': { lf: true } }, so that it
+ * stays with its row when rows are inserted, deleted or reordered.
+ */
+
+/**
+ * @param {object} uiMetadata - quoteData.uiMetadata.
+ * @param {string} itemId
+ * @returns {object} The row's metadata; empty if it has none.
+ */
+export function getItemMetadata(uiMetadata, itemId) {
+    return uiMetadata?.itemMetadata?.[itemId] || {};
+}
+
+/**
+ * @param {object} uiMetadata
+ * @param {object} item
+ * @returns {boolean} True if the row's fabric and color were set with the LF (light-filter) editor.
+ */
+export function isLfModified(uiMetadata, item) {
+    return !!item && getItemMetadata(uiMetadata, item.itemId).lf === true;
+}
+
+/**
+ * @param {object} uiMetadata
+ * @param {Array<object>} items
+ * @returns {number[]} The positions of the LF rows among the items.
+ */
+export function getLfModifiedIndexes(uiMetadata, items) {
+    return items.reduce((indexes, item, index) => (isLfModified(uiMetadata, item) ? [...indexes, index] : indexes), []);
+}
+
+/**
+ * Sets a metadata field on the rows, or clears it when the value is false or undefined. Rows left
+ * without any metadata are removed.
+ * @param {object} uiMetadata
+ * @param {string[]} itemIds
+ * @param {string} field
+ * @param {*} value
+ * @returns {object} The new uiMetadata.
+ */
+export function setItemMetadataField(uiMetadata, itemIds, field, value) {
+    const itemMetadata = { ...uiMetadata?.itemMetadata };
+    itemIds.forEach(itemId => {
+        const entry = { ...itemMetadata[itemId] };
+        if (value === undefined || value === false) {
+            delete entry[field];
+        } else {
+            entry[field] = value;
+        }
+        if (Object.keys(entry).length > 0) {
+            itemMetadata[itemId] = entry;
+        } else {
+            delete itemMetadata[itemId];
+        }
+    });
+    return { ...uiMetadata, itemMetadata };
+}
+
+/**
+ * Removes all metadata of the rows, e.g. when they are deleted or cleared.
+ * @param {object} uiMetadata
+ * @param {string[]} itemIds
+ * @returns {object} The new uiMetadata; the same object if none of the rows had metadata.
+ */
+export function removeItemMetadata(uiMetadata, itemIds) {
+    const itemMetadata = uiMetadata?.itemMetadata || {};
+    const idsToRemove = itemIds.filter(itemId => itemMetadata[itemId]);
+    if (idsToRemove.length === 0) return uiMetadata;
+    const remaining = { ...itemMetadata };
+    idsToRemove.forEach(itemId => delete remaining[itemId]);
+    return { ...uiMetadata, itemMetadata: remaining };
+}
+
+/**
+ * Converts the LF marks of quotes saved before they were keyed by itemId, which were the positions
+ * of the roller blind rows (uiMetadata.lfModifiedRowIndexes).
+ * @param {object} [uiMetadata]
+ * @param {object} [products] - quoteData.products, as saved with the marks.
+ * @returns {object} uiMetadata with itemMetadata and without lfModifiedRowIndexes.
+ */
+export function migrateUiMetadata(uiMetadata, products) {
+    const { lfModifiedRowIndexes, ...rest } = uiMetadata || {};
+    const migrated = { ...rest, itemMetadata: { ...rest.itemMetadata } };
+    if (!Array.isArray(lfModifiedRowIndexes)) return migrated;
+    const items = products?.rollerBlind?.items || [];
+    const itemIds = lfModifiedRowIndexes.map(index => items[index]?.itemId).filter(Boolean);
+    return setItemMetadataField(migrated, itemIds, 'lf', true);
+}
\ No newline at end of file
@@ -0,0 +1,30 @@
+// /04-core-code/utils/item-metadata-utils.spec.js
+
+import { setItemMetadataField, removeItemMetadata, migrateUiMetadata, getLfModifiedIndexes } from './item-metadata-utils.js';
+
+describe('item-metadata-utils', () => {
+    const items = [{ itemId: 'a' }, { itemId: 'b' }, { itemId: 'c' }];
+
+    it('should set and clear a field, removing rows left without metadata', () => {
+        let uiMetadata = setItemMetadataField({ itemMetadata: { a: { note: 'x' } } }, ['a', 'b'], 'lf', true);
+        expect(uiMetadata.itemMetadata).toEqual({ a: { note: 'x', lf: true }, b: { lf: true } });
+
+        uiMetadata = setItemMetadataField(uiMetadata, ['a', 'b'], 'lf', false);
+        expect(uiMetadata.itemMetadata).toEqual({ a: { note: 'x' } });
+    });
+
+    it('should leave uiMetadata unchanged when removing rows without metadata', () => {
+        const uiMetadata = { itemMetadata: { a: { lf: true } } };
+
+        expect(removeItemMetadata(uiMetadata, ['b'])).toBe(uiMetadata);
+        expect(removeItemMetadata(uiMetadata, ['a', 'b'])).toEqual({ itemMetadata: {} });
+    });
+
+    it('should convert LF row positions to marks on the roller blind items', () => {
+        const uiMetadata = migrateUiMetadata({ lfModifiedRowIndexes: [0, 2, 7] }, { rollerBlind: { items } });
+
+        expect(uiMetadata).toEqual({ itemMetadata: { a: { lf: true }, c: { lf: true } } });
+        expect(getLfModifiedIndexes(uiMetadata, items)).toEqual([0, 2]);
+        expect(migrateUiMetadata(undefined, {})).toEqual({ itemMetadata: {} });
+    });
+});
\ No newline at end of file
@@ -0,0 +1,49 @@
+// /04-core-code/utils/item-sort-utils.js
+
+/**
+ * @fileoverview The orders the Quick Quote table can be sorted in. Rows without a value for the
+ * sort key always go last, and rows with equal values keep their order.
+ */
+
+const compareText = (a, b) => a.localeCompare(b, undefined, { numeric: true, sensitivity: 'base' });
+const compareNumbers = (a, b) => a - b;
+
+// Text is compared naturally, so "Bed 2" comes before "Bed 10".
+export const ITEM_SORT_KEYS = {
+    location: { label: 'Location', read: item => (item.location || '').trim() || null, compare: compareText },
+    fabricType: { label: 'Type', read: item => item.fabricType || null, compare: compareText },
+    width: { label: 'Width', read: item => Number(item.width) || null, compare: compareNumbers },
+    height: { label: 'Height', read: item => Number(item.height) || null, compare: compareNumbers },
+    linePrice: { label: 'Price', read: item => (typeof item.linePrice === 'number' ? item.linePrice : null), compare: compareNumbers },
+};
+
+/**
+ * @param {Array<object>} items
+ * @param {string} sortKey - One of the ITEM_SORT_KEYS.
+ * @param {'asc'|'desc'} [direction='asc']
+ * @returns {Array<object>} A sorted copy of the items.
+ */
+export function sortItems(items, sortKey, direction = 'asc') {
+    const { read, compare } = ITEM_SORT_KEYS[sortKey];
+    const sign = direction === 'desc' ? -1 : 1;
+    return items
+        .map((item, index) => ({ item, index, value: read(item) }))
+        .sort((a, b) => {
+            if (a.value === null || b.value === null) {
+                return a.value === b.value ? a.index - b.index : (a.value === null ? 1 : -1);
+            }
+            return sign * compare(a.value, b.value) || a.index - b.index;
+        })
+        .map(({ item }) => item);
+}
+
+/**
+ * Returns true if sorting the items would not change their order.
+ * @param {Array<object>} items
+ * @param {string} sortKey
+ * @param {'asc'|'desc'} [direction='asc']
+ * @returns {boolean}
+ */
+export function isSortedBy(items, sortKey, direction = 'asc') {
+    return sortItems(items, sortKey, direction).every((item, index) => item === items[index]);
+}
\ No newline at end of file
@@ -0,0 +1,30 @@
+// /04-core-code/utils/item-sort-utils.spec.js
+
+import { sortItems, isSortedBy } from './item-sort-utils.js';
+
+describe('item-sort-utils', () => {
+    const items = [
+        { itemId: 'a', location: 'Bed 10', width: 900, linePrice: 120 },
+        { itemId: 'b', location: '', width: 1200, linePrice: null },
+        { itemId: 'c', location: 'bed 2', width: 900, linePrice: 80.5 },
+        { itemId: 'd', location: 'Bath', width: null, linePrice: 200 },
+    ];
+    const ids = (sorted) => sorted.map(item => item.itemId);
+
+    it('should sort locations naturally and put rows without a location last', () => {
+        expect(ids(sortItems(items, 'location'))).toEqual(['d', 'c', 'a', 'b']);
+        expect(ids(sortItems(items, 'location', 'desc'))).toEqual(['a', 'c', 'd', 'b']);
+    });
+
+    it('should keep the order of rows with equal values', () => {
+        expect(ids(sortItems(items, 'width'))).toEqual(['a', 'c', 'b', 'd']);
+        expect(ids(sortItems(items, 'linePrice', 'desc'))).toEqual(['d', 'a', 'c', 'b']);
+    });
+
+    it('should tell whether the items are already in order', () => {
+        const sorted = sortItems(items, 'width');
+
+        expect(isSortedBy(sorted, 'width')).toBe(true);
+        expect(isSortedBy(items, 'width')).toBe(false);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,157 @@
+// /04-core-code/utils/measurement-import-utils.js
+
+/**
+ * @fileoverview Turns the rows of a measurement sheet from elsewhere (a spreadsheet with columns
+ * such as "Room", "W (cm)" and "Drop") into item values, for the import wizard. The wizard maps
+ * each column to an item field, starting from guessColumnMapping; lengths are converted to mm and
+ * rows that fail the product's validation rules are rejected with their reasons.
+ */
+
+import { ITEM_HEADER_ALIASES } from './csv-parser.js';
+
+// The item fields a column can be mapped to, in the order the wizard lists them.
+export const IMPORT_FIELDS = [
+    { field: 'location', label: 'Location' },
+    { field: 'width', label: 'Width', isLength: true, isRequired: true },
+    { field: 'height', label: 'Height', isLength: true, isRequired: true },
+    { field: 'fabricType', label: 'Type' },
+    { field: 'fabric', label: 'F-Name' },
+    { field: 'color', label: 'F-Color' },
+    { field: 'over', label: 'Over' },
+    { field: 'oi', label: 'O/I' },
+    { field: 'lr', label: 'L/R' },
+    { field: 'chain', label: 'Chain', isLength: true },
+];
+
+// Lengths are stored in mm; each unit's factor converts to mm.
+export const LENGTH_UNITS = {
+    mm: { label: 'mm', factor: 1 },
+    cm: { label: 'cm', factor: 10 },
+    m: { label: 'm', factor: 1000 },
+    in: { label: 'Inches', factor: 25.4 },
+};
+
+// Unit names found in headers ("W (cm)") or after values ("120cm", 47.5").
+const UNIT_ALIASES = {
+    mm: ['mm'],
+    cm: ['cm'],
+    m: ['m'],
+    in: ['in', 'inch', 'inches', '"', "''"],
+};
+
+const findUnit = (text) => {
+    const name = String(text || '').trim().toLowerCase();
+    return Object.keys(UNIT_ALIASES).find(unit => UNIT_ALIASES[unit].includes(name)) || null;
+};
+
+/**
+ * Guesses the field of each column from its header, and the unit of the lengths from the first
+ * length header naming one, e.g. "W (cm)".
+ * @param {string[]} headerRow
+ * @returns {{mapping: Array<string|null>, unit: string}} The field of each column (null to skip it) and the unit.
+ */
+export function guessColumnMapping(headerRow) {
+    const mappedFields = new Set();
+    let unit = null;
+
+    const mapping = headerRow.map(header => {
+        const unitMatch = /[([]\s*([^)\]]+?)\s*[)\]]/.exec(header);
+        const name = header.replace(/[([][^)\]]*[)\]]/g, '').trim().toLowerCase().replace(/\s+/g, ' ');
+        const importField = IMPORT_FIELDS.find(({ field }) => !mappedFields.has(field) && ITEM_HEADER_ALIASES[field].includes(name));
+        if (!importField) return null;
+
+        mappedFields.add(importField.field);
+        if (importField.isLength && !unit && unitMatch) unit = findUnit(unitMatch[1]);
+        return importField.field;
+    });
+
+    return { mapping, unit: unit || 'mm' };
+}
+
+/**
+ * Lists the required fields no column is mapped to.
+ * @param {Array<string|null>} mapping
+ * @returns {string[]} Their labels.
+ */
+export function getUnmappedRequiredFields(mapping) {
+    return IMPORT_FIELDS.filter(({ field, isRequired }) => isRequired && !mapping.includes(field)).map(({ label }) => label);
+}
+
+/**
+ * Converts a length to whole mm. A unit written after the number ("120cm") wins over `unit`, and
+ * a decimal comma is accepted.
+ * @param {string} text
+ * @param {string} unit - A key of LENGTH_UNITS.
+ * @returns {number|null} The length in mm, or null if the text is not a length.
+ */
+export function convertLengthToMm(text, unit) {
+    const match = /^(\d+(?:[.,]\d+)?)\s*([a-z"']*)$/i.exec(String(text ?? '').trim());
+    if (!match) return null;
+    const valueUnit = match[2] ? findUnit(match[2]) : unit;
+    if (!valueUnit) return null;
+    return Math.round(parseFloat(match[1].replace(',', '.')) * LENGTH_UNITS[valueUnit].factor);
+}
+
+/**
+ * Reads the item values of every row and checks them against the product's validation rules.
+ * @param {string[][]} rows - The rows of the sheet, as from parseCsvRows.
+ * @param {object} options
+ * @param {Array<string|null>} options.mapping - The field of each column (see guessColumnMapping).
+ * @param {string} options.unit - The unit of the lengths, a key of LENGTH_UNITS.
+ * @param {boolean} options.hasHeaderRow - Whether to skip the first row.
+ * @param {object} options.validationRules - From the product strategy's getValidationRules().
+ * @param {string[]} [options.fabricTypes] - The known fabric types; any type is accepted without them.
+ * @returns {{items: Array<{rowNumber: number, values: object}>, rejected: Array<{rowNumber: number, cells: string[], reasons: string[]}>}}
+ *   The values of each accepted row and the reasons of each rejected one, with their row number in the sheet.
+ */
+export function readMeasurementRows(rows, { mapping, unit, hasHeaderRow, validationRules, fabricTypes = null }) {
+    const items = [];
+    const rejected = [];
+
+    rows.forEach((cells, index) => {
+        if (hasHeaderRow && index === 0) return;
+        const rowNumber = index + 1;
+        const values = {};
+        const reasons = [];
+
+        IMPORT_FIELDS.forEach(({ field, label, isLength, isRequired }) => {
+            const column = mapping.indexOf(field);
+            const text = column === -1 ? '' : (cells[column] || '').trim();
+            const name = validationRules[field]?.name || label;
+
+            if (!text) {
+                if (isRequired) reasons.push(`${name} is missing.`);
+                return;
+            }
+            if (!isLength) {
+                values[field] = field === 'fabricType' ? text.toUpperCase() : text;
+                return;
+            }
+
+            const length = convertLengthToMm(text, unit);
+            if (length === null) {
+                reasons.push(`${name} "${text}" is not a length.`);
+                return;
+            }
+            const { min, max } = validationRules[field] || {};
+            if (min && length < min) {
+                reasons.push(`${name} ${length} mm is below the minimum of ${min} mm.`);
+            } else if (max && length > max) {
+                reasons.push(`${name} ${length} mm is above the maximum of ${max} mm.`);
+            }
+            values[field] = length;
+        });
+
+        if (values.fabricType && fabricTypes && !fabricTypes.includes(values.fabricType)) {
+            reasons.push(`Type "${values.fabricType}" is not in the price list.`);
+        }
+
+        if (reasons.length > 0) {
+            rejected.push({ rowNumber, cells, reasons });
+        } else {
+            items.push({ rowNumber, values });
+        }
+    });
+
+    return { items, rejected };
+}
\ No newline at end of file
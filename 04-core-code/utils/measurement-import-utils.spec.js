@@ -0,0 +1,66 @@
+// /04-core-code/utils/measurement-import-utils.spec.js
+
+import { convertLengthToMm, getUnmappedRequiredFields, guessColumnMapping, readMeasurementRows } from './measurement-import-utils.js';
+
+describe('measurement-import-utils', () => {
+    const validationRules = {
+        width: { min: 250, max: 3300, name: 'Width' },
+        height: { min: 300, max: 3300, name: 'Height' },
+    };
+
+    it('should guess the fields of the columns and the unit from the headers', () => {
+        expect(guessColumnMapping(['Room', 'W (cm)', 'Drop', 'Notes', 'Fabric', 'Colour', 'Width'])).toEqual({
+            mapping: ['location', 'width', 'height', null, 'fabric', 'color', null],
+            unit: 'cm',
+        });
+        expect(guessColumnMapping(['Location', 'Width', 'Height [in]']).unit).toBe('in');
+        expect(guessColumnMapping(['a', 'b'])).toEqual({ mapping: [null, null], unit: 'mm' });
+    });
+
+    it('should list the required fields without a column', () => {
+        expect(getUnmappedRequiredFields(['location', 'height'])).toEqual(['Width']);
+        expect(getUnmappedRequiredFields(['width', 'height'])).toEqual([]);
+    });
+
+    it('should convert lengths to whole mm', () => {
+        expect(convertLengthToMm('120', 'cm')).toBe(1200);
+        expect(convertLengthToMm('120,5', 'cm')).toBe(1205);
+        expect(convertLengthToMm('47.25', 'in')).toBe(1200);
+        expect(convertLengthToMm('1.2', 'm')).toBe(1200);
+        expect(convertLengthToMm('1200mm', 'cm')).toBe(1200);
+        expect(convertLengthToMm('47"', 'mm')).toBe(1194);
+        expect(convertLengthToMm('wide', 'mm')).toBeNull();
+        expect(convertLengthToMm('12 ft', 'mm')).toBeNull();
+    });
+
+    it('should read the mapped values and reject rows that fail the validation rules', () => {
+        const rows = [
+            ['Room', 'W (cm)', 'Drop', 'Type'],
+            ['Bed 1', '120', '130', 'b1'],
+            ['Bed 2', '', '130', ''],
+            ['Kitchen', 'wide', '20', ''],
+            ['Living', '400', '150', 'ZZ'],
+        ];
+
+        const { items, rejected } = readMeasurementRows(rows, {
+            mapping: ['location', 'width', 'height', 'fabricType'],
+            unit: 'cm',
+            hasHeaderRow: true,
+            validationRules,
+            fabricTypes: ['B1', 'B2'],
+        });
+
+        expect(items).toEqual([{ rowNumber: 2, values: { location: 'Bed 1', width: 1200, height: 1300, fabricType: 'B1' } }]);
+        expect(rejected).toEqual([
+            { rowNumber: 3, cells: rows[2], reasons: ['Width is missing.'] },
+            { rowNumber: 4, cells: rows[3], reasons: ['Width "wide" is not a length.', 'Height 200 mm is below the minimum of 300 mm.'] },
+            { rowNumber: 5, cells: rows[4], reasons: ['Width 4000 mm is above the maximum of 3300 mm.', 'Type "ZZ" is not in the price list.'] },
+        ]);
+    });
+
+    it('should read the first row as data when there is no header row', () => {
+        const { items } = readMeasurementRows([['900', '1200']], { mapping: ['width', 'height'], unit: 'mm', hasHeaderRow: false, validationRules });
+
+        expect(items).toEqual([{ rowNumber: 1, values: { width: 900, height: 1200 } }]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,259 @@
+// /04-core-code/utils/pdf-document.js
+
+/**
+ * @fileoverview A minimal PDF writer for A4 documents made of text, lines and rectangles.
+ * It uses the standard Helvetica fonts, which every PDF viewer has, so no font is embedded and
+ * text is limited to the WinAnsi (Windows-1252) character set; other characters print as "?".
+ * Coordinates are in points (1/72 inch) from the top-left corner of the page, and a text's y is
+ * its baseline. The output is plain uncompressed PDF 1.4, so it can be built and inspected
+ * without a browser (e.g. in Jest).
+ */
+
+export const A4_WIDTH = 595.28;
+export const A4_HEIGHT = 841.89;
+
+const FONT_NAMES = { regular: 'Helvetica', bold: 'Helvetica-Bold' };
+
+// Glyph widths (in 1/1000 em) of the characters 32-126, from the Adobe font metrics.
+const ASCII_WIDTHS = {
+    regular: [
+        278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+        1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+        333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+        556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+    ],
+    bold: [
+        278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+        556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+        975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+        667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+        333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+        611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+    ]
+};
+
+// WinAnsi codes and (regular) widths of the punctuation that text typed on a PC or phone often contains.
+const WIN_ANSI_EXTRAS = {
+    '€': [128, 556], '…': [133, 1000], '‘': [145, 222], '’': [146, 222], '“': [147, 333],
+    '”': [148, 333], '•': [149, 350], '–': [150, 556], '—': [151, 1000]
+};
+const DEFAULT_WIDTH = 556; // Used for the accented letters of Latin-1.
+
+/**
+ * Returns the WinAnsi code and width of a character, or those of "?" if it has none.
+ */
+const getGlyph = (char, style) => {
+    const code = char.charCodeAt(0);
+    if (code >= 32 && code <= 126) return [code, ASCII_WIDTHS[style][code - 32]];
+    if (WIN_ANSI_EXTRAS[char]) return WIN_ANSI_EXTRAS[char];
+    if (code >= 160 && code <= 255) return [code, DEFAULT_WIDTH];
+    return [63, ASCII_WIDTHS[style][63 - 32]];
+};
+
+const formatNumber = (value) => String(Math.round(value * 100) / 100);
+
+const toColor = ([r, g, b]) => `${formatNumber(r / 255)} ${formatNumber(g / 255)} ${formatNumber(b / 255)}`;
+
+// Writes a string as a PDF literal string; bytes outside printable ASCII are escaped in octal.
+const toPdfString = (text, style = 'regular') => {
+    let escaped = '';
+    for (const char of String(text)) {
+        const [code] = getGlyph(char, style);
+        if (code === 40 || code === 41 || code === 92) {
+            escaped += `\\${String.fromCharCode(code)}`;
+        } else if (code > 126) {
+            escaped += `\\${code.toString(8).padStart(3, '0')}`;
+        } else {
+            escaped += String.fromCharCode(code);
+        }
+    }
+    return `(${escaped})`;
+};
+
+const toPdfDate = (date) => {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `D:${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+};
+
+export class PdfDocument {
+    /**
+     * @param {object} [info]
+     * @param {string} [info.title]
+     * @param {string} [info.author]
+     * @param {Date} [info.creationDate]
+     */
+    constructor({ title = '', author = '', creationDate = new Date() } = {}) {
+        this.info = { title, author, creationDate };
+        this.pages = [];
+        this.pageIndex = -1;
+    }
+
+    get pageCount() {
+        return this.pages.length;
+    }
+
+    /**
+     * Starts a new page and makes it the one drawn on.
+     * @returns {number} The index of the new page.
+     */
+    addPage() {
+        this.pages.push([]);
+        this.pageIndex = this.pages.length - 1;
+        return this.pageIndex;
+    }
+
+    /**
+     * Makes an existing page the one drawn on, e.g. to add page numbers once the total is known.
+     */
+    setPage(pageIndex) {
+        if (pageIndex < 0 || pageIndex >= this.pages.length) {
+            throw new Error(`The document has no page ${pageIndex + 1}.`);
+        }
+        this.pageIndex = pageIndex;
+    }
+
+    /**
+     * @returns {number} The width of the text in points.
+     */
+    measureText(text, { size = 10, bold = false } = {}) {
+        const style = bold ? 'bold' : 'regular';
+        let width = 0;
+        for (const char of String(text)) {
+            width += getGlyph(char, style)[1];
+        }
+        return (width * size) / 1000;
+    }
+
+    /**
+     * Breaks text into lines that fit the width, at spaces where possible. Line breaks in the
+     * text are kept.
+     * @returns {Array<string>}
+     */
+    wrapText(text, maxWidth, options = {}) {
+        const lines = [];
+        for (const paragraph of String(text ?? '').split(/\r?\n/)) {
+            let line = '';
+            for (const word of paragraph.split(' ')) {
+                const candidate = line ? `${line} ${word}` : word;
+                if (this.measureText(candidate, options) <= maxWidth) {
+                    line = candidate;
+                    continue;
+                }
+                if (line) lines.push(line);
+                // A word wider than the line is broken wherever it reaches the edge.
+                line = '';
+                for (const char of word) {
+                    if (line && this.measureText(line + char, options) > maxWidth) {
+                        lines.push(line);
+                        line = '';
+                    }
+                    line += char;
+                }
+            }
+            lines.push(line);
+        }
+        return lines;
+    }
+
+    /**
+     * Shortens text with "..." so that it fits the width.
+     */
+    fitText(text, maxWidth, options = {}) {
+        const value = String(text ?? '');
+        if (this.measureText(value, options) <= maxWidth) return value;
+        let fitted = value;
+        while (fitted && this.measureText(`${fitted}...`, options) > maxWidth) {
+            fitted = fitted.slice(0, -1);
+        }
+        return `${fitted}...`;
+    }
+
+    /**
+     * Draws a single line of text.
+     * @param {string} text
+     * @param {number} x - The left edge, or the right edge or centre for those alignments.
+     * @param {number} y - The baseline.
+     * @param {object} [options]
+     * @param {number} [options.size]
+     * @param {boolean} [options.bold]
+     * @param {'left'|'right'|'center'} [options.align]
+     * @param {Array<number>} [options.color] - RGB, 0-255.
+     */
+    text(text, x, y, { size = 10, bold = false, align = 'left', color = [0, 0, 0] } = {}) {
+        const value = String(text ?? '');
+        if (!value) return;
+        const width = this.measureText(value, { size, bold });
+        const left = align === 'right' ? x - width : align === 'center' ? x - width / 2 : x;
+        const font = bold ? 'F2' : 'F1';
+        this._draw(`BT /${font} ${formatNumber(size)} Tf ${toColor(color)} rg ${formatNumber(left)} ${formatNumber(A4_HEIGHT - y)} Td ${toPdfString(value, bold ? 'bold' : 'regular')} Tj ET`);
+    }
+
+    line(x1, y1, x2, y2, { width = 0.5, color = [0, 0, 0] } = {}) {
+        this._draw(`${formatNumber(width)} w ${toColor(color)} RG ${formatNumber(x1)} ${formatNumber(A4_HEIGHT - y1)} m ${formatNumber(x2)} ${formatNumber(A4_HEIGHT - y2)} l S`);
+    }
+
+    /**
+     * Draws a rectangle with its top-left corner at (x, y), filled and/or outlined.
+     */
+    rect(x, y, width, height, { fill = null, stroke = null, lineWidth = 0.5 } = {}) {
+        if (!fill && !stroke) return;
+        const path = `${formatNumber(x)} ${formatNumber(A4_HEIGHT - y - height)} ${formatNumber(width)} ${formatNumber(height)} re`;
+        const colors = [fill ? `${toColor(fill)} rg` : '', stroke ? `${formatNumber(lineWidth)} w ${toColor(stroke)} RG` : ''].filter(Boolean).join(' ');
+        this._draw(`${colors} ${path} ${fill && stroke ? 'B' : fill ? 'f' : 'S'}`);
+    }
+
+    /**
+     * @returns {Uint8Array} The PDF file.
+     */
+    toBytes() {
+        if (this.pages.length === 0) {
+            throw new Error('A PDF needs at least one page.');
+        }
+        const objects = [];
+        const addObject = (body) => objects.push(body);
+        const pageObjectNumbers = this.pages.map((page, index) => 6 + index * 2);
+
+        addObject('<< /Type /Catalog /Pages 2 0 R >>');
+        addObject(`<< /Type /Pages /Kids [${pageObjectNumbers.map(number => `${number} 0 R`).join(' ')}] /Count ${this.pages.length} /MediaBox [0 0 ${A4_WIDTH} ${A4_HEIGHT}] >>`);
+        addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONT_NAMES.regular} /Encoding /WinAnsiEncoding >>`);
+        addObject(`<< /Type /Font /Subtype /Type1 /BaseFont /${FONT_NAMES.bold} /Encoding /WinAnsiEncoding >>`);
+        addObject(`<< /Title ${toPdfString(this.info.title)} /Author ${toPdfString(this.info.author)} /Producer (Quick Quote) /CreationDate (${toPdfDate(this.info.creationDate)}) >>`);
+        this.pages.forEach((operations, index) => {
+            const content = operations.join('\n');
+            addObject(`<< /Type /Page /Parent 2 0 R /Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageObjectNumbers[index] + 1} 0 R >>`);
+            addObject(`<< /Length ${content.length} >>\nstream\n${content}\nendstream`);
+        });
+
+        // Every character written is below 128, so string offsets are byte offsets.
+        let output = '%PDF-1.4\n';
+        const offsets = objects.map((body, index) => {
+            const offset = output.length;
+            output += `${index + 1} 0 obj\n${body}\nendobj\n`;
+            return offset;
+        });
+        const xrefOffset = output.length;
+        output += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+        output += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+        output += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+        const bytes = new Uint8Array(output.length);
+        for (let i = 0; i < output.length; i++) {
+            bytes[i] = output.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    /**
+     * @returns {Blob} The PDF file, ready to be downloaded or stored.
+     */
+    toBlob() {
+        return new Blob([this.toBytes()], { type: 'application/pdf' });
+    }
+
+    _draw(operation) {
+        if (this.pageIndex === -1) this.addPage();
+        this.pages[this.pageIndex].push(operation);
+    }
+}
\ No newline at end of file
@@ -0,0 +1,66 @@
+// /04-core-code/utils/pdf-document.spec.js
+
+import { PdfDocument } from './pdf-document.js';
+
+const toText = (bytes) => String.fromCharCode(...bytes);
+
+describe('PdfDocument', () => {
+    it('should write a PDF with one page object per page and a valid cross-reference table', () => {
+        const doc = new PdfDocument({ title: 'Quote Q-1', creationDate: new Date(2026, 2, 15, 9, 30, 0) });
+        doc.text('First page', 40, 100);
+        doc.addPage();
+        doc.text('Second page', 40, 100, { bold: true });
+
+        const pdf = toText(doc.toBytes());
+
+        expect(pdf.startsWith('%PDF-1.4\n')).toBe(true);
+        expect(pdf.trimEnd().endsWith('%%EOF')).toBe(true);
+        expect(pdf).toContain('/Count 2');
+        expect(pdf.match(/\/Type \/Page /g)).toHaveLength(2);
+        expect(pdf).toContain('/Title (Quote Q-1)');
+        expect(pdf).toContain('/CreationDate (D:20260315093000)');
+        expect(pdf).toContain('(First page) Tj');
+        expect(pdf).toContain('/F2 10 Tf');
+
+        // Each xref entry must point at its "n 0 obj" line.
+        const xrefOffset = Number(pdf.match(/startxref\n(\d+)/)[1]);
+        const entries = pdf.slice(xrefOffset).split('\n').slice(3).filter(line => / n $/.test(line));
+        entries.forEach((entry, index) => {
+            expect(pdf.slice(Number(entry.slice(0, 10)))).toMatch(new RegExp(`^${index + 1} 0 obj`));
+        });
+    });
+
+    it('should escape PDF string delimiters and encode WinAnsi characters', () => {
+        const doc = new PdfDocument();
+        doc.text('Blinds (2) \\ café – 5€ ✓', 40, 100);
+
+        const pdf = toText(doc.toBytes());
+
+        expect(pdf).toContain('(Blinds \\(2\\) \\\\ caf\\351 \\226 5\\200 ?) Tj');
+        expect([...doc.toBytes()].every(byte => byte < 128)).toBe(true);
+    });
+
+    it('should measure text with the Helvetica metrics', () => {
+        const doc = new PdfDocument();
+        expect(doc.measureText('Hi', { size: 10 })).toBeCloseTo(9.44);
+        expect(doc.measureText('Hi', { size: 10, bold: true })).toBeCloseTo(10);
+    });
+
+    it('should wrap text at spaces and break words that are wider than the line', () => {
+        const doc = new PdfDocument();
+        const width = doc.measureText('aaaa bbbb', { size: 10 });
+
+        expect(doc.wrapText('aaaa bbbb cccc\nshort', width, { size: 10 })).toEqual(['aaaa bbbb', 'cccc', 'short']);
+        expect(doc.wrapText('aaaaaaaaaaaa', width, { size: 10 })).toEqual(['aaaaaaaa', 'aaaa']);
+        expect(doc.fitText('aaaaaaaaaaaa', width, { size: 10 })).toBe('aaaaaaa...');
+    });
+
+    it('should return an application/pdf Blob', () => {
+        const doc = new PdfDocument();
+        doc.text('Hello', 40, 100);
+        const blob = doc.toBlob();
+
+        expect(blob.type).toBe('application/pdf');
+        expect(blob.size).toBe(doc.toBytes().length);
+    });
+});
@@ -0,0 +1,308 @@
+// /04-core-code/utils/price-list-utils.js
+
+import { parseCsvRows, formatCsvRow } from './csv-parser.js';
+
+/**
+ * @fileoverview Utility functions for validating the price list and converting it
+ * to and from a spreadsheet-friendly CSV grid.
+ *
+ * The CSV grid holds the matrices and accessories only. Everything else in the
+ * price list (meta, fabric type sequences, business rules) is kept from the price
+ * list the CSV is imported into.
+ */
+
+// Properties that describe a matrix's grid. Any other property (e.g. `pricing`) is
+// carried over from the existing matrix when a CSV grid is imported.
+const MATRIX_GRID_KEYS = ['name', 'aliasFor', 'pricingModel', 'drops', 'widths', 'prices', 'pricesPerMetre'];
+
+const CSV_ROW_TYPES = {
+    MATRIX: 'Matrix',
+    ALIAS: 'Alias',
+    ACCESSORY: 'Accessory',
+    GRID_HEADER: 'Drop \\ Width',
+    PER_METRE_DROPS: 'Drop',
+    PER_METRE_PRICES: 'Price/m',
+};
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// A null grid price marks a size that is not available in that fabric.
+const isValidGridPrice = (value) => value === null || isNonNegativeNumber(value);
+
+/**
+ * Checks that a list of bucket boundaries is a non-empty list of positive, strictly increasing numbers.
+ * @param {string} label - Prefix for error messages, e.g. "Matrix B1 widths".
+ * @param {Array<number>} values
+ * @returns {string[]} A list of error messages.
+ */
+function validateAxis(label, values) {
+    if (!Array.isArray(values) || values.length === 0) {
+        return [`${label} must contain at least one value.`];
+    }
+    const invalid = values.find(value => !isNonNegativeNumber(value) || value === 0);
+    if (invalid !== undefined) {
+        return [`${label} must be positive numbers (found '${invalid}').`];
+    }
+    const index = values.findIndex((value, i) => i > 0 && value <= values[i - 1]);
+    if (index !== -1) {
+        return [`${label} must increase (${values[index - 1]} is followed by ${values[index]}).`];
+    }
+    return [];
+}
+
+/**
+ * Validates a single matrix entry of the price list.
+ * @param {string} fabricType - The matrix key, e.g. "B1".
+ * @param {object} matrix - The matrix to check.
+ * @param {object} matrices - All matrices, used to resolve aliases.
+ * @returns {string[]} A list of error messages, empty if the matrix is valid.
+ */
+export function validateMatrix(fabricType, matrix, matrices) {
+    const label = `Matrix ${fabricType}`;
+    if (!matrix || typeof matrix !== 'object') {
+        return [`${label} is not a valid matrix.`];
+    }
+
+    const errors = [];
+    if (!matrix.name || typeof matrix.name !== 'string') {
+        errors.push(`${label} needs a name.`);
+    }
+
+    if (matrix.aliasFor !== undefined) {
+        const target = matrices[matrix.aliasFor];
+        if (!target) {
+            errors.push(`${label} is an alias for unknown matrix '${matrix.aliasFor}'.`);
+        } else if (target.aliasFor !== undefined) {
+            errors.push(`${label} is an alias for '${matrix.aliasFor}', which is itself an alias.`);
+        }
+        return errors;
+    }
+
+    errors.push(...validateAxis(`${label} drops`, matrix.drops));
+    const dropCount = Array.isArray(matrix.drops) ? matrix.drops.length : 0;
+
+    if (matrix.pricingModel === 'perMetre') {
+        const prices = matrix.pricesPerMetre;
+        if (!Array.isArray(prices) || prices.length !== dropCount) {
+            errors.push(`${label} needs one price per metre for each of its ${dropCount} drops.`);
+        } else if (!prices.every(isNonNegativeNumber)) {
+            errors.push(`${label} prices per metre must be non-negative numbers.`);
+        }
+        return errors;
+    }
+
+    errors.push(...validateAxis(`${label} widths`, matrix.widths));
+    const widthCount = Array.isArray(matrix.widths) ? matrix.widths.length : 0;
+
+    if (!Array.isArray(matrix.prices) || matrix.prices.length !== dropCount) {
+        errors.push(`${label} needs one price row for each of its ${dropCount} drops.`);
+        return errors;
+    }
+    matrix.prices.forEach((row, rowIndex) => {
+        const drop = matrix.drops[rowIndex];
+        if (!Array.isArray(row) || row.length !== widthCount) {
+            errors.push(`${label} row ${drop} needs ${widthCount} prices, one for each width.`);
+        } else if (!row.every(isValidGridPrice)) {
+            errors.push(`${label} row ${drop} contains a price that is neither blank nor a non-negative number.`);
+        }
+    });
+    return errors;
+}
+
+/**
+ * Validates a complete price list before it is saved or applied.
+ * @param {object} priceList - The price list, in the shape of price-matrix-v1.0.json.
+ * @returns {string[]} A list of error messages, empty if the price list is valid.
+ */
+export function validatePriceList(priceList) {
+    if (!priceList || typeof priceList !== 'object') {
+        return ['The price list is not a valid object.'];
+    }
+    const { matrices, accessories, businessRules } = priceList;
+    if (!matrices || typeof matrices !== 'object' || Object.keys(matrices).length === 0) {
+        return ['The price list contains no matrices.'];
+    }
+
+    const errors = [];
+    const { meta } = priceList;
+    if (!meta || typeof meta.version !== 'string' || meta.version.trim() === '') {
+        errors.push('The price list needs a version.');
+    }
+    if (!meta || !/^\d{4}-\d{2}-\d{2}$/.test(meta.effectiveDate || '')) {
+        errors.push('The price list needs an effective date (YYYY-MM-DD).');
+    }
+
+    for (const [fabricType, matrix] of Object.entries(matrices)) {
+        errors.push(...validateMatrix(fabricType, matrix, matrices));
+    }
+
+    const sequences = [priceList.fabricTypeSequence || [], ...Object.values(priceList.productFabricTypeSequences || {})];
+    new Set(sequences.flat()).forEach(fabricType => {
+        if (!matrices[fabricType]) {
+            errors.push(`Fabric type sequence refers to unknown matrix '${fabricType}'.`);
+        }
+    });
+
+    for (const [key, accessory] of Object.entries(accessories || {})) {
+        if (!accessory || !isNonNegativeNumber(accessory.price)) {
+            errors.push(`Accessory '${key}' must have a non-negative price.`);
+        }
+    }
+
+    if (businessRules !== undefined && (businessRules === null || typeof businessRules !== 'object' || Array.isArray(businessRules))) {
+        errors.push('Business rules must be an object.');
+    }
+
+    return errors;
+}
+
+// Spreadsheets in locales with a decimal comma write prices such as "12,50".
+const toNumber = (cell) => (cell === '' ? null : Number(/^-?\d+,\d{1,2}$/.test(cell) ? cell.replace(',', '.') : cell));
+
+// Spreadsheets often pad rows with empty cells, so trailing empty cells are dropped.
+const trimTrailingEmptyCells = (cells) => {
+    const trimmed = [...cells];
+    while (trimmed.length > 0 && trimmed[trimmed.length - 1] === '') trimmed.pop();
+    return trimmed;
+};
+
+// Price rows keep blank cells (sizes that are not available) up to the number of columns.
+const toPriceRow = (cells, columnCount) => {
+    const trimmed = trimTrailingEmptyCells(cells);
+    const length = Math.max(trimmed.length, columnCount);
+    return Array.from({ length }, (_, index) => toNumber(trimmed[index] ?? ''));
+};
+
+/**
+ * Converts the matrices and accessories of a price list into a CSV grid.
+ * Each matrix becomes a block with widths across and drops down, separated by blank lines.
+ * @param {object} priceList
+ * @returns {string}
+ */
+export function priceListToCsv(priceList) {
+    const blocks = [];
+
+    for (const [fabricType, matrix] of Object.entries(priceList?.matrices || {})) {
+        if (matrix.aliasFor !== undefined) {
+            blocks.push([formatCsvRow([CSV_ROW_TYPES.ALIAS, fabricType, matrix.name, matrix.aliasFor])]);
+        } else if (matrix.pricingModel === 'perMetre') {
+            blocks.push([
+                formatCsvRow([CSV_ROW_TYPES.MATRIX, fabricType, matrix.name, matrix.pricingModel]),
+                formatCsvRow([CSV_ROW_TYPES.PER_METRE_DROPS, ...matrix.drops]),
+                formatCsvRow([CSV_ROW_TYPES.PER_METRE_PRICES, ...matrix.pricesPerMetre]),
+            ]);
+        } else {
+            blocks.push([
+                formatCsvRow([CSV_ROW_TYPES.MATRIX, fabricType, matrix.name]),
+                formatCsvRow([CSV_ROW_TYPES.GRID_HEADER, ...matrix.widths]),
+                ...matrix.drops.map((drop, index) => formatCsvRow([drop, ...(matrix.prices[index] || [])])),
+            ]);
+        }
+    }
+
+    const accessoryRows = Object.entries(priceList?.accessories || {}).map(([key, accessory]) =>
+        formatCsvRow([CSV_ROW_TYPES.ACCESSORY, key, accessory.price, accessory.unit, accessory.name])
+            .replace(/,+$/, '')
+    );
+    if (accessoryRows.length > 0) {
+        blocks.push(accessoryRows);
+    }
+
+    return blocks.map(block => block.join('\n')).join('\n\n');
+}
+
+/**
+ * Builds a new price list from a CSV grid produced by priceListToCsv.
+ * The matrices are replaced by those in the CSV, as are the accessories if the CSV lists any.
+ * The result is not validated; pass it through validatePriceList before using it.
+ * @param {string} csvString - The CSV content.
+ * @param {object} basePriceList - The price list providing everything the CSV does not contain.
+ * @returns {object} The new price list.
+ * @throws {Error} If the CSV does not follow the grid layout.
+ */
+export function csvToPriceList(csvString, basePriceList) {
+    const base = JSON.parse(JSON.stringify(basePriceList || {}));
+    const baseMatrices = base.matrices || {};
+    // Blank rows end a matrix block, so they are kept.
+    const rows = parseCsvRows(csvString, { keepBlankRows: true });
+
+    const matrices = {};
+    const accessories = {};
+    let currentMatrix = null;
+
+    const keepExtraProperties = (fabricType) => {
+        const extras = { ...(baseMatrices[fabricType] || {}) };
+        MATRIX_GRID_KEYS.forEach(key => delete extras[key]);
+        return extras;
+    };
+
+    rows.forEach((row, rowIndex) => {
+        const rowNumber = rowIndex + 1;
+        const cells = row.map(cell => cell.trim());
+        const [rowType, ...values] = cells;
+
+        if (cells.every(cell => cell === '')) {
+            currentMatrix = null;
+            return;
+        }
+
+        switch (rowType) {
+            case CSV_ROW_TYPES.MATRIX: {
+                const [fabricType, name, pricingModel] = values;
+                if (!fabricType) throw new Error(`Row ${rowNumber}: matrix row has no fabric type.`);
+                currentMatrix = { ...keepExtraProperties(fabricType), name };
+                if (pricingModel === 'perMetre') {
+                    Object.assign(currentMatrix, { pricingModel, drops: [], pricesPerMetre: [] });
+                } else {
+                    Object.assign(currentMatrix, { drops: [], widths: [], prices: [] });
+                }
+                matrices[fabricType] = currentMatrix;
+                return;
+            }
+            case CSV_ROW_TYPES.ALIAS: {
+                const [fabricType, name, aliasFor] = values;
+                if (!fabricType) throw new Error(`Row ${rowNumber}: alias row has no fabric type.`);
+                matrices[fabricType] = { ...keepExtraProperties(fabricType), name, aliasFor };
+                currentMatrix = null;
+                return;
+            }
+            case CSV_ROW_TYPES.ACCESSORY: {
+                const [key, price, unit, name] = values;
+                if (!key) throw new Error(`Row ${rowNumber}: accessory row has no key.`);
+                accessories[key] = { ...(base.accessories?.[key] || {}), price: toNumber(price) };
+                if (unit) accessories[key].unit = unit;
+                if (name) accessories[key].name = name;
+                currentMatrix = null;
+                return;
+            }
+        }
+
+        if (!currentMatrix) {
+            throw new Error(`Row ${rowNumber}: '${rowType}' does not belong to a matrix.`);
+        }
+        if (currentMatrix.pricingModel === 'perMetre') {
+            if (rowType === CSV_ROW_TYPES.PER_METRE_DROPS) {
+                currentMatrix.drops = trimTrailingEmptyCells(values).map(toNumber);
+            } else if (rowType === CSV_ROW_TYPES.PER_METRE_PRICES) {
+                currentMatrix.pricesPerMetre = toPriceRow(values, currentMatrix.drops.length);
+            } else {
+                throw new Error(`Row ${rowNumber}: expected a '${CSV_ROW_TYPES.PER_METRE_DROPS}' or '${CSV_ROW_TYPES.PER_METRE_PRICES}' row.`);
+            }
+        } else if (rowType === CSV_ROW_TYPES.GRID_HEADER) {
+            currentMatrix.widths = trimTrailingEmptyCells(values).map(toNumber);
+        } else {
+            currentMatrix.drops.push(toNumber(rowType));
+            currentMatrix.prices.push(toPriceRow(values, currentMatrix.widths.length));
+        }
+    });
+
+    if (Object.keys(matrices).length === 0) {
+        throw new Error('The CSV file contains no price matrices.');
+    }
+
+    base.matrices = matrices;
+    if (Object.keys(accessories).length > 0) {
+        base.accessories = accessories;
+    }
+    return base;
+}
\ No newline at end of file
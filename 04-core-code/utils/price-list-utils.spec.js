@@ -0,0 +1,142 @@
+// File: 04-core-code/utils/price-list-utils.spec.js
+
+import { validatePriceList, validateMatrix, priceListToCsv, csvToPriceList } from './price-list-utils.js';
+
+const createPriceList = () => ({
+    meta: { version: '1.0', effectiveDate: '2024-12-01', supplier: 'TEST SUPPLIER' },
+    fabricTypeSequence: ['B1', 'B5'],
+    productFabricTypeSequences: { sheerCurtain: ['S1'] },
+    matrices: {
+        B1: {
+            name: 'UNILINE - SUNSET',
+            drops: [900, 1200],
+            widths: [600, 800, 1000],
+            prices: [[50, 60, 70], [55, 65, null]],
+            pricing: { mode: 'interpolate' }
+        },
+        B5: { name: 'SHAW - VIBE', aliasFor: 'B1' },
+        S1: { name: 'SHEER, VOILE', pricingModel: 'perMetre', drops: [2400, 2700], pricesPerMetre: [28, 31] }
+    },
+    accessories: {
+        motorRTS: { price: 130, unit: 'each' },
+        wifiHub: { price: 200, unit: 'each', name: 'NEO BOX (WIFI)' }
+    },
+    businessRules: { validation: { rollerBlind: { minWidth: 250 } } }
+});
+
+describe('price-list-utils', () => {
+    describe('validatePriceList', () => {
+        it('should accept a valid price list, including blank prices for sizes that are not available', () => {
+            expect(validatePriceList(createPriceList())).toEqual([]);
+        });
+
+        it('should reject a price list without matrices', () => {
+            expect(validatePriceList({ matrices: {} })).toEqual(['The price list contains no matrices.']);
+        });
+
+        it('should report widths and drops that do not increase', () => {
+            const priceList = createPriceList();
+            priceList.matrices.B1.widths = [600, 1000, 800];
+            priceList.matrices.B1.drops = [1200, 1200];
+
+            const errors = validatePriceList(priceList);
+
+            expect(errors).toContain('Matrix B1 widths must increase (1000 is followed by 800).');
+            expect(errors).toContain('Matrix B1 drops must increase (1200 is followed by 1200).');
+        });
+
+        it('should report price rows that do not match the widths', () => {
+            const priceList = createPriceList();
+            priceList.matrices.B1.prices[1] = [55, 65];
+            priceList.matrices.B1.prices[0][2] = NaN;
+
+            const errors = validatePriceList(priceList);
+
+            expect(errors).toContain('Matrix B1 row 1200 needs 3 prices, one for each width.');
+            expect(errors).toContain('Matrix B1 row 900 contains a price that is neither blank nor a non-negative number.');
+        });
+
+        it('should report aliases to unknown matrices or to other aliases', () => {
+            const priceList = createPriceList();
+            priceList.matrices.B6 = { name: 'ALIAS OF ALIAS', aliasFor: 'B5' };
+            priceList.matrices.B7 = { name: 'MISSING', aliasFor: 'ZZ' };
+
+            const errors = validatePriceList(priceList);
+
+            expect(errors).toContain("Matrix B6 is an alias for 'B5', which is itself an alias.");
+            expect(errors).toContain("Matrix B7 is an alias for unknown matrix 'ZZ'.");
+        });
+
+        it('should report sequences that refer to unknown matrices and invalid accessory prices', () => {
+            const priceList = createPriceList();
+            priceList.productFabricTypeSequences.sheerCurtain.push('S9');
+            priceList.accessories.motorRTS.price = -1;
+
+            const errors = validatePriceList(priceList);
+
+            expect(errors).toContain("Fabric type sequence refers to unknown matrix 'S9'.");
+            expect(errors).toContain("Accessory 'motorRTS' must have a non-negative price.");
+        });
+    });
+
+    describe('validateMatrix', () => {
+        it('should require one price per metre for each drop', () => {
+            const matrix = { name: 'SHEER', pricingModel: 'perMetre', drops: [2400, 2700], pricesPerMetre: [28] };
+            expect(validateMatrix('S1', matrix, { S1: matrix })).toEqual(['Matrix S1 needs one price per metre for each of its 2 drops.']);
+        });
+    });
+
+    describe('priceListToCsv / csvToPriceList', () => {
+        it('should write each matrix as a grid block', () => {
+            const csv = priceListToCsv(createPriceList());
+
+            expect(csv).toContain('Matrix,B1,UNILINE - SUNSET\nDrop \\ Width,600,800,1000\n900,50,60,70\n1200,55,65,');
+            expect(csv).toContain('Alias,B5,SHAW - VIBE,B1');
+            expect(csv).toContain('Matrix,S1,"SHEER, VOILE",perMetre\nDrop,2400,2700\nPrice/m,28,31');
+            expect(csv).toContain('Accessory,motorRTS,130,each\nAccessory,wifiHub,200,each,NEO BOX (WIFI)');
+        });
+
+        it('should round-trip a price list through the CSV grid', () => {
+            const priceList = createPriceList();
+            const result = csvToPriceList(priceListToCsv(priceList), priceList);
+            expect(result).toEqual(priceList);
+        });
+
+        it('should keep non-grid properties of the base price list and read spreadsheet output', () => {
+            const base = createPriceList();
+            const csv = '\uFEFFMatrix,B1,UNILINE - SUNSET,,\r\nDrop \\ Width,600,800,,\r\n900,52,62,,\r\n,,,,\r\nAlias,B5,SHAW - VIBE,B1\r\n';
+
+            const result = csvToPriceList(csv, base);
+
+            expect(result.matrices.B1).toEqual({
+                name: 'UNILINE - SUNSET',
+                drops: [900],
+                widths: [600, 800],
+                prices: [[52, 62]],
+                pricing: { mode: 'interpolate' }
+            });
+            expect(result.matrices.S1).toBeUndefined();
+            expect(result.accessories).toEqual(base.accessories);
+            expect(result.businessRules).toEqual(base.businessRules);
+            expect(base.matrices.B1.prices[0][0]).toBe(50);
+        });
+
+        it('should throw for rows that do not belong to a matrix', () => {
+            expect(() => csvToPriceList('900,50,60', createPriceList())).toThrow("Row 1: '900' does not belong to a matrix.");
+        });
+
+        it('should read quoted names with line breaks and semicolon-separated spreadsheet output', () => {
+            const csv = 'Matrix;B1;"UNILINE\nSUNSET; BLOCKOUT"\nDrop \\ Width;600;800\n900;52,50;62\n\nAccessory;motorRTS;130;each';
+
+            const result = csvToPriceList(csv, createPriceList());
+
+            expect(result.matrices.B1).toMatchObject({ name: 'UNILINE\nSUNSET; BLOCKOUT', widths: [600, 800], prices: [[52.5, 62]] });
+            expect(result.accessories.motorRTS.price).toBe(130);
+            expect(csvToPriceList(priceListToCsv(result), result)).toEqual(result);
+        });
+
+        it('should throw if the CSV contains no matrices', () => {
+            expect(() => csvToPriceList('Accessory,motorRTS,130,each', createPriceList())).toThrow('The CSV file contains no price matrices.');
+        });
+    });
+});
\ No newline at end of file
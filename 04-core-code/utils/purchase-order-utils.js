@@ -0,0 +1,46 @@
+// /04-core-code/utils/purchase-order-utils.js
+
+/**
+ * @fileoverview Converts a supplier purchase order (see PurchaseOrderService) to CSV: the
+ * supplier and our reference, then one row per cut size of each blind line and one row per
+ * hardware line, and the order total.
+ */
+
+import { formatCsvRow } from './csv-parser.js';
+
+const CSV_HEADERS = ['Item', 'Type', 'Range', 'F-Name', 'F-Color', 'Width', 'Height', 'Qty', 'Unit Cost', 'Cost'];
+
+const formatCost = (value) => (typeof value === 'number' ? value.toFixed(2) : '');
+
+/**
+ * @param {object} order - One of the results of PurchaseOrderService.buildPurchaseOrders.
+ * @returns {string}
+ */
+export function purchaseOrderToCsv(order) {
+    const fabricRows = order.fabricLines.flatMap(line => line.cutSizes.map(size => formatCsvRow([
+        line.productName,
+        line.fabricType,
+        line.fabricTypeName,
+        line.fabric,
+        line.color,
+        size.width ?? '',
+        size.height ?? '',
+        size.quantity,
+        formatCost(typeof size.cost === 'number' ? size.cost / size.quantity : null),
+        formatCost(size.cost)
+    ])));
+    const hardwareRows = order.hardwareLines.map(line => formatCsvRow([
+        line.description, '', '', '', '', '', '', line.quantity, formatCost(line.unitCost), formatCost(line.cost)
+    ]));
+
+    return [
+        formatCsvRow(['Purchase Order', order.supplier]),
+        formatCsvRow(['Reference', order.quoteId]),
+        formatCsvRow(['Date', order.issueDate]),
+        '',
+        CSV_HEADERS.join(','),
+        ...fabricRows,
+        ...hardwareRows,
+        formatCsvRow(['Total', '', '', '', '', '', '', '', '', formatCost(order.totalCost)])
+    ].join('\n');
+}
\ No newline at end of file
@@ -0,0 +1,32 @@
+// /04-core-code/utils/purchase-order-utils.spec.js
+
+import { purchaseOrderToCsv } from './purchase-order-utils.js';
+
+describe('purchaseOrderToCsv', () => {
+    it('should write the supplier, a row per cut size and hardware line, and the total', () => {
+        const csv = purchaseOrderToCsv({
+            supplier: 'B Window Covers',
+            quoteId: 'Q-2026-0042',
+            issueDate: '2026-03-15',
+            fabricLines: [{
+                productName: 'Roller Blind', fabricType: 'B1', fabricTypeName: 'UNILINE - SUNSET', fabric: 'Sunset', color: 'White',
+                quantity: 3, cost: 174,
+                cutSizes: [{ width: 1000, height: 1200, quantity: 2, cost: 120 }, { width: 800, height: 1500, quantity: 1, cost: null }]
+            }],
+            hardwareLines: [{ component: 'winder', description: 'HD Winder', quantity: 2, unitCost: 8, cost: 16 }],
+            totalCost: 190
+        });
+
+        expect(csv.split('\n')).toEqual([
+            'Purchase Order,B Window Covers',
+            'Reference,Q-2026-0042',
+            'Date,2026-03-15',
+            '',
+            'Item,Type,Range,F-Name,F-Color,Width,Height,Qty,Unit Cost,Cost',
+            'Roller Blind,B1,UNILINE - SUNSET,Sunset,White,1000,1200,2,60.00,120.00',
+            'Roller Blind,B1,UNILINE - SUNSET,Sunset,White,800,1500,1,,',
+            'HD Winder,,,,,,,2,8.00,16.00',
+            'Total,,,,,,,,,190.00'
+        ]);
+    });
+});
\ No newline at end of file
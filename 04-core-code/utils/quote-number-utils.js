@@ -0,0 +1,91 @@
+// /04-core-code/utils/quote-number-utils.js
+
+/**
+ * @fileoverview Quote number patterns and revision suffixes.
+ * A pattern is literal text with tokens:
+ *   {YYYY} four-digit year, {YY} two-digit year, {MM} month,
+ *   {INITIALS} the salesperson's initials, {###} the counter, zero-padded to the number of #.
+ * e.g. "Q-{YYYY}-{####}" gives Q-2026-0042. An amended quote keeps its number with a revision
+ * suffix: Q-2026-0042-R1, Q-2026-0042-R2, ...
+ */
+
+export const DEFAULT_QUOTE_NUMBER_PATTERN = 'Q-{YYYY}-{####}';
+
+const COUNTER_TOKEN = /\{(#+)\}/g;
+const KNOWN_TOKEN = /^\{(YYYY|YY|MM|INITIALS|#+)\}$/;
+const REVISION_SUFFIX = /^(.+)-R(\d+)$/;
+
+const replaceDateTokens = (pattern, { date, initials }) => pattern
+    .replace(/\{YYYY\}/g, String(date.getFullYear()))
+    .replace(/\{YY\}/g, String(date.getFullYear()).slice(-2))
+    .replace(/\{MM\}/g, String(date.getMonth() + 1).padStart(2, '0'))
+    .replace(/\{INITIALS\}/g, String(initials || '').trim().toUpperCase());
+
+/**
+ * Checks a pattern for use as a quote number pattern.
+ * @param {string} pattern
+ * @returns {Array<string>} Error messages; empty if the pattern is valid.
+ */
+export function validateQuoteNumberPattern(pattern) {
+    const errors = [];
+    if (typeof pattern !== 'string' || !pattern.trim()) {
+        return ['The pattern must not be empty.'];
+    }
+    const counterTokens = pattern.match(COUNTER_TOKEN) || [];
+    if (counterTokens.length !== 1) {
+        errors.push('The pattern must contain exactly one counter, e.g. {####}.');
+    }
+    const unknownTokens = (pattern.match(/\{[^}]*\}/g) || []).filter(token => !KNOWN_TOKEN.test(token));
+    if (unknownTokens.length > 0) {
+        errors.push(`Unknown token(s): ${unknownTokens.join(', ')}.`);
+    }
+    if (/-R\d+$/.test(pattern)) {
+        errors.push('The pattern must not end like a revision suffix (-R1).');
+    }
+    return errors;
+}
+
+/**
+ * Formats a quote number.
+ * @param {string} pattern
+ * @param {object} values
+ * @param {Date} values.date - Supplies the year and month.
+ * @param {number} values.counter
+ * @param {string} [values.initials]
+ * @returns {string}
+ */
+export function formatQuoteNumber(pattern, { date, counter, initials = '' }) {
+    return replaceDateTokens(pattern, { date, initials })
+        .replace(COUNTER_TOKEN, (match, hashes) => String(counter).padStart(hashes.length, '0'));
+}
+
+/**
+ * Returns the part of the pattern the counter runs within: numbers that differ only in their
+ * counter share a scope. With a year in the pattern the counter starts again every year.
+ * @returns {string}
+ */
+export function getQuoteNumberScope(pattern, { date, initials = '' }) {
+    return replaceDateTokens(pattern, { date, initials }).replace(COUNTER_TOKEN, '#');
+}
+
+/**
+ * Splits a quote ID into its base number and revision (0 for the original quote).
+ * @param {string} quoteId
+ * @returns {{baseId: string, revision: number}}
+ */
+export function parseQuoteRevision(quoteId) {
+    const match = REVISION_SUFFIX.exec(String(quoteId || ''));
+    return match
+        ? { baseId: match[1], revision: parseInt(match[2], 10) }
+        : { baseId: String(quoteId || ''), revision: 0 };
+}
+
+/**
+ * Returns the ID of the next revision: Q-2026-0042 becomes Q-2026-0042-R1, and -R1 becomes -R2.
+ * @param {string} quoteId
+ * @returns {string}
+ */
+export function getNextRevisionId(quoteId) {
+    const { baseId, revision } = parseQuoteRevision(quoteId);
+    return `${baseId}-R${revision + 1}`;
+}
\ No newline at end of file
@@ -0,0 +1,41 @@
+// /04-core-code/utils/quote-number-utils.spec.js
+
+import {
+    formatQuoteNumber,
+    getNextRevisionId,
+    getQuoteNumberScope,
+    parseQuoteRevision,
+    validateQuoteNumberPattern
+} from './quote-number-utils.js';
+
+describe('quote number utils', () => {
+    const date = new Date(2026, 2, 15);
+
+    it('should format the year, month, initials and zero-padded counter', () => {
+        expect(formatQuoteNumber('Q-{YYYY}-{####}', { date, counter: 42 })).toBe('Q-2026-0042');
+        expect(formatQuoteNumber('{INITIALS}{YY}{MM}-{##}', { date, counter: 7, initials: 'jd' })).toBe('JD2603-07');
+        expect(formatQuoteNumber('Q{###}', { date, counter: 12345 })).toBe('Q12345');
+    });
+
+    it('should give numbers that differ only in their counter the same scope', () => {
+        expect(getQuoteNumberScope('Q-{YYYY}-{####}', { date })).toBe('Q-2026-#');
+        expect(getQuoteNumberScope('Q-{YYYY}-{####}', { date: new Date(2027, 0, 1) })).toBe('Q-2027-#');
+        expect(getQuoteNumberScope('Q-{####}', { date })).toBe(getQuoteNumberScope('Q-{####}', { date: new Date(2027, 0, 1) }));
+    });
+
+    it('should reject patterns without exactly one counter, with unknown tokens or a revision-like ending', () => {
+        expect(validateQuoteNumberPattern('Q-{YYYY}-{####}')).toEqual([]);
+        expect(validateQuoteNumberPattern('')).toHaveLength(1);
+        expect(validateQuoteNumberPattern('Q-{YYYY}')).toHaveLength(1);
+        expect(validateQuoteNumberPattern('{##}-{##}')).toHaveLength(1);
+        expect(validateQuoteNumberPattern('Q-{DD}-{###}')).toEqual(['Unknown token(s): {DD}.']);
+        expect(validateQuoteNumberPattern('{###}-R1')).toHaveLength(1);
+    });
+
+    it('should split off and count up revision suffixes', () => {
+        expect(parseQuoteRevision('Q-2026-0042')).toEqual({ baseId: 'Q-2026-0042', revision: 0 });
+        expect(parseQuoteRevision('Q-2026-0042-R2')).toEqual({ baseId: 'Q-2026-0042', revision: 2 });
+        expect(getNextRevisionId('Q-2026-0042')).toBe('Q-2026-0042-R1');
+        expect(getNextRevisionId('Q-2026-0042-R9')).toBe('Q-2026-0042-R10');
+    });
+});
@@ -0,0 +1,102 @@
+// /04-core-code/utils/quote-status-utils.js
+
+import { QUOTE_STATUS } from '../config/constants.js';
+import { QUOTE_ACTION_TYPES } from '../config/action-types.js';
+
+/**
+ * @fileoverview The quote lifecycle rules: which status may follow which, which changes need a
+ * note, and which statuses lock the quote's items against editing.
+ */
+
+const { CONFIGURING, QUOTED, SENT, ACCEPTED, REJECTED, ORDERED, INSTALLED } = QUOTE_STATUS;
+
+// Moving back to Configuring reopens a quote for changes, e.g. when the customer asks for a revision.
+const QUOTE_STATUS_TRANSITIONS = {
+    [CONFIGURING]: [QUOTED],
+    [QUOTED]: [SENT, CONFIGURING],
+    [SENT]: [ACCEPTED, REJECTED, CONFIGURING],
+    [ACCEPTED]: [ORDERED, CONFIGURING],
+    [REJECTED]: [CONFIGURING],
+    [ORDERED]: [INSTALLED],
+    [INSTALLED]: [],
+};
+
+// Once the customer has accepted, the items are what was agreed and must not change silently.
+const LOCKED_QUOTE_STATUSES = [ACCEPTED, ORDERED, INSTALLED];
+
+const ITEM_EDIT_ACTION_TYPES = new Set([
+    QUOTE_ACTION_TYPES.INSERT_ROW,
+    QUOTE_ACTION_TYPES.DELETE_ROW,
+    QUOTE_ACTION_TYPES.CLEAR_ROW,
+    QUOTE_ACTION_TYPES.DELETE_MULTIPLE_ROWS,
+    QUOTE_ACTION_TYPES.INSERT_ITEMS,
+    QUOTE_ACTION_TYPES.MOVE_ITEM,
+    QUOTE_ACTION_TYPES.SORT_ITEMS,
+    QUOTE_ACTION_TYPES.UPDATE_ITEM_VALUE,
+    QUOTE_ACTION_TYPES.UPDATE_ITEM_PROPERTY,
+    QUOTE_ACTION_TYPES.UPDATE_WINDER_MOTOR_PROPERTY,
+    QUOTE_ACTION_TYPES.CYCLE_K3_PROPERTY,
+    QUOTE_ACTION_TYPES.CYCLE_ITEM_TYPE,
+    QUOTE_ACTION_TYPES.SET_ITEM_TYPE,
+    QUOTE_ACTION_TYPES.CYCLE_ITEM_FULLNESS,
+    QUOTE_ACTION_TYPES.BATCH_UPDATE_PROPERTY,
+    QUOTE_ACTION_TYPES.BATCH_UPDATE_PROPERTY_BY_TYPE,
+    QUOTE_ACTION_TYPES.BATCH_UPDATE_FABRIC_TYPE,
+    QUOTE_ACTION_TYPES.BATCH_UPDATE_FABRIC_TYPE_FOR_SELECTION,
+    QUOTE_ACTION_TYPES.BATCH_UPDATE_LF_PROPERTIES,
+    QUOTE_ACTION_TYPES.REMOVE_LF_PROPERTIES,
+    QUOTE_ACTION_TYPES.ADD_LF_MODIFIED_ROWS,
+    QUOTE_ACTION_TYPES.REMOVE_LF_MODIFIED_ROWS,
+]);
+
+/**
+ * Returns true if the status is one of the lifecycle statuses.
+ * @param {string} status
+ * @returns {boolean}
+ */
+export function isKnownQuoteStatus(status) {
+    return Object.prototype.hasOwnProperty.call(QUOTE_STATUS_TRANSITIONS, status);
+}
+
+/**
+ * Returns the statuses a quote in the given status may move to.
+ * @param {string} status
+ * @returns {Array<string>}
+ */
+export function getNextQuoteStatuses(status) {
+    return QUOTE_STATUS_TRANSITIONS[status] || [];
+}
+
+/**
+ * @param {string} fromStatus
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+export function canChangeQuoteStatus(fromStatus, toStatus) {
+    return getNextQuoteStatuses(fromStatus).includes(toStatus);
+}
+
+/**
+ * Rejecting or reopening a quote must say why.
+ * @param {string} toStatus
+ * @returns {boolean}
+ */
+export function isQuoteStatusNoteRequired(toStatus) {
+    return toStatus === REJECTED || toStatus === CONFIGURING;
+}
+
+/**
+ * @param {string} status
+ * @returns {boolean} True if the quote's items may not be edited in this status.
+ */
+export function isQuoteLocked(status) {
+    return LOCKED_QUOTE_STATUSES.includes(status);
+}
+
+/**
+ * @param {object} action
+ * @returns {boolean} True if the action changes the items of a quote.
+ */
+export function isItemEditAction(action) {
+    return ITEM_EDIT_ACTION_TYPES.has(action.type);
+}
\ No newline at end of file
@@ -0,0 +1,53 @@
+// /04-core-code/utils/quote-status-utils.spec.js
+
+import {
+    canChangeQuoteStatus,
+    getNextQuoteStatuses,
+    isItemEditAction,
+    isKnownQuoteStatus,
+    isQuoteLocked,
+    isQuoteStatusNoteRequired
+} from './quote-status-utils.js';
+import * as quoteActions from '../actions/quote-actions.js';
+
+describe('quote status utils', () => {
+    it('should follow the lifecycle from Configuring to Installed', () => {
+        const path = ['Configuring', 'Quoted', 'Sent', 'Accepted', 'Ordered', 'Installed'];
+        for (let i = 1; i < path.length; i++) {
+            expect(canChangeQuoteStatus(path[i - 1], path[i])).toBe(true);
+        }
+        expect(getNextQuoteStatuses('Installed')).toEqual([]);
+    });
+
+    it('should not allow skipping steps or leaving an order', () => {
+        expect(canChangeQuoteStatus('Configuring', 'Sent')).toBe(false);
+        expect(canChangeQuoteStatus('Quoted', 'Accepted')).toBe(false);
+        expect(canChangeQuoteStatus('Ordered', 'Configuring')).toBe(false);
+        expect(canChangeQuoteStatus('Rejected', 'Accepted')).toBe(false);
+    });
+
+    it('should allow reopening rejected and accepted quotes with a note', () => {
+        expect(canChangeQuoteStatus('Rejected', 'Configuring')).toBe(true);
+        expect(canChangeQuoteStatus('Accepted', 'Configuring')).toBe(true);
+        expect(isQuoteStatusNoteRequired('Configuring')).toBe(true);
+        expect(isQuoteStatusNoteRequired('Rejected')).toBe(true);
+        expect(isQuoteStatusNoteRequired('Sent')).toBe(false);
+    });
+
+    it('should lock items from acceptance onwards', () => {
+        expect(['Configuring', 'Quoted', 'Sent', 'Rejected'].some(isQuoteLocked)).toBe(false);
+        expect(['Accepted', 'Ordered', 'Installed'].every(isQuoteLocked)).toBe(true);
+    });
+
+    it('should tell item edits from other quote actions', () => {
+        expect(isItemEditAction(quoteActions.updateItemValue(0, 'width', 1000))).toBe(true);
+        expect(isItemEditAction(quoteActions.setQuoteStatus('Quoted'))).toBe(false);
+        expect(isItemEditAction(quoteActions.setQuoteData({}))).toBe(false);
+    });
+
+    it('should only know the lifecycle statuses', () => {
+        expect(isKnownQuoteStatus('Sent')).toBe(true);
+        expect(isKnownQuoteStatus('Draft')).toBe(false);
+        expect(isKnownQuoteStatus('toString')).toBe(false);
+    });
+});
\ No newline at end of file
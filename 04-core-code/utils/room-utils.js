@@ -0,0 +1,122 @@
+// /04-core-code/utils/room-utils.js
+
+/**
+ * @fileoverview Rooms are the locations entered in K1. Rows belong to the same room when their
+ * locations match regardless of case and extra spaces ("Bed 1", "bed  1 "); the room is shown with
+ * the spelling of its first row. Only entered rows (with a width or height) belong to a room.
+ */
+
+/**
+ * @param {string} [location]
+ * @returns {string} The key that identifies the location's room; '' for rows without a location.
+ */
+export function getRoomKey(location) {
+    return String(location ?? '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+const _isEnteredItem = (item) => !!item && !!(item.width || item.height);
+
+/**
+ * Groups the entered rows by room, in the order the rooms first appear. Rows without a location
+ * are grouped last, under an empty room name.
+ * @param {Array<object>} items
+ * @returns {Array<{key: string, room: string, indexes: number[]}>}
+ */
+export function groupItemsByRoom(items) {
+    const groups = new Map();
+    items.forEach((item, index) => {
+        if (!_isEnteredItem(item)) return;
+        const key = getRoomKey(item.location);
+        if (!groups.has(key)) {
+            groups.set(key, { key, room: key ? String(item.location).trim().replace(/\s+/g, ' ') : '', indexes: [] });
+        }
+        groups.get(key).indexes.push(index);
+    });
+    const unassigned = groups.get('');
+    groups.delete('');
+    return unassigned ? [...groups.values(), unassigned] : [...groups.values()];
+}
+
+/**
+ * @param {Array<object>} items - The rows of one or more products.
+ * @returns {string[]} The names of the rooms used, in the order they first appear.
+ */
+export function getRoomNames(items) {
+    return groupItemsByRoom(items).filter(group => group.key).map(group => group.room);
+}
+
+/**
+ * @param {Array<object>} items
+ * @returns {Array<{key: string, room: string, itemCount: number, subtotal: number}>} The number of
+ *   entered rows and the sum of their line prices per room, in the order of groupItemsByRoom.
+ */
+export function getRoomSubtotals(items) {
+    return groupItemsByRoom(items).map(({ key, room, indexes }) => ({
+        key,
+        room,
+        itemCount: indexes.length,
+        subtotal: indexes.reduce((sum, index) => sum + (items[index].linePrice || 0), 0)
+    }));
+}
+
+/**
+ * @param {Array<object>} items
+ * @param {string|null} roomKey - A key from getRoomKey; null for every room.
+ * @returns {number[]} The indexes of the entered rows in the room.
+ */
+export function getRoomRowIndexes(items, roomKey) {
+    return items.reduce((indexes, item, index) => (
+        _isEnteredItem(item) && (roomKey === null || getRoomKey(item.location) === roomKey) ? [...indexes, index] : indexes
+    ), []);
+}
+
+/**
+ * The rows that K2-K4 batch edits apply to for the room chosen in the left panel (ui.roomScope).
+ * @param {Array<object>} items
+ * @param {string|null} roomScope
+ * @returns {number[]|null} null for every row, when no room is chosen or the room has no rows left
+ *   (the panel then shows "All rooms").
+ */
+export function getRoomScopeRowIndexes(items, roomScope) {
+    if (roomScope === null || roomScope === undefined) return null;
+    const indexes = getRoomRowIndexes(items, roomScope);
+    return indexes.length > 0 ? indexes : null;
+}
+
+/**
+ * Proposes the location for the next row after one entered as `location`: "Bed" or "Bed 1" lead to
+ * the next free number ("Bed 2"), and a left-hand window ("Living L") to its right-hand pair, or to
+ * the left-hand window of the next free pair ("Living 2 L") once both sides are used.
+ * @param {string} location
+ * @param {string[]} usedLocations - The locations already in the table.
+ * @returns {string} The proposal; '' when there is none (e.g. after "Living R").
+ */
+export function getNextRoomName(location, usedLocations = []) {
+    const name = String(location ?? '').trim().replace(/\s+/g, ' ');
+    if (!name) return '';
+    const usedKeys = new Set(usedLocations.map(getRoomKey));
+
+    const side = name.match(/^(.+) ([LR])$/i);
+    if (side) {
+        const [, room, letter] = side;
+        if (letter.toUpperCase() === 'R') return '';
+        const pair = `${room} ${letter === 'L' ? 'R' : 'r'}`;
+        if (!usedKeys.has(getRoomKey(pair))) return pair;
+
+        const numberedRoom = room.match(/^(.*?) ?(\d+)$/);
+        const roomBase = numberedRoom && numberedRoom[1] ? numberedRoom[1] : room;
+        let number = numberedRoom && numberedRoom[1] ? Number(numberedRoom[2]) + 1 : 2;
+        while (usedKeys.has(getRoomKey(`${roomBase} ${number} ${letter}`))) number += 1;
+        return `${roomBase} ${number} ${letter}`;
+    }
+
+    const numbered = name.match(/^(.*?) ?(\d+)$/);
+    const base = numbered && numbered[1] ? numbered[1] : name;
+    const baseKey = getRoomKey(base);
+    const highest = [...usedKeys, getRoomKey(name)].reduce((max, key) => {
+        if (key === baseKey) return Math.max(max, 1);
+        const match = key.match(/^(.*?) ?(\d+)$/);
+        return match && match[1] === baseKey ? Math.max(max, Number(match[2])) : max;
+    }, 0);
+    return `${base} ${highest + 1}`;
+}
\ No newline at end of file
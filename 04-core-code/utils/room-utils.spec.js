@@ -0,0 +1,49 @@
+// /04-core-code/utils/room-utils.spec.js
+
+import { groupItemsByRoom, getRoomNames, getRoomSubtotals, getRoomRowIndexes, getRoomKey, getNextRoomName } from './room-utils.js';
+
+describe('room-utils', () => {
+    const items = [
+        { location: 'Bed 1', width: 900, linePrice: 120 },
+        { location: '', width: 1200, linePrice: 100 },
+        { location: 'Lounge', width: 1500, linePrice: null },
+        { location: ' bed  1', width: 600, linePrice: 80.5 },
+        { location: 'Bath', width: null, height: null, linePrice: null },
+    ];
+
+    it('should group rows by room regardless of case and spaces, with rows without a location last', () => {
+        expect(groupItemsByRoom(items)).toEqual([
+            { key: 'bed 1', room: 'Bed 1', indexes: [0, 3] },
+            { key: 'lounge', room: 'Lounge', indexes: [2] },
+            { key: '', room: '', indexes: [1] },
+        ]);
+        expect(getRoomNames(items)).toEqual(['Bed 1', 'Lounge']);
+    });
+
+    it('should sum the line prices of each room', () => {
+        expect(getRoomSubtotals(items)).toEqual([
+            { key: 'bed 1', room: 'Bed 1', itemCount: 2, subtotal: 200.5 },
+            { key: 'lounge', room: 'Lounge', itemCount: 1, subtotal: 0 },
+            { key: '', room: '', itemCount: 1, subtotal: 100 },
+        ]);
+    });
+
+    it('should list the entered rows of a room, or of every room', () => {
+        expect(getRoomRowIndexes(items, getRoomKey('BED 1'))).toEqual([0, 3]);
+        expect(getRoomRowIndexes(items, null)).toEqual([0, 1, 2, 3]);
+    });
+
+    it('should propose the next free number of a room, and the right-hand pair of a left-hand window', () => {
+        expect(getNextRoomName('Bed', ['Bed'])).toBe('Bed 2');
+        expect(getNextRoomName('bed 2', ['Bed', 'BED 4', 'Bedroom 7'])).toBe('bed 5');
+        expect(getNextRoomName('Living L', [])).toBe('Living R');
+        expect(getNextRoomName('Living R', [])).toBe('');
+        expect(getNextRoomName('  ', [])).toBe('');
+    });
+
+    it('should start the next numbered pair once both sides of a window pair are used', () => {
+        expect(getNextRoomName('Living L', ['living r'])).toBe('Living 2 L');
+        expect(getNextRoomName('living l', ['Living R', 'Living 2 L'])).toBe('living 3 l');
+        expect(getNextRoomName('Living 2 L', ['Living 2 R'])).toBe('Living 3 L');
+    });
+});
\ No newline at end of file
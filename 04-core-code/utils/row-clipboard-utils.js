@@ -0,0 +1,50 @@
+// /04-core-code/utils/row-clipboard-utils.js
+
+import { formatCsvRow, parseCsvRows } from './csv-parser.js';
+
+/**
+ * @fileoverview Converts table rows to and from clipboard text. Rows are copied as tab-separated
+ * width, height and fabric type, the way spreadsheets put cells on the clipboard, so rows copied
+ * here can be pasted into a spreadsheet and a W/H/type range copied from one pasted here.
+ */
+
+// A length in mm, or null; a decimal comma is accepted.
+const readLength = (text) => {
+    const value = text.trim();
+    if (!/^\d+([.,]\d+)?$/.test(value)) return null;
+    const length = Math.round(parseFloat(value.replace(',', '.')));
+    return length > 0 ? length : null;
+};
+
+/**
+ * @param {Array<object>} items
+ * @returns {string} One "width<TAB>height<TAB>type" line per item.
+ */
+export function itemsToClipboardText(items) {
+    return items.map(item => formatCsvRow([item.width ?? '', item.height ?? '', item.fabricType || ''], '\t')).join('\n');
+}
+
+/**
+ * Reads the width, height and fabric type of each pasted row. Lengths are in mm; rows without a
+ * positive width and height, such as a header row, are skipped.
+ * @param {string} text - Tab-separated rows, e.g. cells copied from a spreadsheet.
+ * @param {string[]} [fabricTypes] - The known fabric types; other types are left out (the row is kept).
+ * @returns {{items: Array<{width: number, height: number, fabricType: string|null}>, skippedRowCount: number}}
+ */
+export function clipboardTextToItems(text, fabricTypes = null) {
+    const items = [];
+    let skippedRowCount = 0;
+
+    parseCsvRows(String(text ?? ''), { delimiter: '\t' }).forEach(([widthText = '', heightText = '', typeText = '']) => {
+        const width = readLength(widthText);
+        const height = readLength(heightText);
+        if (width === null || height === null) {
+            skippedRowCount++;
+            return;
+        }
+        const fabricType = typeText.trim().toUpperCase() || null;
+        items.push({ width, height, fabricType: fabricType && (!fabricTypes || fabricTypes.includes(fabricType)) ? fabricType : null });
+    });
+
+    return { items, skippedRowCount };
+}
\ No newline at end of file
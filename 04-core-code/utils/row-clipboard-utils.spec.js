@@ -0,0 +1,33 @@
+// /04-core-code/utils/row-clipboard-utils.spec.js
+
+import { itemsToClipboardText, clipboardTextToItems } from './row-clipboard-utils.js';
+
+describe('row-clipboard-utils', () => {
+    it('should copy rows as tab-separated width, height and type', () => {
+        const text = itemsToClipboardText([
+            { width: 1200, height: 1300, fabricType: 'B1' },
+            { width: 900, height: 1300, fabricType: null },
+        ]);
+
+        expect(text).toBe('1200\t1300\tB1\n900\t1300\t');
+    });
+
+    it('should read rows copied from a spreadsheet, skipping headers and rows without a size', () => {
+        const text = 'Width\tDrop\tType\r\n1200\t1300\tb1\r\n900,5\t1300\r\n\t\tB2\r\n1000\t1000\tZZ\r\n';
+
+        expect(clipboardTextToItems(text, ['B1', 'B2'])).toEqual({
+            items: [
+                { width: 1200, height: 1300, fabricType: 'B1' },
+                { width: 901, height: 1300, fabricType: null },
+                { width: 1000, height: 1000, fabricType: null },
+            ],
+            skippedRowCount: 2,
+        });
+    });
+
+    it('should read back the rows it copied', () => {
+        const items = [{ width: 1200, height: 1300, fabricType: 'B1' }, { width: 900, height: 800, fabricType: null }];
+
+        expect(clipboardTextToItems(itemsToClipboardText(items)).items).toEqual(items);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,149 @@
+// /04-core-code/utils/template-engine.js
+
+import { escapeHtml } from './html-utils.js';
+
+/**
+ * @fileoverview A small Handlebars-like engine for the printable HTML partials.
+ *
+ *   {{customer.name}}            a value, HTML-escaped; every occurrence is replaced
+ *   {{{notesHtml}}}              a value inserted as it is, for trusted HTML only
+ *   {{finalTotal | currency}}    a value passed through a formatter (see DEFAULT_FORMATTERS)
+ *   {{#each items}}...{{else}}...{{/each}}
+ *                                repeats for every entry of a list, or renders the else part
+ *                                when it is empty; inside, {{this}} is the entry, {{@index}} its
+ *                                index and {{@number}} its index + 1
+ *   {{#if notes}}...{{else}}...{{/if}}, {{#unless ...}}...{{/unless}}
+ *   {{! a comment }}
+ *
+ * A name is looked up in the entry of the innermost {{#each}} first and then outwards up to the
+ * context, so fields of the quote can be used inside a loop. Empty lists count as false.
+ */
+
+const TAG_PATTERN = /\{\{\{\s*([\s\S]+?)\s*\}\}\}|\{\{\s*([\s\S]+?)\s*\}\}/g;
+const BLOCK_HELPERS = ['each', 'if', 'unless'];
+
+const formatCurrency = (value) => {
+    if (typeof value !== 'number' || isNaN(value)) return '';
+    const sign = value < 0 ? '-' : '';
+    const [whole, cents] = Math.abs(value).toFixed(2).split('.');
+    return `${sign}$${whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',')}.${cents}`;
+};
+
+// Dates are stored as YYYY-MM-DD (the value of a date input) and printed as DD/MM/YYYY.
+const formatDate = (value) => {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value ?? ''));
+    return match ? `${match[3]}/${match[2]}/${match[1]}` : String(value ?? '');
+};
+
+export const DEFAULT_FORMATTERS = {
+    currency: formatCurrency,
+    date: formatDate,
+    upper: (value) => String(value ?? '').toUpperCase(),
+};
+
+/**
+ * Splits a template into text, values and nested blocks.
+ */
+const parse = (template) => {
+    const root = { children: [] };
+    const stack = [root];
+    let current = root.children;
+    let lastIndex = 0;
+
+    for (const match of template.matchAll(TAG_PATTERN)) {
+        if (match.index > lastIndex) current.push({ type: 'text', text: template.slice(lastIndex, match.index) });
+        lastIndex = match.index + match[0].length;
+
+        const isRaw = match[1] !== undefined;
+        const tag = isRaw ? match[1] : match[2];
+        const block = stack[stack.length - 1];
+
+        if (!isRaw && tag.startsWith('!')) continue;
+
+        if (!isRaw && tag.startsWith('#')) {
+            const [helper, ...rest] = tag.slice(1).trim().split(/\s+/);
+            if (!BLOCK_HELPERS.includes(helper) || rest.length !== 1) {
+                throw new Error(`Invalid template block "{{${tag}}}".`);
+            }
+            const node = { type: 'block', helper, path: rest[0], children: [], inverse: [] };
+            current.push(node);
+            stack.push(node);
+            current = node.children;
+        } else if (!isRaw && tag.startsWith('/')) {
+            const helper = tag.slice(1).trim();
+            if (stack.length === 1 || block.helper !== helper) {
+                throw new Error(`Unexpected "{{${tag}}}" in the template.`);
+            }
+            stack.pop();
+            const parent = stack[stack.length - 1];
+            current = parent === root ? root.children : (parent.isInverse ? parent.inverse : parent.children);
+        } else if (!isRaw && tag === 'else') {
+            if (stack.length === 1 || block.isInverse) {
+                throw new Error('Unexpected "{{else}}" in the template.');
+            }
+            block.isInverse = true;
+            current = block.inverse;
+        } else {
+            const [path, ...formatters] = tag.split('|').map(part => part.trim());
+            current.push({ type: 'value', path, formatters, isRaw });
+        }
+    }
+    if (stack.length > 1) {
+        throw new Error(`The template block "{{#${stack[stack.length - 1].helper}}}" is not closed.`);
+    }
+    if (lastIndex < template.length) current.push({ type: 'text', text: template.slice(lastIndex) });
+    return root.children;
+};
+
+/**
+ * Resolves a dotted name against the scopes, innermost first.
+ */
+const lookup = (path, scopes) => {
+    const scope = scopes[scopes.length - 1];
+    if (path === 'this') return scope.value;
+    if (path === '@index') return scope.index;
+    if (path === '@number') return scope.index === undefined ? undefined : scope.index + 1;
+
+    const [first, ...rest] = path.split('.');
+    const owner = first === 'this'
+        ? scope
+        : [...scopes].reverse().find(({ value }) => value !== null && typeof value === 'object' && first in value);
+    if (!owner) return undefined;
+    return (first === 'this' ? rest : [first, ...rest])
+        .reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), owner.value);
+};
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+const renderNodes = (nodes, scopes, formatters) => nodes.map(node => {
+    if (node.type === 'text') return node.text;
+
+    if (node.type === 'value') {
+        const value = node.formatters.reduce((result, name) => {
+            if (!formatters[name]) throw new Error(`Unknown template formatter "${name}".`);
+            return formatters[name](result);
+        }, lookup(node.path, scopes));
+        return node.isRaw ? String(value ?? '') : escapeHtml(value);
+    }
+
+    const value = lookup(node.path, scopes);
+    if (node.helper === 'each') {
+        const entries = Array.isArray(value) ? value : [];
+        if (entries.length === 0) return renderNodes(node.inverse, scopes, formatters);
+        return entries.map((entry, index) => renderNodes(node.children, [...scopes, { value: entry, index }], formatters)).join('');
+    }
+    const isShown = node.helper === 'if' ? isTruthy(value) : !isTruthy(value);
+    return renderNodes(isShown ? node.children : node.inverse, scopes, formatters);
+}).join('');
+
+/**
+ * Renders a template with the values of a context.
+ * @param {string} template
+ * @param {object} context
+ * @param {object} [options]
+ * @param {Object<string, Function>} [options.formatters] - Added to, or replacing, DEFAULT_FORMATTERS.
+ * @returns {string}
+ * @throws {Error} If the template is malformed or uses an unknown formatter.
+ */
+export const renderTemplate = (template, context, { formatters = {} } = {}) =>
+    renderNodes(parse(String(template)), [{ value: context }], { ...DEFAULT_FORMATTERS, ...formatters });
\ No newline at end of file
@@ -0,0 +1,74 @@
+// /04-core-code/utils/template-engine.spec.js
+
+import { renderTemplate } from './template-engine.js';
+
+describe('renderTemplate', () => {
+    it('should replace every occurrence of a value and escape it', () => {
+        const html = renderTemplate('<h1>{{quoteId}}</h1><p>{{quoteId}} for {{customer.name}}</p>', {
+            quoteId: 'Q-2026-0042',
+            customer: { name: '<b>Smith & Sons</b>' }
+        });
+
+        expect(html).toBe('<h1>Q-2026-0042</h1><p>Q-2026-0042 for &lt;b&gt;Smith &amp; Sons&lt;/b&gt;</p>');
+    });
+
+    it('should insert triple-brace values as they are and render missing values as empty', () => {
+        expect(renderTemplate('{{{html}}}|{{missing}}|{{customer.missing.name}}', { html: '<br>', customer: {} })).toBe('<br>||');
+    });
+
+    it('should apply formatters', () => {
+        const html = renderTemplate('{{total | currency}} {{refund | currency}} {{issueDate | date}} {{status | upper}}', {
+            total: 1234567.5, refund: -12, issueDate: '2026-03-15', status: 'Quoted'
+        });
+
+        expect(html).toBe('$1,234,567.50 -$12.00 15/03/2026 QUOTED');
+    });
+
+    it('should accept additional formatters and reject unknown ones', () => {
+        expect(renderTemplate('{{width | mm}}', { width: 1200 }, { formatters: { mm: (value) => `${value} mm` } })).toBe('1200 mm');
+        expect(() => renderTemplate('{{width | inches}}', { width: 1200 })).toThrow('Unknown template formatter "inches".');
+    });
+
+    it('should repeat each blocks with the entry, its index and the outer context in scope', () => {
+        const html = renderTemplate('{{#each items}}[{{@number}}/{{@index}} {{location}} {{quoteId}}]{{/each}}', {
+            quoteId: 'Q1',
+            items: [{ location: 'Bed 1' }, { location: 'Bed 2', quoteId: 'own' }]
+        });
+
+        expect(html).toBe('[1/0 Bed 1 Q1][2/1 Bed 2 own]');
+    });
+
+    it('should render the else part of an each block for an empty list', () => {
+        const template = '{{#each tags}}{{this}},{{else}}none{{/each}}';
+
+        expect(renderTemplate(template, { tags: ['a', 'b'] })).toBe('a,b,');
+        expect(renderTemplate(template, { tags: [] })).toBe('none');
+    });
+
+    it('should render nested blocks', () => {
+        const html = renderTemplate('{{#each groups}}{{#if showHeadings}}<h2>{{name}}</h2>{{/if}}{{#each items}}{{this.width}};{{/each}}{{/each}}', {
+            showHeadings: true,
+            groups: [{ name: 'Roller', items: [{ width: 1 }, { width: 2 }] }, { name: 'Vertical', items: [] }]
+        });
+
+        expect(html).toBe('<h2>Roller</h2>1;2;<h2>Vertical</h2>');
+    });
+
+    it('should render if, else and unless blocks', () => {
+        const template = '{{#if notes}}Notes: {{notes}}{{else}}No notes{{/if}}{{#unless items}} - empty{{/unless}}';
+
+        expect(renderTemplate(template, { notes: 'Call first', items: [1] })).toBe('Notes: Call first');
+        expect(renderTemplate(template, { notes: '', items: [] })).toBe('No notes - empty');
+    });
+
+    it('should drop comments', () => {
+        expect(renderTemplate('a{{! not printed }}b', {})).toBe('ab');
+    });
+
+    it('should reject malformed templates', () => {
+        expect(() => renderTemplate('{{#each items}}', {})).toThrow('not closed');
+        expect(() => renderTemplate('{{/if}}', {})).toThrow('Unexpected');
+        expect(() => renderTemplate('{{#if a}}{{/each}}', {})).toThrow('Unexpected');
+        expect(() => renderTemplate('{{#with a}}{{/with}}', {})).toThrow('Invalid template block');
+    });
+});
\ No newline at end of file
@@ -0,0 +1,40 @@
+// /04-core-code/utils/work-order-utils.js
+
+/**
+ * @fileoverview Converts an installer work order (see WorkOrderService) to CSV, one row per item.
+ * The Cut and Installed columns are left empty to be ticked off in a spreadsheet or on paper.
+ */
+
+import { formatCsvRow } from './csv-parser.js';
+
+const CSV_HEADERS = [
+    'Location', 'Product', '#', 'Width', 'Height', 'Type', 'F-Name', 'F-Color',
+    'Over', 'O/I', 'L/R', 'Dual Pair', 'Chain', 'Winder', 'Motor', 'Cut', 'Installed'
+];
+
+/**
+ * @param {object} workOrder - The result of WorkOrderService.buildWorkOrder.
+ * @returns {string}
+ */
+export function workOrderToCsv(workOrder) {
+    const rows = workOrder.locations.flatMap(({ location, items }) => items.map(item => formatCsvRow([
+        location,
+        item.productName,
+        item.rowNumber,
+        item.width ?? '',
+        item.height ?? '',
+        item.fabricType,
+        item.fabric,
+        item.color,
+        item.over,
+        item.oi,
+        item.lr,
+        item.dualPair ?? item.dual,
+        item.chain ?? '',
+        item.winder,
+        item.motor,
+        '',
+        ''
+    ])));
+    return [CSV_HEADERS.join(','), ...rows].join('\n');
+}
\ No newline at end of file
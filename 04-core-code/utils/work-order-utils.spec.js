@@ -0,0 +1,28 @@
+// /04-core-code/utils/work-order-utils.spec.js
+
+import { workOrderToCsv } from './work-order-utils.js';
+
+describe('workOrderToCsv', () => {
+    it('should write one row per item with its location, dual pair and empty checkbox columns', () => {
+        const csv = workOrderToCsv({
+            locations: [{
+                location: 'Bed 1, upstairs',
+                items: [{
+                    productName: 'Roller Blind', rowNumber: 2, width: 1000, height: 1200, fabricType: 'B1',
+                    fabric: 'Linen', color: 'White', over: 'O', oi: 'IN', lr: 'L', dual: 'D', dualPair: 1,
+                    chain: 1500, winder: 'HD', motor: ''
+                }, {
+                    productName: 'Roller Blind', rowNumber: 3, width: 900, height: null, fabricType: 'B2',
+                    fabric: '', color: '', over: '', oi: '', lr: '', dual: '', dualPair: null,
+                    chain: null, winder: '', motor: 'Motor'
+                }]
+            }]
+        });
+
+        expect(csv.split('\n')).toEqual([
+            'Location,Product,#,Width,Height,Type,F-Name,F-Color,Over,O/I,L/R,Dual Pair,Chain,Winder,Motor,Cut,Installed',
+            '"Bed 1, upstairs",Roller Blind,2,1000,1200,B1,Linen,White,O,IN,L,1,1500,HD,,,',
+            '"Bed 1, upstairs",Roller Blind,3,900,,B2,,,,,,,,,Motor,,'
+        ]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,245 @@
+// /04-core-code/utils/xlsx-utils.js
+
+import { createZip, readZip, decodeUtf8 } from './zip-utils.js';
+
+/**
+ * @fileoverview Writing and reading Excel workbooks (Office Open XML, .xlsx) without a library.
+ * Workbooks are written with a bold header row, money in a currency format and the other values
+ * as numbers or text. Reading returns the text of each cell, as parseCsvRows does for a CSV, so
+ * the same readers can be used for both; formulas are read as their saved result.
+ */
+
+export const XLSX_MIME_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+const NAMESPACES = {
+    main: 'http://schemas.openxmlformats.org/spreadsheetml/2006/main',
+    relationships: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+    packageRelationships: 'http://schemas.openxmlformats.org/package/2006/relationships',
+    contentTypes: 'http://schemas.openxmlformats.org/package/2006/content-types',
+};
+const RELATIONSHIP_TYPES = {
+    officeDocument: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+    worksheet: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet',
+    styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+};
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// The cell styles of styles.xml, by their index in cellXfs.
+const CELL_STYLES = { DEFAULT: 0, BOLD: 1, CURRENCY: 2, BOLD_CURRENCY: 3 };
+const CURRENCY_FORMAT = '"$"#,##0.00;-"$"#,##0.00';
+
+const STYLES_XML = `${XML_DECLARATION}<styleSheet xmlns="${NAMESPACES.main}">`
+    + `<numFmts count="1"><numFmt numFmtId="164" formatCode="${CURRENCY_FORMAT.replace(/"/g, '&quot;')}"/></numFmts>`
+    + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+    + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+    + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+    + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+    + '<cellXfs count="4">'
+    + '<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>'
+    + '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>'
+    + '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>'
+    + '<xf numFmtId="164" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1" applyNumberFormat="1"/>'
+    + '</cellXfs>'
+    + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+    + '</styleSheet>';
+
+// Sheet names are at most 31 characters and cannot contain []:*?/\.
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Control characters other than tab and line breaks are not allowed in XML.
+const isXmlChar = (char) => char.charCodeAt(0) >= 0x20 || char === '\t' || char === '\n' || char === '\r';
+
+const escapeXml = (value) => Array.from(String(value)).filter(isXmlChar).join('')
+    .replace(/[&<>"]/g, (char) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' })[char]);
+
+/**
+ * @param {number} index - 0 for column A.
+ * @returns {string} The column's letters.
+ */
+const columnName = (index) => {
+    let name = '';
+    for (let number = index + 1; number > 0; number = Math.floor((number - 1) / 26)) {
+        name = String.fromCharCode(65 + ((number - 1) % 26)) + name;
+    }
+    return name;
+};
+
+/**
+ * @param {string} reference - A cell reference such as "AB12".
+ * @returns {number} Its column index, 0 for column A, or -1 without one.
+ */
+const columnIndex = (reference) => {
+    const letters = /^[A-Z]+/i.exec(reference || '');
+    if (!letters) return -1;
+    return [...letters[0].toUpperCase()].reduce((index, letter) => index * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+};
+
+const cellXml = (value, reference, style) => {
+    const styleAttribute = style ? ` s="${style}"` : '';
+    if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${reference}"${styleAttribute}><v>${value}</v></c>`;
+    }
+    return `<c r="${reference}"${styleAttribute} t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+};
+
+const worksheetXml = ({ rows, currencyColumns = [], boldRows = [0] }) => {
+    const columnCount = Math.max(0, ...rows.map(cells => cells.length));
+    const widths = Array.from({ length: columnCount }, (_, column) => {
+        const length = Math.max(0, ...rows.map(cells => String(cells[column] ?? '').length));
+        return Math.min(50, Math.max(8, length + 2));
+    });
+
+    const rowsXml = rows.map((cells, rowIndex) => {
+        const isBold = boldRows.includes(rowIndex);
+        const cellsXml = cells.map((value, column) => {
+            if (value === null || value === undefined || value === '') return '';
+            const isCurrency = typeof value === 'number' && currencyColumns.includes(column);
+            const style = isCurrency
+                ? (isBold ? CELL_STYLES.BOLD_CURRENCY : CELL_STYLES.CURRENCY)
+                : (isBold ? CELL_STYLES.BOLD : CELL_STYLES.DEFAULT);
+            return cellXml(value, `${columnName(column)}${rowIndex + 1}`, style);
+        }).join('');
+        return `<row r="${rowIndex + 1}">${cellsXml}</row>`;
+    }).join('');
+
+    const colsXml = widths.length > 0
+        ? `<cols>${widths.map((width, column) => `<col min="${column + 1}" max="${column + 1}" width="${width}" customWidth="1"/>`).join('')}</cols>`
+        : '';
+    return `${XML_DECLARATION}<worksheet xmlns="${NAMESPACES.main}" xmlns:r="${NAMESPACES.relationships}">${colsXml}<sheetData>${rowsXml}</sheetData></worksheet>`;
+};
+
+/**
+ * Writes a workbook with a sheet per entry.
+ * @param {Array<{name: string, rows: Array<Array<string|number|null>>, currencyColumns?: number[], boldRows?: number[]}>} sheets
+ *   Numbers are written as numbers, in the currency format in currencyColumns; the rows in boldRows
+ *   (by default the first, the header) are bold. Sheet names are shortened to 31 characters.
+ * @returns {Uint8Array} The .xlsx file.
+ */
+export function createXlsx(sheets) {
+    const sheetNames = sheets.map(({ name }) => String(name).replace(/[[\]:*?/\\]/g, ' ').slice(0, MAX_SHEET_NAME_LENGTH));
+
+    const contentTypes = `${XML_DECLARATION}<Types xmlns="${NAMESPACES.contentTypes}">`
+        + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+        + '<Default Extension="xml" ContentType="application/xml"/>'
+        + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+        + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+        + sheets.map((_, index) => `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('')
+        + '</Types>';
+    const packageRels = `${XML_DECLARATION}<Relationships xmlns="${NAMESPACES.packageRelationships}">`
+        + `<Relationship Id="rId1" Type="${RELATIONSHIP_TYPES.officeDocument}" Target="xl/workbook.xml"/>`
+        + '</Relationships>';
+    const workbook = `${XML_DECLARATION}<workbook xmlns="${NAMESPACES.main}" xmlns:r="${NAMESPACES.relationships}"><sheets>`
+        + sheetNames.map((name, index) => `<sheet name="${escapeXml(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('')
+        + '</sheets></workbook>';
+    const workbookRels = `${XML_DECLARATION}<Relationships xmlns="${NAMESPACES.packageRelationships}">`
+        + sheets.map((_, index) => `<Relationship Id="rId${index + 1}" Type="${RELATIONSHIP_TYPES.worksheet}" Target="worksheets/sheet${index + 1}.xml"/>`).join('')
+        + `<Relationship Id="rId${sheets.length + 1}" Type="${RELATIONSHIP_TYPES.styles}" Target="styles.xml"/>`
+        + '</Relationships>';
+
+    return createZip([
+        { name: '[Content_Types].xml', data: contentTypes },
+        { name: '_rels/.rels', data: packageRels },
+        { name: 'xl/workbook.xml', data: workbook },
+        { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+        { name: 'xl/styles.xml', data: STYLES_XML },
+        ...sheets.map((sheet, index) => ({ name: `xl/worksheets/sheet${index + 1}.xml`, data: worksheetXml(sheet) })),
+    ]);
+}
+
+// --- Reading ---
+
+const parseXml = (files, path) => {
+    const bytes = files.get(path);
+    if (!bytes) return null;
+    const document = new DOMParser().parseFromString(decodeUtf8(bytes), 'application/xml');
+    if (document.getElementsByTagName('parsererror').length > 0) {
+        throw new Error(`The workbook part ${path} is not valid XML.`);
+    }
+    return document;
+};
+
+const elementsByName = (node, localName) => [...node.getElementsByTagNameNS('*', localName)];
+
+// The text of a string item, without its phonetic (ruby) runs.
+const stringItemText = (node) => elementsByName(node, 't')
+    .filter(textNode => textNode.parentNode.localName !== 'rPh')
+    .map(textNode => textNode.textContent)
+    .join('');
+
+// Resolves the target of a relationship of the part at basePath.
+const resolveTarget = (basePath, target) => {
+    if (target.startsWith('/')) return target.slice(1);
+    const parts = basePath.split('/').slice(0, -1);
+    target.split('/').forEach(part => {
+        if (part === '..') parts.pop();
+        else if (part !== '.') parts.push(part);
+    });
+    return parts.join('/');
+};
+
+const readRelationships = (files, partPath) => {
+    const parts = partPath.split('/');
+    const fileName = parts.pop();
+    const document = parseXml(files, [...parts, '_rels', `${fileName}.rels`].join('/'));
+    if (!document) return new Map();
+    return new Map(elementsByName(document, 'Relationship')
+        .map(node => [node.getAttribute('Id'), { type: node.getAttribute('Type') || '', target: resolveTarget(partPath, node.getAttribute('Target') || '') }]));
+};
+
+const readCellText = (cell, sharedStrings) => {
+    const type = cell.getAttribute('t');
+    if (type === 'inlineStr') {
+        const inlineString = elementsByName(cell, 'is')[0];
+        return inlineString ? stringItemText(inlineString) : '';
+    }
+    const valueNode = elementsByName(cell, 'v')[0];
+    const value = valueNode ? valueNode.textContent : '';
+    if (type === 's') return sharedStrings[Number(value)] ?? '';
+    if (type === 'b') return value === '1' ? 'true' : 'false';
+    return value;
+};
+
+/**
+ * Reads the sheets of a workbook.
+ * @param {Uint8Array|ArrayBuffer} data - The .xlsx file.
+ * @returns {Array<{name: string, rows: string[][]}>} The sheets in workbook order, with the text of
+ *   each cell. Empty cells are '', so columns keep their position; blank rows are left out.
+ * @throws {Error} If the data is not a workbook.
+ */
+export function readXlsx(data) {
+    const files = readZip(data);
+
+    const rootRelationships = readRelationships(files, '');
+    const workbookPath = [...rootRelationships.values()].find(({ type }) => type.endsWith('/officeDocument'))?.target || 'xl/workbook.xml';
+    const workbook = parseXml(files, workbookPath);
+    if (!workbook) throw new Error('The file is not an Excel workbook.');
+    const relationships = readRelationships(files, workbookPath);
+
+    const sharedStringsPath = [...relationships.values()].find(({ type }) => type.endsWith('/sharedStrings'))?.target;
+    const sharedStringsDocument = sharedStringsPath ? parseXml(files, sharedStringsPath) : null;
+    const sharedStrings = sharedStringsDocument ? elementsByName(sharedStringsDocument, 'si').map(stringItemText) : [];
+
+    return elementsByName(workbook, 'sheet').map(sheetNode => {
+        const relationshipId = sheetNode.getAttributeNS(NAMESPACES.relationships, 'id') || sheetNode.getAttribute('r:id');
+        const sheetPath = relationships.get(relationshipId)?.target;
+        const sheet = sheetPath ? parseXml(files, sheetPath) : null;
+        const rows = [];
+
+        if (sheet) {
+            elementsByName(sheet, 'row').forEach(rowNode => {
+                const rowNumber = Number(rowNode.getAttribute('r')) || rows.length + 1;
+                while (rows.length < rowNumber) rows.push([]);
+                const cells = rows[rowNumber - 1];
+                elementsByName(rowNode, 'c').forEach(cell => {
+                    const column = columnIndex(cell.getAttribute('r'));
+                    const index = column === -1 ? cells.length : column;
+                    while (cells.length < index) cells.push('');
+                    cells[index] = readCellText(cell, sharedStrings);
+                });
+            });
+        }
+        // Blank rows are left out, as by parseCsvRows.
+        return { name: sheetNode.getAttribute('name') || '', rows: rows.filter(cells => cells.some(value => value.trim() !== '')) };
+    });
+
+}
\ No newline at end of file
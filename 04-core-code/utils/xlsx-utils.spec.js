@@ -0,0 +1,93 @@
+// /04-core-code/utils/xlsx-utils.spec.js
+
+import { Buffer } from 'buffer';
+import { deflateRawSync } from 'zlib';
+import { createXlsx, readXlsx } from './xlsx-utils.js';
+import { readZip, decodeUtf8, encodeUtf8, crc32 } from './zip-utils.js';
+
+// Writes an archive with deflated entries, as spreadsheet programs save them.
+const createDeflatedZip = (entries) => {
+    const local = [];
+    const central = [];
+    let offset = 0;
+    entries.forEach(({ name, data }) => {
+        const nameBytes = Buffer.from(name);
+        const bytes = Buffer.from(data);
+        const compressed = deflateRawSync(bytes);
+        const header = Buffer.alloc(30);
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(20, 4);
+        header.writeUInt16LE(8, 8);
+        header.writeUInt32LE(crc32(encodeUtf8(data)), 14);
+        header.writeUInt32LE(compressed.length, 18);
+        header.writeUInt32LE(bytes.length, 22);
+        header.writeUInt16LE(nameBytes.length, 26);
+        const record = Buffer.alloc(46);
+        record.writeUInt32LE(0x02014b50, 0);
+        record.writeUInt16LE(20, 4);
+        record.writeUInt16LE(20, 6);
+        record.writeUInt16LE(8, 10);
+        record.writeUInt32LE(compressed.length, 20);
+        record.writeUInt32LE(bytes.length, 24);
+        record.writeUInt16LE(nameBytes.length, 28);
+        record.writeUInt32LE(offset, 42);
+        local.push(header, nameBytes, compressed);
+        central.push(record, nameBytes);
+        offset += header.length + nameBytes.length + compressed.length;
+    });
+    const centralSize = central.reduce((sum, part) => sum + part.length, 0);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(centralSize, 12);
+    end.writeUInt32LE(offset, 16);
+    return new Uint8Array(Buffer.concat([...local, ...central, end]));
+};
+
+describe('xlsx-utils', () => {
+    it('should read back the sheets it wrote', () => {
+        const xlsx = createXlsx([
+            { name: 'Items', rows: [['#', 'Width', 'Price', 'Location'], [1, 1200, 75.5, 'Bed 1 & "2" <left>'], [2, 900, '', 'Café']], currencyColumns: [2] },
+            { name: 'Notes: [draft]', rows: [] },
+        ]);
+
+        expect(readXlsx(xlsx)).toEqual([
+            { name: 'Items', rows: [['#', 'Width', 'Price', 'Location'], ['1', '1200', '75.5', 'Bed 1 & "2" <left>'], ['2', '900', '', 'Café']] },
+            { name: 'Notes   draft ', rows: [] },
+        ]);
+    });
+
+    it('should drop control characters that XML does not allow and keep tabs and new lines', () => {
+        const xlsx = createXlsx([{ name: 'Items', rows: [['Note'], ['Bed\u0001 1\u001f\tleft\nside\u000b']] }]);
+
+        expect(readXlsx(xlsx)[0].rows[1]).toEqual(['Bed 1\tleft\nside']);
+    });
+
+    it('should write a bold header, currency cells and numbers as numbers', () => {
+        const files = readZip(createXlsx([{ name: 'Items', rows: [['Width', 'Price'], [1200, 75.5], ['Total', 75.5]], currencyColumns: [1], boldRows: [0, 2] }]));
+        const sheet = decodeUtf8(files.get('xl/worksheets/sheet1.xml'));
+        const styles = decodeUtf8(files.get('xl/styles.xml'));
+
+        expect(files.has('[Content_Types].xml')).toBe(true);
+        expect(styles).toContain('formatCode="&quot;$&quot;#,##0.00;-&quot;$&quot;#,##0.00"');
+        expect(sheet).toContain('<c r="A1" s="1" t="inlineStr"><is><t xml:space="preserve">Width</t></is></c>');
+        expect(sheet).toContain('<c r="A2"><v>1200</v></c><c r="B2" s="2"><v>75.5</v></c>');
+        expect(sheet).toContain('<c r="B3" s="3"><v>75.5</v></c>');
+    });
+
+    it('should read workbooks saved by a spreadsheet program, with shared strings and deflated parts', () => {
+        const main = 'xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"';
+        const xlsx = createDeflatedZip([
+            { name: '_rels/.rels', data: '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>' },
+            { name: 'xl/workbook.xml', data: `<workbook ${main} xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets><sheet name="Measurements" sheetId="1" r:id="rId3"/></sheets></workbook>` },
+            { name: 'xl/_rels/workbook.xml.rels', data: '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="/xl/worksheets/data.xml"/><Relationship Id="rId4" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings" Target="sharedStrings.xml"/></Relationships>' },
+            { name: 'xl/sharedStrings.xml', data: `<sst ${main}><si><t>Room</t></si><si><t>Width (cm)</t></si><si><r><t>Bed </t></r><r><rPr><b/></rPr><t>1</t></r><rPh><t>x</t></rPh></si></sst>` },
+            { name: 'xl/worksheets/data.xml', data: `<worksheet ${main}><sheetData><row r="1"><c r="A1" t="s"><v>0</v></c><c r="C1" t="s"><v>1</v></c></row><row r="3"><c r="A3" t="s"><v>2</v></c><c r="B3" t="b"><v>1</v></c><c r="C3"><f>60*2</f><v>120</v></c></row></sheetData></worksheet>` },
+        ]);
+
+        expect(readXlsx(xlsx.buffer)).toEqual([
+            { name: 'Measurements', rows: [['Room', '', 'Width (cm)'], ['Bed 1', 'true', '120']] },
+        ]);
+    });
+});
\ No newline at end of file
@@ -0,0 +1,371 @@
+// /04-core-code/utils/zip-utils.js
+
+/**
+ * @fileoverview Reading and writing ZIP archives, the container of XLSX workbooks, without a
+ * library. Archives are written uncompressed (stored), which every reader accepts; stored and
+ * deflated entries (RFC 1951) are read, which covers the files spreadsheet programs save.
+ * Text is converted to and from UTF-8 here as well, as TextEncoder is not available everywhere
+ * this runs (e.g. in Jest).
+ */
+
+const LOCAL_FILE_HEADER = 0x04034b50;
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50;
+const UTF8_NAME_FLAG = 0x0800;
+
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc >>> 0;
+});
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {number} The CRC-32 of the bytes, as ZIP stores it.
+ */
+export const crc32 = (bytes) => {
+    let crc = 0xffffffff;
+    for (let index = 0; index < bytes.length; index++) {
+        crc = CRC_TABLE[(crc ^ bytes[index]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+};
+
+/**
+ * @param {string} text
+ * @returns {Uint8Array}
+ */
+export const encodeUtf8 = (text) => {
+    const bytes = [];
+    for (const char of String(text)) {
+        const code = char.codePointAt(0);
+        if (code < 0x80) {
+            bytes.push(code);
+        } else if (code < 0x800) {
+            bytes.push(0xc0 | (code >> 6), 0x80 | (code & 0x3f));
+        } else if (code < 0x10000) {
+            bytes.push(0xe0 | (code >> 12), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        } else {
+            bytes.push(0xf0 | (code >> 18), 0x80 | ((code >> 12) & 0x3f), 0x80 | ((code >> 6) & 0x3f), 0x80 | (code & 0x3f));
+        }
+    }
+    return Uint8Array.from(bytes);
+};
+
+/**
+ * @param {Uint8Array} bytes
+ * @returns {string} The text; malformed sequences become U+FFFD.
+ */
+export const decodeUtf8 = (bytes) => {
+    const codes = [];
+    let index = 0;
+    while (index < bytes.length) {
+        const lead = bytes[index];
+        const length = lead < 0x80 ? 1 : lead >= 0xf0 ? 4 : lead >= 0xe0 ? 3 : lead >= 0xc0 ? 2 : 0;
+        const continuation = bytes.subarray(index + 1, index + length);
+        if (length === 0 || continuation.length !== length - 1 || continuation.some(byte => (byte & 0xc0) !== 0x80)) {
+            codes.push(0xfffd);
+            index++;
+            continue;
+        }
+        let code = length === 1 ? lead : lead & (0xff >> (length + 1));
+        continuation.forEach(byte => { code = (code << 6) | (byte & 0x3f); });
+        codes.push(code);
+        index += length;
+    }
+    let text = '';
+    for (let start = 0; start < codes.length; start += 4096) {
+        text += String.fromCodePoint(...codes.slice(start, start + 4096));
+    }
+    return text;
+};
+
+// --- Inflate (RFC 1951) ---
+
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DISTANCE_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DISTANCE_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// The order in which the lengths of the code length code are sent.
+const CODE_LENGTH_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * Builds a canonical Huffman code from the code length of each symbol, as the number of codes of
+ * each length and the symbols in code order.
+ */
+const buildHuffman = (lengths) => {
+    const counts = new Uint16Array(16);
+    lengths.forEach(length => { counts[length]++; });
+    counts[0] = 0;
+    const offsets = new Uint16Array(16);
+    for (let length = 1; length < 16; length++) {
+        offsets[length] = offsets[length - 1] + counts[length - 1];
+    }
+    const symbols = new Uint16Array(lengths.length);
+    lengths.forEach((length, symbol) => {
+        if (length) symbols[offsets[length]++] = symbol;
+    });
+    return { counts, symbols };
+};
+
+const FIXED_LITERAL_CODE = buildHuffman(Array.from({ length: 288 }, (_, symbol) =>
+    (symbol < 144 ? 8 : symbol < 256 ? 9 : symbol < 280 ? 7 : 8)));
+const FIXED_DISTANCE_CODE = buildHuffman(new Array(30).fill(5));
+
+/**
+ * Decompresses raw deflate data (without a zlib or gzip wrapper).
+ * @param {Uint8Array} input
+ * @returns {Uint8Array}
+ * @throws {Error} If the data is not valid deflate data.
+ */
+export const inflateRaw = (input) => {
+    let position = 0;
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let output = new Uint8Array(Math.max(1024, input.length * 4));
+    let outputLength = 0;
+
+    const ensureCapacity = (extra) => {
+        if (outputLength + extra <= output.length) return;
+        const grown = new Uint8Array(Math.max(output.length * 2, outputLength + extra));
+        grown.set(output.subarray(0, outputLength));
+        output = grown;
+    };
+    const readBits = (count) => {
+        while (bitCount < count) {
+            if (position >= input.length) throw new Error('Unexpected end of deflate data.');
+            bitBuffer |= input[position++] << bitCount;
+            bitCount += 8;
+        }
+        const value = bitBuffer & ((1 << count) - 1);
+        bitBuffer >>>= count;
+        bitCount -= count;
+        return value;
+    };
+    const decodeSymbol = ({ counts, symbols }) => {
+        let code = 0;
+        let first = 0;
+        let index = 0;
+        for (let length = 1; length < 16; length++) {
+            code |= readBits(1);
+            const count = counts[length];
+            if (code - first < count) return symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('Invalid Huffman code in deflate data.');
+    };
+
+    const inflateStored = () => {
+        bitBuffer = 0;
+        bitCount = 0;
+        if (position + 4 > input.length) throw new Error('Unexpected end of deflate data.');
+        const length = input[position] | (input[position + 1] << 8);
+        const complement = input[position + 2] | (input[position + 3] << 8);
+        if (length !== (~complement & 0xffff)) throw new Error('Invalid stored block in deflate data.');
+        position += 4;
+        if (position + length > input.length) throw new Error('Unexpected end of deflate data.');
+        ensureCapacity(length);
+        output.set(input.subarray(position, position + length), outputLength);
+        outputLength += length;
+        position += length;
+    };
+
+    const inflateCodes = (literalCode, distanceCode) => {
+        for (;;) {
+            const symbol = decodeSymbol(literalCode);
+            if (symbol < 256) {
+                ensureCapacity(1);
+                output[outputLength++] = symbol;
+            } else if (symbol === 256) {
+                return;
+            } else {
+                const lengthIndex = symbol - 257;
+                if (lengthIndex >= LENGTH_BASE.length) throw new Error('Invalid length in deflate data.');
+                const length = LENGTH_BASE[lengthIndex] + readBits(LENGTH_EXTRA[lengthIndex]);
+                const distanceIndex = decodeSymbol(distanceCode);
+                if (distanceIndex >= DISTANCE_BASE.length) throw new Error('Invalid distance in deflate data.');
+                const distance = DISTANCE_BASE[distanceIndex] + readBits(DISTANCE_EXTRA[distanceIndex]);
+                if (distance > outputLength) throw new Error('Invalid distance in deflate data.');
+                ensureCapacity(length);
+                // Copied byte by byte, as the match may overlap the bytes it produces.
+                for (let copied = 0; copied < length; copied++) {
+                    output[outputLength] = output[outputLength - distance];
+                    outputLength++;
+                }
+            }
+        }
+    };
+
+    const readDynamicCodes = () => {
+        const literalCount = readBits(5) + 257;
+        const distanceCount = readBits(5) + 1;
+        const codeLengthCount = readBits(4) + 4;
+        const codeLengths = new Array(19).fill(0);
+        for (let index = 0; index < codeLengthCount; index++) {
+            codeLengths[CODE_LENGTH_ORDER[index]] = readBits(3);
+        }
+        const codeLengthCode = buildHuffman(codeLengths);
+
+        const lengths = [];
+        while (lengths.length < literalCount + distanceCount) {
+            const symbol = decodeSymbol(codeLengthCode);
+            if (symbol < 16) {
+                lengths.push(symbol);
+            } else if (symbol === 16) {
+                if (lengths.length === 0) throw new Error('Invalid code lengths in deflate data.');
+                lengths.push(...new Array(3 + readBits(2)).fill(lengths[lengths.length - 1]));
+            } else {
+                lengths.push(...new Array(symbol === 17 ? 3 + readBits(3) : 11 + readBits(7)).fill(0));
+            }
+        }
+        if (lengths.length > literalCount + distanceCount) throw new Error('Invalid code lengths in deflate data.');
+        return [buildHuffman(lengths.slice(0, literalCount)), buildHuffman(lengths.slice(literalCount))];
+    };
+
+    let isLastBlock = false;
+    while (!isLastBlock) {
+        isLastBlock = readBits(1) === 1;
+        const blockType = readBits(2);
+        if (blockType === 0) {
+            inflateStored();
+        } else if (blockType === 1) {
+            inflateCodes(FIXED_LITERAL_CODE, FIXED_DISTANCE_CODE);
+        } else if (blockType === 2) {
+            inflateCodes(...readDynamicCodes());
+        } else {
+            throw new Error('Invalid block type in deflate data.');
+        }
+    }
+    return output.slice(0, outputLength);
+};
+
+// --- Archives ---
+
+const writeUint16 = (bytes, offset, value) => {
+    bytes[offset] = value & 0xff;
+    bytes[offset + 1] = (value >>> 8) & 0xff;
+};
+const writeUint32 = (bytes, offset, value) => {
+    writeUint16(bytes, offset, value & 0xffff);
+    writeUint16(bytes, offset + 2, value >>> 16);
+};
+const readUint16 = (bytes, offset) => bytes[offset] | (bytes[offset + 1] << 8);
+const readUint32 = (bytes, offset) => (readUint16(bytes, offset) | (readUint16(bytes, offset + 2) << 16)) >>> 0;
+
+/**
+ * Writes a ZIP archive with the entries stored uncompressed.
+ * @param {Array<{name: string, data: Uint8Array|string}>} entries - Text is written as UTF-8.
+ * @returns {Uint8Array}
+ */
+export const createZip = (entries) => {
+    const localParts = [];
+    const centralParts = [];
+    let offset = 0;
+
+    entries.forEach(({ name, data }) => {
+        const nameBytes = encodeUtf8(name);
+        const dataBytes = typeof data === 'string' ? encodeUtf8(data) : data;
+        const crc = crc32(dataBytes);
+
+        const local = new Uint8Array(30 + nameBytes.length);
+        writeUint32(local, 0, LOCAL_FILE_HEADER);
+        writeUint16(local, 4, 20);
+        writeUint16(local, 6, UTF8_NAME_FLAG);
+        writeUint16(local, 8, METHOD_STORE);
+        writeUint32(local, 14, crc);
+        writeUint32(local, 18, dataBytes.length);
+        writeUint32(local, 22, dataBytes.length);
+        writeUint16(local, 26, nameBytes.length);
+        local.set(nameBytes, 30);
+
+        const central = new Uint8Array(46 + nameBytes.length);
+        writeUint32(central, 0, CENTRAL_DIRECTORY_HEADER);
+        writeUint16(central, 4, 20);
+        writeUint16(central, 6, 20);
+        writeUint16(central, 8, UTF8_NAME_FLAG);
+        writeUint16(central, 10, METHOD_STORE);
+        writeUint32(central, 16, crc);
+        writeUint32(central, 20, dataBytes.length);
+        writeUint32(central, 24, dataBytes.length);
+        writeUint16(central, 28, nameBytes.length);
+        writeUint32(central, 42, offset);
+        central.set(nameBytes, 46);
+
+        localParts.push(local, dataBytes);
+        centralParts.push(central);
+        offset += local.length + dataBytes.length;
+    });
+
+    const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+    const end = new Uint8Array(22);
+    writeUint32(end, 0, END_OF_CENTRAL_DIRECTORY);
+    writeUint16(end, 8, entries.length);
+    writeUint16(end, 10, entries.length);
+    writeUint32(end, 12, centralSize);
+    writeUint32(end, 16, offset);
+
+    const parts = [...localParts, ...centralParts, end];
+    const zip = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    parts.reduce((position, part) => {
+        zip.set(part, position);
+        return position + part.length;
+    }, 0);
+    return zip;
+};
+
+/**
+ * Reads the entries of a ZIP archive from its central directory.
+ * @param {Uint8Array|ArrayBuffer} data
+ * @returns {Map<string, Uint8Array>} The contents of each file, by its path in the archive.
+ * @throws {Error} If the data is not a ZIP archive or uses a compression method other than store or deflate.
+ */
+export const readZip = (data) => {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+
+    // The end record is at the end, followed by a comment of up to 64 KB.
+    let endOffset = -1;
+    for (let offset = bytes.length - 22; offset >= Math.max(0, bytes.length - 22 - 0xffff); offset--) {
+        if (readUint32(bytes, offset) === END_OF_CENTRAL_DIRECTORY) {
+            endOffset = offset;
+            break;
+        }
+    }
+    if (endOffset === -1) throw new Error('The file is not a ZIP archive.');
+
+    const entryCount = readUint16(bytes, endOffset + 10);
+    let offset = readUint32(bytes, endOffset + 16);
+    const files = new Map();
+
+    for (let index = 0; index < entryCount; index++) {
+        if (readUint32(bytes, offset) !== CENTRAL_DIRECTORY_HEADER) throw new Error('The ZIP archive is damaged.');
+        const method = readUint16(bytes, offset + 10);
+        const compressedSize = readUint32(bytes, offset + 20);
+        const nameLength = readUint16(bytes, offset + 28);
+        const extraLength = readUint16(bytes, offset + 30);
+        const commentLength = readUint16(bytes, offset + 32);
+        const localOffset = readUint32(bytes, offset + 42);
+        const name = decodeUtf8(bytes.subarray(offset + 46, offset + 46 + nameLength));
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        if (name.endsWith('/')) continue;
+        if (readUint32(bytes, localOffset) !== LOCAL_FILE_HEADER) throw new Error('The ZIP archive is damaged.');
+        const dataStart = localOffset + 30 + readUint16(bytes, localOffset + 26) + readUint16(bytes, localOffset + 28);
+        const compressed = bytes.subarray(dataStart, dataStart + compressedSize);
+
+        if (method === METHOD_STORE) {
+            files.set(name, compressed.slice());
+        } else if (method === METHOD_DEFLATE) {
+            files.set(name, inflateRaw(compressed));
+        } else {
+            throw new Error(`The ZIP entry ${name} uses an unsupported compression method (${method}).`);
+        }
+    }
+    return files;
+};
\ No newline at end of file
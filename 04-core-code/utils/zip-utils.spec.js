@@ -0,0 +1,48 @@
+// /04-core-code/utils/zip-utils.spec.js
+
+import { Buffer } from 'buffer';
+import { deflateRawSync } from 'zlib';
+import { createZip, readZip, inflateRaw, crc32, encodeUtf8, decodeUtf8 } from './zip-utils.js';
+
+describe('zip-utils', () => {
+    const text = 'Width,Height,Location\n'.concat(...Array.from({ length: 200 }, (_, index) => `${1000 + index},1300,Bed ${index % 7}\n`));
+
+    it('should encode and decode UTF-8', () => {
+        const value = 'Café – 1200 × 1300 mm 🪟';
+
+        expect([...encodeUtf8('é€')]).toEqual([0xc3, 0xa9, 0xe2, 0x82, 0xac]);
+        expect(decodeUtf8(encodeUtf8(value))).toBe(value);
+        expect(decodeUtf8(Uint8Array.from([0x41, 0xff, 0x42]))).toBe('A�B');
+    });
+
+    it('should compute the CRC-32 of the data', () => {
+        expect(crc32(encodeUtf8('123456789'))).toBe(0xcbf43926);
+    });
+
+    it('should inflate fixed, dynamic and stored deflate blocks', () => {
+        const bytes = encodeUtf8(text);
+
+        expect(decodeUtf8(inflateRaw(deflateRawSync(Buffer.from('abcabcabcabc'), { strategy: 4 })))).toBe('abcabcabcabc');
+        expect(decodeUtf8(inflateRaw(deflateRawSync(Buffer.from(bytes))))).toBe(text);
+        expect(decodeUtf8(inflateRaw(deflateRawSync(Buffer.from(bytes), { level: 0 })))).toBe(text);
+        expect(() => inflateRaw(Uint8Array.from([0xff]))).toThrow();
+    });
+
+    it('should read back the archive it wrote', () => {
+        const zip = createZip([
+            { name: 'xl/workbook.xml', data: '<workbook/>' },
+            { name: 'data/measurements.csv', data: text },
+            { name: 'bytes.bin', data: Uint8Array.from([0, 1, 255]) },
+        ]);
+
+        const files = readZip(zip.buffer);
+
+        expect([...files.keys()]).toEqual(['xl/workbook.xml', 'data/measurements.csv', 'bytes.bin']);
+        expect(decodeUtf8(files.get('data/measurements.csv'))).toBe(text);
+        expect([...files.get('bytes.bin')]).toEqual([0, 1, 255]);
+    });
+
+    it('should reject data that is not a ZIP archive', () => {
+        expect(() => readZip(encodeUtf8('Width,Height'))).toThrow('not a ZIP archive');
+    });
+});
\ No newline at end of file